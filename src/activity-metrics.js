@@ -0,0 +1,299 @@
+/**
+ * Activity Metrics
+ * Turns samples of issues, pull requests and commits into maintainer-responsiveness,
+ * PR health and contributor figures. Both the GraphQL batch and the REST fallback
+ * feed the same normalized shapes.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+// An issue still unanswered this long after it was opened counts as ignored
+const UNANSWERED_AFTER_DAYS = 30;
+
+// Open pull requests older than this are stale
+const STALE_PR_DAYS = 90;
+
+// Contributor metrics look at the default branch history over this window
+export const COMMIT_WINDOW_DAYS = 365;
+
+// Authors with a commit this recently count as currently active
+const RECENTLY_ACTIVE_DAYS = 90;
+
+// Length of the weekly commit series
+const CADENCE_WEEKS = 52;
+
+// The trend compares the latest quarter with the average of the three before it
+const TREND_WEEKS = 13;
+const TREND_TOLERANCE = 0.25;
+
+// Comment authors whose reply counts as a maintainer response (and PR authors who are not external)
+const MAINTAINER_ASSOCIATIONS = new Set(['OWNER', 'MEMBER', 'COLLABORATOR']);
+
+/**
+ * Round to one decimal, keeping null
+ */
+function roundOne(value) {
+    return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Whole-number percentage, or null when there is nothing to measure
+ */
+function percent(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 100) : null;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (any order)
+ * @returns {number|null} Median, or null for an empty list
+ */
+export function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * When an issue first got a maintainer response: the earliest comment by an owner,
+ * member or collaborator other than the author (bots excluded), or its closing
+ * @param {Object} issue - { createdAt, closedAt, author, comments: [{ createdAt, author, association, isBot }] }
+ * @returns {number|null} Timestamp in ms, or null when there was no response
+ */
+function getFirstResponseAt(issue) {
+    const times = issue.comments
+        .filter((comment) => MAINTAINER_ASSOCIATIONS.has(comment.association) &&
+            !comment.isBot &&
+            comment.author !== issue.author)
+        .map((comment) => Date.parse(comment.createdAt));
+    if (issue.closedAt) times.push(Date.parse(issue.closedAt));
+    return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Summarize how quickly maintainers react to issues
+ * @param {Array<Object>} issues - Recent issues (pull requests excluded), normalized as for getFirstResponseAt
+ * @param {Date} now - Reference time
+ * @returns {{sampled: number, medianFirstResponseHours: number|null, medianCloseHours: number|null, unansweredAfter30DaysPercent: number|null}}
+ */
+export function summarizeResponsiveness(issues, now = new Date()) {
+    const responseHours = [];
+    const closeHours = [];
+    let matured = 0;
+    let unanswered = 0;
+
+    for (const issue of issues) {
+        const createdAt = Date.parse(issue.createdAt);
+        const firstResponseAt = getFirstResponseAt(issue);
+
+        if (firstResponseAt !== null) {
+            responseHours.push((firstResponseAt - createdAt) / HOUR_MS);
+        }
+        if (issue.closedAt) {
+            closeHours.push((Date.parse(issue.closedAt) - createdAt) / HOUR_MS);
+        }
+
+        // Only issues old enough to have had the full window count towards the share
+        const deadline = createdAt + UNANSWERED_AFTER_DAYS * 24 * HOUR_MS;
+        if (deadline <= now.getTime()) {
+            matured++;
+            if (firstResponseAt === null || firstResponseAt > deadline) unanswered++;
+        }
+    }
+
+    return {
+        sampled: issues.length,
+        medianFirstResponseHours: roundOne(median(responseHours)),
+        medianCloseHours: roundOne(median(closeHours)),
+        unansweredAfter30DaysPercent: percent(unanswered, matured),
+    };
+}
+
+/**
+ * Summarize pull request health
+ * @param {Object} sample - Pull request samples
+ * @param {Array<Object>} sample.open - Open pull requests: [{ createdAt }]
+ * @param {Array<Object>} sample.closed - Recently closed or merged pull requests:
+ *   [{ createdAt, mergedAt, author, authorAssociation, isBot, mergedBy, approvals }]
+ *   (approvals = approving reviews by someone other than the author)
+ * @param {Date} now - Reference time
+ * @returns {Object} Open PR age distribution, stale share, external merge rate,
+ *   median time to merge, review coverage and self-merge rate (null when not measurable)
+ */
+export function summarizePullRequests({ open, closed }, now = new Date()) {
+    const openAgeDays = open.map((pr) => (now.getTime() - Date.parse(pr.createdAt)) / (24 * HOUR_MS));
+    const openAgeDistribution = {
+        under7Days: openAgeDays.filter((days) => days < 7).length,
+        days7To30: openAgeDays.filter((days) => days >= 7 && days < 30).length,
+        days30To90: openAgeDays.filter((days) => days >= 30 && days < STALE_PR_DAYS).length,
+        over90Days: openAgeDays.filter((days) => days >= STALE_PR_DAYS).length,
+    };
+
+    const merged = closed.filter((pr) => pr.mergedAt);
+    const external = closed.filter((pr) => !pr.isBot && !MAINTAINER_ASSOCIATIONS.has(pr.authorAssociation));
+    const withMerger = merged.filter((pr) => pr.mergedBy);
+
+    return {
+        openSampled: open.length,
+        openAgeDistribution,
+        medianOpenAgeDays: roundOne(median(openAgeDays)),
+        staleOpenPercent: percent(openAgeDistribution.over90Days, open.length),
+        closedSampled: closed.length,
+        externalMergeRatePercent: percent(external.filter((pr) => pr.mergedAt).length, external.length),
+        medianTimeToMergeHours: roundOne(median(merged.map((pr) => (Date.parse(pr.mergedAt) - Date.parse(pr.createdAt)) / HOUR_MS))),
+        reviewCoveragePercent: percent(merged.filter((pr) => pr.approvals > 0).length, merged.length),
+        selfMergeRatePercent: percent(withMerger.filter((pr) => pr.mergedBy === pr.author).length, withMerger.length),
+    };
+}
+
+/**
+ * Start of the commit history window
+ * @param {Date} now - Reference time
+ * @returns {string} ISO timestamp COMMIT_WINDOW_DAYS before now
+ */
+export function getCommitWindowStart(now = new Date()) {
+    return new Date(now.getTime() - COMMIT_WINDOW_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Summarize how concentrated recent development is
+ * Bot commits are ignored. The bus factor is the fewest authors whose commits add up
+ * to half of the window's commits (0 when nobody committed).
+ * @param {Array<Object>|null} commits - Commits of the window: [{ date, author, isBot }], or null when unknown
+ * @param {Date} now - Reference time
+ * @returns {{commitsSampled: number|null, busFactor: number|null, activeMaintainers90d: number|null,
+ *   activeMaintainers365d: number|null, topContributorSharePercent: number|null}}
+ */
+export function summarizeContributors(commits, now = new Date()) {
+    if (!commits) {
+        return {
+            commitsSampled: null,
+            busFactor: null,
+            activeMaintainers90d: null,
+            activeMaintainers365d: null,
+            topContributorSharePercent: null,
+        };
+    }
+
+    const humanCommits = commits.filter((commit) => !commit.isBot);
+    const commitsByAuthor = new Map();
+    for (const commit of humanCommits) {
+        commitsByAuthor.set(commit.author, (commitsByAuthor.get(commit.author) ?? 0) + 1);
+    }
+    const ranked = [...commitsByAuthor.values()].sort((a, b) => b - a);
+
+    let busFactor = 0;
+    let covered = 0;
+    while (covered * 2 < humanCommits.length) {
+        covered += ranked[busFactor];
+        busFactor++;
+    }
+
+    const recentSince = now.getTime() - RECENTLY_ACTIVE_DAYS * DAY_MS;
+    const recentAuthors = new Set(humanCommits
+        .filter((commit) => Date.parse(commit.date) >= recentSince)
+        .map((commit) => commit.author));
+
+    return {
+        commitsSampled: humanCommits.length,
+        busFactor,
+        activeMaintainers90d: recentAuthors.size,
+        activeMaintainers365d: commitsByAuthor.size,
+        topContributorSharePercent: percent(ranked[0] ?? 0, humanCommits.length),
+    };
+}
+
+/**
+ * Bucket commits into weekly counts, oldest week first (the last week ends now)
+ * Weeks older than a truncated sample reaches are null.
+ */
+function toWeeklySeries(commits, truncated, now) {
+    const series = new Array(CADENCE_WEEKS).fill(0);
+    let oldestWeeksAgo = 0;
+    for (const commit of commits) {
+        const weeksAgo = Math.floor((now.getTime() - Date.parse(commit.date)) / WEEK_MS);
+        oldestWeeksAgo = Math.max(oldestWeeksAgo, weeksAgo);
+        if (weeksAgo >= 0 && weeksAgo < CADENCE_WEEKS) series[CADENCE_WEEKS - 1 - weeksAgo]++;
+    }
+    if (truncated) {
+        // The oldest sampled week is only partly covered
+        for (let weeksAgo = oldestWeeksAgo; weeksAgo < CADENCE_WEEKS; weeksAgo++) {
+            series[CADENCE_WEEKS - 1 - weeksAgo] = null;
+        }
+    }
+    return series;
+}
+
+/**
+ * Growing, steady or declining: the latest quarter against the average quarter before it
+ */
+function getTrend(series) {
+    const recent = series.slice(-TREND_WEEKS);
+    const earlier = series.slice(0, -TREND_WEEKS);
+    if (recent.includes(null) || earlier.includes(null)) return null;
+
+    const recentTotal = recent.reduce((sum, count) => sum + count, 0);
+    const earlierAverage = earlier.reduce((sum, count) => sum + count, 0) / (earlier.length / TREND_WEEKS);
+    if (recentTotal === 0 && earlierAverage === 0) return 'inactive';
+    if (recentTotal > earlierAverage * (1 + TREND_TOLERANCE)) return 'growing';
+    if (recentTotal < earlierAverage * (1 - TREND_TOLERANCE)) return 'declining';
+    return 'steady';
+}
+
+/**
+ * Summarize commit cadence on the default branch
+ * Weekly counts include bot commits; recency and gaps only count human commits.
+ * @param {Object|null} history - From source.getCommitHistory(): { commits, truncated, weeklyCounts },
+ *   where weeklyCounts (optional) are exact weekly totals, oldest first, for a truncated sample
+ * @param {Date} now - Reference time
+ * @returns {Object} weeklyCommits (52 weeks, oldest first), trend, activeWeeks, longestGapDays,
+ *   lastCommitAt, lastHumanCommitAt, daysSinceLastHumanCommit, humanCommitPercent, botCommitPercent
+ *   (all null when the history is unknown)
+ */
+export function summarizeCommitCadence(history, now = new Date()) {
+    if (!history) {
+        return {
+            weeklyCommits: null,
+            trend: null,
+            activeWeeks: null,
+            longestGapDays: null,
+            lastCommitAt: null,
+            lastHumanCommitAt: null,
+            daysSinceLastHumanCommit: null,
+            humanCommitPercent: null,
+            botCommitPercent: null,
+        };
+    }
+
+    const { commits, truncated, weeklyCounts = null } = history;
+    const weeklyCommits = weeklyCounts?.length > 0 ? weeklyCounts.slice(-CADENCE_WEEKS) : toWeeklySeries(commits, truncated, now);
+
+    // Gaps between human commits; the window start only bounds a complete history
+    const humanTimes = commits.filter((commit) => !commit.isBot).map((commit) => Date.parse(commit.date)).sort((a, b) => a - b);
+    const bounds = [...(truncated ? [] : [now.getTime() - COMMIT_WINDOW_DAYS * DAY_MS]), ...humanTimes, now.getTime()];
+    let longestGapMs = 0;
+    for (let i = 1; i < bounds.length; i++) {
+        longestGapMs = Math.max(longestGapMs, bounds[i] - bounds[i - 1]);
+    }
+
+    // A local clone's full history can be too long to spread into Math.max()
+    const lastCommitTime = commits.length > 0
+        ? commits.reduce((latest, commit) => Math.max(latest, Date.parse(commit.date)), -Infinity)
+        : null;
+    const lastHumanTime = humanTimes.at(-1) ?? null;
+
+    return {
+        weeklyCommits,
+        trend: getTrend(weeklyCommits),
+        activeWeeks: weeklyCommits.filter((count) => count > 0).length,
+        longestGapDays: Math.floor(longestGapMs / DAY_MS),
+        lastCommitAt: lastCommitTime === null ? null : new Date(lastCommitTime).toISOString(),
+        lastHumanCommitAt: lastHumanTime === null ? null : new Date(lastHumanTime).toISOString(),
+        daysSinceLastHumanCommit: lastHumanTime === null ? null : Math.floor((now.getTime() - lastHumanTime) / DAY_MS),
+        humanCommitPercent: percent(humanTimes.length, commits.length),
+        botCommitPercent: percent(commits.length - humanTimes.length, commits.length),
+    };
+}
@@ -0,0 +1,298 @@
+/**
+ * Language-Aware Test Detection
+ * Finds test files by each ecosystem's own conventions (Go's *_test.go, Python's test_*.py
+ * beside the code, Java's src/test/java, Rust's #[cfg(test)] modules, ...), compares them
+ * with the source files of the same languages, and looks for coverage configuration.
+ */
+
+import { log } from 'crawlee';
+import { globToRegExp } from './utils.js';
+
+// Source files read per repository to find inline test modules (Rust, Zig)
+const MAX_INLINE_CHECKS = 30;
+
+// Dependencies, build output and bundles are not the project's own source
+const IGNORED_PATH = /(^|\/)(node_modules|vendor|third_party|\.git|dist|coverage)\/|\.min\.js$/;
+
+// Directories that hold tests in most ecosystems
+const TEST_DIRECTORIES = ['**/test/**', '**/tests/**', '**/__tests__/**', '**/spec/**', '**/specs/**', '**/e2e/**'];
+
+/**
+ * Ecosystems by GitHub language name and file extension, with the paths of their test
+ * files and, where tests live inside source files, the marker that declares them
+ */
+const ECOSYSTEMS = [
+    {
+        name: 'JavaScript/TypeScript',
+        languages: ['JavaScript', 'TypeScript', 'Vue', 'Svelte', 'CoffeeScript'],
+        extensions: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts', 'vue', 'svelte', 'coffee'],
+        tests: [...TEST_DIRECTORIES, '**/*.test.*', '**/*.spec.*', '**/*.e2e.*', '**/cypress/**'],
+        hint: 'next to the code (*.test.js) or in a test/ directory',
+    },
+    {
+        name: 'Python',
+        languages: ['Python', 'Jupyter Notebook', 'Cython'],
+        extensions: ['py', 'pyx', 'ipynb'],
+        tests: [...TEST_DIRECTORIES, '**/test_*.py', '**/*_test.py', '**/conftest.py'],
+        hint: 'as test_*.py files run by pytest',
+    },
+    {
+        name: 'Go',
+        languages: ['Go'],
+        extensions: ['go'],
+        tests: ['**/*_test.go'],
+        hint: 'as *_test.go files next to the code',
+    },
+    {
+        name: 'Rust',
+        languages: ['Rust'],
+        extensions: ['rs'],
+        tests: ['**/tests/**'],
+        inline: /^\s*#\[cfg\(test\)\]/m,
+        hint: 'in a #[cfg(test)] module or a tests/ directory',
+    },
+    {
+        name: 'Zig',
+        languages: ['Zig'],
+        extensions: ['zig'],
+        tests: ['**/tests/**', '**/test/**'],
+        inline: /^\s*test\s+("|\{)/m,
+        hint: 'in test blocks next to the code',
+    },
+    {
+        name: 'Java/Kotlin',
+        languages: ['Java', 'Kotlin', 'Scala', 'Groovy', 'Clojure'],
+        extensions: ['java', 'kt', 'kts', 'scala', 'groovy', 'clj'],
+        tests: ['**/src/test/**', '**/src/*Test/**', '**/src/androidTest/**', '**/test/**', '**/*Test.*', '**/*Tests.*', '**/*IT.*', '**/*Spec.*'],
+        hint: 'under src/test/java (JUnit)',
+    },
+    {
+        name: 'C#/.NET',
+        languages: ['C#', 'F#', 'Visual Basic .NET'],
+        extensions: ['cs', 'fs', 'vb'],
+        tests: [...TEST_DIRECTORIES, '**/*Tests/**', '**/*Test/**', '**/*Tests.*', '**/*Test.*'],
+        hint: 'in a *.Tests project',
+    },
+    {
+        name: 'Ruby',
+        languages: ['Ruby'],
+        extensions: ['rb'],
+        tests: [...TEST_DIRECTORIES, '**/*_spec.rb', '**/*_test.rb', '**/test_*.rb'],
+        hint: 'as RSpec specs under spec/ or Minitest tests under test/',
+    },
+    {
+        name: 'PHP',
+        languages: ['PHP'],
+        extensions: ['php'],
+        tests: [...TEST_DIRECTORIES, '**/*Test.php'],
+        hint: 'as PHPUnit tests under tests/',
+    },
+    {
+        name: 'C/C++',
+        languages: ['C', 'C++', 'Objective-C', 'Objective-C++'],
+        extensions: ['c', 'cc', 'cpp', 'cxx', 'h', 'hh', 'hpp', 'm', 'mm'],
+        tests: [...TEST_DIRECTORIES, '**/*_test.*', '**/*_unittest.*', '**/test_*.*', '**/*Tests.m'],
+        hint: 'in a test/ directory registered with CTest',
+    },
+    {
+        name: 'Swift',
+        languages: ['Swift'],
+        extensions: ['swift'],
+        tests: [...TEST_DIRECTORIES, '**/Tests/**', '**/*Tests.swift'],
+        hint: 'as XCTest cases under Tests/',
+    },
+    {
+        name: 'Elixir/Erlang',
+        languages: ['Elixir', 'Erlang'],
+        extensions: ['ex', 'exs', 'erl'],
+        tests: [...TEST_DIRECTORIES, '**/*_test.exs', '**/*_SUITE.erl'],
+        hint: 'as ExUnit tests under test/',
+    },
+    {
+        name: 'Dart',
+        languages: ['Dart'],
+        extensions: ['dart'],
+        tests: [...TEST_DIRECTORIES, '**/*_test.dart'],
+        hint: 'as *_test.dart files under test/',
+    },
+    {
+        name: 'Haskell',
+        languages: ['Haskell'],
+        extensions: ['hs'],
+        tests: [...TEST_DIRECTORIES, '**/*Spec.hs'],
+        hint: 'in a test-suite under test/',
+    },
+    {
+        name: 'Perl',
+        languages: ['Perl', 'Raku'],
+        extensions: ['pl', 'pm', 't', 'raku', 'rakumod'],
+        tests: [...TEST_DIRECTORIES, '**/t/**', '**/*.t'],
+        hint: 'as *.t files under t/',
+    },
+    {
+        name: 'R',
+        languages: ['R'],
+        extensions: ['r'],
+        tests: [...TEST_DIRECTORIES],
+        hint: 'with testthat under tests/testthat/',
+    },
+    {
+        name: 'Julia',
+        languages: ['Julia'],
+        extensions: ['jl'],
+        tests: [...TEST_DIRECTORIES],
+        hint: 'in test/runtests.jl',
+    },
+    {
+        name: 'Lua',
+        languages: ['Lua'],
+        extensions: ['lua'],
+        tests: [...TEST_DIRECTORIES, '**/*_spec.lua'],
+        hint: 'as busted specs (*_spec.lua)',
+    },
+    {
+        name: 'Shell',
+        languages: ['Shell'],
+        extensions: ['sh', 'bash', 'bats'],
+        tests: [...TEST_DIRECTORIES, '**/*.bats'],
+        hint: 'as bats tests under test/',
+    },
+].map((ecosystem) => ({ ...ecosystem, tests: ecosystem.tests.map((glob) => globToRegExp(glob)) }));
+
+// Files that configure coverage on their own, by tool
+const COVERAGE_FILES = {
+    '.nycrc': 'nyc',
+    '.nycrc.json': 'nyc',
+    '.nycrc.yml': 'nyc',
+    '.nycrc.yaml': 'nyc',
+    '.c8rc': 'c8',
+    '.c8rc.json': 'c8',
+    'codecov.yml': 'codecov',
+    'codecov.yaml': 'codecov',
+    '.codecov.yml': 'codecov',
+    '.github/codecov.yml': 'codecov',
+    '.coveralls.yml': 'coveralls',
+    '.coveragerc': 'coverage.py',
+    '.simplecov': 'simplecov',
+    'tarpaulin.toml': 'tarpaulin',
+    '.tarpaulin.toml': 'tarpaulin',
+};
+
+// Files whose content may configure coverage, with what to look for
+const COVERAGE_SETTINGS = [
+    { files: ['package.json'], tool: 'nyc', pattern: /"nyc"\s*:/ },
+    { files: ['package.json'], tool: 'c8', pattern: /"c8"\s*:|\bc8\s/ },
+    { files: ['package.json', 'jest.config.js', 'jest.config.ts', 'jest.config.mjs', 'jest.config.cjs', 'jest.config.json'], tool: 'jest coverage thresholds', pattern: /coverageThreshold/ },
+    { files: ['vitest.config.js', 'vitest.config.ts', 'vitest.config.mjs', 'vite.config.js', 'vite.config.ts'], tool: 'vitest coverage thresholds', pattern: /thresholds\s*:/ },
+    { files: ['pyproject.toml'], tool: 'coverage.py', pattern: /^\[tool\.coverage\./m },
+    { files: ['setup.cfg', 'tox.ini'], tool: 'coverage.py', pattern: /^\[coverage:/m },
+    { files: ['pom.xml', 'build.gradle', 'build.gradle.kts'], tool: 'jacoco', pattern: /jacoco/i },
+];
+
+function getExtension(path) {
+    return path.match(/\.([^./]+)$/)?.[1].toLowerCase() ?? null;
+}
+
+/**
+ * Coverage tools configured in the repository's root files
+ */
+async function findCoverageTools(source) {
+    const tools = new Set();
+    for (const [file, tool] of Object.entries(COVERAGE_FILES)) {
+        if (await source.fileExists(file)) tools.add(tool);
+    }
+
+    // Each file is read once, however many settings it may hold
+    const contents = new Map();
+    for (const { files, tool, pattern } of COVERAGE_SETTINGS) {
+        for (const file of files) {
+            if (tools.has(tool)) break;
+            if (!contents.has(file)) {
+                contents.set(file, await source.fileExists(file) ? (await source.getFileContent(file)).content : '');
+            }
+            if (pattern.test(contents.get(file))) tools.add(tool);
+        }
+    }
+    return [...tools];
+}
+
+/**
+ * Find the test files of a repository by its ecosystems' conventions
+ * @param {Object} source - Repository source (see repo-source.js)
+ * @param {Object} repoData - Repository metadata (language)
+ * @returns {Promise<Object>} { primaryLanguage, ecosystem, hint, testFileCount, sourceFileCount, inlineTestFiles,
+ *   testRatioPercent, ecosystems: [{ name, sourceFiles, testFiles }], coverageTools };
+ *   counts are null when the repository could not be listed
+ */
+export async function analyzeTests(source, repoData) {
+    const found = await source.findFiles(['**/*']);
+    const coverageTools = await findCoverageTools(source);
+    if (found === null) {
+        return {
+            primaryLanguage: repoData.language ?? null,
+            ecosystem: null,
+            hint: null,
+            testFileCount: null,
+            sourceFileCount: null,
+            inlineTestFiles: null,
+            testRatioPercent: null,
+            ecosystems: [],
+            coverageTools,
+        };
+    }
+
+    // Every code file belongs to the ecosystem of its extension, as a test or a source file
+    const counts = new Map(ECOSYSTEMS.map((ecosystem) => [ecosystem, { sources: [], tests: 0 }]));
+    for (const path of found.filter((candidate) => !IGNORED_PATH.test(candidate))) {
+        const extension = getExtension(path);
+        const ecosystem = ECOSYSTEMS.find((candidate) => candidate.extensions.includes(extension));
+        if (!ecosystem) continue;
+        const count = counts.get(ecosystem);
+        if (ecosystem.tests.some((pattern) => pattern.test(path))) count.tests++;
+        else count.sources.push(path);
+    }
+
+    // Tests inside source files only show in their content: read a sample of them
+    let inlineTestFiles = 0;
+    let inlineChecks = 0;
+    for (const [ecosystem, count] of counts) {
+        if (!ecosystem.inline) continue;
+        for (const path of count.sources) {
+            if (inlineChecks >= MAX_INLINE_CHECKS) break;
+            inlineChecks++;
+            const file = await source.getFileContent(path);
+            if (file.exists && ecosystem.inline.test(file.content)) {
+                count.tests++;
+                inlineTestFiles++;
+            }
+        }
+        if (count.sources.length > MAX_INLINE_CHECKS) {
+            log.info(`🧪 ${source.owner}/${source.repo}: looked for inline tests in ${MAX_INLINE_CHECKS} of ${count.sources.length} ${ecosystem.name} files`);
+        }
+    }
+
+    const ecosystems = [...counts]
+        .filter(([, count]) => count.sources.length + count.tests > 0)
+        .map(([ecosystem, count]) => ({ name: ecosystem.name, sourceFiles: count.sources.length, testFiles: count.tests }))
+        .sort((a, b) => b.sourceFiles + b.testFiles - (a.sourceFiles + a.testFiles));
+
+    // The primary language names the ecosystem; without one (a local clone) the biggest ecosystem does
+    const primary = ECOSYSTEMS.find((ecosystem) => ecosystem.languages.includes(repoData.language))
+        ?? ECOSYSTEMS.find((ecosystem) => ecosystem.name === ecosystems[0]?.name)
+        ?? null;
+
+    const testFileCount = ecosystems.reduce((total, ecosystem) => total + ecosystem.testFiles, 0);
+    const sourceFileCount = ecosystems.reduce((total, ecosystem) => total + ecosystem.sourceFiles, 0);
+
+    return {
+        primaryLanguage: repoData.language ?? null,
+        ecosystem: primary?.name ?? null,
+        hint: primary?.hint ?? null,
+        testFileCount,
+        sourceFileCount,
+        inlineTestFiles,
+        testRatioPercent: sourceFileCount > 0 ? Math.round((testFileCount / sourceFileCount) * 100) : null,
+        ecosystems,
+        coverageTools,
+    };
+}
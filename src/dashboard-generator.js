@@ -3,6 +3,8 @@
  * Creates an interactive, beautiful HTML dashboard with top-notch UI/UX
  */
 
+import { getPillarWeight, formatTrend, formatVulnerabilityCounts, formatVulnerableDependencies, formatWorkflowRisks, formatBranchProtection, formatBrokenLinkCount, formatBrokenLinks, formatSecretFindings, formatTestCounts, generateSparklineSvg, escapeHtml } from './report-generator.js';
+
 /**
  * Generate premium combined dashboard HTML for all results
  */
@@ -392,6 +394,7 @@ export function generateCombinedDashboard(results) {
 
         .check-yes { color: var(--accent-green); }
         .check-no { color: var(--accent-red); }
+        .check-unknown { color: var(--text-muted); }
 
         /* Recommendations */
         .recommendations-section {
@@ -658,6 +661,22 @@ export function generateCombinedDashboard(results) {
 </html>`;
 }
 
+function getCheckClass(value) {
+    if (value?.includes('✅')) return 'check-yes';
+    if (value?.includes('❔')) return 'check-unknown';
+    return 'check-no';
+}
+
+function getBusFactorClass(busFactor) {
+    if (busFactor === null || busFactor === undefined) return 'check-unknown';
+    return busFactor >= 2 ? 'check-yes' : 'check-no';
+}
+
+function formatAgeDistribution(ages) {
+    if (!ages) return 'N/A';
+    return `${ages.under7Days} &lt;7d · ${ages.days7To30} 7-30d · ${ages.days30To90} 30-90d · ${ages.over90Days} 90d+`;
+}
+
 function generatePremiumCard(r) {
     const scoreColor = r.health_score >= 80 ? '#22c55e' : r.health_score >= 50 ? '#eab308' : '#ef4444';
     const riskClass = r.health_score >= 80 ? 'risk-low' : r.health_score >= 50 ? 'risk-medium' : 'risk-high';
@@ -665,25 +684,27 @@ function generatePremiumCard(r) {
     const progress = circumference - (r.health_score / 100) * circumference;
 
     const pillars = [
-        { name: '📖 Readability', score: r.readability_score, weight: '15%' },
-        { name: '🧱 Stability', score: r.stability_score, weight: '15%' },
-        { name: '🔐 Security', score: r.security_score, weight: '15%' },
-        { name: '👥 Community', score: r.community_score, weight: '10%' },
-        { name: '🛠️ Maintainability', score: r.maintainability_score, weight: '15%' },
-        { name: '📝 Documentation', score: r.documentation_score, weight: '15%' },
-        { name: '🤖 Automation', score: r.automation_score, weight: '15%' },
+        { name: '📖 Readability', score: r.readability_score, weight: getPillarWeight(r, 'readability') },
+        { name: '🧱 Stability', score: r.stability_score, weight: getPillarWeight(r, 'stability') },
+        { name: '🔐 Security', score: r.security_score, weight: getPillarWeight(r, 'security') },
+        { name: '👥 Community', score: r.community_score, weight: getPillarWeight(r, 'community') },
+        { name: '🛠️ Maintainability', score: r.maintainability_score, weight: getPillarWeight(r, 'maintainability') },
+        { name: '📝 Documentation', score: r.documentation_score, weight: getPillarWeight(r, 'documentation') },
+        { name: '🤖 Automation', score: r.automation_score, weight: getPillarWeight(r, 'automation') },
+        { name: '📦 Dependencies', score: r.dependencies_score, weight: getPillarWeight(r, 'dependencies') },
     ];
 
     const pillarCards = pillars.map(p => {
-        const color = p.score >= 80 ? '#22c55e' : p.score >= 50 ? '#eab308' : '#ef4444';
+        const color = p.score === null || p.score === undefined ? 'var(--text-muted)'
+            : p.score >= 80 ? '#22c55e' : p.score >= 50 ? '#eab308' : '#ef4444';
         return `
             <div class="pillar-item">
                 <div class="pillar-header">
                     <span class="pillar-name">${p.name} (${p.weight})</span>
-                    <span class="pillar-score" style="color: ${color}">${p.score}</span>
+                    <span class="pillar-score" style="color: ${color}">${p.score ?? 'N/A'}</span>
                 </div>
                 <div class="pillar-bar">
-                    <div class="pillar-fill" style="width: ${p.score}%; background: ${color}"></div>
+                    <div class="pillar-fill" style="width: ${p.score ?? 0}%; background: ${color}"></div>
                 </div>
             </div>
         `;
@@ -705,13 +726,13 @@ function generatePremiumCard(r) {
                     <div class="rec-content">
                         <div class="rec-header">
                             <span class="rec-priority ${priorityClass}">${priorityLabel}</span>
-                            <span class="rec-category">${rec.category}</span>
+                            <span class="rec-category">${escapeHtml(rec.category)}</span>
                         </div>
                         <div class="rec-issue">
-                            <strong>Issue:</strong> ${rec.issue}
+                            <strong>Issue:</strong> ${escapeHtml(rec.issue)}
                         </div>
                         <div class="rec-action">
-                            <strong>Action:</strong> ${rec.action}
+                            <strong>Action:</strong> ${escapeHtml(rec.action)}
                         </div>
                         <div class="rec-impact">
                             <strong>Impact:</strong> ${priorityDesc}
@@ -740,13 +761,15 @@ function generatePremiumCard(r) {
                 </div>
                 
                 <div class="repo-info">
-                    <h2 class="repo-name">${r.repo_name}</h2>
-                    <a href="${r.repo_url}" target="_blank" class="repo-link">${r.repo_url}</a>
+                    <h2 class="repo-name">${escapeHtml(r.repo_name)}</h2>
+                    <a href="${escapeHtml(r.repo_url)}" target="_blank" class="repo-link">${escapeHtml(r.repo_url)}</a>
                     <div class="repo-meta">
-                        <span class="meta-item">⭐ ${(r.stars || 0).toLocaleString()} stars</span>
-                        <span class="meta-item">🍴 ${(r.forks || 0).toLocaleString()} forks</span>
+                        <span class="meta-item">⭐ ${r.stars === null ? 'N/A' : (r.stars || 0).toLocaleString()} stars</span>
+                        <span class="meta-item">🍴 ${r.forks === null ? 'N/A' : (r.forks || 0).toLocaleString()} forks</span>
                         <span class="meta-item">📅 ${r.last_commit || 'Unknown'}</span>
+                        <span class="meta-item">⚖️ ${r.scoring_profile || 'default'} profile</span>
                         <span class="risk-badge ${riskClass}">${r.risk_level}</span>
+                        ${formatTrend(r) ? `<span class="meta-item">${formatTrend(r)}</span>` : ''}
                     </div>
                 </div>
             </div>
@@ -762,7 +785,7 @@ function generatePremiumCard(r) {
                         <h4 class="detail-title">🔐 Security & License</h4>
                         <div class="detail-row">
                             <span class="detail-label">License</span>
-                            <span class="detail-value">${r.license_type || 'Unknown'}</span>
+                            <span class="detail-value">${escapeHtml(r.license_type || 'Unknown')}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">License Risk</span>
@@ -770,11 +793,67 @@ function generatePremiumCard(r) {
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">SECURITY.md</span>
-                            <span class="detail-value ${r.has_security_md?.includes('✅') ? 'check-yes' : 'check-no'}">${r.has_security_md}</span>
+                            <span class="detail-value ${getCheckClass(r.has_security_md)}">${r.has_security_md}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">Dependabot</span>
-                            <span class="detail-value ${r.dependabot_enabled?.includes('✅') ? 'check-yes' : 'check-no'}">${r.dependabot_enabled}</span>
+                            <span class="detail-value ${getCheckClass(r.dependabot_enabled)}">${r.dependabot_enabled}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Known Vulnerabilities</span>
+                            <span class="detail-value ${getCheckClass(formatVulnerabilityCounts(r.vulnerability_counts).replace('N/A', '❔'))}">${formatVulnerabilityCounts(r.vulnerability_counts)}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Unpinned Actions</span>
+                            <span class="detail-value ${r.unpinned_action_count === null || r.unpinned_action_count === undefined ? 'check-unknown' : r.unpinned_action_count === 0 ? 'check-yes' : 'check-no'}">${r.unpinned_action_count ?? 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Branch Protection</span>
+                            <span class="detail-value ${getCheckClass(formatBranchProtection(r.branch_protection))}">${formatBranchProtection(r.branch_protection)}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Secret Scanning</span>
+                            <span class="detail-value ${getCheckClass(r.secret_scanning)}">${r.secret_scanning ?? '❔ Unknown'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Risky Workflow Steps</span>
+                            <span class="detail-value ${getCheckClass(formatWorkflowRisks(r).replace('N/A', '❔'))}">${formatWorkflowRisks(r)}</span>
+                        </div>
+                        ${r.secret_finding_count !== null && r.secret_finding_count !== undefined ? `<div class="detail-row">
+                            <span class="detail-label">Committed Secrets</span>
+                            <span class="detail-value ${getCheckClass(formatSecretFindings(r))}">${escapeHtml(formatSecretFindings(r))}</span>
+                        </div>` : ''}
+                        ${r.scorecard ? `<div class="detail-row">
+                            <span class="detail-label">OpenSSF Scorecard</span>
+                            <span class="detail-value ${r.scorecard.score === null ? 'check-unknown' : r.scorecard.score >= 7 ? 'check-yes' : 'check-no'}">${r.scorecard.score ?? 'N/A'}/10</span>
+                        </div>` : ''}
+                        ${r.vulnerable_dependencies?.length ? `<div class="detail-row">
+                            <span class="detail-label">Upgrade</span>
+                            <span class="detail-value">${escapeHtml(formatVulnerableDependencies(r.vulnerable_dependencies))}</span>
+                        </div>` : ''}
+                    </div>
+
+                    <div class="detail-section">
+                        <h4 class="detail-title">🛠️ Maintainability</h4>
+                        <div class="detail-row">
+                            <span class="detail-label">Tests</span>
+                            <span class="detail-value ${getCheckClass(formatTestCounts(r).replace('N/A', '❔'))}">${formatTestCounts(r)}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Test/Source Ratio</span>
+                            <span class="detail-value">${r.test_to_source_ratio ?? 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Coverage</span>
+                            <span class="detail-value ${r.coverage_tools?.length ? 'check-yes' : 'check-no'}">${r.coverage_tools?.length ? r.coverage_tools.join(', ') : '❌ Not configured'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">CI Runs Tests</span>
+                            <span class="detail-value ${getCheckClass(r.ci_runs_tests)}">${r.ci_runs_tests || '❌ No'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Linter</span>
+                            <span class="detail-value ${getCheckClass(r.has_linter)}">${r.has_linter || '❌ No'}</span>
                         </div>
                     </div>
 
@@ -782,20 +861,32 @@ function generatePremiumCard(r) {
                         <h4 class="detail-title">📝 Documentation</h4>
                         <div class="detail-row">
                             <span class="detail-label">docs/ Folder</span>
-                            <span class="detail-value ${r.has_docs_folder?.includes('✅') ? 'check-yes' : 'check-no'}">${r.has_docs_folder || '❌ No'}</span>
+                            <span class="detail-value ${getCheckClass(r.has_docs_folder)}">${r.has_docs_folder || '❌ No'}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">CHANGELOG</span>
-                            <span class="detail-value ${r.has_changelog?.includes('✅') ? 'check-yes' : 'check-no'}">${r.has_changelog || '❌ No'}</span>
+                            <span class="detail-value ${getCheckClass(r.has_changelog)}">${r.has_changelog || '❌ No'}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">Examples</span>
-                            <span class="detail-value ${r.has_examples?.includes('✅') ? 'check-yes' : 'check-no'}">${r.has_examples || '❌ No'}</span>
+                            <span class="detail-value ${getCheckClass(r.has_examples)}">${r.has_examples || '❌ No'}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">Wiki</span>
-                            <span class="detail-value ${r.has_wiki?.includes('✅') ? 'check-yes' : 'check-no'}">${r.has_wiki || '❌ No'}</span>
+                            <span class="detail-value ${getCheckClass(r.has_wiki)}">${r.has_wiki || '❌ No'}</span>
                         </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Broken Links</span>
+                            <span class="detail-value ${getCheckClass(formatBrokenLinkCount(r).replace('N/A', '❔'))}">${formatBrokenLinkCount(r)}</span>
+                        </div>
+                        ${r.broken_links?.length ? `<div class="detail-row">
+                            <span class="detail-label">Fix</span>
+                            <span class="detail-value">${escapeHtml(formatBrokenLinks(r.broken_links))}</span>
+                        </div>` : ''}
+                        ${r.readme_checklist?.length ? `<div class="detail-row">
+                            <span class="detail-label">README Checklist</span>
+                            <span class="detail-value ${r.readme_checklist.every((item) => item.status === 'passed') ? 'check-yes' : 'check-no'}">${r.readme_checklist.filter((item) => item.status === 'passed').length}/${r.readme_checklist.length} passed</span>
+                        </div>` : ''}
                     </div>
 
                     <div class="detail-section">
@@ -804,17 +895,105 @@ function generatePremiumCard(r) {
                             <span class="detail-label">CI Workflows</span>
                             <span class="detail-value">${r.workflow_count || 0}</span>
                         </div>
+                        <div class="detail-row">
+                            <span class="detail-label">PR Runs Tests / Lint / Build</span>
+                            <span class="detail-value">${[r.pr_runs_tests, r.pr_runs_lint, r.pr_runs_build].map((check) => check?.split(' ')[0] ?? '❔').join(' / ')}</span>
+                        </div>
                         <div class="detail-row">
                             <span class="detail-label">PR Template</span>
-                            <span class="detail-value ${r.has_pr_template?.includes('✅') ? 'check-yes' : 'check-no'}">${r.has_pr_template || '❌ No'}</span>
+                            <span class="detail-value ${getCheckClass(r.has_pr_template)}">${r.has_pr_template || '❌ No'}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">Issue Templates</span>
-                            <span class="detail-value ${r.has_issue_template?.includes('✅') ? 'check-yes' : 'check-no'}">${r.has_issue_template || '❌ No'}</span>
+                            <span class="detail-value ${getCheckClass(r.has_issue_template)}">${r.has_issue_template || '❌ No'}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">Code of Conduct</span>
-                            <span class="detail-value ${r.has_code_of_conduct?.includes('✅') ? 'check-yes' : 'check-no'}">${r.has_code_of_conduct || '❌ No'}</span>
+                            <span class="detail-value ${getCheckClass(r.has_code_of_conduct)}">${r.has_code_of_conduct || '❌ No'}</span>
+                        </div>
+                    </div>
+
+                    <div class="detail-section">
+                        <h4 class="detail-title">📦 Dependencies</h4>
+                        <div class="detail-row">
+                            <span class="detail-label">Ecosystems</span>
+                            <span class="detail-value">${r.dependency_ecosystems?.length ? r.dependency_ecosystems.join(', ') : 'None found'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Direct / Transitive</span>
+                            <span class="detail-value">${r.direct_dependencies ?? 'N/A'} / ${r.transitive_dependencies ?? 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Lockfile Coverage</span>
+                            <span class="detail-value">${r.lockfile_coverage || 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Unpinned / Git or URL</span>
+                            <span class="detail-value">${r.unpinned_dependency_count ?? 'N/A'} / ${r.git_url_dependency_count ?? 'N/A'}</span>
+                        </div>
+                    </div>
+
+                    <div class="detail-section">
+                        <h4 class="detail-title">📈 Commit Activity</h4>
+                        <div class="detail-row">
+                            <span class="detail-label">52 Weeks</span>
+                            <span class="detail-value">${generateSparklineSvg(r.weekly_commits, { width: 140, height: 28 })}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Trend</span>
+                            <span class="detail-value">${r.commit_trend || 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Longest Gap</span>
+                            <span class="detail-value">${r.longest_commit_gap_days ?? 'N/A'}${r.longest_commit_gap_days === null || r.longest_commit_gap_days === undefined ? '' : ' days'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Bot Commits</span>
+                            <span class="detail-value">${r.bot_commit_share || 'N/A'}</span>
+                        </div>
+                    </div>
+
+                    <div class="detail-section">
+                        <h4 class="detail-title">🔀 Pull Requests</h4>
+                        <div class="detail-row">
+                            <span class="detail-label">Open PR Ages</span>
+                            <span class="detail-value">${formatAgeDistribution(r.pr_open_age_distribution)}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Median Time to Merge</span>
+                            <span class="detail-value">${r.pr_median_time_to_merge || 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">External PRs Merged</span>
+                            <span class="detail-value">${r.pr_external_merge_rate || 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Reviewed Before Merge</span>
+                            <span class="detail-value">${r.pr_review_coverage || 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Self-Merged</span>
+                            <span class="detail-value">${r.pr_self_merge_rate || 'N/A'}</span>
+                        </div>
+                    </div>
+
+                    <div class="detail-section">
+                        <h4 class="detail-title">🚌 Maintainers</h4>
+                        <div class="detail-row">
+                            <span class="detail-label">Bus Factor</span>
+                            <span class="detail-value ${getBusFactorClass(r.bus_factor)}">${r.bus_factor ?? 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Active (90 days)</span>
+                            <span class="detail-value">${r.active_maintainers_90d ?? 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Active (365 days)</span>
+                            <span class="detail-value">${r.active_maintainers_365d ?? 'N/A'}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">Top Contributor Share</span>
+                            <span class="detail-value">${r.top_contributor_share || 'N/A'}</span>
                         </div>
                     </div>
                 </div>
@@ -828,7 +1007,7 @@ function generatePremiumCard(r) {
 
                 <div class="badge-section">
                     <img src="${r.badge_url}" alt="Health Badge" class="badge-img">
-                    <div class="badge-markdown">${r.badge_markdown || ''}</div>
+                    <div class="badge-markdown">${escapeHtml(r.badge_markdown)}</div>
                 </div>
             </div>
         </div>
@@ -0,0 +1,682 @@
+/**
+ * Dependency Manifests
+ * Finds the dependency manifests of a repository and reads them without installing
+ * anything: direct and transitive dependency counts, lockfile coverage, unpinned or
+ * wildcard version ranges, and dependencies pulled from git or a URL. Resolved versions
+ * can be matched against an offline OSV advisory database, and declared licenses against
+ * a license policy.
+ */
+
+import { log } from 'crawlee';
+import { SEVERITY_LEVELS, findVulnerabilities } from './osv-database.js';
+import { evaluateLicensePolicy } from './license-policy.js';
+
+// Manifests read per repository, shallowest first (monorepos can have hundreds)
+const MAX_MANIFESTS = 10;
+
+// Dependencies listed by name in the output, per category
+const MAX_LISTED = 20;
+
+// Vendored or generated trees whose manifests are not the project's own
+const IGNORED_PATH = /(^|\/)(node_modules|vendor|third_party|\.git)\//;
+
+const PYTHON_LOCKFILES = ['poetry.lock', 'Pipfile.lock', 'uv.lock', 'pdm.lock'];
+
+/**
+ * Supported manifests: ecosystem, file name, lockfiles (looked up in the manifest's
+ * directory and its ancestors, for workspaces) and parser. Maven has no lockfile.
+ */
+const MANIFEST_TYPES = [
+    { ecosystem: 'npm', manifest: 'package.json', lockfiles: ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'], parse: parsePackageJson },
+    { ecosystem: 'pypi', manifest: 'requirements.txt', lockfiles: PYTHON_LOCKFILES, parse: parseRequirementsTxt },
+    { ecosystem: 'pypi', manifest: 'pyproject.toml', lockfiles: PYTHON_LOCKFILES, parse: parsePyprojectToml },
+    { ecosystem: 'go', manifest: 'go.mod', lockfiles: ['go.sum'], parse: parseGoMod },
+    { ecosystem: 'cargo', manifest: 'Cargo.toml', lockfiles: ['Cargo.lock'], parse: parseCargoToml },
+    { ecosystem: 'rubygems', manifest: 'Gemfile', lockfiles: ['Gemfile.lock'], parse: parseGemfile },
+    { ecosystem: 'maven', manifest: 'pom.xml', lockfiles: null, parse: parsePomXml },
+];
+
+/**
+ * A range with no upper bound: empty, a wildcard, a dist-tag or lower bounds only
+ */
+function isOpenEnded(spec) {
+    const value = (spec ?? '').trim();
+    if (value === '' || /^(\*|x|X|latest|next)$/.test(value)) return true;
+    return /^>/.test(value) && !/</.test(value);
+}
+
+/**
+ * A dependency entry; unpinned only applies to registry dependencies
+ */
+function toDependency(name, spec, kind = 'registry', { unpinned = isOpenEnded(spec), development = false } = {}) {
+    return { name, spec, kind, development, unpinned: kind === 'registry' && unpinned };
+}
+
+/**
+ * package.json: dependencies, devDependencies and optionalDependencies
+ */
+function parsePackageJson(content) {
+    const pkg = JSON.parse(content);
+    const dependencies = [];
+    for (const [field, development] of [['dependencies', false], ['optionalDependencies', false], ['devDependencies', true]]) {
+        for (const [name, rawSpec] of Object.entries(pkg[field] ?? {})) {
+            const spec = String(rawSpec);
+            let kind = 'registry';
+            if (/^(git\+|git:|github:|gitlab:|bitbucket:)/.test(spec) || /^[\w.-]+\/[\w.-]+(#.*)?$/.test(spec)) kind = 'git';
+            else if (/^https?:/.test(spec)) kind = 'url';
+            else if (/^(file:|link:|workspace:|portal:)/.test(spec)) kind = 'path';
+            // "npm:other@range" aliases another package
+            dependencies.push(toDependency(name, spec, kind, { development, unpinned: isOpenEnded(spec.replace(/^npm:(@?[^@]+)@?/, '')) }));
+        }
+    }
+    return { dependencies };
+}
+
+/**
+ * One PEP 508 requirement ("name[extra]>=1,<2 ; marker" or "name @ url")
+ */
+function parsePep508(requirement, development = false) {
+    const text = requirement.split(';')[0].trim();
+    const direct = text.match(/^([A-Za-z0-9._-]+)(\[[^\]]*\])?\s*@\s*(\S+)/);
+    if (direct) {
+        return toDependency(direct[1], direct[3], direct[3].startsWith('git+') ? 'git' : 'url', { development });
+    }
+    const match = text.match(/^([A-Za-z0-9._-]+)(\[[^\]]*\])?\s*(.*)$/);
+    if (!match) return null;
+    const spec = match[3].replace(/[()]/g, '').trim();
+    // Lower bounds alone (>=, >, !=) never stop a new major version
+    const bounded = /(==|~=|<)/.test(spec);
+    return toDependency(match[1], spec, 'registry', { development, unpinned: !bounded });
+}
+
+/**
+ * requirements.txt, one requirement per line (options and includes are skipped)
+ */
+function parseRequirementsTxt(content, path) {
+    const development = /dev|test/i.test(path.split('/').pop());
+    const dependencies = [];
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.replace(/\s+#.*$/, '').trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const editable = line.replace(/^(-e|--editable)\s+/, '');
+        if (/^(git\+|hg\+|svn\+|bzr\+)/.test(editable)) {
+            const name = editable.match(/#egg=([A-Za-z0-9._-]+)/)?.[1] ?? editable;
+            dependencies.push(toDependency(name, editable, 'git', { development }));
+        } else if (/^https?:/.test(editable)) {
+            dependencies.push(toDependency(editable.match(/#egg=([A-Za-z0-9._-]+)/)?.[1] ?? editable, editable, 'url', { development }));
+        } else if (/^(\.|\/)/.test(editable)) {
+            dependencies.push(toDependency(editable, editable, 'path', { development }));
+        } else if (!line.startsWith('-')) {
+            const dependency = parsePep508(line, development);
+            if (dependency) dependencies.push(dependency);
+        }
+    }
+    return { dependencies };
+}
+
+/**
+ * Minimal TOML reader for dependency tables: returns every key/value with its table
+ * Values stay raw text; multi-line arrays and inline tables are joined onto one line.
+ */
+function readTomlEntries(content) {
+    const entries = [];
+    let table = '';
+    let pending = null;
+
+    // Drop a trailing comment and count the brackets and braces it leaves open,
+    // ignoring both inside strings
+    const scan = (text) => {
+        let open = 0;
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                open++;
+            } else if (char === ']' || char === '}') {
+                open--;
+            } else if (char === '#') {
+                return { text: text.slice(0, i).trim(), open };
+            }
+        }
+        return { text: text.trim(), open };
+    };
+    const depth = (text) => scan(text).open;
+
+    for (const rawLine of content.split('\n')) {
+        if (pending) {
+            pending.value += ` ${scan(rawLine).text}`;
+            if (depth(pending.value) <= 0) {
+                entries.push(pending);
+                pending = null;
+            }
+            continue;
+        }
+
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const header = line.match(/^\[\[?\s*([^\]]+?)\s*\]\]?\s*(#.*)?$/);
+        if (header) {
+            table = header[1].replace(/\s*\.\s*/g, '.');
+            continue;
+        }
+
+        const pair = line.match(/^("[^"]+"|'[^']+'|[A-Za-z0-9_.-]+)\s*=\s*(.*)$/);
+        if (pair) {
+            const entry = { table, key: pair[1].replace(/^["']|["']$/g, ''), value: scan(pair[2]).text };
+            if (depth(entry.value) > 0) pending = entry;
+            else entries.push(entry);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Interpret a raw TOML value as a string, an inline table or a string array
+ */
+function tomlString(raw) {
+    return raw.match(/^\s*(?:"([^"]*)"|'([^']*)')/)?.slice(1).find((value) => value !== undefined) ?? null;
+}
+
+function tomlInlineTable(raw) {
+    const table = {};
+    if (!raw.trim().startsWith('{')) return table;
+    for (const match of raw.matchAll(/([A-Za-z0-9_-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|(true|false))/g)) {
+        table[match[1]] = match[2] ?? match[3] ?? match[4] === 'true';
+    }
+    return table;
+}
+
+function tomlStringArray(raw) {
+    return [...raw.matchAll(/"([^"]*)"|'([^']*)'/g)].map((match) => match[1] ?? match[2]);
+}
+
+/**
+ * Poetry and Cargo share the shape: "name = spec" or "name = { version, git, path, url }"
+ */
+function parseTableDependency(name, raw, development) {
+    const spec = tomlString(raw);
+    if (spec !== null) return toDependency(name, spec, 'registry', { development });
+
+    const table = tomlInlineTable(raw);
+    if (table.git) return toDependency(name, table.git, 'git', { development });
+    if (table.url) return toDependency(name, table.url, 'url', { development });
+    if (table.path) return toDependency(name, table.path, 'path', { development });
+    // Inherited from the workspace, which is checked on its own
+    if (table.workspace === true) return toDependency(name, 'workspace', 'path', { development });
+    return toDependency(name, table.version ?? '', 'registry', { development });
+}
+
+/**
+ * pyproject.toml: PEP 621 [project] dependencies and Poetry dependency tables
+ */
+function parsePyprojectToml(content) {
+    const dependencies = [];
+    for (const { table, key, value } of readTomlEntries(content)) {
+        if (table === 'project' && key === 'dependencies') {
+            dependencies.push(...tomlStringArray(value).map((requirement) => parsePep508(requirement)).filter(Boolean));
+        } else if (table === 'project.optional-dependencies' || table === 'dependency-groups') {
+            dependencies.push(...tomlStringArray(value).map((requirement) => parsePep508(requirement, true)).filter(Boolean));
+        } else if (/^tool\.poetry\.(dependencies|dev-dependencies|group\.[^.]+\.dependencies)$/.test(table) && key !== 'python') {
+            dependencies.push(parseTableDependency(key, value, table !== 'tool.poetry.dependencies'));
+        }
+    }
+    return { dependencies };
+}
+
+/**
+ * Cargo.toml: [dependencies], [dev-dependencies], [build-dependencies], their
+ * target-specific and workspace variants, and [dependencies.name] tables
+ */
+function parseCargoToml(content) {
+    const dependencies = [];
+    const detailed = new Map();
+    for (const { table, key, value } of readTomlEntries(content)) {
+        const section = table.match(/(^|\.)(dev-|build-)?dependencies(\.(.+))?$/);
+        if (!section) continue;
+        const development = section[2] === 'dev-';
+        if (section[4]) {
+            // [dependencies.name] spreads one dependency over several keys
+            const entry = detailed.get(table) ?? { name: section[4].replace(/^["']|["']$/g, ''), development, fields: [] };
+            entry.fields.push(`${key} = ${value}`);
+            detailed.set(table, entry);
+        } else {
+            dependencies.push(parseTableDependency(key, value, development));
+        }
+    }
+    for (const { name, development, fields } of detailed.values()) {
+        dependencies.push(parseTableDependency(name, `{ ${fields.join(', ')} }`, development));
+    }
+    return { dependencies };
+}
+
+/**
+ * go.mod: requirements marked "// indirect" are transitive; versions are always exact
+ */
+function parseGoMod(content) {
+    const dependencies = [];
+    const resolved = [];
+    let indirectCount = 0;
+    let inRequireBlock = false;
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.trim();
+        if (inRequireBlock && line === ')') {
+            inRequireBlock = false;
+            continue;
+        }
+        if (/^require\s*\($/.test(line)) {
+            inRequireBlock = true;
+            continue;
+        }
+
+        const requirement = inRequireBlock ? line : line.match(/^require\s+(.*)$/)?.[1];
+        const match = requirement?.match(/^(\S+)\s+(\S+)(.*)$/);
+        if (!match) continue;
+        // Minimal version selection records every module the build uses, so go.mod is its own lock
+        resolved.push({ name: match[1], version: match[2] });
+        if (/\/\/\s*indirect/.test(match[3])) indirectCount++;
+        else dependencies.push(toDependency(match[1], match[2], 'registry', { unpinned: false }));
+    }
+    return { dependencies, transitiveCount: indirectCount, resolved };
+}
+
+/**
+ * Gemfile: gem lines with their version constraints and git/path options
+ */
+function parseGemfile(content) {
+    const dependencies = [];
+    const groups = [];
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (/^group\b.*\bdo$/.test(line)) {
+            groups.push(/:(development|test)\b/.test(line));
+            continue;
+        }
+        if (line === 'end' && groups.length > 0) {
+            groups.pop();
+            continue;
+        }
+
+        const gem = line.match(/^gem\s+['"]([^'"]+)['"](.*)$/);
+        if (!gem) continue;
+        const development = groups.some(Boolean) || /group:\s*\[?\s*:(development|test)/.test(gem[2]);
+        const options = gem[2];
+
+        const source = options.match(/\b(git|github|gitlab|bitbucket)(?::|\s*=>)\s*['"]([^'"]+)['"]/);
+        if (source) {
+            dependencies.push(toDependency(gem[1], source[2], 'git', { development }));
+            continue;
+        }
+        const path = options.match(/\bpath(?::|\s*=>)\s*['"]([^'"]+)['"]/);
+        if (path) {
+            dependencies.push(toDependency(gem[1], path[1], 'path', { development }));
+            continue;
+        }
+
+        // Version constraints are the quoted strings that are not option values
+        const constraints = [...options.replace(/:?\w+(?::|\s*=>)\s*(\[[^\]]*\]|['"][^'"]*['"]|\S+)/g, '').matchAll(/['"]([^'"]+)['"]/g)]
+            .map((match) => match[1]);
+        const bounded = constraints.some((constraint) => /^\s*(=|~>|<|\d)/.test(constraint));
+        dependencies.push(toDependency(gem[1], constraints.join(', '), 'registry', { development, unpinned: !bounded }));
+    }
+    return { dependencies };
+}
+
+/**
+ * pom.xml: declared dependencies (managed versions and build plugins are skipped)
+ */
+function parsePomXml(content) {
+    const body = content
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, '')
+        .replace(/<build>[\s\S]*?<\/build>/g, '');
+    const tag = (block, name) => block.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`))?.[1] ?? null;
+
+    const dependencies = [];
+    for (const [block] of body.matchAll(/<dependency>[\s\S]*?<\/dependency>/g)) {
+        const name = `${tag(block, 'groupId')}:${tag(block, 'artifactId')}`;
+        const version = tag(block, 'version');
+        const development = tag(block, 'scope') === 'test';
+        if (tag(block, 'systemPath')) {
+            dependencies.push(toDependency(name, tag(block, 'systemPath'), 'path', { development }));
+            continue;
+        }
+        // A missing version is managed by a parent POM or BOM, not floating
+        const unpinned = version !== null && (/^(LATEST|RELEASE)$/.test(version) || /,\s*[)\]]$/.test(version));
+        dependencies.push(toDependency(name, version ?? '', 'registry', { development, unpinned }));
+    }
+    return { dependencies };
+}
+
+/**
+ * The single version an exact requirement pins, or null for ranges
+ */
+function getPinnedVersion(ecosystem, spec) {
+    const value = (spec ?? '').trim();
+    const pattern = {
+        npm: /^=?v?(\d+\.\d+\.\d+[\w.+-]*)$/,
+        pypi: /^===?\s*([\w.!+-]+)$/,
+        cargo: /^=\s*(\d[\w.+-]*)$/,
+        rubygems: /^=\s*(\d[\w.-]*)$/,
+        maven: /^\[?(\d[\w.-]*)\]?$/,
+    }[ecosystem];
+    return value.match(pattern ?? /$^/)?.[1] ?? null;
+}
+
+/**
+ * Split "name@version" keys; a leading @ belongs to a scoped name
+ */
+function splitAtVersion(key) {
+    const at = key.lastIndexOf('@');
+    return at > 0 ? { name: key.slice(0, at), version: key.slice(at + 1) } : null;
+}
+
+/**
+ * Declared license of a lockfile entry: an SPDX expression, or the legacy { type } object
+ */
+function readLockedLicense(license) {
+    if (typeof license === 'string') return license;
+    return typeof license?.type === 'string' ? license.type : null;
+}
+
+/**
+ * Packages a lockfile resolves, as { name, version }, or null when the format is not understood
+ * npm lockfiles (v2+) also record each package's declared license.
+ */
+function readLockedPackages(fileName, content) {
+    switch (fileName) {
+        case 'package-lock.json':
+        case 'npm-shrinkwrap.json': {
+            const lock = JSON.parse(content);
+            if (lock.packages) {
+                return Object.entries(lock.packages)
+                    .filter(([key, entry]) => key.includes('node_modules/') && !entry.link)
+                    .map(([key, entry]) => ({ name: key.split('node_modules/').pop(), version: entry.version ?? null, license: readLockedLicense(entry.license) }));
+            }
+            const walk = (tree = {}) => Object.entries(tree)
+                .flatMap(([name, entry]) => [{ name, version: entry.version ?? null }, ...walk(entry.dependencies)]);
+            return walk(lock.dependencies);
+        }
+        case 'yarn.lock': {
+            // Classic ("version "1.0.0"") and Berry ("version: 1.0.0") entries; workspaces are not packages
+            const packages = [];
+            let current = null;
+            for (const line of content.split('\n')) {
+                if (/^[^\s#].*:$/.test(line) && !line.startsWith('__metadata')) {
+                    const key = line.slice(0, -1).split(',')[0].trim().replace(/^"|"$/g, '');
+                    current = /@(workspace|link|portal|file):/.test(key) ? null : splitAtVersion(key);
+                    if (current) packages.push({ name: current.name, version: null });
+                    continue;
+                }
+                const version = current && line.match(/^\s+version:?\s+"?([^"\s]+)"?\s*$/)?.[1];
+                if (version) {
+                    packages.at(-1).version = version;
+                    current = null;
+                }
+            }
+            return packages;
+        }
+        case 'pnpm-lock.yaml': {
+            // Keys are "/name/1.0.0" (v5), "/name@1.0.0(peer)" (v6) or "name@1.0.0" (v9)
+            const section = content.split(/^packages:\s*$/m)[1]?.split(/^\S/m)[0] ?? '';
+            return section.split('\n')
+                .filter((line) => /^ {2}\S.*:$/.test(line))
+                .map((line) => {
+                    const key = line.trim().slice(0, -1).replace(/^['"]|['"]$/g, '').replace(/^\//, '')
+                        .replace(/\(.*$/, '')
+                        .replace(/\/(\d[^/_]*)_[^/]*$/, '/$1');
+                    const parsed = splitAtVersion(key) ?? {
+                        name: key.slice(0, key.lastIndexOf('/')),
+                        version: key.slice(key.lastIndexOf('/') + 1),
+                    };
+                    return { name: parsed.name, version: parsed.version || null };
+                });
+        }
+        case 'Pipfile.lock': {
+            const lock = JSON.parse(content);
+            return [...Object.entries(lock.default ?? {}), ...Object.entries(lock.develop ?? {})]
+                .map(([name, entry]) => ({ name, version: entry.version?.replace(/^==/, '') ?? null }));
+        }
+        case 'Cargo.lock':
+        case 'poetry.lock':
+        case 'uv.lock':
+        case 'pdm.lock': {
+            const packages = [];
+            for (const { table, key, value } of readTomlEntries(content)) {
+                if (table !== 'package') continue;
+                if (key === 'name') packages.push({ name: tomlString(value), version: null });
+                else if (key === 'version' && packages.length > 0) packages.at(-1).version = tomlString(value);
+            }
+            return packages;
+        }
+        case 'Gemfile.lock':
+            // Platform-specific gems carry a suffix ("1.15.0-x86_64-linux")
+            return [...content.matchAll(/^ {4}(\S+) \((.+)\)$/gm)].map((match) => ({ name: match[1], version: match[2].split('-')[0] }));
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find the lockfile governing a manifest: its own directory first, then each ancestor
+ * @returns {Promise<string|null|undefined>} Path, null when there is none, undefined when unknown
+ */
+async function findLockfile(source, manifestPath, lockfiles) {
+    const parts = manifestPath.split('/').slice(0, -1);
+    let unknown = false;
+    for (let depth = parts.length; depth >= 0; depth--) {
+        const dir = parts.slice(0, depth).join('/');
+        for (const name of lockfiles) {
+            const path = dir ? `${dir}/${name}` : name;
+            const exists = await source.fileExists(path);
+            if (exists) return path;
+            if (exists === null) unknown = true;
+        }
+    }
+    return unknown ? undefined : null;
+}
+
+/**
+ * Match resolved versions against the advisory database: lockfile entries, go.mod
+ * requirements, and exact pins of manifests whose lockfile could not be read
+ * Every field is null when no database is configured.
+ */
+function checkVulnerabilities(manifests, lockedPackages, advisories, incomplete) {
+    if (!advisories) {
+        return { resolvedPackageCount: null, vulnerabilityCount: null, vulnerabilityCounts: null, vulnerabilities: [] };
+    }
+
+    const resolved = [];
+    for (const [lockfile, { ecosystem, packages }] of lockedPackages) {
+        resolved.push(...(packages ?? []).map(({ name, version }) => ({ ecosystem, name, version, source: lockfile })));
+    }
+    for (const m of manifests) {
+        if (m.resolved) {
+            resolved.push(...m.resolved.map(({ name, version }) => ({ ecosystem: m.ecosystem, name, version, source: m.path })));
+        } else if (!m.lockfile || !lockedPackages.get(m.lockfile)?.packages) {
+            resolved.push(...m.dependencies
+                .filter((dep) => dep.kind === 'registry')
+                .map((dep) => ({ ecosystem: m.ecosystem, name: dep.name, version: getPinnedVersion(m.ecosystem, dep.spec), source: m.path }))
+                .filter((entry) => entry.version));
+        }
+    }
+
+    const findings = findVulnerabilities(advisories, resolved);
+    const vulnerabilityCounts = Object.fromEntries(SEVERITY_LEVELS.map((level) => [level, findings.filter((f) => f.severity === level).length]));
+    return {
+        resolvedPackageCount: new Set(resolved.filter((entry) => entry.version).map((entry) => `${entry.ecosystem}:${entry.name}@${entry.version}`)).size,
+        vulnerabilityCount: incomplete && findings.length === 0 ? null : findings.length,
+        vulnerabilityCounts: incomplete && findings.length === 0 ? null : vulnerabilityCounts,
+        vulnerabilities: findings.slice(0, MAX_LISTED),
+    };
+}
+
+/**
+ * Judge the declared licenses of direct runtime dependencies against the license policy
+ * Only lockfiles that record licenses (npm v2+) can be checked; every field is null without a policy.
+ */
+function checkDependencyLicenses(manifests, lockedPackages, licensePolicy) {
+    if (!licensePolicy) {
+        return { licensesChecked: null, licensesUnchecked: null, forbiddenLicenseCount: null, forbiddenLicenses: [], reviewLicenseCount: null, reviewLicenses: [] };
+    }
+
+    const checked = new Map();
+    let unchecked = 0;
+    for (const m of manifests) {
+        const packages = lockedPackages.get(m.lockfile)?.packages ?? [];
+        for (const dep of m.dependencies.filter((entry) => entry.kind === 'registry' && !entry.development)) {
+            const key = `${m.ecosystem}:${dep.name}`;
+            if (checked.has(key)) continue;
+            const locked = packages.find((entry) => entry.name === dep.name && entry.license);
+            if (!locked) {
+                unchecked += 1;
+                continue;
+            }
+            checked.set(key, {
+                description: `${dep.name}@${locked.version ?? dep.spec} (${locked.license}, ${m.path})`,
+                status: evaluateLicensePolicy(locked.license, licensePolicy),
+            });
+        }
+    }
+
+    const withStatus = (status) => [...checked.values()].filter((entry) => entry.status === status).map((entry) => entry.description);
+    const forbidden = withStatus('forbidden');
+    const review = withStatus('review');
+    return {
+        licensesChecked: checked.size,
+        licensesUnchecked: unchecked,
+        forbiddenLicenseCount: forbidden.length,
+        forbiddenLicenses: forbidden.slice(0, MAX_LISTED),
+        reviewLicenseCount: review.length,
+        reviewLicenses: review.slice(0, MAX_LISTED),
+    };
+}
+
+/**
+ * Analyze the dependency manifests of a repository
+ * @param {Object} source - Repository source (see repo-source.js)
+ * @param {Object} options - Analysis options
+ * @param {Object|null} options.advisories - Offline OSV database from openOsvDatabase(); enables vulnerability matching
+ * @param {Object|null} options.licensePolicy - License policy from loadLicensePolicy(); enables dependency license checks
+ * @returns {Promise<Object>} Dependency facts; counts are null when they could not be determined
+ *   (manifestCount is null when the repository could not be searched, 0 when it has no manifest)
+ */
+export async function analyzeDependencies(source, { advisories = null, licensePolicy = null } = {}) {
+    const found = await source.findFiles(MANIFEST_TYPES.map(({ manifest }) => `**/${manifest}`));
+    const manifestPaths = (found ?? [])
+        .filter((path) => !IGNORED_PATH.test(path))
+        .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+    // Unknown when the repository could not be searched, not applicable without manifests
+    if (found === null || manifestPaths.length === 0) {
+        return {
+            manifestCount: found === null ? null : 0,
+            manifests: [],
+            ecosystems: [],
+            directCount: null,
+            transitiveCount: null,
+            lockfileCoveragePercent: null,
+            unpinnedCount: null,
+            unpinned: [],
+            gitOrUrlCount: null,
+            gitOrUrl: [],
+            ...checkVulnerabilities([], new Map(), found === null ? null : advisories, false),
+            ...checkDependencyLicenses([], new Map(), found === null ? null : licensePolicy),
+        };
+    }
+
+    if (manifestPaths.length > MAX_MANIFESTS) {
+        log.info(`📦 ${source.owner}/${source.repo}: ${manifestPaths.length} dependency manifests, analyzing the first ${MAX_MANIFESTS}`);
+    }
+
+    const manifests = [];
+    const lockedPackages = new Map();
+    let incomplete = false;
+
+    for (const path of manifestPaths.slice(0, MAX_MANIFESTS)) {
+        const type = MANIFEST_TYPES.find(({ manifest }) => path.split('/').pop() === manifest);
+        const file = await source.getFileContent(path);
+        if (!file.exists) {
+            incomplete = true;
+            continue;
+        }
+
+        let parsed;
+        try {
+            parsed = type.parse(file.content, path);
+        } catch (error) {
+            log.warning(`📦 ${source.owner}/${source.repo}: could not parse ${path} (${error.message})`);
+            incomplete = true;
+            continue;
+        }
+
+        // Lockfiles only matter for manifests that declare registry dependencies
+        const needsLockfile = type.lockfiles !== null && parsed.dependencies.some((dep) => dep.kind === 'registry');
+        const lockfile = needsLockfile ? await findLockfile(source, path, type.lockfiles) : null;
+        if (lockfile && !lockedPackages.has(lockfile) && type.ecosystem !== 'go') {
+            const lock = await source.getFileContent(lockfile);
+            let packages = null;
+            try {
+                packages = lock.exists ? readLockedPackages(lockfile.split('/').pop(), lock.content) : null;
+            } catch (error) {
+                log.debug(`Could not read packages in ${lockfile}: ${error.message}`);
+            }
+            lockedPackages.set(lockfile, { ecosystem: type.ecosystem, packages });
+        }
+
+        manifests.push({
+            path,
+            ecosystem: type.ecosystem,
+            direct: parsed.dependencies.length,
+            transitive: parsed.transitiveCount ?? null,
+            needsLockfile,
+            lockfile,
+            dependencies: parsed.dependencies,
+            resolved: parsed.resolved ?? null,
+        });
+    }
+
+    // Workspaces list the same package in several manifests
+    const directKeys = new Set(manifests.flatMap((m) => m.dependencies.map((dep) => `${m.ecosystem}:${dep.name}`)));
+
+    // Transitive = what each lockfile resolves beyond the direct dependencies it serves
+    const transitiveCounts = manifests.filter((m) => m.transitive !== null).map((m) => m.transitive);
+    for (const [lockfile, { packages }] of lockedPackages) {
+        if (packages === null) continue;
+        const direct = new Set(manifests
+            .filter((m) => m.lockfile === lockfile)
+            .flatMap((m) => m.dependencies.filter((dep) => dep.kind === 'registry').map((dep) => dep.name)));
+        transitiveCounts.push(Math.max(0, packages.length - direct.size));
+    }
+
+    const lockable = manifests.filter((m) => m.needsLockfile);
+    const lockfileCoveragePercent = lockable.length === 0 || lockable.some((m) => m.lockfile === undefined)
+        ? null
+        : Math.round((lockable.filter((m) => m.lockfile).length / lockable.length) * 100);
+
+    const describe = (m, dep) => `${dep.name}@${dep.spec || '*'} (${m.path})`;
+    const unpinned = manifests.flatMap((m) => m.dependencies.filter((dep) => dep.unpinned).map((dep) => describe(m, dep)));
+    const gitOrUrl = manifests.flatMap((m) => m.dependencies.filter((dep) => dep.kind === 'git' || dep.kind === 'url').map((dep) => describe(m, dep)));
+
+    return {
+        manifestCount: manifestPaths.length,
+        manifests: manifests.map(({ path, ecosystem, direct, lockfile }) => ({ path, ecosystem, direct, lockfile: lockfile ?? null })),
+        ecosystems: [...new Set(manifests.map((m) => m.ecosystem))],
+        directCount: incomplete && manifests.length === 0 ? null : directKeys.size,
+        transitiveCount: transitiveCounts.length > 0 ? transitiveCounts.reduce((total, count) => total + count, 0) : null,
+        lockfileCoveragePercent,
+        unpinnedCount: incomplete && unpinned.length === 0 ? null : unpinned.length,
+        unpinned: unpinned.slice(0, MAX_LISTED),
+        gitOrUrlCount: incomplete && gitOrUrl.length === 0 ? null : gitOrUrl.length,
+        gitOrUrl: gitOrUrl.slice(0, MAX_LISTED),
+        ...checkVulnerabilities(manifests, lockedPackages, advisories, incomplete),
+        ...checkDependencyLicenses(manifests, lockedPackages, licensePolicy),
+    };
+}
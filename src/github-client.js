@@ -5,15 +5,41 @@
 
 import { Octokit } from 'octokit';
 import { log } from 'crawlee';
+import { globToRegExp, sleep } from './utils.js';
+import { installRequestScheduler } from './request-scheduler.js';
+import { installResponseCache } from './response-cache.js';
+import { getCommitWindowStart, summarizePullRequests, summarizeResponsiveness } from './activity-metrics.js';
+
+// Recent issues sampled for responsiveness metrics
+const ISSUE_SAMPLE_SIZE = 30;
+
+// Recently closed pull requests sampled for PR health (REST needs two extra requests per merged PR)
+const PULL_REQUEST_SAMPLE_SIZE = 30;
+const REST_PULL_REQUEST_SAMPLE_SIZE = 15;
+
+// Commit history pages (of 100) read per repository; busier repositories are sampled
+const MAX_COMMIT_PAGES = 10;
+
+// Newest releases whose assets are checked for signatures
+const RECENT_RELEASES = 5;
+
+// Longest wait for the wiki probe, which goes to github.com rather than the API
+const WIKI_PROBE_TIMEOUT_MS = 10 * 1000;
 
 /**
  * Create and configure the GitHub client
+ * Every request goes through the rate-limit scheduler (see request-scheduler.js),
+ * which replaces Octokit's built-in throttling. With a response cache, GET requests
+ * are served from it or revalidated with conditional requests (see response-cache.js).
  * @param {string|null} token - Optional GitHub PAT for higher rate limits
+ * @param {Object} options - Client options
+ * @param {Object|null} options.cache - { backend from openResponseCache(), maxAgeMs, bypass }, null to disable
  * @returns {Octokit} Configured Octokit instance
  */
-export function createGitHubClient(token = null) {
+export function createGitHubClient(token = null, { cache = null } = {}) {
     const options = {
         userAgent: 'github-health-analyzer/1.0.0',
+        throttle: { enabled: false },
     };
 
     if (token) {
@@ -23,7 +49,13 @@ export function createGitHubClient(token = null) {
         log.info('Using unauthenticated GitHub API (60 requests/hour)');
     }
 
-    return new Octokit(options);
+    const octokit = new Octokit(options);
+    installRequestScheduler(octokit);
+    if (cache) {
+        // Installed last so cache hits never wait on the scheduler
+        installResponseCache(octokit, cache.backend, { ...cache, token });
+    }
+    return octokit;
 }
 
 /**
@@ -46,6 +78,62 @@ export async function checkRateLimit(octokit) {
     }
 }
 
+/**
+ * Create a rate-limit budget shared by every worker using the same client
+ * Remaining requests are read from each core response's x-ratelimit-* headers; workers
+ * reserve an estimate before starting a repository and wait for the reset when
+ * the budget cannot cover it.
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {{remaining: number, limit: number, reset: Date}} initial - Result of checkRateLimit()
+ * @returns {{acquire: Function, status: Function}}
+ */
+export function createRateLimitBudget(octokit, initial) {
+    let remaining = initial.remaining;
+    let reset = initial.reset;
+    let reserved = 0;
+
+    octokit.hook.after('request', (response) => {
+        // Search and GraphQL have quotas of their own; the budget only counts core requests
+        if ((response.headers['x-ratelimit-resource'] ?? 'core') !== 'core') return;
+        const headerRemaining = response.headers['x-ratelimit-remaining'];
+        const headerReset = response.headers['x-ratelimit-reset'];
+        if (headerRemaining !== undefined) remaining = parseInt(headerRemaining, 10);
+        if (headerReset !== undefined) reset = new Date(parseInt(headerReset, 10) * 1000);
+    });
+
+    return {
+        /**
+         * Reserve requests for one unit of work, waiting for the reset if needed
+         * @param {number} estimate - Expected number of requests
+         * @returns {Promise<Function>} Call to release the reservation when the work is done
+         */
+        async acquire(estimate) {
+            // With nothing else in flight, any quota left is worth trying: the estimate is rough,
+            // and the request scheduler still pauses if the quota actually runs out
+            while (remaining - reserved < estimate && !(reserved === 0 && remaining > 0)) {
+                const waitMs = reset.getTime() - Date.now();
+                if (waitMs <= 0) {
+                    // Window has reset; assume a full budget until headers say otherwise
+                    remaining = Math.max(remaining, initial.limit);
+                    break;
+                }
+                log.warning(`⏳ Rate limit budget exhausted (${remaining} left, ${reserved} reserved). Waiting until ${reset.toISOString()}...`);
+                await sleep(waitMs + 1000);
+            }
+
+            reserved += estimate;
+            let released = false;
+            return () => {
+                if (!released) {
+                    released = true;
+                    reserved -= estimate;
+                }
+            };
+        },
+        status: () => ({ remaining, reserved, reset }),
+    };
+}
+
 /**
  * Get repository metadata
  * @param {Octokit} octokit - GitHub client instance
@@ -71,7 +159,7 @@ export async function getRepoData(octokit, owner, repo) {
  * @param {Octokit} octokit - GitHub client instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<{exists: boolean, content: string, length: number}>}
+ * @returns {Promise<{exists: boolean, path: string|null, content: string, length: number}>} path tells the markup format
  */
 export async function getReadme(octokit, owner, repo) {
     try {
@@ -79,9 +167,35 @@ export async function getReadme(octokit, owner, repo) {
         const content = Buffer.from(data.content, 'base64').toString('utf-8');
         return {
             exists: true,
+            path: data.path,
             content,
             length: content.length,
         };
+    } catch (error) {
+        if (error.status === 404) {
+            return { exists: false, path: null, content: '', length: 0 };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Read a file of the repository
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path
+ * @returns {Promise<{exists: boolean, content: string, length: number}>}
+ * @throws {Error} When the file could not be read (anything other than not found)
+ */
+export async function getFileContent(octokit, owner, repo, path) {
+    try {
+        const { data } = await octokit.rest.repos.getContent({ owner, repo, path, mediaType: { format: 'raw' } });
+        // A directory answers with its listing instead of raw content
+        if (typeof data !== 'string') {
+            return { exists: false, content: '', length: 0 };
+        }
+        return { exists: true, content: data, length: data.length };
     } catch (error) {
         if (error.status === 404) {
             return { exists: false, content: '', length: 0 };
@@ -97,13 +211,17 @@ export async function getReadme(octokit, owner, repo) {
  * @param {string} repo - Repository name
  * @param {string} path - File path to check
  * @returns {Promise<boolean>}
+ * @throws {Error} When the check could not be completed (anything other than not found)
  */
 export async function fileExists(octokit, owner, repo, path) {
     try {
         await octokit.rest.repos.getContent({ owner, repo, path });
         return true;
     } catch (error) {
-        return false;
+        // Only a 404 means "missing"; anything else (throttling, 403, 5xx, network)
+        // is rethrown so the source can report the check as unknown
+        if (error.status === 404) return false;
+        throw error;
     }
 }
 
@@ -114,13 +232,41 @@ export async function fileExists(octokit, owner, repo, path) {
  * @param {string} repo - Repository name
  * @param {string} path - Directory path to check
  * @returns {Promise<boolean>}
+ * @throws {Error} When the check could not be completed (anything other than not found)
  */
 export async function directoryExists(octokit, owner, repo, path) {
     try {
         const { data } = await octokit.rest.repos.getContent({ owner, repo, path });
         return Array.isArray(data);
     } catch (error) {
-        return false;
+        if (error.status === 404) return false;
+        throw error;
+    }
+}
+
+/**
+ * List every path of a branch in a single request (recursive git tree)
+ * GitHub truncates very large trees (over 100,000 entries); `truncated` is then true.
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or tree SHA
+ * @returns {Promise<{files: string[], directories: string[], truncated: boolean}>}
+ * @throws {Error} When the tree could not be fetched (anything other than not found)
+ */
+export async function getRepoTree(octokit, owner, repo, ref) {
+    try {
+        const { data } = await octokit.rest.git.getTree({ owner, repo, tree_sha: ref, recursive: 'true' });
+        return {
+            // Submodules ("commit" entries) count as files, as getContent reports them
+            files: data.tree.filter((entry) => entry.type !== 'tree').map((entry) => entry.path),
+            directories: data.tree.filter((entry) => entry.type === 'tree').map((entry) => entry.path),
+            truncated: data.truncated,
+        };
+    } catch (error) {
+        // 409 Conflict: the repository is empty
+        if (error.status === 404 || error.status === 409) return { files: [], directories: [], truncated: false };
+        throw error;
     }
 }
 
@@ -130,6 +276,7 @@ export async function directoryExists(octokit, owner, repo, path) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @returns {Promise<{exists: boolean, count: number}>}
+ * @throws {Error} When the check could not be completed (anything other than not found)
  */
 export async function getWorkflows(octokit, owner, repo) {
     try {
@@ -139,8 +286,8 @@ export async function getWorkflows(octokit, owner, repo) {
             count: data.total_count,
         };
     } catch (error) {
-        // Workflows might be disabled or not accessible
-        return { exists: false, count: 0 };
+        if (error.status === 404) return { exists: false, count: 0 };
+        throw error;
     }
 }
 
@@ -149,7 +296,9 @@ export async function getWorkflows(octokit, owner, repo) {
  * @param {Octokit} octokit - GitHub client instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<{exists: boolean, count: number, latest: string|null}>}
+ * @returns {Promise<{exists: boolean, count: number, latest: string|null, recent: Array<{tag: string, assets: Array<string>}>}>}
+ *   recent holds the newest releases with their asset names (signatures, provenance)
+ * @throws {Error} When the check could not be completed (anything other than not found)
  */
 export async function getReleases(octokit, owner, repo) {
     try {
@@ -158,9 +307,11 @@ export async function getReleases(octokit, owner, repo) {
             exists: data.length > 0,
             count: data.length,
             latest: data.length > 0 ? data[0].tag_name : null,
+            recent: data.slice(0, RECENT_RELEASES).map((release) => ({ tag: release.tag_name, assets: release.assets.map((asset) => asset.name) })),
         };
     } catch (error) {
-        return { exists: false, count: 0, latest: null };
+        if (error.status === 404) return { exists: false, count: 0, latest: null, recent: [] };
+        throw error;
     }
 }
 
@@ -170,6 +321,7 @@ export async function getReleases(octokit, owner, repo) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @returns {Promise<{exists: boolean, count: number}>}
+ * @throws {Error} When the check could not be completed (anything other than not found)
  */
 export async function getTags(octokit, owner, repo) {
     try {
@@ -179,141 +331,853 @@ export async function getTags(octokit, owner, repo) {
             count: data.length,
         };
     } catch (error) {
-        return { exists: false, count: 0 };
+        if (error.status === 404) return { exists: false, count: 0 };
+        throw error;
     }
 }
 
 /**
- * Get issue statistics
+ * Count issues or pull requests of a repository matching search qualifiers
+ */
+async function countSearchResults(octokit, owner, repo, qualifiers) {
+    const { data } = await octokit.rest.search.issuesAndPullRequests({
+        q: `repo:${owner}/${repo} ${qualifiers}`,
+        per_page: 1,
+    });
+    return data.total_count;
+}
+
+/**
+ * Get issue statistics (pull requests excluded)
  * @param {Octokit} octokit - GitHub client instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @returns {Promise<{open: number, closed: number, ratio: number}>}
+ * @throws {Error} When the counts could not be retrieved
  */
 export async function getIssueStats(octokit, owner, repo) {
-    try {
-        // Get open issues count from repo data (already fetched usually)
-        const [openResponse, closedResponse] = await Promise.all([
-            octokit.rest.issues.listForRepo({ owner, repo, state: 'open', per_page: 1 }),
-            octokit.rest.issues.listForRepo({ owner, repo, state: 'closed', per_page: 1 }),
-        ]);
+    // The issues list endpoint mixes in pull requests and has no total, so count through search
+    const [open, closed] = await Promise.all([
+        countSearchResults(octokit, owner, repo, 'is:issue is:open'),
+        countSearchResults(octokit, owner, repo, 'is:issue is:closed'),
+    ]);
 
-        // Extract total count from headers (if available) or estimate
-        const openCount = parseInt(openResponse.headers['x-total-count'] || openResponse.data.length, 10);
-        const closedCount = parseInt(closedResponse.headers['x-total-count'] || closedResponse.data.length, 10);
+    const total = open + closed;
+    return {
+        open,
+        closed,
+        ratio: total > 0 ? Math.round((closed / total) * 100) : 0,
+    };
+}
 
-        const total = openCount + closedCount;
-        const ratio = total > 0 ? (closedCount / total) * 100 : 0;
+/**
+ * Get pull request statistics
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{open: number, closed: number, merged: number}>} closed counts pull requests closed without merging
+ * @throws {Error} When the counts could not be retrieved
+ */
+export async function getPullRequestStats(octokit, owner, repo) {
+    const [open, merged, closed] = await Promise.all([
+        countSearchResults(octokit, owner, repo, 'is:pr is:open'),
+        countSearchResults(octokit, owner, repo, 'is:pr is:merged'),
+        countSearchResults(octokit, owner, repo, 'is:pr is:closed is:unmerged'),
+    ]);
+    return { open, closed, merged };
+}
 
-        return {
-            open: openCount,
-            closed: closedCount,
-            ratio: Math.round(ratio),
-        };
-    } catch (error) {
-        return { open: 0, closed: 0, ratio: 0 };
+const ISSUE_AND_PULL_REQUEST_COUNTS_QUERY = `query ($owner: String!, $repo: String!) {
+    repository(owner: $owner, name: $repo) {
+        openIssues: issues(states: OPEN) { totalCount }
+        closedIssues: issues(states: CLOSED) { totalCount }
+        openPullRequests: pullRequests(states: OPEN) { totalCount }
+        closedPullRequests: pullRequests(states: CLOSED) { totalCount }
+        mergedPullRequests: pullRequests(states: MERGED) { totalCount }
     }
+}`;
+
+/**
+ * Issue and pull request statistics from a repository node with the count fields above
+ * @returns {{issueStats: Object, pullRequestStats: Object}} Shaped like getIssueStats() and getPullRequestStats()
+ */
+function toIssueAndPullRequestStats(node) {
+    const open = node.openIssues.totalCount;
+    const closed = node.closedIssues.totalCount;
+    const total = open + closed;
+    return {
+        issueStats: {
+            open,
+            closed,
+            ratio: total > 0 ? Math.round((closed / total) * 100) : 0,
+        },
+        pullRequestStats: {
+            open: node.openPullRequests.totalCount,
+            closed: node.closedPullRequests.totalCount,
+            merged: node.mergedPullRequests.totalCount,
+        },
+    };
 }
 
 /**
- * Get all public repositories for a user
+ * Get issue and pull request statistics with one GraphQL query instead of five searches
+ * GraphQL needs a token; without one use getIssueStats() and getPullRequestStats().
  * @param {Octokit} octokit - GitHub client instance
- * @param {string} username - GitHub username
- * @param {number} maxRepos - Maximum number of repos to fetch (0 for all)
- * @returns {Promise<Array<{owner: string, repo: string, url: string}>>}
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{issueStats: Object, pullRequestStats: Object}>}
+ * @throws {Error} When the counts could not be retrieved
+ */
+export async function getIssueAndPullRequestStats(octokit, owner, repo) {
+    const { repository } = await octokit.graphql(ISSUE_AND_PULL_REQUEST_COUNTS_QUERY, { owner, repo });
+    return toIssueAndPullRequestStats(repository);
+}
+
+/**
+ * Is a GitHub user object a bot account
+ */
+function isBotUser(user) {
+    return user?.type === 'Bot' || /\[bot\]$/.test(user?.login ?? '');
+}
+
+/**
+ * Measure maintainer responsiveness on the most recent issues
+ * Comments are read repository-wide since the oldest sampled issue (a few pages)
+ * instead of one request per issue.
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - Sampling options
+ * @param {number} options.sampleSize - Number of recent issues to sample
+ * @param {number} options.maxCommentPages - Pages of 100 comments to read at most
+ * @returns {Promise<Object>} See summarizeResponsiveness()
+ * @throws {Error} When the issues could not be listed
  */
-export async function getUserRepos(octokit, username, maxRepos = 10) {
+export async function getIssueResponsiveness(octokit, owner, repo, { sampleSize = ISSUE_SAMPLE_SIZE, maxCommentPages = 5 } = {}) {
+    let recent;
     try {
-        const perPage = maxRepos > 0 ? Math.min(maxRepos, 100) : 100;
-        const { data } = await octokit.rest.repos.listForUser({
-            username,
-            type: 'owner',
-            sort: 'updated',
+        const { data } = await octokit.rest.issues.listForRepo({
+            owner,
+            repo,
+            state: 'all',
+            sort: 'created',
             direction: 'desc',
-            per_page: perPage,
+            per_page: 100,
         });
+        recent = data.filter((issue) => !issue.pull_request).slice(0, sampleSize);
+    } catch (error) {
+        // 410 Gone: issues are disabled for this repository
+        if (error.status === 410) return summarizeResponsiveness([]);
+        throw error;
+    }
 
-        const repos = data.map((repo) => ({
-            owner: repo.owner.login,
-            repo: repo.name,
-            url: repo.html_url,
-        }));
+    const issues = new Map(recent.map((issue) => [issue.url, {
+        createdAt: issue.created_at,
+        closedAt: issue.closed_at,
+        author: issue.user?.login,
+        comments: [],
+    }]));
 
-        return maxRepos > 0 ? repos.slice(0, maxRepos) : repos;
-    } catch (error) {
-        if (error.status === 404) {
-            log.warning(`User not found: ${username}`);
-            return [];
+    const commented = recent.filter((issue) => issue.comments > 0);
+    if (commented.length > 0) {
+        const since = commented.at(-1).created_at;
+        let pages = 0;
+        for await (const { data } of octokit.paginate.iterator(octokit.rest.issues.listCommentsForRepo, {
+            owner,
+            repo,
+            sort: 'created',
+            direction: 'asc',
+            since,
+            per_page: 100,
+        })) {
+            for (const comment of data) {
+                issues.get(comment.issue_url)?.comments.push({
+                    createdAt: comment.created_at,
+                    author: comment.user?.login,
+                    association: comment.author_association,
+                    isBot: isBotUser(comment.user),
+                });
+            }
+            if (++pages >= maxCommentPages) break;
         }
-        throw error;
     }
+
+    return summarizeResponsiveness([...issues.values()]);
 }
 
 /**
- * Check for common security files
+ * Measure pull request health from the oldest open and the most recently closed PRs
  * @param {Octokit} octokit - GitHub client instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<{securityMd: boolean, dependabot: boolean}>}
+ * @returns {Promise<Object>} See summarizePullRequests()
+ * @throws {Error} When the pull requests could not be listed
  */
-export async function getSecurityFiles(octokit, owner, repo) {
-    const [securityMd, dependabot, dependabotYml] = await Promise.all([
-        fileExists(octokit, owner, repo, 'SECURITY.md'),
-        fileExists(octokit, owner, repo, '.github/dependabot.yml'),
-        fileExists(octokit, owner, repo, '.github/dependabot.yaml'),
+export async function getPullRequestActivity(octokit, owner, repo) {
+    const [{ data: open }, { data: closed }] = await Promise.all([
+        octokit.rest.pulls.list({ owner, repo, state: 'open', sort: 'created', direction: 'asc', per_page: 100 }),
+        octokit.rest.pulls.list({ owner, repo, state: 'closed', sort: 'updated', direction: 'desc', per_page: REST_PULL_REQUEST_SAMPLE_SIZE }),
     ]);
 
+    // The list payload has neither the merger nor reviews
+    const closedSample = await Promise.all(closed.map(async (pr) => {
+        const sample = {
+            createdAt: pr.created_at,
+            mergedAt: pr.merged_at,
+            author: pr.user?.login,
+            authorAssociation: pr.author_association,
+            isBot: isBotUser(pr.user),
+            mergedBy: null,
+            approvals: 0,
+        };
+        if (pr.merged_at) {
+            const [{ data: details }, { data: reviews }] = await Promise.all([
+                octokit.rest.pulls.get({ owner, repo, pull_number: pr.number }),
+                octokit.rest.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 }),
+            ]);
+            sample.mergedBy = details.merged_by?.login ?? null;
+            sample.approvals = reviews.filter((review) => review.state === 'APPROVED' && review.user?.login !== sample.author).length;
+        }
+        return sample;
+    }));
+
+    return summarizePullRequests({
+        open: open.map((pr) => ({ createdAt: pr.created_at })),
+        closed: closedSample,
+    });
+}
+
+/**
+ * Normalize a commit author; bots are recognized by account type or the "[bot]" suffix
+ */
+function toCommitSample({ date, login, name, email, type }) {
+    const identity = login ?? email ?? name ?? 'unknown';
     return {
-        securityMd,
-        dependabot: dependabot || dependabotYml,
+        date,
+        author: identity.toLowerCase(),
+        isBot: type === 'Bot' || [login, name, email].some((value) => /\[bot\]/.test(value ?? '')),
     };
 }
 
 /**
- * Check for common linter configurations
+ * Read the default branch history since a point in time, newest first
  * @param {Octokit} octokit - GitHub client instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<boolean>}
+ * @param {Object} options - History options
+ * @param {string} options.since - ISO timestamp
+ * @param {number} options.maxPages - Stop after this many pages of 100
+ * @returns {Promise<{commits: Array<{date: string, author: string, isBot: boolean}>, truncated: boolean}>}
+ *   truncated when older commits of the window were not read
+ * @throws {Error} When the history could not be read (an empty repository has no history)
  */
-export async function hasLinterConfig(octokit, owner, repo) {
-    const linterFiles = [
-        '.eslintrc',
-        '.eslintrc.js',
-        '.eslintrc.json',
-        '.eslintrc.yml',
-        '.eslintrc.yaml',
-        'eslint.config.js',
-        '.prettierrc',
-        '.prettierrc.js',
-        '.prettierrc.json',
-        'biome.json',
-        '.stylelintrc',
-        'tslint.json',
-    ];
-
-    for (const file of linterFiles) {
-        if (await fileExists(octokit, owner, repo, file)) {
-            return true;
+export async function getCommitHistory(octokit, owner, repo, { since, maxPages = MAX_COMMIT_PAGES } = {}) {
+    const commits = [];
+    let pages = 0;
+    try {
+        const iterator = octokit.paginate.iterator(octokit.rest.repos.listCommits, { owner, repo, since, per_page: 100 });
+        for await (const { data } of iterator) {
+            if (pages === maxPages) return { commits, truncated: true };
+            pages++;
+            for (const commit of data) {
+                commits.push(toCommitSample({
+                    date: commit.commit.committer?.date ?? commit.commit.author?.date,
+                    login: commit.author?.login,
+                    name: commit.commit.author?.name,
+                    email: commit.commit.author?.email,
+                    type: commit.author?.type,
+                }));
+            }
         }
+    } catch (error) {
+        if (error.status === 409) return { commits: [], truncated: false };
+        throw error;
     }
-    return false;
+    return { commits, truncated: false };
 }
 
 /**
- * Check for test directory
+ * Weekly commit totals of the default branch for the last year, oldest week first
+ * GitHub computes these statistics in the background and answers 202 until they are ready.
  * @param {Octokit} octokit - GitHub client instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<boolean>}
+ * @param {Object} options - Polling options
+ * @param {number} options.attempts - Requests to make while the statistics are being computed
+ * @param {number} options.delayMs - Pause between them
+ * @returns {Promise<Array<number>>} 52 weekly totals (empty for an empty repository)
+ * @throws {Error} When the statistics could not be fetched or are still being computed
+ */
+export async function getWeeklyCommitCounts(octokit, owner, repo, { attempts = 3, delayMs = 2000 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        const { status, data } = await octokit.rest.repos.getCommitActivityStats({ owner, repo });
+        if (status === 200) return data.map((week) => week.total);
+        if (status === 204) return [];
+        if (attempt >= attempts) {
+            throw new Error('Commit statistics are still being computed by GitHub');
+        }
+        await sleep(delayMs);
+    }
+}
+
+// Protection settings of a default branch with no classic protection rule
+const UNPROTECTED_BRANCH = {
+    protected: false,
+    requiredReviews: 0,
+    requiredStatusChecks: false,
+    forcePushBlocked: false,
+    deletionBlocked: false,
+    adminEnforced: false,
+};
+
+/**
+ * Classic branch protection, or null when the token may not read it (admin only)
+ */
+async function getClassicBranchProtection(octokit, owner, repo, branch) {
+    try {
+        const { data } = await octokit.rest.repos.getBranchProtection({ owner, repo, branch });
+        const statusChecks = data.required_status_checks;
+        return {
+            protected: true,
+            requiredReviews: data.required_pull_request_reviews?.required_approving_review_count ?? 0,
+            requiredStatusChecks: !!statusChecks && (statusChecks.contexts?.length ?? 0) + (statusChecks.checks?.length ?? 0) > 0,
+            forcePushBlocked: !data.allow_force_pushes?.enabled,
+            deletionBlocked: !data.allow_deletions?.enabled,
+            adminEnforced: !!data.enforce_admins?.enabled,
+        };
+    } catch (error) {
+        if (error.status === 404 && /not protected/i.test(error.message)) return UNPROTECTED_BRANCH;
+        if (error.status === 403 || error.status === 404) return null;
+        throw error;
+    }
+}
+
+/**
+ * Protection from the rulesets that apply to a branch (readable with read access)
+ * Whether admins can bypass them is only visible to admins; it is null otherwise.
+ */
+async function getRulesetBranchProtection(octokit, owner, repo, branch) {
+    let rules;
+    try {
+        rules = await octokit.paginate(octokit.rest.repos.getBranchRules, { owner, repo, branch, per_page: 100 });
+    } catch (error) {
+        if (error.status === 404) return { ...UNPROTECTED_BRANCH, rulesetCount: 0 };
+        throw error;
+    }
+
+    const ofType = (type) => rules.filter((rule) => rule.type === type);
+    const rulesetIds = [...new Set(rules.map((rule) => rule.ruleset_id).filter(Boolean))];
+
+    let adminEnforced = rules.length === 0 ? false : null;
+    if (rulesetIds.length > 0) {
+        const rulesets = await Promise.all(rulesetIds.map(async (id) => {
+            try {
+                return (await octokit.rest.repos.getRepoRuleset({ owner, repo, ruleset_id: id })).data;
+            } catch (error) {
+                if (error.status === 403 || error.status === 404) return null;
+                throw error;
+            }
+        }));
+        if (rulesets.every((ruleset) => Array.isArray(ruleset?.bypass_actors))) {
+            adminEnforced = rulesets.every((ruleset) => ruleset.bypass_actors.length === 0);
+        }
+    }
+
+    return {
+        protected: rules.length > 0,
+        rulesetCount: rulesetIds.length,
+        requiredReviews: Math.max(0, ...ofType('pull_request').map((rule) => rule.parameters?.required_approving_review_count ?? 0)),
+        requiredStatusChecks: ofType('required_status_checks').length > 0,
+        forcePushBlocked: ofType('non_fast_forward').length > 0,
+        deletionBlocked: ofType('deletion').length > 0,
+        adminEnforced,
+    };
+}
+
+/**
+ * Whether a public repository's wiki has pages, probed through its git endpoint
+ * (the API does not expose wikis); null when it cannot be told
+ * The probe goes through the client like any other request, so the scheduler, cache and
+ * rate budget see it, but the token is left off: it is meant for the API, not git.
+ */
+async function hasWikiPages(octokit, owner, repo) {
+    const fetchWithoutToken = (url, init) => {
+        const { authorization: _authorization, ...headers } = init.headers;
+        return fetch(url, { ...init, headers });
+    };
+
+    try {
+        await octokit.request('HEAD https://github.com/{owner}/{repo}.wiki.git/info/refs?service=git-upload-pack', {
+            owner,
+            repo,
+            request: { fetch: fetchWithoutToken, signal: AbortSignal.timeout(WIKI_PROBE_TIMEOUT_MS) },
+        });
+        return true;
+    } catch (error) {
+        if (error.status === 404) return false;
+        log.debug(`Could not probe the wiki of ${owner}/${repo}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Audit the default branch protection and the repository's security settings
+ * Classic branch protection and secret scanning status are only visible to admins; for
+ * other tokens they are null (not assessable) instead of failed. Rulesets are read too,
+ * and a setting counts as on when either classic protection or a ruleset enforces it.
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} repoData - Repository metadata (permissions, default branch, wiki flag)
+ * @returns {Promise<Object>} { branch, branchProtection: { protected, rulesetCount, requiredReviews,
+ *   requiredStatusChecks, forcePushBlocked, deletionBlocked, adminEnforced }, secretScanning,
+ *   pushProtection, privateVulnerabilityReporting, wikiHasPages }, each null when unknown
+ */
+export async function getRepositorySettings(octokit, owner, repo, repoData) {
+    const branch = repoData.default_branch;
+    const isAdmin = repoData.permissions?.admin === true;
+
+    const [classic, rulesets, privateVulnerabilityReporting, wikiHasPages, security] = await Promise.all([
+        branch && isAdmin ? getClassicBranchProtection(octokit, owner, repo, branch) : null,
+        branch ? getRulesetBranchProtection(octokit, owner, repo, branch) : { ...UNPROTECTED_BRANCH, rulesetCount: 0 },
+        (async () => {
+            try {
+                return (await octokit.rest.repos.checkPrivateVulnerabilityReporting({ owner, repo })).data.enabled;
+            } catch (error) {
+                if (error.status === 403 || error.status === 404) return null;
+                throw error;
+            }
+        })(),
+        repoData.has_wiki && repoData.private === false ? hasWikiPages(octokit, owner, repo) : null,
+        // The batch query does not return security_and_analysis, so admins get it over REST
+        isAdmin && repoData.security_and_analysis === undefined
+            ? getRepoData(octokit, owner, repo).then((data) => data?.security_and_analysis ?? null)
+            : repoData.security_and_analysis ?? null,
+    ]);
+
+    // On when either source enforces it, off when both are known not to
+    const combine = (key) => {
+        if (classic?.[key] === true || rulesets[key] === true) return true;
+        return classic?.[key] === false && rulesets[key] === false ? false : null;
+    };
+    const requiredReviews = classic
+        ? Math.max(classic.requiredReviews, rulesets.requiredReviews)
+        : rulesets.requiredReviews || null;
+
+    const status = (feature) => (security?.[feature]?.status ? security[feature].status === 'enabled' : null);
+
+    return {
+        branch,
+        branchProtection: {
+            protected: combine('protected'),
+            rulesetCount: rulesets.rulesetCount,
+            requiredReviews,
+            requiredStatusChecks: combine('requiredStatusChecks'),
+            forcePushBlocked: combine('forcePushBlocked'),
+            deletionBlocked: combine('deletionBlocked'),
+            adminEnforced: combine('adminEnforced'),
+        },
+        secretScanning: status('secret_scanning'),
+        pushProtection: status('secret_scanning_push_protection'),
+        privateVulnerabilityReporting,
+        wikiHasPages,
+    };
+}
+
+// Repositories per GraphQL query; keeps each query well under GitHub's node limits
+const GRAPHQL_BATCH_SIZE = 10;
+
+// Directories listed in the batch query; every built-in file check lives in one of them
+const BATCH_LISTED_DIRECTORIES = ['', '.github', '.github/workflows', 'docs'];
+
+// Root README names fetched with their content in the batch query
+const BATCH_README_NAMES = ['README.md', 'README', 'README.rst', 'README.adoc', 'README.markdown', 'README.txt', 'readme.md', 'Readme.md'];
+
+const README_PATTERN = /^readme(\.[a-z]+)?$/i;
+
+const REPOSITORY_BATCH_FIELDS = `
+    nameWithOwner
+    url
+    description
+    createdAt
+    pushedAt
+    isFork
+    isArchived
+    hasWikiEnabled
+    hasIssuesEnabled
+    isPrivate
+    viewerPermission
+    stargazerCount
+    forkCount
+    watchers { totalCount }
+    licenseInfo { spdxId name }
+    primaryLanguage { name }
+    defaultBranchRef {
+        name
+        target {
+            ... on Commit {
+                history(first: 100, since: $since) {
+                    pageInfo { hasNextPage }
+                    nodes { committedDate author { name email user { login } } }
+                }
+            }
+        }
+    }
+    openIssues: issues(states: OPEN) { totalCount }
+    closedIssues: issues(states: CLOSED) { totalCount }
+    openPullRequests: pullRequests(states: OPEN) { totalCount }
+    closedPullRequests: pullRequests(states: CLOSED) { totalCount }
+    mergedPullRequests: pullRequests(states: MERGED) { totalCount }
+    releases { totalCount }
+    recentReleases: releases(first: ${RECENT_RELEASES}, orderBy: { field: CREATED_AT, direction: DESC }) {
+        nodes { tagName releaseAssets(first: 50) { nodes { name } } }
+    }
+    tags: refs(refPrefix: "refs/tags/") { totalCount }
+    oldestOpenPullRequests: pullRequests(states: OPEN, first: 100, orderBy: { field: CREATED_AT, direction: ASC }) {
+        nodes { createdAt }
+    }
+    recentPullRequests: pullRequests(states: [MERGED, CLOSED], first: ${PULL_REQUEST_SAMPLE_SIZE}, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        nodes {
+            createdAt
+            mergedAt
+            authorAssociation
+            author { login __typename }
+            mergedBy { login }
+            reviews(states: APPROVED, first: 10) { nodes { author { login } } }
+        }
+    }
+    recentIssues: issues(first: ${ISSUE_SAMPLE_SIZE}, orderBy: { field: CREATED_AT, direction: DESC }) {
+        nodes {
+            createdAt
+            closedAt
+            author { login }
+            comments(first: 20) { nodes { createdAt authorAssociation author { login __typename } } }
+        }
+    }
+    ${BATCH_LISTED_DIRECTORIES.map((dir, i) => `dir${i}: object(expression: "HEAD:${dir}") { ... on Tree { entries { name type } } }`).join('\n    ')}
+    ${BATCH_README_NAMES.map((name, i) => `readme${i}: object(expression: "HEAD:${name}") { ... on Blob { text } }`).join('\n    ')}
+`;
+
+/**
+ * Convert one repository of a batch query into the shapes the REST helpers return
+ * Values the query cannot settle (e.g. a README outside the repository root) are left
+ * undefined so the source falls back to REST for them.
+ */
+function toPrefetchedRepository(node) {
+    const repoData = {
+        full_name: node.nameWithOwner,
+        html_url: node.url,
+        description: node.description,
+        created_at: node.createdAt,
+        pushed_at: node.pushedAt,
+        fork: node.isFork,
+        archived: node.isArchived,
+        has_wiki: node.hasWikiEnabled,
+        has_issues: node.hasIssuesEnabled,
+        private: node.isPrivate,
+        permissions: { admin: node.viewerPermission === 'ADMIN' },
+        stargazers_count: node.stargazerCount,
+        forks_count: node.forkCount,
+        subscribers_count: node.watchers.totalCount,
+        // REST counts open pull requests as issues too
+        open_issues_count: node.openIssues.totalCount + node.openPullRequests.totalCount,
+        license: node.licenseInfo ? { spdx_id: node.licenseInfo.spdxId ?? 'NOASSERTION', name: node.licenseInfo.name } : null,
+        language: node.primaryLanguage?.name ?? null,
+        default_branch: node.defaultBranchRef?.name ?? null,
+    };
+
+    // A directory missing from its (listed) parent is known to be empty
+    const files = [];
+    const directories = [];
+    const listedDirectories = new Set();
+    BATCH_LISTED_DIRECTORIES.forEach((dir, i) => {
+        const parent = dir.includes('/') ? dir.slice(0, dir.lastIndexOf('/')) : '';
+        const tree = node[`dir${i}`];
+        if (tree?.entries) {
+            listedDirectories.add(dir);
+            for (const entry of tree.entries) {
+                const path = dir ? `${dir}/${entry.name}` : entry.name;
+                (entry.type === 'tree' ? directories : files).push(path);
+            }
+        } else if (dir && listedDirectories.has(parent) && !directories.includes(dir)) {
+            listedDirectories.add(dir);
+        }
+    });
+
+    let readme;
+    if (listedDirectories.has('')) {
+        const rootReadme = files.find((path) => !path.includes('/') && README_PATTERN.test(path));
+        const fetchedIndex = BATCH_README_NAMES.indexOf(rootReadme);
+        const content = fetchedIndex >= 0 ? node[`readme${fetchedIndex}`]?.text : undefined;
+        if (typeof content === 'string') {
+            readme = { exists: true, path: rootReadme, content, length: content.length };
+        } else if (!rootReadme && !files.some((path) => /^(\.github|docs)\/readme(\.[a-z]+)?$/i.test(path))) {
+            readme = { exists: false, path: null, content: '', length: 0 };
+        }
+    }
+
+    // An empty repository has no default branch and therefore no history
+    const history = node.defaultBranchRef
+        ? node.defaultBranchRef.target?.history
+        : { pageInfo: { hasNextPage: false }, nodes: [] };
+
+    const workflowCount = files.filter((path) => /^\.github\/workflows\/[^/]+\.ya?ml$/.test(path)).length;
+
+    return {
+        repoData,
+        readme,
+        files,
+        directories,
+        listedDirectories,
+        workflows: listedDirectories.has('.github/workflows') ? { exists: workflowCount > 0, count: workflowCount } : undefined,
+        releases: {
+            exists: node.releases.totalCount > 0,
+            count: node.releases.totalCount,
+            latest: node.recentReleases.nodes[0]?.tagName ?? null,
+            recent: node.recentReleases.nodes.map((release) => ({ tag: release.tagName, assets: release.releaseAssets.nodes.map((asset) => asset.name) })),
+        },
+        tags: { exists: node.tags.totalCount > 0, count: node.tags.totalCount },
+        // Longer histories are paged through REST
+        commitHistory: history && !history.pageInfo.hasNextPage
+            ? {
+                commits: history.nodes.map((commit) => toCommitSample({
+                    date: commit.committedDate,
+                    login: commit.author?.user?.login,
+                    name: commit.author?.name,
+                    email: commit.author?.email,
+                })),
+                truncated: false,
+            }
+            : undefined,
+        ...toIssueAndPullRequestStats(node),
+        pullRequestActivity: summarizePullRequests({
+            open: node.oldestOpenPullRequests.nodes,
+            closed: node.recentPullRequests.nodes.map((pr) => ({
+                createdAt: pr.createdAt,
+                mergedAt: pr.mergedAt,
+                author: pr.author?.login,
+                authorAssociation: pr.authorAssociation,
+                isBot: pr.author?.__typename === 'Bot',
+                mergedBy: pr.mergedBy?.login ?? null,
+                approvals: pr.reviews.nodes.filter((review) => review.author?.login !== pr.author?.login).length,
+            })),
+        }),
+        issueResponsiveness: summarizeResponsiveness(node.recentIssues.nodes.map((issue) => ({
+            createdAt: issue.createdAt,
+            closedAt: issue.closedAt,
+            author: issue.author?.login,
+            comments: issue.comments.nodes.map((comment) => ({
+                createdAt: comment.createdAt,
+                author: comment.author?.login,
+                association: comment.authorAssociation,
+                isBot: comment.author?.__typename === 'Bot',
+            })),
+        }))),
+    };
+}
+
+/**
+ * Fetch metadata, release/tag counts, issue/PR totals, recent issues, PRs and commits and the
+ * top-level file listings of several repositories in one GraphQL query (requires a token)
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {Array<{owner: string, repo: string}>} repos - Repositories to fetch
+ * @returns {Promise<Map<string, Object>>} Prefetched data keyed by lowercase "owner/repo";
+ *   repositories that could not be fetched are missing from the map
+ */
+export async function getRepositoriesBatch(octokit, repos) {
+    const variables = { since: getCommitWindowStart() };
+    const declarations = ['$since: GitTimestamp!'];
+    const selections = repos.map(({ owner, repo }, i) => {
+        variables[`owner${i}`] = owner;
+        variables[`name${i}`] = repo;
+        declarations.push(`$owner${i}: String!`, `$name${i}: String!`);
+        return `r${i}: repository(owner: $owner${i}, name: $name${i}) { ${REPOSITORY_BATCH_FIELDS} }`;
+    });
+
+    let data;
+    try {
+        data = await octokit.graphql(`query (${declarations.join(', ')}) {\n${selections.join('\n')}\n}`, variables);
+    } catch (error) {
+        // Missing repositories come back as errors next to the data for the others
+        if (!error.data) throw error;
+        data = error.data;
+    }
+
+    const prefetched = new Map();
+    repos.forEach(({ owner, repo }, i) => {
+        const node = data?.[`r${i}`];
+        if (node) {
+            prefetched.set(`${owner}/${repo}`.toLowerCase(), toPrefetchedRepository(node));
+        }
+    });
+    return prefetched;
+}
+
+/**
+ * Load repositories through GraphQL in batches, on demand
+ * A batch is queried when the first of its repositories is requested; if the query
+ * fails, its repositories fall back to REST (load resolves to null).
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {Array<{owner: string, repo: string}>} repos - Every repository of the run, in scan order
+ * @returns {{load: Function}} load(owner, repo) resolves to the prefetched data or null
+ */
+export function createRepositoryBatchLoader(octokit, repos) {
+    const batchIndex = new Map(repos.map(({ owner, repo }, i) => [`${owner}/${repo}`.toLowerCase(), Math.floor(i / GRAPHQL_BATCH_SIZE)]));
+    const batches = new Map();
+
+    const loadBatch = (index) => {
+        if (!batches.has(index)) {
+            const batch = repos.slice(index * GRAPHQL_BATCH_SIZE, (index + 1) * GRAPHQL_BATCH_SIZE);
+            batches.set(index, getRepositoriesBatch(octokit, batch).catch((error) => {
+                log.warning(`GraphQL batch ${index + 1} failed (${error.message}), falling back to REST for ${batch.length} repositories`);
+                return new Map();
+            }));
+        }
+        return batches.get(index);
+    };
+
+    return {
+        load: async (owner, repo) => {
+            const key = `${owner}/${repo}`.toLowerCase();
+            if (!batchIndex.has(key)) return null;
+            return (await loadBatch(batchIndex.get(key))).get(key) ?? null;
+        },
+    };
+}
+
+/**
+ * Determine whether an account is a user or an organization
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} account - GitHub login
+ * @returns {Promise<'user'|'org'|null>} Account type, or null if not found
+ */
+export async function getAccountType(octokit, account) {
+    try {
+        const { data } = await octokit.rest.users.getByUsername({ username: account });
+        return data.type === 'Organization' ? 'org' : 'user';
+    } catch (error) {
+        if (error.status === 404) {
+            log.warning(`Account not found: ${account}`);
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Login of the token owner, or null without a token (or with one that cannot read the user)
+ * @param {Octokit} octokit - GitHub client instance
+ * @returns {Promise<string|null>}
+ */
+async function getAuthenticatedLogin(octokit) {
+    try {
+        const { data } = await octokit.rest.users.getAuthenticated();
+        return data.login;
+    } catch (error) {
+        if (error.status === 401 || error.status === 403) return null;
+        throw error;
+    }
+}
+
+/**
+ * Choose the list endpoint for an account; only the token owner's own listing includes private user repos
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} account - GitHub login
+ * @param {'user'|'org'} accountType - Account type from getAccountType()
+ * @param {string} visibility - Visibility filter
+ * @returns {Promise<[Function, Object]>} List method and its parameters
+ */
+async function resolveListMethod(octokit, account, accountType, visibility) {
+    if (accountType === 'org') {
+        return [octokit.rest.repos.listForOrg, { org: account, type: 'all' }];
+    }
+
+    const login = await getAuthenticatedLogin(octokit);
+    if (login && login.toLowerCase() === account.toLowerCase()) {
+        // Internal repos belong to organizations, so list everything and let the filter decide
+        return [octokit.rest.repos.listForAuthenticatedUser, {
+            affiliation: 'owner',
+            visibility: visibility === 'public' || visibility === 'private' ? visibility : 'all',
+        }];
+    }
+
+    if (visibility !== 'public') {
+        log.warning(`🔒 ${account} is not the token owner: only public repositories of other users can be listed`);
+    }
+    return [octokit.rest.repos.listForUser, { username: account, type: 'owner' }];
+}
+
+/**
+ * Check a listed repository against the scan filters
+ * @param {Object} repo - Repository object from a list endpoint
+ * @param {Object} filters - See getAccountRepos
+ * @returns {boolean}
+ */
+function matchesRepoFilters(repo, filters) {
+    const {
+        includeArchived = true,
+        includeForks = true,
+        visibility = 'all',
+        language = null,
+        topic = null,
+        namePattern = null,
+    } = filters;
+
+    if (!includeArchived && repo.archived) return false;
+    if (!includeForks && repo.fork) return false;
+    if (visibility !== 'all' && (repo.visibility ?? (repo.private ? 'private' : 'public')) !== visibility) return false;
+    if (language && repo.language?.toLowerCase() !== language.toLowerCase()) return false;
+    if (topic && !(repo.topics ?? []).some((t) => t.toLowerCase() === topic.toLowerCase())) return false;
+    if (namePattern && !globToRegExp(namePattern, { caseInsensitive: true }).test(repo.name)) return false;
+    return true;
+}
+
+/**
+ * Get repositories of a user or organization, following every page
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} account - GitHub login
+ * @param {Object} options - Listing options
+ * @param {'user'|'org'} options.accountType - Account type from getAccountType()
+ * @param {number} options.maxRepos - Maximum number of repos to return after filtering (0 for all)
+ * @param {Object} options.filters - { includeArchived, includeForks, visibility ('all'|'public'|'private'|'internal'),
+ *   language, topic, namePattern (glob on the repo name) }
+ * @returns {Promise<Array<{owner: string, repo: string, url: string}>>}
  */
-export async function hasTestDirectory(octokit, owner, repo) {
-    const testDirs = ['test', 'tests', '__tests__', 'spec', 'specs'];
+export async function getAccountRepos(octokit, account, { accountType = 'user', maxRepos = 10, filters = {} } = {}) {
+    const [method, params] = await resolveListMethod(octokit, account, accountType, filters.visibility ?? 'all');
+
+    const repos = [];
+
+    try {
+        const pages = octokit.paginate.iterator(method, {
+            ...params,
+            sort: 'updated',
+            direction: 'desc',
+            per_page: 100,
+        });
 
-    for (const dir of testDirs) {
-        if (await directoryExists(octokit, owner, repo, dir)) {
-            return true;
+        for await (const { data } of pages) {
+            for (const repo of data) {
+                if (!matchesRepoFilters(repo, filters)) continue;
+
+                repos.push({
+                    owner: repo.owner.login,
+                    repo: repo.name,
+                    url: repo.html_url,
+                });
+
+                if (maxRepos > 0 && repos.length >= maxRepos) {
+                    return repos;
+                }
+            }
+        }
+    } catch (error) {
+        if (error.status === 404) {
+            log.warning(`${accountType === 'org' ? 'Organization' : 'User'} not found: ${account}`);
+            return [];
         }
+        throw error;
     }
-    return false;
+
+    return repos;
 }
@@ -0,0 +1,166 @@
+/**
+ * Score History
+ * Persists per-repository score snapshots across runs so each record can report
+ * how the repository changed since it was last analyzed
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { Actor } from 'apify';
+import { PILLAR_KEYS, WEIGHTS_VERSION } from './scoring-profiles.js';
+
+// Keep roughly two years of weekly audits per repository
+const MAX_SNAPSHOTS_PER_REPO = 104;
+
+// Grades from worst to best, used to detect regressions
+const GRADE_RANK = ['F', 'D', 'C', 'B', 'A', 'A+'];
+
+/**
+ * Key-value store keys only allow a limited character set
+ */
+function toStoreKey(repoName) {
+    return `history_${repoName.toLowerCase().replace(/[^a-z0-9-_.]/g, '_')}`;
+}
+
+/**
+ * Open the history backend
+ * @param {Object} options - History options
+ * @param {string|null} options.filePath - Local JSON file; when set, used instead of a key-value store
+ * @param {string} options.storeName - Named key-value store (persists across Actor runs)
+ * @returns {Promise<{getLatest: Function, append: Function}>}
+ */
+export async function openHistory({ filePath = null, storeName = 'github-health-history' } = {}) {
+    if (filePath) {
+        let data = {};
+        try {
+            data = JSON.parse(await readFile(filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read history file ${filePath}: ${error.message}`);
+            }
+        }
+
+        // Serialize writes so concurrent appends never interleave
+        let writeQueue = Promise.resolve();
+
+        return {
+            getLatest: async (repoName) => data[repoName.toLowerCase()]?.at(-1) ?? null,
+            append: (repoName, snapshot) => {
+                const key = repoName.toLowerCase();
+                data[key] = [...(data[key] ?? []), snapshot].slice(-MAX_SNAPSHOTS_PER_REPO);
+                writeQueue = writeQueue.then(() => writeFile(filePath, JSON.stringify(data, null, 2)));
+                return writeQueue;
+            },
+        };
+    }
+
+    const store = await Actor.openKeyValueStore(storeName);
+
+    return {
+        getLatest: async (repoName) => {
+            const snapshots = await store.getValue(toStoreKey(repoName));
+            return snapshots?.at(-1) ?? null;
+        },
+        append: async (repoName, snapshot) => {
+            const key = toStoreKey(repoName);
+            const snapshots = (await store.getValue(key)) ?? [];
+            await store.setValue(key, [...snapshots, snapshot].slice(-MAX_SNAPSHOTS_PER_REPO));
+        },
+    };
+}
+
+/**
+ * Build the snapshot stored for an analysis result
+ * @param {Object} result - Output record from processRepository
+ * @returns {Object} Snapshot
+ */
+export function createSnapshot(result) {
+    return {
+        analyzed_at: result.analyzed_at,
+        scoring_profile: result.scoring_profile,
+        weights_version: WEIGHTS_VERSION,
+        pillar_weights: result.pillar_weights,
+        health_score: result.health_score,
+        health_grade: result.health_grade,
+        pillars: Object.fromEntries(PILLAR_KEYS.map((key) => [key, result[`${key}_score`]])),
+        data_quality: result.data_quality
+            ? { complete: result.data_quality.complete, coverage: result.data_quality.coverage }
+            : null,
+    };
+}
+
+/**
+ * Whether a snapshot was scored with other weights than the result
+ * Snapshots without a weights version predate version 2 of the presets.
+ */
+function isScoredDifferently(result, previous) {
+    if ((previous.weights_version ?? 1) !== WEIGHTS_VERSION) return true;
+    if ((previous.scoring_profile ?? 'default') !== (result.scoring_profile ?? 'default')) return true;
+    if (!previous.pillar_weights || !result.pillar_weights) return false;
+    return PILLAR_KEYS.some((key) => previous.pillar_weights[key] !== result.pillar_weights[key]);
+}
+
+/**
+ * Whether either run had checks that errored and were scored as unknown
+ * Snapshots without data quality predate its recording and are treated as complete.
+ */
+function isIncomplete(result, previous) {
+    return result.data_quality?.complete === false || previous.data_quality?.complete === false;
+}
+
+/**
+ * Compare a result with the previous snapshot of the same repository
+ * Scores from another profile or other weights, or from runs with incomplete checks, are
+ * not comparable: the previous run is still reported, but with profile_changed or
+ * data_incomplete set and no deltas.
+ * @param {Object} result - Output record from processRepository
+ * @param {Object|null} previous - Latest stored snapshot, or null on first analysis
+ * @returns {Object} Trend fields merged into the output record
+ */
+export function compareWithPrevious(result, previous) {
+    if (!previous) {
+        return {
+            previous_score: null,
+            previous_grade: null,
+            previous_analyzed_at: null,
+            profile_changed: false,
+            data_incomplete: false,
+            score_delta: null,
+            pillar_deltas: null,
+            grade_regression: false,
+        };
+    }
+
+    const profileChanged = isScoredDifferently(result, previous);
+    const dataIncomplete = isIncomplete(result, previous);
+
+    if (profileChanged || dataIncomplete) {
+        return {
+            previous_score: previous.health_score,
+            previous_grade: previous.health_grade,
+            previous_analyzed_at: previous.analyzed_at,
+            profile_changed: profileChanged,
+            data_incomplete: dataIncomplete,
+            score_delta: null,
+            pillar_deltas: null,
+            grade_regression: false,
+        };
+    }
+
+    const pillarDeltas = {};
+    for (const key of PILLAR_KEYS) {
+        const before = previous.pillars?.[key];
+        const after = result[`${key}_score`];
+        pillarDeltas[key] = typeof before === 'number' && typeof after === 'number' ? after - before : null;
+    }
+
+    return {
+        previous_score: previous.health_score,
+        previous_grade: previous.health_grade,
+        previous_analyzed_at: previous.analyzed_at,
+        profile_changed: false,
+        data_incomplete: false,
+        score_delta: result.health_score - previous.health_score,
+        pillar_deltas: pillarDeltas,
+        grade_regression: GRADE_RANK.indexOf(result.health_grade) < GRADE_RANK.indexOf(previous.health_grade),
+    };
+}
@@ -0,0 +1,344 @@
+/**
+ * License Policy
+ * Parses SPDX license expressions ("MIT OR Apache-2.0", "GPL-2.0-only WITH Classpath-exception-2.0"),
+ * recognizes license texts the GitHub API left unclassified, and judges licenses either by
+ * built-in risk scores or by an organization's policy of allowed, review-required and
+ * forbidden licenses.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { globToRegExp } from './utils.js';
+
+/**
+ * License risk scoring
+ * MIT/Apache = Low risk (full score)
+ * BSD/ISC = Low risk (full score)
+ * GPL/LGPL = Medium risk (partial score)
+ * No license = High risk (low score)
+ */
+const LICENSE_SCORES = {
+    // Permissive licenses (Low Risk)
+    'mit': 100,
+    'apache-2.0': 100,
+    'bsd-2-clause': 100,
+    'bsd-3-clause': 100,
+    'isc': 100,
+    'unlicense': 90,
+    'cc0-1.0': 90,
+    'wtfpl': 85,
+
+    // Weak copyleft (Medium Risk)
+    'lgpl-2.1': 70,
+    'lgpl-3.0': 70,
+    'mpl-2.0': 75,
+
+    // Strong copyleft (Higher Risk for commercial use)
+    'gpl-2.0': 50,
+    'gpl-3.0': 50,
+    'agpl-3.0': 40,
+
+    // No license (High Risk)
+    'other': 30,
+    'none': 20,
+};
+
+/**
+ * License fingerprints, checked in order (most specific first)
+ */
+const LICENSE_PATTERNS = [
+    { spdx: 'AGPL-3.0', name: 'GNU Affero General Public License v3.0', pattern: /GNU AFFERO GENERAL PUBLIC LICENSE/i },
+    { spdx: 'LGPL-3.0', name: 'GNU Lesser General Public License v3.0', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { spdx: 'LGPL-2.1', name: 'GNU Lesser General Public License v2.1', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i },
+    { spdx: 'GPL-3.0', name: 'GNU General Public License v3.0', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { spdx: 'GPL-2.0', name: 'GNU General Public License v2.0', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i },
+    { spdx: 'MPL-2.0', name: 'Mozilla Public License 2.0', pattern: /Mozilla Public License,? (Version|v\.?) ?2\.0/i },
+    { spdx: 'EPL-2.0', name: 'Eclipse Public License 2.0', pattern: /Eclipse Public License - v 2\.0/i },
+    { spdx: 'Apache-2.0', name: 'Apache License 2.0', pattern: /Apache License,?\s+Version 2\.0/i },
+    { spdx: 'BSL-1.0', name: 'Boost Software License 1.0', pattern: /Boost Software License - Version 1\.0/i },
+    { spdx: 'BSD-3-Clause', name: 'BSD 3-Clause "New" or "Revised" License', pattern: /Neither the name of .* nor the names of/is },
+    { spdx: 'BSD-2-Clause', name: 'BSD 2-Clause "Simplified" License', pattern: /Redistributions in binary form must reproduce/i },
+    { spdx: 'ISC', name: 'ISC License', pattern: /Permission to use, copy, modify, and\/or distribute this software for any purpose/i },
+    { spdx: 'MIT', name: 'MIT License', pattern: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+    { spdx: 'Unlicense', name: 'The Unlicense', pattern: /This is free and unencumbered software released into the public domain/i },
+    { spdx: 'CC0-1.0', name: 'Creative Commons Zero v1.0 Universal', pattern: /CC0 1\.0 Universal/i },
+    { spdx: 'WTFPL', name: 'Do What The F*ck You Want To Public License', pattern: /DO WHAT THE FUCK YOU WANT TO PUBLIC LICENSE/i },
+];
+
+// License files at the repository root ("LICENSE", "LICENSE-MIT", "COPYING.txt", ...)
+const LICENSE_FILE_GLOBS = ['LICENSE*', 'LICENCE*', 'COPYING*', 'License*', 'Licence*', 'license*', 'licence*', 'Copying*', 'copying*'];
+
+// Policy statuses, best first
+const POLICY_STATUSES = ['allowed', 'review', 'forbidden'];
+
+// Score and risk label of each policy status
+const POLICY_RISKS = {
+    allowed: { score: 100, risk: '🟢 Low (Allowed by policy)' },
+    review: { score: 60, risk: '🟡 Medium (Review required by policy)' },
+    forbidden: { score: 0, risk: '🔴 High (Forbidden by policy)' },
+};
+
+/**
+ * Identify a license from the text of a LICENSE file
+ * @param {string} text - License file content
+ * @returns {{spdx_id: string, name: string}} GitHub-style license object ('NOASSERTION' if unrecognized)
+ */
+export function detectLicenseFromText(text) {
+    const match = LICENSE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match
+        ? { spdx_id: match.spdx, name: match.name }
+        : { spdx_id: 'NOASSERTION', name: 'Other' };
+}
+
+/**
+ * Split an expression into license ids, operators and parentheses
+ */
+function tokenizeSpdx(expression) {
+    const tokens = expression.match(/\(|\)|[^\s()]+/g) ?? [];
+    return tokens.map((token) => {
+        const keyword = token.toUpperCase();
+        return ['AND', 'OR', 'WITH'].includes(keyword) ? { operator: keyword } : { value: token };
+    });
+}
+
+/**
+ * Parse an SPDX license expression
+ * OR binds loosest, then AND, then WITH; "+" means "or any later version".
+ * @param {string} expression - e.g. "(MIT OR Apache-2.0) AND BSD-3-Clause"
+ * @returns {Object} { license, plus, exception } leaves joined by { conjunction: 'and'|'or', left, right }
+ * @throws {Error} When the expression is malformed
+ */
+export function parseSpdxExpression(expression) {
+    const tokens = tokenizeSpdx(String(expression ?? ''));
+    let position = 0;
+
+    const fail = (message) => {
+        throw new Error(`Invalid SPDX expression "${expression}": ${message}`);
+    };
+
+    const parseLeaf = () => {
+        const token = tokens[position++];
+        if (!token) fail('unexpected end');
+        if (token.value === '(') {
+            const node = parseOr();
+            if (tokens[position++]?.value !== ')') fail('missing ")"');
+            return node;
+        }
+        if (!token.value || token.value === ')') fail(`unexpected "${token.operator ?? token.value}"`);
+
+        const plus = token.value.endsWith('+');
+        const leaf = { license: plus ? token.value.slice(0, -1) : token.value, plus, exception: null };
+        if (tokens[position]?.operator === 'WITH') {
+            const exception = tokens[position + 1];
+            if (!exception?.value || exception.value === '(' || exception.value === ')') fail('WITH needs an exception id');
+            leaf.exception = exception.value;
+            position += 2;
+        }
+        return leaf;
+    };
+
+    const parseBinary = (operator, parseOperand) => () => {
+        let node = parseOperand();
+        while (tokens[position]?.operator === operator) {
+            position += 1;
+            node = { conjunction: operator.toLowerCase(), left: node, right: parseOperand() };
+        }
+        return node;
+    };
+
+    const parseAnd = parseBinary('AND', parseLeaf);
+    const parseOr = parseBinary('OR', parseAnd);
+
+    const node = parseOr();
+    if (position < tokens.length) fail(`unexpected "${tokens[position].operator ?? tokens[position].value}"`);
+    return node;
+}
+
+/**
+ * Fold an expression tree: leaves are judged by judgeLicense, OR keeps the best
+ * alternative and AND the worst of the licenses that all apply
+ */
+function foldExpression(node, judgeLicense, better) {
+    if (!node.conjunction) return judgeLicense(node);
+    const left = foldExpression(node.left, judgeLicense, better);
+    const right = foldExpression(node.right, judgeLicense, better);
+    const leftBetter = better(left, right);
+    return node.conjunction === 'or' ? (leftBetter ? left : right) : (leftBetter ? right : left);
+}
+
+/**
+ * Comparable id: case-insensitive, "-only", "-or-later" and "+" folded onto the base version
+ */
+function normalizeLicenseId(id) {
+    return id.toLowerCase().replace(/\+$/, '').replace(/-(only|or-later)$/, '');
+}
+
+/**
+ * Parse an expression, or null when it is missing or not an SPDX expression
+ */
+function tryParse(expression) {
+    if (!expression || expression === 'NOASSERTION') return null;
+    try {
+        return parseSpdxExpression(expression);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Load and validate a license policy file
+ * @param {string} policyPath - Path to a JSON file:
+ *   { allowed: [...], review: [...], forbidden: [...], unlisted?: status, unknown?: status, unlicensed?: status }
+ *   Entries are SPDX ids, globs ("GPL-*") or "id WITH exception" terms.
+ * @returns {Promise<Object>} Normalized policy
+ */
+export async function loadLicensePolicy(policyPath) {
+    const raw = JSON.parse(await readFile(resolve(policyPath), 'utf-8'));
+
+    for (const status of POLICY_STATUSES) {
+        if (raw[status] !== undefined && !(Array.isArray(raw[status]) && raw[status].every((entry) => typeof entry === 'string'))) {
+            throw new Error(`License policy ${policyPath}: "${status}" must be an array of SPDX ids`);
+        }
+    }
+    const fallbacks = { unlisted: 'review', unknown: 'review', unlicensed: 'forbidden' };
+    for (const [key, fallback] of Object.entries(fallbacks)) {
+        raw[key] ??= fallback;
+        if (!POLICY_STATUSES.includes(raw[key])) {
+            throw new Error(`License policy ${policyPath}: "${key}" must be one of ${POLICY_STATUSES.join(', ')}`);
+        }
+    }
+
+    // Exact ids win over globs; among globs the strictest list wins (globs match ids, not exception terms)
+    const exact = new Map();
+    const globs = [];
+    for (const status of [...POLICY_STATUSES].reverse()) {
+        for (const entry of raw[status] ?? []) {
+            const [id, exception] = entry.split(/\s+WITH\s+/i);
+            const key = exception ? `${normalizeLicenseId(id)} with ${exception.toLowerCase()}` : normalizeLicenseId(id);
+            if (entry.includes('*')) globs.push({ pattern: globToRegExp(key, { caseInsensitive: true }), status });
+            else if (!exact.has(key)) exact.set(key, status);
+        }
+    }
+
+    return { exact, globs, unlisted: raw.unlisted, unknown: raw.unknown, unlicensed: raw.unlicensed };
+}
+
+/**
+ * Policy status of one license id (with its exception, if any)
+ */
+function getLicenseStatus(leaf, policy) {
+    const id = normalizeLicenseId(leaf.license);
+    // A listed "id WITH exception" term wins; otherwise the exception does not change the verdict
+    const withException = leaf.exception && `${id} with ${leaf.exception.toLowerCase()}`;
+    if (withException && policy.exact.has(withException)) return policy.exact.get(withException);
+    if (policy.exact.has(id)) return policy.exact.get(id);
+    return policy.globs.find(({ pattern }) => pattern.test(id))?.status ?? policy.unlisted;
+}
+
+/**
+ * Judge a license expression against a policy
+ * @param {string|null} expression - SPDX expression; null for no license, 'NOASSERTION' for an unrecognized one
+ * @param {Object} policy - Policy from loadLicensePolicy()
+ * @returns {'allowed'|'review'|'forbidden'}
+ */
+export function evaluateLicensePolicy(expression, policy) {
+    if (!expression) return policy.unlicensed;
+    const tree = tryParse(expression);
+    if (!tree) return policy.unknown;
+    return foldExpression(
+        tree,
+        (leaf) => getLicenseStatus(leaf, policy),
+        (a, b) => POLICY_STATUSES.indexOf(a) <= POLICY_STATUSES.indexOf(b)
+    );
+}
+
+/**
+ * Get license risk category
+ * @param {string|null} expression - SPDX expression of the repository license
+ * @param {Object|null} policy - Policy from loadLicensePolicy(); built-in scores when null
+ * @returns {{score: number, risk: string, status: string|null}} status is the policy verdict (null without a policy)
+ */
+export function getLicenseRisk(expression, policy = null) {
+    if (policy) {
+        const status = evaluateLicensePolicy(expression, policy);
+        return { ...POLICY_RISKS[status], status };
+    }
+
+    if (!expression) {
+        return { score: 20, risk: '🔴 High (No License)', status: null };
+    }
+
+    // Dual licensing lets users pick the better option; combined licenses all apply
+    const tree = tryParse(expression);
+    const score = tree
+        ? foldExpression(tree, (leaf) => LICENSE_SCORES[normalizeLicenseId(leaf.license)] ?? 50, (a, b) => a >= b)
+        : LICENSE_SCORES[expression.toLowerCase()] ?? 50;
+
+    if (score >= 85) {
+        return { score, risk: '🟢 Low (Permissive)', status: null };
+    } else if (score >= 60) {
+        return { score, risk: '🟡 Medium (Copyleft)', status: null };
+    } else {
+        return { score, risk: '🔴 High (Restrictive)', status: null };
+    }
+}
+
+/**
+ * License declared by a manifest at the repository root (package.json, Cargo.toml, pyproject.toml)
+ */
+async function getDeclaredLicense(source) {
+    const packageJson = await source.getFileContent('package.json');
+    if (packageJson.exists) {
+        try {
+            const { license } = JSON.parse(packageJson.content);
+            if (typeof license === 'string' && tryParse(license)) return license;
+        } catch {
+            // Not valid JSON; other manifests may still declare a license
+        }
+    }
+
+    for (const path of ['Cargo.toml', 'pyproject.toml']) {
+        const file = await source.getFileContent(path);
+        // Both keep it as a plain string under [package] / [project]
+        const license = file.exists && file.content.match(/^\s*license\s*=\s*"([^"]+)"/m)?.[1];
+        if (license && tryParse(license)) return license;
+    }
+    return null;
+}
+
+/**
+ * Work out the repository's license expression
+ * The API classification is used as is, unless it reports NOASSERTION (an unrecognized or
+ * multi-license setup): then a license declared in a root manifest wins, and otherwise every
+ * license file at the root is recognized by its text. Several files are read as all applying (AND).
+ * @param {Object} source - Repository source (see repo-source.js)
+ * @param {Object} repoData - Repository metadata
+ * @returns {Promise<{expression: string|null, name: string, detectedFrom: string|null}>}
+ *   expression is null without a license and 'NOASSERTION' when it stays unrecognized
+ */
+export async function resolveRepositoryLicense(source, repoData) {
+    const license = repoData.license;
+    if (!license?.spdx_id) return { expression: null, name: 'No License', detectedFrom: null };
+    if (license.spdx_id !== 'NOASSERTION') return { expression: license.spdx_id, name: license.name, detectedFrom: 'api' };
+
+    const unresolved = { expression: 'NOASSERTION', name: license.name || 'Other', detectedFrom: null };
+
+    const declared = await getDeclaredLicense(source);
+    if (declared) return { expression: declared, name: declared, detectedFrom: 'manifest' };
+
+    const paths = await source.findFiles(LICENSE_FILE_GLOBS);
+    if (!paths?.length) return unresolved;
+
+    const detected = [];
+    for (const path of paths) {
+        const file = await source.getFileContent(path);
+        if (!file.exists) continue;
+        const { spdx_id: spdxId } = detectLicenseFromText(file.content);
+        if (spdxId === 'NOASSERTION') return unresolved;
+        if (!detected.includes(spdxId)) detected.push(spdxId);
+    }
+    if (detected.length === 0) return unresolved;
+
+    const expression = detected.join(' AND ');
+    return { expression, name: expression, detectedFrom: 'license-file' };
+}
@@ -0,0 +1,302 @@
+/**
+ * Documentation Link Checker
+ * Reads the repository's Markdown files (READMEs, docs/ and the rest) and reports links
+ * that lead nowhere: relative links and images to paths missing from the file listing,
+ * "#anchor" links that match no heading, links to this repository on another branch and
+ * malformed external URLs. External URLs are only syntax-checked, never fetched.
+ */
+
+import { log } from 'crawlee';
+import { anyPresent } from './repo-source.js';
+
+// Markdown files read per repository, READMEs and docs/ first
+const MAX_DOCUMENTS = 25;
+
+// Broken links listed per file in the output
+const MAX_LISTED = 20;
+
+const DOCUMENT_GLOBS = ['**/*.md', '**/*.markdown'];
+
+const IGNORED_PATH = /(^|\/)(node_modules|vendor|third_party|\.git)\//;
+
+// Schemes whose URLs are syntax-checked; others (tel:, data:, ...) are left alone
+const CHECKED_SCHEMES = ['http', 'https', 'ftp', 'mailto'];
+
+// Refs that never move: commit SHAs and version tags
+const FIXED_REF = /^([0-9a-f]{7,40}|v?\d+(\.\d+)+([-+.][\w.-]*)?)$/i;
+
+/**
+ * Order documents for reading: READMEs, then docs/, then the rest, shallowest first
+ */
+function documentRank(path) {
+    if (/^readme\./i.test(path.split('/').pop())) return 0;
+    return path.startsWith('docs/') ? 1 : 2;
+}
+
+function decode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * GitHub's anchor for a heading: lowercase, punctuation dropped, spaces to hyphens
+ */
+function slugify(text) {
+    return text
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>|&\w+;/g, '')
+        .replace(/[`*]/g, '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+        .replace(/ /g, '-');
+}
+
+/**
+ * Link targets of a line outside code: inline links and images, reference
+ * definitions and href/src attributes of HTML tags
+ */
+function findLinks(line) {
+    const text = line.replace(/(`+)[\s\S]*?\1/g, '');
+
+    const definition = text.match(/^\s{0,3}\[[^\]]+\]:\s*<?([^\s>]+)>?/);
+    if (definition) return [{ target: definition[1], image: false }];
+
+    const links = [];
+    // Images first, so a badge wrapped in a link leaves "[IMG](link)" behind
+    const withoutImages = text.replace(/!\[[^\]]*\]\(\s*(<[^>]*>|[^\s)]+)[^)]*\)/g, (match, target) => {
+        links.push({ target: target.replace(/^<|>$/g, ''), image: true });
+        return 'IMG';
+    });
+    for (const [, target] of withoutImages.matchAll(/\[[^\]]*\]\(\s*(<[^>]*>|[^\s)]+)[^)]*\)/g)) {
+        links.push({ target: target.replace(/^<|>$/g, ''), image: false });
+    }
+    for (const [tag, name] of text.matchAll(/<(a|img|source)\b[^>]*>/gi)) {
+        const target = tag.match(/\b(?:href|src)\s*=\s*(["'])(.*?)\1/i)?.[2];
+        if (target) links.push({ target, image: name.toLowerCase() !== 'a' });
+    }
+    return links;
+}
+
+/**
+ * Headings (as GitHub anchors), explicit HTML anchors and links of a Markdown document
+ * @param {string} content - Markdown text
+ * @returns {{anchors: Set<string>, links: Array<{line: number, target: string, image: boolean}>}}
+ */
+export function scanMarkdown(content) {
+    const lines = content.replace(/^﻿/, '').split(/\r?\n/);
+    const anchors = new Set();
+    const slugCounts = new Map();
+    const links = [];
+
+    const addHeading = (text) => {
+        const slug = slugify(text);
+        const count = slugCounts.get(slug) ?? 0;
+        slugCounts.set(slug, count + 1);
+        anchors.add(count === 0 ? slug : `${slug}-${count}`);
+    };
+
+    let fence = null;
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (fence) {
+            if (fence.test(line)) fence = null;
+            continue;
+        }
+        const opening = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+        if (opening) {
+            fence = new RegExp(`^\\s{0,3}${opening[1][0]}{${opening[1].length},}\\s*$`);
+            continue;
+        }
+
+        const atx = line.match(/^\s{0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/);
+        const html = line.match(/<h[1-6]\b[^>]*>(.*?)<\/h[1-6]>/i);
+        if (atx || html) {
+            addHeading((atx ?? html)[1]);
+        } else if (line.trim() && !/^\s*([-*+]|\d+[.)])\s/.test(line) && !/^\s*[|<]/.test(line) && /^\s{0,3}(=+|-{2,})\s*$/.test(lines[i + 1] ?? '')) {
+            addHeading(line);
+        }
+        for (const [, , anchor] of line.matchAll(/<[a-z][^>]*\b(?:id|name)\s*=\s*(["'])(.*?)\1/gi)) {
+            anchors.add(anchor.toLowerCase());
+        }
+
+        for (const link of findLinks(line)) {
+            links.push({ line: i + 1, ...link });
+        }
+    }
+
+    return { anchors, links };
+}
+
+/**
+ * Syntax check for an external URL: a scheme, a well-formed host and no spaces
+ */
+function isWellFormedUrl(url) {
+    if (/\s/.test(url)) return false;
+    if (/^mailto:/i.test(url)) return /^mailto:[^@/]+@[^@.]+(\.[^@.]+)+$/i.test(url.split('?')[0]);
+    if (!/^([a-z]+:)?\/\/[^/?#]/i.test(url)) return false;
+
+    let parsed;
+    try {
+        parsed = new URL(url.startsWith('//') ? `https:${url}` : url);
+    } catch {
+        return false;
+    }
+    const host = parsed.hostname;
+    if (host === 'localhost' || host.startsWith('[')) return true;
+    const labels = host.split('.');
+    return labels.length > 1 && labels.every((label) => /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i.test(label));
+}
+
+/**
+ * Resolve a link path against the linking document; null when it leaves the repository
+ */
+function resolvePath(path, documentPath) {
+    const parts = path.startsWith('/') ? [] : documentPath.split('/').slice(0, -1);
+    for (const part of path.split('/')) {
+        if (part === '..') {
+            if (parts.length === 0) return null;
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    }
+    return parts.join('/');
+}
+
+/**
+ * Check the links of one document; returns how many were checked and the broken ones
+ * as { line, target, reason }. Links whose target cannot be determined are not reported.
+ */
+async function checkLinks(documentPath, scanned, documents, context) {
+    const broken = [];
+    let checked = 0;
+
+    // A path (with an optional #fragment) inside the repository, on the default branch
+    const checkPath = async (path, fragment) => {
+        if (path === null) return null;
+        const exists = path === '' || await context.pathExists(path);
+        if (exists === null) return null;
+        if (!exists) return 'file not found';
+        const target = documents.get(path);
+        if (fragment && target && !target.anchors.has(decode(fragment).replace(/^user-content-/, '').toLowerCase())) {
+            return 'anchor not found';
+        }
+        return null;
+    };
+
+    for (const { line, target } of scanned.links) {
+        // Template placeholders ({{ site.baseurl }}) are filled in by a site generator
+        if (/\{[{%]/.test(target)) continue;
+
+        let reason = null;
+        const scheme = target.match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+
+        if (target.startsWith('#')) {
+            const anchor = decode(target.slice(1)).replace(/^user-content-/, '').toLowerCase();
+            if (anchor && !scanned.anchors.has(anchor)) reason = 'anchor not found';
+        } else if (scheme || target.startsWith('//')) {
+            if (scheme && !CHECKED_SCHEMES.includes(scheme)) continue;
+            if (!isWellFormedUrl(target)) {
+                reason = 'malformed URL';
+            } else {
+                reason = await checkRepositoryUrl(target, context, checkPath);
+            }
+        } else {
+            const [path, fragment] = target.split('#');
+            reason = await checkPath(resolvePath(decode(path.split('?')[0]), documentPath), fragment);
+        }
+
+        checked++;
+        if (reason) broken.push({ line, target, reason });
+    }
+
+    return { checked, broken };
+}
+
+/**
+ * Links into this repository: checked like relative links on the default branch,
+ * flagged on any other branch (commit and tag permalinks are fine)
+ */
+async function checkRepositoryUrl(url, { owner, repo, defaultBranch }, checkPath) {
+    const { hostname, pathname, hash } = new URL(url.startsWith('//') ? `https:${url}` : url);
+    const segments = pathname.split('/').filter(Boolean);
+
+    let rest;
+    if (hostname === 'github.com' && ['blob', 'tree', 'raw', 'edit'].includes(segments[2])) {
+        rest = segments.slice(3);
+    } else if (hostname === 'raw.githubusercontent.com') {
+        rest = segments.slice(2);
+    } else {
+        return null;
+    }
+    if (segments[0]?.toLowerCase() !== owner.toLowerCase() || segments[1]?.toLowerCase() !== repo.toLowerCase()) return null;
+    if (rest.length === 0) return null;
+
+    const ref = rest.join('/');
+    if (defaultBranch && (ref === defaultBranch || ref.startsWith(`${defaultBranch}/`))) {
+        return checkPath(resolvePath(decode(ref.slice(defaultBranch.length + 1)), ''), hash.slice(1));
+    }
+    if (rest[0] === 'HEAD') return checkPath(resolvePath(decode(rest.slice(1).join('/')), ''), hash.slice(1));
+    if (FIXED_REF.test(rest[0]) || !defaultBranch) return null;
+    return `links to branch ${rest[0]}`;
+}
+
+/**
+ * Check the links of a repository's Markdown documentation
+ * @param {Object} source - Repository source (see repo-source.js)
+ * @param {Object} repoData - Repository metadata (default_branch)
+ * @returns {Promise<Object>} { documentsChecked, linksChecked, brokenLinkCount, brokenLinks: [{ file, links }] };
+ *   counts are null when the repository could not be listed
+ */
+export async function checkDocumentationLinks(source, repoData) {
+    const found = await source.findFiles(DOCUMENT_GLOBS);
+    if (found === null) {
+        return { documentsChecked: null, linksChecked: null, brokenLinkCount: null, brokenLinks: [] };
+    }
+
+    const paths = found
+        .filter((path) => !IGNORED_PATH.test(path))
+        .sort((a, b) => documentRank(a) - documentRank(b) || a.split('/').length - b.split('/').length || a.localeCompare(b));
+    if (paths.length > MAX_DOCUMENTS) {
+        log.info(`🔗 ${source.owner}/${source.repo}: ${paths.length} Markdown files, checking links in the first ${MAX_DOCUMENTS}`);
+    }
+
+    // Scan every document first so links into another document can check its anchors
+    const documents = new Map();
+    for (const path of paths.slice(0, MAX_DOCUMENTS)) {
+        const file = await source.getFileContent(path);
+        if (file.exists) documents.set(path, scanMarkdown(file.content));
+    }
+
+    // Existence answers are cached: many links point at the same few files
+    const existence = new Map();
+    const context = {
+        owner: source.owner,
+        repo: source.repo,
+        defaultBranch: repoData.default_branch ?? null,
+        pathExists: (path) => {
+            if (!existence.has(path)) {
+                existence.set(path, anyPresent([() => source.fileExists(path), () => source.directoryExists(path)]));
+            }
+            return existence.get(path);
+        },
+    };
+
+    const brokenLinks = [];
+    let linksChecked = 0;
+    let brokenLinkCount = 0;
+    for (const [path, scanned] of documents) {
+        const { checked, broken } = await checkLinks(path, scanned, documents, context);
+        linksChecked += checked;
+        brokenLinkCount += broken.length;
+        if (broken.length > 0) brokenLinks.push({ file: path, links: broken.slice(0, MAX_LISTED) });
+    }
+
+    return { documentsChecked: documents.size, linksChecked, brokenLinkCount, brokenLinks };
+}
@@ -0,0 +1,241 @@
+/**
+ * Local Repository Source
+ * Reads a working copy or bare git clone from disk, so repositories can be
+ * audited without the GitHub API (no rate limit, works for mirrors and air-gapped repos)
+ */
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { resolve, basename, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { log } from 'crawlee';
+import { parseGitHubUrl } from './utils.js';
+import { buildPathIndex, trackIncompleteChecks } from './repo-source.js';
+import { getCommitWindowStart } from './activity-metrics.js';
+import { detectLicenseFromText } from './license-policy.js';
+
+const execFileAsync = promisify(execFile);
+
+// Directories never worth indexing when walking a plain (non-git) directory
+const IGNORED_DIRS = new Set(['.git', 'node_modules']);
+
+const LICENSE_FILE_PATTERN = /^(LICENSE|LICENCE|COPYING)(\.[a-z]+)?$/i;
+const README_PATTERN = /^readme(\.[a-z]+)?$/i;
+
+/**
+ * Run a git command against the repository
+ */
+async function git(repoPath, args) {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, ...args], { maxBuffer: 64 * 1024 * 1024 });
+    return stdout.trim();
+}
+
+/**
+ * Recursively list files of a plain directory (used when git is unavailable)
+ */
+async function walkDirectory(root, prefix = '') {
+    const files = [];
+    const entries = await readdir(join(root, prefix), { withFileTypes: true });
+
+    for (const entry of entries) {
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRS.has(entry.name)) {
+                files.push(...await walkDirectory(root, relativePath));
+            }
+        } else if (entry.isFile()) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Create a source backed by a local working copy or bare git clone
+ * Files, tags and commit dates come from git (HEAD) when available, otherwise
+ * from the plain directory. Stars, forks, issues, pull requests, releases and wiki are API-only
+ * and reported as null.
+ * @param {string} repoPath - Path to the repository on disk
+ * @returns {Promise<Object>} Repository source
+ */
+export async function createLocalSource(repoPath) {
+    const absolutePath = resolve(repoPath);
+    const info = await stat(absolutePath).catch(() => null);
+    if (!info?.isDirectory()) {
+        throw new Error(`Local repository path not found: ${repoPath}`);
+    }
+
+    let isGit = false;
+    try {
+        await git(absolutePath, ['rev-parse', '--verify', 'HEAD']);
+        isGit = true;
+    } catch (error) {
+        log.warning(`${repoPath} is not a readable git repository (${error.message.split('\n')[0]}), reading plain files`);
+    }
+
+    const filePaths = isGit
+        ? (await git(absolutePath, ['ls-tree', '-r', '--name-only', '-z', 'HEAD'])).split('\0').filter(Boolean)
+        : await walkDirectory(absolutePath);
+    const index = buildPathIndex(filePaths);
+
+    const readText = (path) => (isGit
+        ? git(absolutePath, ['show', `HEAD:${path}`])
+        : readFile(join(absolutePath, path), 'utf-8'));
+
+    // Name the repository after its GitHub origin when there is one
+    let remoteUrl = null;
+    if (isGit) {
+        remoteUrl = await git(absolutePath, ['config', '--get', 'remote.origin.url']).catch(() => null);
+    }
+    const parsedRemote = parseGitHubUrl(remoteUrl?.replace(/^git@github\.com:/, 'github.com/'));
+    const owner = parsedRemote.type === 'repo' ? parsedRemote.owner : 'local';
+    const repo = parsedRemote.type === 'repo' ? parsedRemote.repo : basename(absolutePath).replace(/\.git$/, '');
+
+    let commitHistoryPromise = null;
+
+    return trackIncompleteChecks({
+        kind: 'local',
+        owner,
+        repo,
+        path: absolutePath,
+
+        async getRepoData() {
+            let pushedAt = null;
+            let createdAt = null;
+            let defaultBranch = null;
+            let description;
+            if (isGit) {
+                pushedAt = await git(absolutePath, ['log', '-1', '--format=%cI', 'HEAD']);
+                const rootCommit = (await git(absolutePath, ['rev-list', '--max-parents=0', 'HEAD'])).split('\n')[0];
+                createdAt = await git(absolutePath, ['log', '-1', '--format=%cI', rootCommit]);
+                defaultBranch = await git(absolutePath, ['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => null);
+
+                // git init writes a placeholder description; only a customized one counts,
+                // otherwise it stays undefined (unknown) rather than null (not set)
+                const gitDir = await git(absolutePath, ['rev-parse', '--absolute-git-dir']);
+                const text = await readFile(join(gitDir, 'description'), 'utf-8').catch(() => '');
+                if (text.trim() && !text.startsWith('Unnamed repository')) {
+                    description = text.trim();
+                }
+            }
+
+            const licensePath = filePaths.find((path) => LICENSE_FILE_PATTERN.test(path));
+            const license = licensePath ? detectLicenseFromText(await readText(licensePath)) : null;
+
+            return {
+                full_name: `${owner}/${repo}`,
+                html_url: remoteUrl?.startsWith('http') ? remoteUrl.replace(/\.git$/, '') : pathToFileURL(absolutePath).href,
+                description,
+                license,
+                pushed_at: pushedAt,
+                created_at: createdAt,
+                default_branch: defaultBranch,
+                language: null,
+                fork: null,
+                archived: null,
+                // API-only signals
+                stargazers_count: null,
+                forks_count: null,
+                subscribers_count: null,
+                open_issues_count: null,
+                has_wiki: null,
+            };
+        },
+
+        async getReadme() {
+            // Same lookup order as GitHub: root, then .github/, then docs/
+            const candidates = ['', '.github/', 'docs/'];
+            for (const dir of candidates) {
+                const path = filePaths.find((file) => file.startsWith(dir) && README_PATTERN.test(file.slice(dir.length)));
+                if (path) {
+                    const content = await readText(path);
+                    return { exists: true, path, content, length: content.length };
+                }
+            }
+            return { exists: false, path: null, content: '', length: 0 };
+        },
+
+        async getFileContent(path) {
+            if (!index.files.has(path)) return { exists: false, content: '', length: 0 };
+            const content = await readText(path);
+            return { exists: true, content, length: content.length };
+        },
+
+        fileExists: async (path) => index.files.has(path),
+
+        directoryExists: async (path) => index.directories.has(path),
+
+        findFiles: async (globs) => index.findFiles(globs),
+
+        async getWorkflows() {
+            const count = filePaths.filter((path) => /^\.github\/workflows\/[^/]+\.ya?ml$/.test(path)).length;
+            return { exists: count > 0, count };
+        },
+
+        // Releases are a GitHub feature; tags carry the versioning signal locally
+        getReleases: async () => ({ exists: null, count: null, latest: null, recent: null }),
+
+        async getTags() {
+            if (!isGit) return { exists: null, count: null };
+            const tags = (await git(absolutePath, ['tag', '--list'])).split('\n').filter(Boolean);
+            return { exists: tags.length > 0, count: tags.length };
+        },
+
+        getIssueStats: async () => ({ open: null, closed: null, ratio: null }),
+
+        getPullRequestStats: async () => ({ open: null, closed: null, merged: null }),
+
+        getIssueResponsiveness: async () => ({
+            sampled: null,
+            medianFirstResponseHours: null,
+            medianCloseHours: null,
+            unansweredAfter30DaysPercent: null,
+        }),
+
+        getPullRequestActivity: async () => ({
+            openSampled: null,
+            openAgeDistribution: null,
+            medianOpenAgeDays: null,
+            staleOpenPercent: null,
+            closedSampled: null,
+            externalMergeRatePercent: null,
+            medianTimeToMergeHours: null,
+            reviewCoveragePercent: null,
+            selfMergeRatePercent: null,
+        }),
+
+        // Branch protection and security settings live on GitHub
+        getRepositorySettings: async () => ({
+            branch: null,
+            branchProtection: {
+                protected: null,
+                rulesetCount: null,
+                requiredReviews: null,
+                requiredStatusChecks: null,
+                forcePushBlocked: null,
+                deletionBlocked: null,
+                adminEnforced: null,
+            },
+            secretScanning: null,
+            pushProtection: null,
+            privateVulnerabilityReporting: null,
+            wikiHasPages: null,
+        }),
+
+        // Authors are identified by email; there is no GitHub login locally
+        getCommitHistory: () => (commitHistoryPromise ??= (async () => {
+            if (!isGit) return null;
+            const output = await git(absolutePath, ['log', `--since=${getCommitWindowStart()}`, '--format=%cI%x09%aE%x09%aN', 'HEAD']);
+            const commits = output.split('\n').filter(Boolean).map((line) => {
+                const [date, email, name] = line.split('\t');
+                return {
+                    date,
+                    author: (email || name).toLowerCase(),
+                    isBot: /\[bot\]/.test(`${email} ${name}`),
+                };
+            });
+            return { commits, truncated: false };
+        })()),
+    });
+}
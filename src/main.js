@@ -3,40 +3,139 @@
  * Main entry point for the Apify Actor
  *
  * Analyzes GitHub repositories and generates health scores (0-100)
- * based on 5 pillars: Readability, Stability, Security, Community, Maintainability
+ * based on 8 pillars: Readability, Stability, Security, Community, Maintainability,
+ * Documentation, Automation, Dependencies
  */
 
 import { Actor, log } from 'apify';
-import { createGitHubClient, getRepoData, getUserRepos, checkRateLimit } from './github-client.js';
+import {
+    createGitHubClient,
+    createRateLimitBudget,
+    createRepositoryBatchLoader,
+    getAccountType,
+    getAccountRepos,
+    checkRateLimit,
+} from './github-client.js';
+import { createGitHubSource } from './repo-source.js';
+import { createLocalSource } from './local-source.js';
 import { calculateHealthScore } from './scorer.js';
-import { parseGitHubUrl, generateBadgeUrl, formatDate } from './utils.js';
+import { computeScorecard } from './scorecard.js';
+import { resolveScoringProfile } from './scoring-profiles.js';
+import { buildRuleSet, loadCustomRules } from './rules.js';
+import { openHistory, createSnapshot, compareWithPrevious } from './history.js';
+import { openOsvDatabase } from './osv-database.js';
+import { loadLicensePolicy } from './license-policy.js';
+import { loadSecretRules } from './secret-scanner.js';
+import { openResponseCache } from './response-cache.js';
+import { runPool } from './worker-pool.js';
+import { parseGitHubUrl, generateBadgeUrl, formatDate, formatCheck, formatHours, formatPercent } from './utils.js';
 import { generateHtmlReport, generateMarkdownSummary } from './report-generator.js';
 import { generateCombinedDashboard } from './dashboard-generator.js';
 
 // Demo repository for health checks (when no input provided)
 const DEMO_REPO_URL = 'https://github.com/apify/crawlee';
 
+// Rough number of API requests one repository analysis needs, reserved from the shared budget:
+// metadata, one tree request for existence checks, commit and issue pages, releases, the
+// settings audit and the manifest, lockfile, workflow and documentation reads
+const BASE_REQUESTS_PER_REPO = 25;
+
+// Without GraphQL, PR health needs two more requests per sampled merged pull request
+const REST_PULL_REQUEST_REQUESTS = 30;
+
+// Scorecard checks read a few Dockerfiles
+const SCORECARD_REQUESTS = 5;
+
+/**
+ * Requests to reserve per repository for the enabled features
+ * @param {Object} options - Analysis options (see processRepository)
+ * @param {boolean} batched - Whether metadata and pull requests come from batched GraphQL queries
+ * @returns {number}
+ */
+function estimateRequestsPerRepo(options, batched) {
+    return BASE_REQUESTS_PER_REPO +
+        (batched ? 0 : REST_PULL_REQUEST_REQUESTS) +
+        (options.scorecardChecks ? SCORECARD_REQUESTS : 0) +
+        // Each file the secret scan reads is one request
+        (options.secretScan ? options.secretScan.maxFiles : 0);
+}
+
+/**
+ * Vertical-table row for one pillar (N/A when none of its rules could be assessed)
+ */
+function formatPillarRow(label, pillar) {
+    const metric = `${label} (${pillar.weight})`;
+    if (pillar.score === null) {
+        return { metric, value: 'N/A', status: '➖' };
+    }
+    return { metric, value: `${pillar.score}/100`, status: pillar.score >= 70 ? '✅' : '⚠️' };
+}
+
+/**
+ * Summarize how much of the score rests on checks that actually completed
+ */
+function buildDataQuality(healthResult) {
+    const breakdown = Object.values(healthResult.pillars).flatMap((pillar) => pillar.breakdown);
+    const assessed = breakdown.filter((entry) => entry.status !== 'unavailable');
+    const totalPoints = breakdown.reduce((total, entry) => total + entry.maxPoints, 0);
+    const assessedPoints = assessed.reduce((total, entry) => total + entry.maxPoints, 0);
+
+    return {
+        complete: healthResult.incompleteChecks.length === 0,
+        assessed_rules: assessed.length,
+        total_rules: breakdown.length,
+        // Share of rule points that could be assessed
+        coverage: `${totalPoints > 0 ? Math.round((assessedPoints / totalPoints) * 100) : 0}%`,
+        unscored_pillars: Object.entries(healthResult.pillars)
+            .filter(([, pillar]) => pillar.score === null)
+            .map(([key]) => key),
+        // Checks that errored (403, 5xx, network) and were treated as unknown, not missing
+        incomplete_checks: healthResult.incompleteChecks,
+    };
+}
+
 /**
  * Process a single repository and return its health analysis
+ * @param {Object} source - Repository source (GitHub API or local clone)
+ * @param {Object} options - Run options
+ * @param {{profile: string, weights: Object}} options.scoring - Resolved scoring profile
+ * @param {Array<Object>} options.rules - Rule set (built-in plus custom rules)
+ * @param {Object|null} options.history - Score history from openHistory(), null when tracking is off
+ * @param {Object|null} options.advisories - Offline OSV database from openOsvDatabase(), null when not configured
+ * @param {Object|null} options.licensePolicy - License policy from loadLicensePolicy(), null when not configured
+ * @param {boolean} options.scorecardChecks - Also compute the OpenSSF Scorecard-compatible checks
+ * @param {Object|null} options.secretScan - { ruleset, maxFiles } for the committed secret scan, null when it is off
  */
-async function processRepository(octokit, owner, repo) {
+async function processRepository(source, options) {
+    const { scoring, rules, history, advisories, licensePolicy, scorecardChecks, secretScan } = options;
+    const { owner, repo } = source;
+
     log.info(`Processing repository: ${owner}/${repo}`);
 
     // Get repository data
-    const repoData = await getRepoData(octokit, owner, repo);
+    const repoData = await source.getRepoData();
     if (!repoData) {
         log.warning(`Skipping ${owner}/${repo} - repository not found or inaccessible`);
         return null;
     }
 
     // Calculate health score
-    const healthResult = await calculateHealthScore(octokit, owner, repo, repoData);
+    const healthResult = await calculateHealthScore(source, repoData, {
+        weights: scoring.weights,
+        rules,
+        advisories,
+        licensePolicy,
+        secretScan,
+    });
+
+    // Scorecard-compatible checks reuse the facts gathered for the health score
+    const scorecard = scorecardChecks ? await computeScorecard(source, repoData, healthResult) : null;
 
     // Generate badge
     const badgeUrl = generateBadgeUrl(healthResult.totalScore, healthResult.grade);
 
     // Construct output record
-    return {
+    const result = {
         // Overview fields
         repo_name: repoData.full_name,
         repo_url: repoData.html_url,
@@ -45,39 +144,141 @@ async function processRepository(octokit, owner, repo) {
         badge_url: badgeUrl,
         badge_markdown: `[![Health: ${healthResult.grade}](${badgeUrl})](${repoData.html_url})`,
         risk_level: healthResult.riskLevel,
+        scorecard,
+        scoring_profile: scoring.profile,
+        source: source.kind,
         stars: repoData.stargazers_count,
         forks: repoData.forks_count,
-        last_commit: formatDate(repoData.pushed_at),
+        last_commit: formatDate(healthResult.pillars.stability.details.lastCommit ?? repoData.pushed_at),
 
         // Dashboard instructions
         dashboard_info: '📊 Go to Storage → Key-Value Store → OUTPUT to see the visual dashboard!',
 
+        // Commit cadence fields (default branch, last 52 weeks)
+        weekly_commits: healthResult.pillars.stability.details.weeklyCommits,
+        commit_trend: healthResult.pillars.stability.details.commitTrend,
+        active_weeks: healthResult.pillars.stability.details.activeWeeks,
+        longest_commit_gap_days: healthResult.pillars.stability.details.longestCommitGapDays,
+        human_commit_share: formatPercent(healthResult.pillars.stability.details.humanCommitPercent),
+        bot_commit_share: formatPercent(healthResult.pillars.stability.details.botCommitPercent),
+
+        // README structure (per-section checklist behind the Readability score)
+        readme_format: healthResult.pillars.readability.details.readmeFormat,
+        readme_checklist: healthResult.pillars.readability.details.readmeChecklist,
+        readme_sections: healthResult.pillars.readability.details.readmeSections,
+
         // Security fields
-        license_type: repoData.license?.name || 'No License',
+        license_type: healthResult.pillars.security.details.licenseType,
+        license_expression: healthResult.pillars.security.details.licenseKey === 'none' ? null : healthResult.pillars.security.details.licenseKey,
         license_risk: healthResult.pillars.security.details.licenseRisk,
-        has_security_md: healthResult.pillars.security.details.hasSecurityMd ? '✅ Yes' : '❌ No',
-        dependabot_enabled: healthResult.pillars.security.details.hasDependabot ? '✅ Yes' : '❌ No',
+        license_policy_status: healthResult.pillars.security.details.licensePolicyStatus,
+        has_security_md: formatCheck(healthResult.pillars.security.details.hasSecurityMd),
+        dependabot_enabled: formatCheck(healthResult.pillars.security.details.hasDependabot),
+        known_vulnerability_count: healthResult.pillars.security.details.vulnerabilityCount,
+        vulnerability_counts: healthResult.pillars.security.details.vulnerabilityCounts,
+        vulnerable_dependencies: healthResult.pillars.security.details.knownVulnerabilities.map((finding) => ({
+            package: finding.name,
+            version: finding.version,
+            ecosystem: finding.ecosystem,
+            advisory: finding.id,
+            aliases: finding.aliases,
+            severity: finding.severity,
+            fixed_version: finding.fixedVersion,
+            summary: finding.summary,
+            source: finding.source,
+        })),
+        unpinned_action_count: healthResult.pillars.security.details.unpinnedActionCount,
+        unpinned_actions: healthResult.pillars.security.details.unpinnedActions,
+        workflows_without_permissions: healthResult.pillars.security.details.workflowsWithoutPermissions,
+        pull_request_target_risks: healthResult.pillars.security.details.pullRequestTargetRisks,
+        secrets_echoed_in_workflows: healthResult.pillars.security.details.secretsEchoed,
+        secret_scan_files: healthResult.pillars.security.details.secretFilesScanned,
+        secret_scan_files_skipped: healthResult.pillars.security.details.secretFilesNotScanned,
+        secret_finding_count: healthResult.pillars.security.details.secretFindingCount,
+        secret_findings: healthResult.pillars.security.details.secretFindings,
+        branch_protection: healthResult.pillars.security.details.branchProtection,
+        secret_scanning: formatCheck(healthResult.pillars.security.details.secretScanning),
+        push_protection: formatCheck(healthResult.pillars.security.details.pushProtection),
+        private_vulnerability_reporting: formatCheck(healthResult.pillars.security.details.privateVulnerabilityReporting),
+        unused_features: healthResult.pillars.security.details.wikiEnabledUnused === null && healthResult.pillars.security.details.issuesEnabledUnused === null
+            ? null
+            : [
+                healthResult.pillars.security.details.wikiEnabledUnused && 'wiki',
+                healthResult.pillars.security.details.issuesEnabledUnused && 'issues',
+            ].filter(Boolean),
 
         // Community fields
-        open_issues: repoData.open_issues_count,
+        open_issues: healthResult.pillars.community.details.openIssues,
         closed_issues: healthResult.pillars.community.details.closedIssues,
-        issue_close_ratio: `${healthResult.pillars.community.details.issueCloseRatio}%`,
-        has_contributing_md: healthResult.pillars.community.details.hasContributing ? '✅ Yes' : '❌ No',
+        issue_close_ratio: healthResult.pillars.community.details.issueCloseRatio === null
+            ? 'N/A'
+            : `${healthResult.pillars.community.details.issueCloseRatio}%`,
+        open_pull_requests: healthResult.pillars.community.details.openPullRequests,
+        merged_pull_requests: healthResult.pillars.community.details.mergedPullRequests,
+        median_first_response: formatHours(healthResult.pillars.community.details.medianFirstResponseHours),
+        median_time_to_close: formatHours(healthResult.pillars.community.details.medianCloseHours),
+        unanswered_issues_30d: formatPercent(healthResult.pillars.community.details.unansweredAfter30DaysPercent),
+        pr_open_age_distribution: healthResult.pillars.community.details.openPullRequestAges,
+        pr_stale_open_percent: formatPercent(healthResult.pillars.community.details.staleOpenPullRequestPercent),
+        pr_external_merge_rate: formatPercent(healthResult.pillars.community.details.externalMergeRatePercent),
+        pr_median_time_to_merge: formatHours(healthResult.pillars.community.details.medianTimeToMergeHours),
+        pr_review_coverage: formatPercent(healthResult.pillars.community.details.reviewCoveragePercent),
+        pr_self_merge_rate: formatPercent(healthResult.pillars.community.details.selfMergeRatePercent),
+        bus_factor: healthResult.pillars.community.details.busFactor,
+        active_maintainers_90d: healthResult.pillars.community.details.activeMaintainers90d,
+        active_maintainers_365d: healthResult.pillars.community.details.activeMaintainers365d,
+        top_contributor_share: formatPercent(healthResult.pillars.community.details.topContributorSharePercent),
+        has_contributing_md: formatCheck(healthResult.pillars.community.details.hasContributing),
         subscribers: repoData.subscribers_count,
 
+        // Maintainability fields (counts are null when the repository could not be listed)
+        has_tests: formatCheck(healthResult.pillars.maintainability.details.hasTests),
+        test_ecosystem: healthResult.pillars.maintainability.details.testEcosystem,
+        test_file_count: healthResult.pillars.maintainability.details.testFileCount,
+        source_file_count: healthResult.pillars.maintainability.details.sourceFileCount,
+        test_to_source_ratio: formatPercent(healthResult.pillars.maintainability.details.testRatioPercent),
+        test_ecosystems: healthResult.pillars.maintainability.details.testEcosystems,
+        coverage_tools: healthResult.pillars.maintainability.details.coverageTools,
+        ci_runs_tests: formatCheck(healthResult.pillars.maintainability.details.ciRunsTests),
+        has_linter: formatCheck(healthResult.pillars.maintainability.details.hasLinter),
+
         // Documentation fields (NEW)
-        has_docs_folder: healthResult.pillars.documentation.details.hasDocsFolder ? '✅ Yes' : '❌ No',
-        has_changelog: healthResult.pillars.documentation.details.hasChangelog ? '✅ Yes' : '❌ No',
-        has_examples: healthResult.pillars.documentation.details.hasExamples ? '✅ Yes' : '❌ No',
-        has_wiki: healthResult.pillars.documentation.details.hasWiki ? '✅ Yes' : '❌ No',
+        has_docs_folder: formatCheck(healthResult.pillars.documentation.details.hasDocsFolder),
+        has_changelog: formatCheck(healthResult.pillars.documentation.details.hasChangelog),
+        has_examples: formatCheck(healthResult.pillars.documentation.details.hasExamples),
+        has_wiki: formatCheck(healthResult.pillars.documentation.details.hasWiki),
+        docs_files_checked: healthResult.pillars.documentation.details.docsFilesChecked,
+        links_checked: healthResult.pillars.documentation.details.linksChecked,
+        broken_link_count: healthResult.pillars.documentation.details.brokenLinkCount,
+        broken_links: healthResult.pillars.documentation.details.brokenLinks,
 
         // Automation fields (NEW)
         workflow_count: healthResult.pillars.automation.details.workflowCount,
-        has_pr_template: healthResult.pillars.automation.details.hasPRTemplate ? '✅ Yes' : '❌ No',
-        has_issue_template: healthResult.pillars.automation.details.hasIssueTemplate ? '✅ Yes' : '❌ No',
-        has_code_of_conduct: healthResult.pillars.automation.details.hasCodeOfConduct ? '✅ Yes' : '❌ No',
-
-        // Detailed scores (7 pillars)
+        pull_request_workflows: healthResult.pillars.automation.details.pullRequestWorkflows,
+        pr_runs_tests: formatCheck(healthResult.pillars.automation.details.prRunsTests),
+        pr_runs_lint: formatCheck(healthResult.pillars.automation.details.prRunsLint),
+        pr_runs_build: formatCheck(healthResult.pillars.automation.details.prRunsBuild),
+        has_pr_template: formatCheck(healthResult.pillars.automation.details.hasPRTemplate),
+        has_issue_template: formatCheck(healthResult.pillars.automation.details.hasIssueTemplate),
+        has_code_of_conduct: formatCheck(healthResult.pillars.automation.details.hasCodeOfConduct),
+
+        // Dependency fields (parsed manifests; counts are null when not applicable or unknown)
+        dependency_ecosystems: healthResult.pillars.dependencies.details.ecosystems,
+        dependency_manifests: healthResult.pillars.dependencies.details.manifests,
+        direct_dependencies: healthResult.pillars.dependencies.details.directCount,
+        transitive_dependencies: healthResult.pillars.dependencies.details.transitiveCount,
+        lockfile_coverage: formatPercent(healthResult.pillars.dependencies.details.lockfileCoveragePercent),
+        unpinned_dependency_count: healthResult.pillars.dependencies.details.unpinnedCount,
+        unpinned_dependencies: healthResult.pillars.dependencies.details.unpinned,
+        git_url_dependency_count: healthResult.pillars.dependencies.details.gitOrUrlCount,
+        git_url_dependencies: healthResult.pillars.dependencies.details.gitOrUrl,
+        dependency_licenses_checked: healthResult.pillars.dependencies.details.licensesChecked,
+        forbidden_dependency_license_count: healthResult.pillars.dependencies.details.forbiddenLicenseCount,
+        forbidden_dependency_licenses: healthResult.pillars.dependencies.details.forbiddenLicenses,
+        review_dependency_license_count: healthResult.pillars.dependencies.details.reviewLicenseCount,
+        review_dependency_licenses: healthResult.pillars.dependencies.details.reviewLicenses,
+
+        // Detailed scores (8 pillars)
         readability_score: healthResult.pillars.readability.score,
         stability_score: healthResult.pillars.stability.score,
         security_score: healthResult.pillars.security.score,
@@ -85,6 +286,12 @@ async function processRepository(octokit, owner, repo) {
         maintainability_score: healthResult.pillars.maintainability.score,
         documentation_score: healthResult.pillars.documentation.score,
         automation_score: healthResult.pillars.automation.score,
+        dependencies_score: healthResult.pillars.dependencies.score,
+
+        // Weights actually used for this score (e.g. "15%"), read by every report
+        pillar_weights: Object.fromEntries(
+            Object.entries(healthResult.pillars).map(([key, pillar]) => [key, pillar.weight])
+        ),
 
         // Recommendations (NEW)
         recommendation_count: healthResult.recommendationCount,
@@ -97,15 +304,18 @@ async function processRepository(octokit, owner, repo) {
         // Pillar rows for vertical display (NEW)
         pillar_rows: [
             { metric: '📊 Overall Score', value: `${healthResult.totalScore}/100`, grade: healthResult.grade },
-            { metric: '📖 Readability (15%)', value: `${healthResult.pillars.readability.score}/100`, status: healthResult.pillars.readability.score >= 70 ? '✅' : '⚠️' },
-            { metric: '🧱 Stability (15%)', value: `${healthResult.pillars.stability.score}/100`, status: healthResult.pillars.stability.score >= 70 ? '✅' : '⚠️' },
-            { metric: '🔐 Security (15%)', value: `${healthResult.pillars.security.score}/100`, status: healthResult.pillars.security.score >= 70 ? '✅' : '⚠️' },
-            { metric: '👥 Community (10%)', value: `${healthResult.pillars.community.score}/100`, status: healthResult.pillars.community.score >= 70 ? '✅' : '⚠️' },
-            { metric: '🛠️ Maintainability (15%)', value: `${healthResult.pillars.maintainability.score}/100`, status: healthResult.pillars.maintainability.score >= 70 ? '✅' : '⚠️' },
-            { metric: '📝 Documentation (15%)', value: `${healthResult.pillars.documentation.score}/100`, status: healthResult.pillars.documentation.score >= 70 ? '✅' : '⚠️' },
-            { metric: '🤖 Automation (15%)', value: `${healthResult.pillars.automation.score}/100`, status: healthResult.pillars.automation.score >= 70 ? '✅' : '⚠️' },
-            { metric: '⭐ Stars', value: repoData.stargazers_count.toLocaleString(), status: repoData.stargazers_count >= 100 ? '✅' : '⚠️' },
-            { metric: '📅 Last Commit', value: formatDate(repoData.pushed_at), status: '📆' },
+            formatPillarRow('📖 Readability', healthResult.pillars.readability),
+            formatPillarRow('🧱 Stability', healthResult.pillars.stability),
+            formatPillarRow('🔐 Security', healthResult.pillars.security),
+            formatPillarRow('👥 Community', healthResult.pillars.community),
+            formatPillarRow('🛠️ Maintainability', healthResult.pillars.maintainability),
+            formatPillarRow('📝 Documentation', healthResult.pillars.documentation),
+            formatPillarRow('🤖 Automation', healthResult.pillars.automation),
+            formatPillarRow('📦 Dependencies', healthResult.pillars.dependencies),
+            repoData.stargazers_count === null
+                ? { metric: '⭐ Stars', value: 'N/A', status: '➖' }
+                : { metric: '⭐ Stars', value: repoData.stargazers_count.toLocaleString(), status: repoData.stargazers_count >= 100 ? '✅' : '⚠️' },
+            { metric: '📅 Last Commit', value: formatDate(healthResult.pillars.stability.details.lastCommit ?? repoData.pushed_at), status: '📆' },
         ],
 
         // Metadata
@@ -125,12 +335,38 @@ async function processRepository(octokit, owner, repo) {
             maintainability: healthResult.pillars.maintainability.details,
             documentation: healthResult.pillars.documentation.details,
             automation: healthResult.pillars.automation.details,
+            dependencies: healthResult.pillars.dependencies.details,
         },
 
+        // Rules that could not be assessed (API-only signals for a local clone, or failed checks)
+        unavailable_checks: Object.values(healthResult.pillars)
+            .flatMap((pillar) => pillar.breakdown)
+            .filter((entry) => entry.status === 'unavailable')
+            .map((entry) => entry.rule),
+
+        // Which parts of the score to trust
+        data_quality: buildDataQuality(healthResult),
+
+        // Points earned per rule, explaining each pillar score
+        score_breakdown: Object.fromEntries(
+            Object.entries(healthResult.pillars).map(([key, pillar]) => [key, pillar.breakdown])
+        ),
+
         // Timestamps
         analyzed_at: new Date().toISOString(),
     };
 
+    // Compare with the previous run of this repository, then record this one
+    if (history) {
+        const previous = await history.getLatest(result.repo_name);
+        Object.assign(result, compareWithPrevious(result, previous));
+        await history.append(result.repo_name, createSnapshot(result));
+
+        if (result.grade_regression) {
+            log.warning(`📉 ${result.repo_name} dropped from ${result.previous_grade} to ${result.health_grade} (${result.score_delta} points)`);
+        }
+    }
+
     // Generate visual reports
     const htmlReport = generateHtmlReport(result);
     const markdownSummary = generateMarkdownSummary(result);
@@ -164,15 +400,101 @@ async function main() {
         maxReposPerUser = 10,
         githubToken = null,
         minHealthScore = 0,
+        scoringProfile = 'default',
+        customWeights = null,
+        customRulesPath = null,
+        osvDatabasePath = null,
+        licensePolicyPath = null,
+        scorecardChecks = false,
+        secretScan = false,
+        secretRulesPath = null,
+        secretScanMaxFiles = 200,
+        localRepoPaths = [],
+        trackHistory = true,
+        historyStoreName = 'github-health-history',
+        historyFilePath = null,
+        includeArchived = true,
+        includeForks = true,
+        repoVisibility = 'all',
+        repoLanguage = null,
+        repoTopic = null,
+        repoNamePattern = null,
+        maxConcurrency = 3,
+        useResponseCache = true,
+        cacheMaxAgeHours = 1,
+        bypassCache = false,
+        responseCacheStoreName = 'github-response-cache',
+        responseCacheDir = null,
+        useGraphQL = true,
     } = input;
 
+    // Filters applied when listing a user's or organization's repositories
+    const repoFilters = {
+        includeArchived,
+        includeForks,
+        visibility: repoVisibility,
+        language: repoLanguage,
+        topic: repoTopic,
+        namePattern: repoNamePattern,
+    };
+
+    // Resolve scoring weights up front so invalid custom weights fail before any API calls
+    const scoring = resolveScoringProfile(scoringProfile, customWeights);
+    log.info(`⚖️ Scoring profile: ${scoring.profile}`);
+
+    // Load org-specific rules on top of the built-in ones
+    const customRules = customRulesPath ? await loadCustomRules(customRulesPath) : [];
+    if (customRules.length > 0) {
+        log.info(`📐 Loaded ${customRules.length} custom rule(s) from ${customRulesPath}`);
+    }
+    const rules = buildRuleSet(customRules);
+
+    // Score history persists across runs so every record can report its trend
+    const history = trackHistory ? await openHistory({ filePath: historyFilePath, storeName: historyStoreName }) : null;
+
+    // Known vulnerabilities are matched offline against a local OSV dump
+    const advisories = osvDatabasePath ? await openOsvDatabase(osvDatabasePath) : null;
+
+    // Repository and dependency licenses are judged by the organization's policy when one is given
+    const licensePolicy = licensePolicyPath ? await loadLicensePolicy(licensePolicyPath) : null;
+    if (licensePolicy) {
+        log.info(`⚖️ License policy loaded from ${licensePolicyPath}`);
+    }
+
+    // The secret scan reads file contents, so it only runs when asked for
+    const secretRules = secretScan ? await loadSecretRules(secretRulesPath) : null;
+    if (secretRules) {
+        log.info(`🔑 Secret scan enabled with ${secretRules.rules.length} rule(s)${secretRulesPath ? ` from ${secretRulesPath}` : ''}`);
+    }
+
+    const options = {
+        scoring,
+        rules,
+        history,
+        advisories,
+        licensePolicy,
+        scorecardChecks,
+        secretScan: secretRules ? { ruleset: secretRules, maxFiles: secretScanMaxFiles } : null,
+    };
+
+    // Cached responses are revalidated with conditional requests; 304s are free
+    const clientOptions = {
+        cache: useResponseCache
+            ? {
+                backend: await openResponseCache({ dirPath: responseCacheDir, storeName: responseCacheStoreName }),
+                maxAgeMs: cacheMaxAgeHours * 60 * 60 * 1000,
+                bypass: bypassCache,
+            }
+            : null,
+    };
+
     // Health Check Mode: If no input provided, run demo scan
-    if (!startUrls || startUrls.length === 0) {
+    if ((!startUrls || startUrls.length === 0) && (!localRepoPaths || localRepoPaths.length === 0)) {
         log.info('📋 Health Check Mode: No input provided. Running demo scan on apify/crawlee...');
         const parsed = parseGitHubUrl(DEMO_REPO_URL);
-        const octokit = createGitHubClient(githubToken);
+        const octokit = createGitHubClient(githubToken, clientOptions);
 
-        const result = await processRepository(octokit, parsed.owner, parsed.repo);
+        const result = await processRepository(createGitHubSource(octokit, parsed.owner, parsed.repo), options);
         if (result) {
             await Actor.pushData(result);
             log.info(`✅ Demo scan complete. Score: ${result.health_score} (${result.health_grade})`);
@@ -193,14 +515,19 @@ async function main() {
     }
 
     // Initialize GitHub client
-    const octokit = createGitHubClient(githubToken);
+    const octokit = createGitHubClient(githubToken, clientOptions);
 
-    // Check rate limit
-    const rateLimit = await checkRateLimit(octokit);
-    log.info(`📊 Rate limit: ${rateLimit.remaining}/${rateLimit.limit} requests remaining`);
+    // Check rate limit (local-only runs never touch the API); all workers share one budget
+    let budget = null;
+    if (startUrls.length > 0) {
+        const rateLimit = await checkRateLimit(octokit);
+        log.info(`📊 Rate limit: ${rateLimit.remaining}/${rateLimit.limit} requests remaining`);
 
-    if (rateLimit.remaining < 10) {
-        log.warning(`⚠️ Low rate limit! Resets at ${rateLimit.reset.toISOString()}`);
+        if (rateLimit.remaining < 10) {
+            log.warning(`⚠️ Low rate limit! Resets at ${rateLimit.reset.toISOString()}`);
+        }
+
+        budget = createRateLimitBudget(octokit, rateLimit);
     }
 
     // Track statistics
@@ -209,7 +536,26 @@ async function main() {
     let skipped = 0;
     let filteredOut = 0;
 
-    // Process each URL
+    // Collect every repository to scan, in input order
+    const jobs = [];
+    const queued = new Set();
+    const githubRepos = [];
+    let batchLoader = null;
+    const queueGitHubRepo = (owner, repo) => {
+        const key = `${owner}/${repo}`.toLowerCase();
+        if (queued.has(key)) return;
+        queued.add(key);
+        githubRepos.push({ owner, repo });
+        jobs.push({
+            label: `${owner}/${repo}`,
+            usesApi: true,
+            createSource: async () => createGitHubSource(octokit, owner, repo, {
+                prefetched: batchLoader ? await batchLoader.load(owner, repo) : null,
+                useGraphQL: !!batchLoader,
+            }),
+        });
+    };
+
     for (const urlEntry of startUrls) {
         const url = typeof urlEntry === 'string' ? urlEntry : urlEntry.url;
 
@@ -227,63 +573,90 @@ async function main() {
             continue;
         }
 
-        if (parsed.type === 'user') {
-            // Profile Scan Mode: Scan all user's repos
-            log.info(`👤 Profile Mode: Fetching repos for user ${parsed.owner}...`);
-
-            const repos = await getUserRepos(octokit, parsed.owner, maxReposPerUser);
-            log.info(`Found ${repos.length} repositories for ${parsed.owner}`);
-
-            for (const repoInfo of repos) {
-                try {
-                    const result = await processRepository(octokit, repoInfo.owner, repoInfo.repo);
-
-                    if (result) {
-                        if (result.health_score >= minHealthScore) {
-                            await Actor.pushData(result);
-                            successful++;
-                            log.info(`✅ ${repoInfo.owner}/${repoInfo.repo}: ${result.health_score} (${result.health_grade})`);
-                        } else {
-                            filteredOut++;
-                            log.info(`⏭️ ${repoInfo.owner}/${repoInfo.repo}: Score ${result.health_score} below threshold ${minHealthScore}`);
-                        }
-                    } else {
-                        skipped++;
-                    }
-
-                    processed++;
-                } catch (error) {
-                    log.error(`Failed to process ${repoInfo.owner}/${repoInfo.repo}: ${error.message}`);
+        if (parsed.type === 'user' || parsed.type === 'org') {
+            // Profile Scan Mode: Scan a user's or organization's repos
+            try {
+                const accountType = parsed.type === 'org' ? 'org' : await getAccountType(octokit, parsed.owner);
+                if (!accountType) {
                     skipped++;
+                    continue;
                 }
+
+                log.info(`${accountType === 'org' ? '🏢 Organization' : '👤 Profile'} Mode: Fetching repos for ${parsed.owner}...`);
+
+                const repos = await getAccountRepos(octokit, parsed.owner, {
+                    accountType,
+                    maxRepos: maxReposPerUser,
+                    filters: repoFilters,
+                });
+                log.info(`Found ${repos.length} matching repositories for ${parsed.owner}`);
+
+                for (const repoInfo of repos) {
+                    queueGitHubRepo(repoInfo.owner, repoInfo.repo);
+                }
+            } catch (error) {
+                log.error(`Failed to list repositories for ${parsed.owner}: ${error.message}`);
+                skipped++;
             }
         } else {
             // Direct Mode: Scan single repo
-            log.info(`📁 Direct Mode: Scanning ${parsed.owner}/${parsed.repo}...`);
+            log.info(`📁 Direct Mode: Queued ${parsed.owner}/${parsed.repo}`);
+            queueGitHubRepo(parsed.owner, parsed.repo);
+        }
+    }
 
-            try {
-                const result = await processRepository(octokit, parsed.owner, parsed.repo);
-
-                if (result) {
-                    if (result.health_score >= minHealthScore) {
-                        await Actor.pushData(result);
-                        successful++;
-                        log.info(`✅ ${parsed.owner}/${parsed.repo}: ${result.health_score} (${result.health_grade})`);
-                    } else {
-                        filteredOut++;
-                        log.info(`⏭️ ${parsed.owner}/${parsed.repo}: Score ${result.health_score} below threshold ${minHealthScore}`);
-                    }
+    // Local Mode: Scan clones on disk without the GitHub API
+    for (const repoPath of localRepoPaths || []) {
+        log.info(`💾 Local Mode: Queued ${repoPath}`);
+        jobs.push({
+            label: repoPath,
+            usesApi: false,
+            createSource: () => createLocalSource(repoPath),
+        });
+    }
+
+    // GraphQL needs a token; batches of repositories then share one query, REST fills the gaps
+    if (useGraphQL && githubToken && githubRepos.length > 0) {
+        batchLoader = createRepositoryBatchLoader(octokit, githubRepos);
+        log.info('🔗 Fetching repository metadata through batched GraphQL queries');
+    }
+
+    log.info(`🧵 Scanning ${jobs.length} repositories with concurrency ${maxConcurrency}`);
+    const requestEstimate = estimateRequestsPerRepo(options, !!batchLoader);
+
+    // Scan concurrently; results are pushed in the order repositories were queued
+    await runPool(jobs, async (job) => {
+        const release = job.usesApi && budget ? await budget.acquire(requestEstimate) : () => {};
+        try {
+            return await processRepository(await job.createSource(), options);
+        } finally {
+            release();
+        }
+    }, {
+        concurrency: maxConcurrency,
+        onResult: async ({ item: job, result, error }) => {
+            if (error) {
+                log.error(`Failed to process ${job.label}: ${error.message}`);
+                skipped++;
+                return;
+            }
+
+            if (result) {
+                if (result.health_score >= minHealthScore) {
+                    await Actor.pushData(result);
+                    successful++;
+                    log.info(`✅ ${job.label}: ${result.health_score} (${result.health_grade})`);
                 } else {
-                    skipped++;
+                    filteredOut++;
+                    log.info(`⏭️ ${job.label}: Score ${result.health_score} below threshold ${minHealthScore}`);
                 }
-
-                processed++;
-            } catch (error) {
-                log.error(`Failed to process ${parsed.owner}/${parsed.repo}: ${error.message}`);
+            } else {
                 skipped++;
             }
-        }
-    }
+
+            processed++;
+        },
+    });
 
     // Final summary
     log.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -0,0 +1,345 @@
+/**
+ * Offline OSV Advisory Database
+ * Loads a local dump of OSV-format advisories (a directory of JSON files or a zip such
+ * as osv.dev's per-ecosystem all.zip) and matches resolved package versions against
+ * it. Nothing is fetched: the dump is the whole source of truth.
+ */
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { inflateRawSync } from 'node:zlib';
+import { log } from 'crawlee';
+
+// Manifest ecosystems (see dependency-manifests.js) and their OSV names
+const OSV_ECOSYSTEMS = {
+    npm: 'npm',
+    pypi: 'PyPI',
+    go: 'Go',
+    cargo: 'crates.io',
+    rubygems: 'RubyGems',
+    maven: 'Maven',
+};
+
+// Severity labels from worst to least severe
+export const SEVERITY_LEVELS = ['critical', 'high', 'moderate', 'low', 'unknown'];
+
+// Pre-release labels in ascending order; anything else sorts alphabetically after them
+const PRERELEASE_ORDER = ['dev', 'snapshot', 'alpha', 'a', 'beta', 'b', 'milestone', 'm', 'pre', 'preview', 'rc', 'c', 'cr'];
+
+// Labels that come after the release they are attached to (1.0.post1 > 1.0)
+const POST_RELEASE = /^(post|rev|r|pl|patch|sp)$/;
+
+// CVSS v3 base metric weights
+const CVSS_WEIGHTS = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 },
+};
+
+/**
+ * Registries compare PyPI names case- and separator-insensitively (PEP 503)
+ */
+function normalizeName(ecosystem, name) {
+    return ecosystem === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name;
+}
+
+/**
+ * Entries of a zip archive, read from its central directory (ZIP64 included)
+ * Only stored and deflated entries are supported, which covers every OSV export.
+ */
+function* readZipEntries(buffer) {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('not a zip archive');
+
+    let entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if ((entryCount === 0xffff || offset === 0xffffffff) && end >= 20 && buffer.readUInt32LE(end - 20) === 0x07064b50) {
+        const zip64End = Number(buffer.readBigUInt64LE(end - 12));
+        entryCount = Number(buffer.readBigUInt64LE(zip64End + 32));
+        offset = Number(buffer.readBigUInt64LE(zip64End + 48));
+    }
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('corrupt zip central directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        let compressedSize = buffer.readUInt32LE(offset + 20);
+        const uncompressedSize = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        let localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+        // Sizes and offsets that overflow 32 bits move to the ZIP64 extra field, in this order
+        if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+            for (let extra = offset + 46 + nameLength; extra < offset + 46 + nameLength + extraLength;) {
+                const id = buffer.readUInt16LE(extra);
+                const size = buffer.readUInt16LE(extra + 2);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    if (uncompressedSize === 0xffffffff) field += 8;
+                    if (compressedSize === 0xffffffff) {
+                        compressedSize = Number(buffer.readBigUInt64LE(field));
+                        field += 8;
+                    }
+                    if (localOffset === 0xffffffff) localOffset = Number(buffer.readBigUInt64LE(field));
+                }
+                extra += 4 + size;
+            }
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith('/')) continue;
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        yield {
+            name,
+            read: () => {
+                if (method === 0) return data;
+                if (method === 8) return inflateRawSync(data);
+                throw new Error(`unsupported compression method ${method}`);
+            },
+        };
+    }
+}
+
+/**
+ * Every JSON document of the dump, as { name, read }
+ */
+async function* readAdvisoryFiles(path) {
+    if ((await stat(path)).isDirectory()) {
+        const files = await readdir(path, { recursive: true });
+        for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+            yield { name: file, read: () => readFile(join(path, file)) };
+        }
+        return;
+    }
+    for (const entry of readZipEntries(await readFile(path))) {
+        if (entry.name.endsWith('.json')) yield entry;
+    }
+}
+
+/**
+ * CVSS v3.x base score from a vector string, or null when it is not a v3 vector
+ */
+export function getCvssBaseScore(vector) {
+    if (!/^CVSS:3\.[01]\//.test(vector ?? '')) return null;
+    const metrics = Object.fromEntries(vector.split('/').slice(1).map((part) => part.split(':')));
+    const changed = metrics.S === 'C';
+    const privileges = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[metrics.PR];
+    const [av, ac, ui] = [CVSS_WEIGHTS.AV[metrics.AV], CVSS_WEIGHTS.AC[metrics.AC], CVSS_WEIGHTS.UI[metrics.UI]];
+    const [c, i, a] = ['C', 'I', 'A'].map((key) => CVSS_WEIGHTS.CIA[metrics[key]]);
+    if ([privileges, av, ac, ui, c, i, a].includes(undefined)) return null;
+
+    const baseImpact = 1 - (1 - c) * (1 - i) * (1 - a);
+    const impact = changed ? 7.52 * (baseImpact - 0.029) - 3.25 * Math.pow(baseImpact - 0.02, 15) : 6.42 * baseImpact;
+    if (impact <= 0) return 0;
+    const exploitability = 8.22 * av * ac * privileges * ui;
+    const roundUp = (value) => Math.ceil(Math.round(value * 100000) / 10000) / 10;
+    return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+/**
+ * Severity label of an advisory: the database's own label first, then its CVSS vector
+ */
+function getSeverity(advisory, affected) {
+    const label = advisory.database_specific?.severity ?? affected.ecosystem_specific?.severity ?? affected.database_specific?.severity;
+    if (typeof label === 'string') {
+        const normalized = label.toLowerCase() === 'medium' ? 'moderate' : label.toLowerCase();
+        if (SEVERITY_LEVELS.includes(normalized)) return normalized;
+    }
+
+    const vectors = [...(affected.severity ?? []), ...(advisory.severity ?? [])].filter(({ type }) => type === 'CVSS_V3');
+    const score = Math.max(-1, ...vectors.map(({ score }) => getCvssBaseScore(score) ?? -1));
+    if (score >= 9) return 'critical';
+    if (score >= 7) return 'high';
+    if (score >= 4) return 'moderate';
+    if (score > 0) return 'low';
+    return 'unknown';
+}
+
+/**
+ * Split a version into comparable numeric and alphabetic tokens ("1.2.0-rc1" -> 1, 2, 0, rc, 1)
+ */
+function tokenizeVersion(version) {
+    return String(version).replace(/^v/i, '').split('+')[0].match(/\d+|[a-zA-Z]+/g) ?? [];
+}
+
+/**
+ * Compare two versions across ecosystems: numeric parts numerically, pre-releases
+ * before their release and post-releases after it
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+export function compareVersions(a, b) {
+    const left = tokenizeVersion(a);
+    const right = tokenizeVersion(b);
+    const isNumber = (token) => /^\d/.test(token);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const x = left[i];
+        const y = right[i];
+        if (x === y) continue;
+
+        // A missing part reads as 0 against a number, and as the release against a label
+        if (x === undefined || y === undefined) {
+            const token = (x ?? y).toLowerCase();
+            const sign = x === undefined ? -1 : 1;
+            if (isNumber(token)) {
+                if (Number(token) === 0) continue;
+                return sign;
+            }
+            return POST_RELEASE.test(token) ? sign : -sign;
+        }
+
+        if (isNumber(x) && isNumber(y)) {
+            const difference = Number(x) - Number(y);
+            if (difference !== 0) return Math.sign(difference);
+            continue;
+        }
+        if (isNumber(x) !== isNumber(y)) return isNumber(x) ? 1 : -1;
+
+        const [rankX, rankY] = [x, y].map((token) => {
+            const rank = PRERELEASE_ORDER.indexOf(token.toLowerCase());
+            return rank === -1 ? PRERELEASE_ORDER.length : rank;
+        });
+        if (rankX !== rankY) return rankX - rankY;
+        const order = x.toLowerCase().localeCompare(y.toLowerCase());
+        if (order !== 0) return order;
+    }
+    return 0;
+}
+
+/**
+ * Evaluate an OSV range's events for a version
+ * @returns {{affected: boolean, fixedVersion: string|null}}
+ */
+function checkRange(version, events) {
+    const eventVersion = (event) => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+    const sorted = [...events].sort((x, y) => {
+        if (x.introduced === '0') return -1;
+        if (y.introduced === '0') return 1;
+        return compareVersions(eventVersion(x), eventVersion(y));
+    });
+
+    let affected = false;
+    for (const event of sorted) {
+        if (event.introduced !== undefined) {
+            if (event.introduced === '0' || compareVersions(version, event.introduced) >= 0) affected = true;
+        } else if (event.fixed !== undefined) {
+            if (compareVersions(version, event.fixed) >= 0) affected = false;
+        } else if (event.last_affected !== undefined) {
+            if (compareVersions(version, event.last_affected) > 0) affected = false;
+        } else if (event.limit !== undefined && event.limit !== '*') {
+            if (compareVersions(version, event.limit) >= 0) affected = false;
+        }
+    }
+
+    const fixedVersion = affected
+        ? sorted.map((event) => event.fixed).find((fixed) => fixed !== undefined && compareVersions(fixed, version) > 0) ?? null
+        : null;
+    return { affected, fixedVersion };
+}
+
+/**
+ * Load an OSV dump into memory, indexed by ecosystem and package name
+ * @param {string} path - Directory of OSV JSON files (searched recursively) or a .zip of them
+ * @returns {Promise<Object>} Database handle for findVulnerabilities()
+ */
+export async function openOsvDatabase(path) {
+    const supported = new Set(Object.values(OSV_ECOSYSTEMS));
+    const index = new Map();
+    let advisoryCount = 0;
+    let skipped = 0;
+
+    for await (const file of readAdvisoryFiles(path)) {
+        let advisory;
+        try {
+            advisory = JSON.parse((await file.read()).toString('utf-8'));
+        } catch (error) {
+            skipped++;
+            log.debug(`Skipping unreadable advisory ${file.name}: ${error.message}`);
+            continue;
+        }
+        if (!advisory?.id || advisory.withdrawn) continue;
+
+        let indexed = false;
+        for (const affected of advisory.affected ?? []) {
+            const { ecosystem, name } = affected.package ?? {};
+            if (!supported.has(ecosystem) || !name) continue;
+
+            const key = `${ecosystem}:${normalizeName(ecosystem, name)}`;
+            const entries = index.get(key) ?? [];
+            entries.push({
+                id: advisory.id,
+                aliases: advisory.aliases ?? [],
+                summary: advisory.summary ?? advisory.details?.split('\n')[0] ?? '',
+                severity: getSeverity(advisory, affected),
+                versions: new Set(affected.versions ?? []),
+                ranges: (affected.ranges ?? []).filter(({ type }) => type !== 'GIT').map(({ events }) => events ?? []),
+            });
+            index.set(key, entries);
+            indexed = true;
+        }
+        if (indexed) advisoryCount++;
+    }
+
+    if (skipped > 0) log.warning(`🛡️ Skipped ${skipped} unreadable advisories in ${path}`);
+    log.info(`🛡️ Loaded ${advisoryCount} OSV advisories covering ${index.size} packages from ${path}`);
+
+    return { path, advisoryCount, index };
+}
+
+/**
+ * Match resolved packages against the database
+ * @param {Object} database - Handle from openOsvDatabase()
+ * @param {Array<{ecosystem: string, name: string, version: string, source: string}>} packages -
+ *   Resolved packages; ecosystem uses the manifest names (npm, pypi, go, cargo, rubygems, maven)
+ * @returns {Array<Object>} One finding per vulnerable package version and advisory, worst first
+ */
+export function findVulnerabilities(database, packages) {
+    const findings = [];
+    const seen = new Set();
+
+    for (const { ecosystem, name, version, source } of packages) {
+        const osvEcosystem = OSV_ECOSYSTEMS[ecosystem];
+        if (!osvEcosystem || !version) continue;
+        const key = `${osvEcosystem}:${normalizeName(osvEcosystem, name)}`;
+        if (seen.has(`${key}@${version}`)) continue;
+        seen.add(`${key}@${version}`);
+
+        for (const advisory of database.index.get(key) ?? []) {
+            let fixedVersion = null;
+            let affected = advisory.versions.has(version);
+            for (const events of advisory.ranges) {
+                const range = checkRange(version, events);
+                if (range.affected) {
+                    affected = true;
+                    fixedVersion = fixedVersion ?? range.fixedVersion;
+                }
+            }
+            if (!affected) continue;
+
+            findings.push({
+                ecosystem,
+                name,
+                version,
+                source,
+                id: advisory.id,
+                aliases: advisory.aliases,
+                summary: advisory.summary,
+                severity: advisory.severity,
+                fixedVersion,
+            });
+        }
+    }
+
+    return findings.sort((a, b) => SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity) ||
+        a.name.localeCompare(b.name));
+}
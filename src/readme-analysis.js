@@ -0,0 +1,428 @@
+/**
+ * README Analysis
+ * Parses a README (Markdown, reStructuredText, AsciiDoc, Org or plain text) into headings,
+ * code blocks, images and text lines, then judges its structure: heading hierarchy,
+ * installation and usage sections that contain real commands, badges, license and
+ * contributing sections, image alt text and how much of it is prose. Section names are
+ * recognized in several languages.
+ */
+
+// README sections listed in the output
+const MAX_SECTIONS = 30;
+
+// Headings recognized per section kind (English first, then common translations)
+const SECTION_KINDS = {
+    installation: /\b(install(ation|ing)?|setup|set(ting)? up|getting started|requirements|download(ing)?|build(ing)? from source)\b|instala(ción|ção|cja|r)|installazione|installieren|einrichtung|установка|安装|安裝|インストール|설치|kurulum/i,
+    usage: /\b(usage|how to use|examples?|quick ?start|getting started|tutorial|basic use)\b|\buso\b|\bejemplos?\b|\bexemples?\b|utilisation|utilização|verwendung|benutzung|beispiele?|esempi|użycie|использование|пример|使用|用法|示例|使い方|사용법|kullanım/i,
+    license: /\blicen[cs](e|es|ing)\b|licencia|licença|lizenz|licenza|licencja|лицензия|许可|授权|协议|協議|ライセンス|라이선스|lisans/i,
+    contributing: /\bcontribut(e|ing|ion|ions|ors?)\b|\bdevelopment\b|contribuir|contribuer|contribuire|mitwirken|beitragen|участие|разработка|贡献|貢献|參與|コントリビュー|기여|katkı/i,
+};
+
+// Image URLs of status badges
+const BADGE_URL = /shields\.io|badgen\.net|badge\.fury\.io|badge\.svg|\/badges?\b|travis-ci\.(org|com)\/.+\.svg|codecov\.io\/.+\/graph|coveralls\.io\/repos|circleci\.com\/.+\.svg|snyk\.io\/test|bestpractices\.(dev|coreinfrastructure\.org)|securityscorecards\.dev|pepy\.tech\/badge|deps\.rs/i;
+
+// Words, with CJK characters counted one by one
+const WORD = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+// Markup formats by README file extension
+const FORMATS = {
+    md: 'markdown',
+    markdown: 'markdown',
+    mdown: 'markdown',
+    mkd: 'markdown',
+    rst: 'rst',
+    rest: 'rst',
+    adoc: 'asciidoc',
+    asciidoc: 'asciidoc',
+    asc: 'asciidoc',
+    org: 'org',
+    txt: 'text',
+};
+
+/**
+ * Markup format of a README path ("markdown" when the extension says nothing)
+ */
+export function getReadmeFormat(path) {
+    const extension = path?.match(/\.([a-z]+)$/i)?.[1].toLowerCase();
+    if (!extension) return 'markdown';
+    return FORMATS[extension] ?? 'text';
+}
+
+function countWords(text) {
+    return text.match(WORD)?.length ?? 0;
+}
+
+function isBadge(url) {
+    return !!url && BADGE_URL.test(url);
+}
+
+/**
+ * Inline Markdown/HTML images of a line: ![alt](url), ![alt][ref] and <img alt="...">
+ */
+function findMarkdownImages(line, references) {
+    const images = [];
+    for (const [, alt, url, ref] of line.matchAll(/!\[([^\]]*)\](?:\(\s*<?([^)\s>]+)>?[^)]*\)|\[([^\]]*)\])/g)) {
+        images.push({ alt: alt.trim(), url: url ?? references.get((ref || alt).toLowerCase()) ?? null });
+    }
+    for (const [tag] of line.matchAll(/<img\b[^>]*>/gi)) {
+        images.push({
+            alt: tag.match(/\balt\s*=\s*(["'])(.*?)\1/i)?.[2].trim() ?? '',
+            url: tag.match(/\bsrc\s*=\s*(["'])(.*?)\1/i)?.[2] ?? null,
+        });
+    }
+    return images;
+}
+
+/**
+ * What a text line says once markup is removed (links keep their text, images and tags go)
+ */
+function stripMarkup(line) {
+    return line
+        .replace(/!\[[^\]]*\](\([^)]*\)|\[[^\]]*\])/g, ' ')
+        .replace(/<img\b[^>]*>/gi, ' ')
+        .replace(/\[([^\]]*)\](\([^)]*\)|\[[^\]]*\])/g, '$1')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/`[^`]*`_?|https?:\/\/\S+/g, ' ')
+        .replace(/^\s*([-*+]|\d+[.)])\s+/, '');
+}
+
+/**
+ * Lines that carry no prose of their own: badges, bare links (tables of contents),
+ * HTML wrappers, directives, rules and table borders
+ */
+function isBoilerplate(line) {
+    const trimmed = line.trim();
+    if (/^(\.\.\s|:[\w-]+:|[-=*_+|:\s]{3,}$|<\/?\w[^>]*>$|#\+\w+|\[\w[^\]]*\]:\s|\[[^\]]*\]$)/.test(trimmed)) return true;
+    const linkOnly = /^\s*([-*+]|\d+[.)])?\s*(\[[^\]]*\]\([^)]*\)\s*)+$/.test(line);
+    return linkOnly || countWords(stripMarkup(line)) === 0;
+}
+
+/**
+ * Markdown: ATX and setext headings, HTML headings, fenced, indented and <pre> code
+ */
+function parseMarkdown(lines) {
+    const blocks = [];
+    const references = new Map();
+    for (const line of lines) {
+        const match = line.match(/^\s{0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(\s|$)/);
+        if (match) references.set(match[1].toLowerCase(), match[2]);
+    }
+
+    const listItem = /^\s*([-*+]|\d+[.)])\s/;
+    let fence = null;
+    let code = [];
+    let previous = '';
+    let lastContent = '';
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (fence) {
+            if (fence.close.test(line)) {
+                blocks.push({ type: 'code', language: fence.language, content: code.join('\n') });
+                fence = null;
+            } else {
+                code.push(line);
+            }
+            continue;
+        }
+
+        const opening = line.match(/^\s{0,3}(`{3,}|~{3,})\s*([^\s`]*)/);
+        if (opening) {
+            fence = { close: new RegExp(`^\\s{0,3}${opening[1][0]}{${opening[1].length},}\\s*$`), language: opening[2] || null };
+            code = [];
+            continue;
+        }
+        if (/^\s*<pre\b/i.test(line)) {
+            const end = lines.findIndex((candidate, index) => index >= i && /<\/pre>/i.test(candidate));
+            const last = end === -1 ? lines.length - 1 : end;
+            blocks.push({ type: 'code', language: null, content: lines.slice(i, last + 1).join('\n').replace(/<\/?(pre|code)\b[^>]*>/gi, '') });
+            i = last;
+            continue;
+        }
+
+        const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+        const html = line.match(/^\s*<h([1-6])\b[^>]*>(.*?)<\/h\1>/i);
+        const setext = line.trim() && !listItem.test(line) && !/^\s*[|<]/.test(line) && lines[i + 1]?.match(/^\s{0,3}(=+|-{2,})\s*$/);
+        if (atx || html) {
+            const [, level, text] = atx ?? html;
+            blocks.push({ type: 'heading', level: atx ? level.length : Number(level), text: stripMarkup(text).trim() });
+        } else if (setext) {
+            blocks.push({ type: 'heading', level: lines[i + 1].includes('=') ? 1 : 2, text: stripMarkup(line).trim() });
+            i += 1;
+        } else if (/^( {4}|\t)\S/.test(line) && !previous.trim() && !listItem.test(lastContent)) {
+            // Indented code block: only after a blank line, and not a list item's continuation
+            const block = [line];
+            while (i + 1 < lines.length && (/^( {4}|\t)/.test(lines[i + 1]) || !lines[i + 1].trim())) block.push(lines[++i]);
+            blocks.push({ type: 'code', language: null, content: block.join('\n') });
+        } else if (line.trim()) {
+            blocks.push({ type: 'text', text: line, images: findMarkdownImages(line, references) });
+        }
+        previous = line;
+        if (line.trim()) lastContent = line;
+    }
+    if (fence) blocks.push({ type: 'code', language: fence.language, content: code.join('\n') });
+    return blocks;
+}
+
+/**
+ * reStructuredText: over- and underlined titles (levels in order of first use), code
+ * directives, "::" literal blocks and image / figure directives with their :alt: option
+ */
+function parseRst(lines) {
+    const blocks = [];
+    const styles = [];
+    const adornment = /^([=\-~^"'`#*+<>_:.!$%&,;/?@\\|])\1{2,}\s*$/;
+    const levelOf = (style) => {
+        if (!styles.includes(style)) styles.push(style);
+        return styles.indexOf(style) + 1;
+    };
+    // An indented block after line i (blank lines inside it included)
+    const readIndented = (i) => {
+        const block = [];
+        let j = i + 1;
+        while (j < lines.length && (!lines[j].trim() || /^\s/.test(lines[j]))) block.push(lines[j++]);
+        return { content: block.join('\n').trim(), next: j - 1 };
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const next = lines[i + 1] ?? '';
+
+        if (adornment.test(line) && next.trim() && adornment.test(lines[i + 2] ?? '') && lines[i + 2].trim()[0] === line.trim()[0]) {
+            blocks.push({ type: 'heading', level: levelOf(`over${line.trim()[0]}`), text: next.trim() });
+            i += 2;
+            continue;
+        }
+        if (line.trim() && !/^\s/.test(line) && !adornment.test(line) && adornment.test(next) && next.trim().length >= Math.min(line.trim().length, 3)) {
+            blocks.push({ type: 'heading', level: levelOf(next.trim()[0]), text: line.trim() });
+            i += 1;
+            continue;
+        }
+
+        const code = line.match(/^\.\.\s+(?:code-block|code|sourcecode)::\s*(\S*)/);
+        if (code) {
+            const { content, next: end } = readIndented(i);
+            blocks.push({ type: 'code', language: code[1] || null, content: content.split('\n').filter((text) => !/^\s*:[\w-]+:/.test(text)).join('\n').trim() });
+            i = end;
+            continue;
+        }
+        const image = line.match(/^\.\.\s+(?:\|[^|]+\|\s+)?(?:image|figure)::\s*(\S+)/);
+        if (image) {
+            const { content, next: end } = readIndented(i);
+            const alt = content.match(/^\s*:alt:\s*(.*)$/m)?.[1].trim() ?? '';
+            blocks.push({ type: 'text', text: line, images: [{ alt, url: image[1] }] });
+            i = end;
+            continue;
+        }
+
+        if (!line.trim()) continue;
+        blocks.push({ type: 'text', text: line, images: [] });
+        // "Paragraph::" introduces a literal block
+        if (/::\s*$/.test(line) && !/^\.\.\s/.test(line)) {
+            const { content, next: end } = readIndented(i);
+            if (content) {
+                blocks.push({ type: 'code', language: null, content });
+                i = end;
+            }
+        }
+    }
+    return blocks;
+}
+
+/**
+ * AsciiDoc: "=" section titles (Markdown "#" too), [source] listings, ---- and .... blocks,
+ * backtick fences, and image macros whose first attribute is the alt text
+ */
+function parseAsciidoc(lines) {
+    const blocks = [];
+    let language = null;
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const source = line.match(/^\[(?:source|listing)(?:,\s*([^,\]]+))?/);
+        if (source) {
+            language = source[1]?.trim() ?? null;
+            continue;
+        }
+        const delimiter = line.match(/^(-{4,}|\.{4,}|`{3,})\s*(\S*)\s*$/);
+        if (delimiter) {
+            const end = lines.findIndex((candidate, index) => index > i && candidate.trim() === delimiter[1]);
+            const last = end === -1 ? lines.length : end;
+            blocks.push({ type: 'code', language: language ?? (delimiter[2] || null), content: lines.slice(i + 1, last).join('\n') });
+            language = null;
+            i = last;
+            continue;
+        }
+        language = null;
+
+        const heading = line.match(/^(={1,6}|#{1,6})\s+(\S.*)$/);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+        } else if (line.trim()) {
+            const images = [...line.matchAll(/image::?([^\s[]+)\[([^\]]*)\]/g)].map(([, url, attributes]) => {
+                const first = attributes.split(',')[0].trim();
+                return { alt: first.includes('=') ? attributes.match(/\balt="?([^",]*)/)?.[1] ?? '' : first.replace(/^"|"$/g, ''), url };
+            });
+            blocks.push({ type: 'text', text: line, images });
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Org: "*" headlines and #+BEGIN_SRC / #+BEGIN_EXAMPLE blocks
+ */
+function parseOrg(lines) {
+    const blocks = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const begin = line.match(/^\s*#\+begin_(src|example)\s*(\S*)/i);
+        if (begin) {
+            const end = lines.findIndex((candidate, index) => index > i && /^\s*#\+end_(src|example)/i.test(candidate));
+            const last = end === -1 ? lines.length : end;
+            blocks.push({ type: 'code', language: begin[2] || null, content: lines.slice(i + 1, last).join('\n') });
+            i = last;
+            continue;
+        }
+        const heading = line.match(/^(\*{1,6})\s+(\S.*)$/);
+        if (heading) blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+        else if (line.trim()) blocks.push({ type: 'text', text: line, images: [] });
+    }
+    return blocks;
+}
+
+/**
+ * Parse a README into blocks: { type: 'heading', level, text }, { type: 'code', language, content }
+ * and { type: 'text', text, images }
+ * @param {string} content - README content
+ * @param {string} format - 'markdown', 'rst', 'asciidoc', 'org' or 'text'
+ * @returns {Array<Object>}
+ */
+export function parseReadme(content, format = 'markdown') {
+    const lines = content.replace(/^﻿/, '').split(/\r?\n/);
+    switch (format) {
+        case 'rst': return parseRst(lines);
+        case 'asciidoc': return parseAsciidoc(lines);
+        case 'org': return parseOrg(lines);
+        case 'text': return lines.filter((line) => line.trim()).map((text) => ({ type: 'text', text, images: [] }));
+        default: return parseMarkdown(lines);
+    }
+}
+
+/**
+ * Problems with the heading outline: more than one top-level title, skipped levels
+ */
+function getHeadingIssues(headings) {
+    const issues = [];
+    const topLevel = Math.min(...headings.map((heading) => heading.level));
+    const titles = headings.filter((heading) => heading.level === topLevel);
+    if (headings.length > 1 && titles.length > 1 && topLevel === 1) {
+        issues.push(`${titles.length} top-level headings`);
+    }
+    for (let i = 1; i < headings.length; i++) {
+        if (headings[i].level > headings[i - 1].level + 1) {
+            issues.push(`"${headings[i].text}" skips from level ${headings[i - 1].level} to ${headings[i].level}`);
+        }
+    }
+    return issues;
+}
+
+/**
+ * One checklist entry; passed / partial / failed like the score breakdown
+ */
+function checklistItem(section, status, detail) {
+    return { section, status, detail };
+}
+
+/**
+ * Analyze the structure of a README
+ * @param {string} content - README content
+ * @param {string|null} path - README path, which tells the markup format
+ * @returns {Object} Structure facts plus a per-section checklist
+ */
+export function analyzeReadme(content, path = null) {
+    const format = getReadmeFormat(path);
+    const blocks = parseReadme(content, format);
+    const headings = blocks.filter((block) => block.type === 'heading');
+
+    // A section runs to the next heading of the same or a higher level, subsections included
+    const sections = headings.map((heading) => {
+        const start = blocks.indexOf(heading);
+        const end = blocks.findIndex((block, index) => index > start && block.type === 'heading' && block.level <= heading.level);
+        const body = blocks.slice(start + 1, end === -1 ? blocks.length : end);
+        return {
+            heading: heading.text,
+            level: heading.level,
+            kind: Object.keys(SECTION_KINDS).find((kind) => SECTION_KINDS[kind].test(heading.text)) ?? null,
+            words: body.filter((block) => block.type === 'text').reduce((total, block) => total + countWords(stripMarkup(block.text)), 0),
+            codeBlocks: body.filter((block) => block.type === 'code' && block.content.trim()).length,
+        };
+    });
+    // "Getting started" usually covers both installing and first use
+    const findSection = (kind) => {
+        const matching = sections.filter((section) => section.kind === kind || (kind === 'usage' && SECTION_KINDS.usage.test(section.heading)));
+        return matching.find((section) => section.codeBlocks > 0) ?? matching[0] ?? null;
+    };
+
+    const installation = findSection('installation');
+    const usage = findSection('usage');
+    const license = findSection('license');
+    const contributing = findSection('contributing');
+
+    const headingIssues = headings.length > 0 ? getHeadingIssues(headings) : [];
+    const headingHierarchyValid = headings.length >= 2 && headingIssues.length === 0;
+
+    const images = blocks.filter((block) => block.type === 'text').flatMap((block) => block.images);
+    const badgeCount = images.filter((image) => isBadge(image.url)).length;
+    const imagesMissingAlt = images.filter((image) => !image.alt).length;
+
+    // Prose share of the non-code text, measured in characters
+    let prose = 0;
+    let boilerplate = 0;
+    for (const block of blocks.filter((entry) => entry.type === 'text')) {
+        if (isBoilerplate(block.text)) boilerplate += block.text.trim().length;
+        else prose += block.text.trim().length;
+    }
+    const proseRatioPercent = prose + boilerplate > 0 ? Math.round((prose / (prose + boilerplate)) * 100) : null;
+
+    const describeSection = (section, label) => {
+        if (!section) return checklistItem(label, 'failed', 'no section found');
+        if (section.codeBlocks > 0) return checklistItem(label, 'passed', `"${section.heading}" with ${section.codeBlocks} code block(s)`);
+        return checklistItem(label, 'partial', `"${section.heading}" has no code block`);
+    };
+    const title = headings.find((heading) => heading.level === Math.min(...headings.map((entry) => entry.level)));
+
+    const checklist = [
+        title ? checklistItem('Title', 'passed', `"${title.text}"`) : checklistItem('Title', 'failed', 'no heading found'),
+        headingHierarchyValid
+            ? checklistItem('Heading hierarchy', 'passed', `${headings.length} headings, no skipped levels`)
+            : checklistItem('Heading hierarchy', 'failed', headings.length < 2 ? 'fewer than 2 headings' : headingIssues.join('; ')),
+        describeSection(installation, 'Installation'),
+        describeSection(usage, 'Usage'),
+        checklistItem('License', license ? 'passed' : 'failed', license ? `"${license.heading}"` : 'no section found'),
+        checklistItem('Contributing', contributing ? 'passed' : 'failed', contributing ? `"${contributing.heading}"` : 'no section found'),
+        checklistItem('Badges', badgeCount > 0 ? 'passed' : 'failed', `${badgeCount} badge(s)`),
+        images.length === 0
+            ? checklistItem('Image alt text', 'passed', 'no images')
+            : checklistItem('Image alt text', imagesMissingAlt === 0 ? 'passed' : 'failed', `${images.length - imagesMissingAlt} of ${images.length} image(s) have alt text`),
+        checklistItem('Prose', proseRatioPercent >= 50 ? 'passed' : proseRatioPercent >= 25 ? 'partial' : 'failed', `${proseRatioPercent ?? 0}% of the text is prose`),
+    ];
+
+    return {
+        format,
+        headingCount: headings.length,
+        headingHierarchyValid,
+        headingIssues,
+        hasInstallation: !!installation,
+        installationHasCode: (installation?.codeBlocks ?? 0) > 0,
+        hasUsage: !!usage,
+        usageHasCode: (usage?.codeBlocks ?? 0) > 0,
+        hasLicenseSection: !!license,
+        hasContributingSection: !!contributing,
+        badgeCount,
+        imageCount: images.length,
+        imagesMissingAlt,
+        proseRatioPercent,
+        sections: sections.slice(0, MAX_SECTIONS),
+        checklist,
+    };
+}
@@ -0,0 +1,335 @@
+/**
+ * Repository Source Abstraction
+ * A source answers the questions the scorer asks about one repository,
+ * whether the answers come from the GitHub API or from a clone on disk.
+ *
+ * Source shape:
+ *   kind ('github' | 'local'), owner, repo,
+ *   getRepoData(), getReadme(), getFileContent(path), fileExists(path), directoryExists(path), findFiles(globs),
+ *   getWorkflows(), getReleases(), getTags(), getIssueStats(), getPullRequestStats(),
+ *   getIssueResponsiveness(), getPullRequestActivity(),
+ *   getRepositorySettings() (default branch protection and security settings; admin-only
+ *     settings are null for other tokens),
+ *   getCommitHistory() (default branch commits of the last year: { commits: [{ date, author, isBot }], truncated,
+ *     weeklyCounts } where weeklyCounts are exact weekly totals, only set for a truncated sample)
+ *
+ * Existence checks and globs are answered from an in-memory index of every path
+ * (one recursive git tree request on GitHub, git ls-tree locally).
+ *
+ * Signals a source cannot provide (e.g. stars or issues for a local clone)
+ * are returned as null so the scorer can mark them unavailable instead of failed.
+ *
+ * Detectors are tri-state: true/count (present), false/0 (absent) or null (unknown).
+ * A check that errors (403, 5xx, network) is reported as unknown and recorded in
+ * source.getIncompleteChecks() rather than counted as missing.
+ */
+
+import { log } from 'crawlee';
+import {
+    getRepoData,
+    getReadme,
+    getFileContent,
+    fileExists,
+    directoryExists,
+    getRepoTree,
+    getWorkflows,
+    getReleases,
+    getTags,
+    getIssueStats,
+    getPullRequestStats,
+    getIssueAndPullRequestStats,
+    getIssueResponsiveness,
+    getPullRequestActivity,
+    getCommitHistory,
+    getWeeklyCommitCounts,
+    getRepositorySettings,
+} from './github-client.js';
+import { getCommitWindowStart } from './activity-metrics.js';
+import { isRateLimitError } from './request-scheduler.js';
+import { globToRegExp } from './utils.js';
+
+// What each detector answers when its check could not be completed
+const UNKNOWN_RESULTS = {
+    getReadme: () => ({ exists: null, path: null, content: '', length: null }),
+    getFileContent: () => ({ exists: null, content: '', length: null }),
+    fileExists: () => null,
+    directoryExists: () => null,
+    findFiles: () => null,
+    getWorkflows: () => ({ exists: null, count: null }),
+    getReleases: () => ({ exists: null, count: null, latest: null, recent: null }),
+    getTags: () => ({ exists: null, count: null }),
+    getIssueStats: () => ({ open: null, closed: null, ratio: null }),
+    getPullRequestStats: () => ({ open: null, closed: null, merged: null }),
+    getIssueResponsiveness: () => ({
+        sampled: null,
+        medianFirstResponseHours: null,
+        medianCloseHours: null,
+        unansweredAfter30DaysPercent: null,
+    }),
+    getCommitHistory: () => null,
+    getPullRequestActivity: () => ({
+        openSampled: null,
+        openAgeDistribution: null,
+        medianOpenAgeDays: null,
+        staleOpenPercent: null,
+        closedSampled: null,
+        externalMergeRatePercent: null,
+        medianTimeToMergeHours: null,
+        reviewCoveragePercent: null,
+        selfMergeRatePercent: null,
+    }),
+    getRepositorySettings: () => ({
+        branch: null,
+        branchProtection: {
+            protected: null,
+            rulesetCount: null,
+            requiredReviews: null,
+            requiredStatusChecks: null,
+            forcePushBlocked: null,
+            deletionBlocked: null,
+            adminEnforced: null,
+        },
+        secretScanning: null,
+        pushProtection: null,
+        privateVulnerabilityReporting: null,
+        wikiHasPages: null,
+    }),
+};
+
+/**
+ * Make a source's detectors report failed checks as unknown
+ * Rate-limit errors still propagate: the scheduler already retried them, and a run
+ * that is out of quota should fail loudly rather than produce a hollow score.
+ * @param {Object} source - Repository source
+ * @returns {Object} Same source, with getIncompleteChecks() returning [{ check, reason }]
+ */
+export function trackIncompleteChecks(source) {
+    const incomplete = new Map();
+
+    for (const [method, unknownResult] of Object.entries(UNKNOWN_RESULTS)) {
+        const detector = source[method];
+        source[method] = async (...args) => {
+            try {
+                return await detector(...args);
+            } catch (error) {
+                if (isRateLimitError(error)) throw error;
+
+                const check = args.length > 0 ? `${method}(${args.join(', ')})` : method;
+                const reason = error.status ? `HTTP ${error.status}: ${error.message}` : error.message;
+                if (!incomplete.has(check)) {
+                    log.warning(`❔ ${source.owner}/${source.repo}: could not check ${check} (${reason})`);
+                    incomplete.set(check, reason);
+                }
+                return unknownResult();
+            }
+        };
+    }
+
+    source.getIncompleteChecks = () => [...incomplete].map(([check, reason]) => ({ check, reason }));
+    return source;
+}
+
+/**
+ * Tri-state "any of": true if any check is present, null if none is but some
+ * could not be checked, otherwise false. Checks run in order and stop at the first hit.
+ * @param {Array<Function>} checks - async () => boolean|null
+ * @returns {Promise<boolean|null>}
+ */
+export async function anyPresent(checks) {
+    let unknown = false;
+    for (const check of checks) {
+        const result = await check();
+        if (result === true) return true;
+        if (result === null) unknown = true;
+    }
+    return unknown ? null : false;
+}
+
+/**
+ * Build lookup sets for files and every directory that contains them
+ * @param {Array<string>} filePaths - Every file path, relative to the repository root
+ * @param {Array<string>} directoryPaths - Directories known independently of their files
+ * @returns {{files: Set<string>, directories: Set<string>, findFiles: Function}}
+ *   findFiles(globs) returns the sorted file paths matching any of the glob patterns
+ */
+export function buildPathIndex(filePaths, directoryPaths = []) {
+    const files = new Set(filePaths);
+    const directories = new Set(directoryPaths);
+
+    for (const path of filePaths) {
+        const parts = path.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            directories.add(parts.slice(0, i).join('/'));
+        }
+    }
+
+    const findFiles = (globs) => {
+        const patterns = [].concat(globs).map((glob) => globToRegExp(glob));
+        return [...files].filter((path) => patterns.some((pattern) => pattern.test(path))).sort();
+    };
+
+    return { files, directories, findFiles };
+}
+
+/**
+ * Create a source backed by the GitHub API
+ * With GraphQL-prefetched data (see createRepositoryBatchLoader) metadata, counts and
+ * the top-level listings come from the batch; anything the batch did not settle uses REST.
+ * The default branch's tree is fetched once, on the first existence check the listings
+ * cannot answer. Paths missing from a truncated tree, or every path when the tree cannot
+ * be fetched, fall back to one getContent request each.
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - Source options
+ * @param {Object|null} options.prefetched - Batch data for this repository, null to use REST only
+ * @param {boolean} options.useGraphQL - Whether issue and pull request counts the batch did not settle may
+ *   come from one GraphQL query (needs a token) instead of five searches
+ * @returns {Object} Repository source
+ */
+export function createGitHubSource(octokit, owner, repo, { prefetched = null, useGraphQL = false } = {}) {
+    let repoDataPromise = null;
+    let treePromise = null;
+    let treeError = null;
+    let commitHistoryPromise = null;
+    let issueStatsPromise = null;
+    let countsPromise = null;
+
+    // Issue and pull request counts share one query
+    const loadCounts = () => (countsPromise ??= getIssueAndPullRequestStats(octokit, owner, repo));
+
+    const loadRepoData = () => (repoDataPromise ??= prefetched
+        ? Promise.resolve(prefetched.repoData)
+        : getRepoData(octokit, owner, repo));
+
+    // Top-level listings from the batch answer paths whose parent directory was listed
+    const listing = prefetched ? buildPathIndex(prefetched.files, prefetched.directories) : null;
+    const isListed = (path) => !!listing && prefetched.listedDirectories.has(path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+
+    // Resolves to the path index, or null when the tree could not be fetched
+    const loadTree = () => (treePromise ??= (async () => {
+        try {
+            const repoData = await loadRepoData();
+            const tree = await getRepoTree(octokit, owner, repo, repoData?.default_branch ?? 'HEAD');
+            if (tree.truncated) {
+                log.warning(`🌳 ${owner}/${repo}: repository tree is truncated, missing paths are checked one by one`);
+            }
+            return { ...buildPathIndex(tree.files, tree.directories), truncated: tree.truncated };
+        } catch (error) {
+            if (isRateLimitError(error)) throw error;
+            log.warning(`🌳 ${owner}/${repo}: could not fetch repository tree (${error.message}), checking paths one by one`);
+            treeError = error;
+            return null;
+        }
+    })());
+
+    return trackIncompleteChecks({
+        kind: 'github',
+        owner,
+        repo,
+        getRepoData: loadRepoData,
+        getReadme: async () => prefetched?.readme ?? getReadme(octokit, owner, repo),
+
+        async getFileContent(path) {
+            const index = isListed(path) ? listing : await loadTree();
+            const known = index && (index === listing || !index.truncated);
+            if (known && !index.files.has(path)) return { exists: false, content: '', length: 0 };
+            return getFileContent(octokit, owner, repo, path);
+        },
+
+        async fileExists(path) {
+            if (isListed(path)) return listing.files.has(path);
+            const index = await loadTree();
+            if (index && (index.files.has(path) || !index.truncated)) return index.files.has(path);
+            return fileExists(octokit, owner, repo, path);
+        },
+
+        async directoryExists(path) {
+            if (isListed(path)) return listing.directories.has(path);
+            const index = await loadTree();
+            if (index && (index.directories.has(path) || !index.truncated)) return index.directories.has(path);
+            return directoryExists(octokit, owner, repo, path);
+        },
+
+        async findFiles(globs) {
+            const index = await loadTree();
+            if (!index) throw treeError;
+            const matches = index.findFiles(globs);
+            // No match in a partial tree proves nothing
+            if (matches.length === 0 && index.truncated) {
+                throw new Error('Repository tree is truncated');
+            }
+            return matches;
+        },
+
+        getWorkflows: async () => prefetched?.workflows ?? getWorkflows(octokit, owner, repo),
+        getReleases: async () => prefetched?.releases ?? getReleases(octokit, owner, repo),
+        getTags: async () => prefetched?.tags ?? getTags(octokit, owner, repo),
+        // Read by both Community and Security
+        getIssueStats: () => (issueStatsPromise ??= (async () => prefetched?.issueStats ?? (useGraphQL
+            ? (await loadCounts()).issueStats
+            : getIssueStats(octokit, owner, repo)))()),
+        getPullRequestStats: async () => prefetched?.pullRequestStats ?? (useGraphQL
+            ? (await loadCounts()).pullRequestStats
+            : getPullRequestStats(octokit, owner, repo)),
+        getIssueResponsiveness: async () => prefetched?.issueResponsiveness ?? getIssueResponsiveness(octokit, owner, repo),
+        getPullRequestActivity: async () => prefetched?.pullRequestActivity ?? getPullRequestActivity(octokit, owner, repo),
+        getRepositorySettings: async () => getRepositorySettings(octokit, owner, repo, await loadRepoData()),
+        getCommitHistory: () => (commitHistoryPromise ??= (async () => {
+            if (prefetched?.commitHistory) return prefetched.commitHistory;
+
+            const history = await getCommitHistory(octokit, owner, repo, { since: getCommitWindowStart() });
+            if (history.truncated) {
+                // A sampled history cannot tell how busy older weeks were
+                try {
+                    history.weeklyCounts = await getWeeklyCommitCounts(octokit, owner, repo);
+                } catch (error) {
+                    if (isRateLimitError(error)) throw error;
+                    log.warning(`📈 ${owner}/${repo}: no weekly commit statistics (${error.message}), older weeks stay unknown`);
+                }
+            }
+            return history;
+        })()),
+    });
+}
+
+/**
+ * Check for common security files
+ * @param {Object} source - Repository source
+ * @returns {Promise<{securityMd: boolean|null, dependabot: boolean|null}>}
+ */
+export async function getSecurityFiles(source) {
+    const [securityMd, dependabot] = await Promise.all([
+        source.fileExists('SECURITY.md'),
+        anyPresent([
+            () => source.fileExists('.github/dependabot.yml'),
+            () => source.fileExists('.github/dependabot.yaml'),
+        ]),
+    ]);
+
+    return { securityMd, dependabot };
+}
+
+/**
+ * Check for common linter configurations
+ * @param {Object} source - Repository source
+ * @returns {Promise<boolean|null>}
+ */
+export async function hasLinterConfig(source) {
+    const linterFiles = [
+        '.eslintrc',
+        '.eslintrc.js',
+        '.eslintrc.json',
+        '.eslintrc.yml',
+        '.eslintrc.yaml',
+        'eslint.config.js',
+        '.prettierrc',
+        '.prettierrc.js',
+        '.prettierrc.json',
+        'biome.json',
+        '.stylelintrc',
+        'tslint.json',
+    ];
+
+    return anyPresent(linterFiles.map((file) => () => source.fileExists(file)));
+}
@@ -3,6 +3,31 @@
  * Creates a beautiful vertical dashboard-style HTML report
  */
 
+import { SCORING_PROFILES, formatWeight } from './scoring-profiles.js';
+
+// README checklist status icons
+const CHECKLIST_ICONS = { passed: '✅', partial: '⚠️', failed: '❌' };
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * Escape text from the scanned repository (paths, link targets, names) for HTML content and attributes
+ * @param {*} value - Text; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+
+/**
+ * Keep text from the scanned repository inside one Markdown table cell
+ * @param {*} value - Text; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeTableCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
 /**
  * Generate a premium HTML summary report card
  * @param {Object} result - The analysis result object
@@ -22,7 +47,7 @@ export function generateHtmlReport(result) {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Health Report: ${result.repo_name}</title>
+    <title>Health Report: ${escapeHtml(result.repo_name)}</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body { 
@@ -110,6 +135,7 @@ export function generateHtmlReport(result) {
         }
         .check-yes { color: #22c55e; }
         .check-no { color: #ef4444; }
+        .check-unknown { color: #94a3b8; }
         .badge-img { height: 28px; margin-top: 10px; }
         .recommendations {
             background: linear-gradient(135deg, #1e3a5f 0%, #1a2744 100%);
@@ -144,13 +170,14 @@ export function generateHtmlReport(result) {
     <div class="container">
         <!-- Header with Score -->
         <div class="header">
-            <div class="repo-name">📊 ${result.repo_name}</div>
-            <a href="${result.repo_url}" target="_blank" style="color: #3b82f6; font-size: 14px;">${result.repo_url}</a>
+            <div class="repo-name">📊 ${escapeHtml(result.repo_name)}</div>
+            <a href="${escapeHtml(result.repo_url)}" target="_blank" style="color: #3b82f6; font-size: 14px;">${escapeHtml(result.repo_url)}</a>
             <div class="score-circle">
                 <div class="score-number">${result.health_score}</div>
                 <div class="score-grade">${result.health_grade}</div>
             </div>
             <div class="risk-badge">${result.risk_level}</div>
+            ${formatTrend(result) ? `<div style="margin-top: 10px; color: #a8a8a8;">${formatTrend(result)}</div>` : ''}
             <div><img src="${result.badge_url}" alt="Health Badge" class="badge-img"></div>
         </div>
 
@@ -158,24 +185,80 @@ export function generateHtmlReport(result) {
         <div class="section">
             <div class="section-title">📊 Pillar Scores</div>
             <div class="section-content">
-                ${generatePillarRow('📖 Readability', result.readability_score, '15%')}
-                ${generatePillarRow('🧱 Stability', result.stability_score, '15%')}
-                ${generatePillarRow('🔐 Security', result.security_score, '15%')}
-                ${generatePillarRow('👥 Community', result.community_score, '10%')}
-                ${generatePillarRow('🛠️ Maintainability', result.maintainability_score, '15%')}
-                ${generatePillarRow('📝 Documentation', result.documentation_score, '15%')}
-                ${generatePillarRow('🤖 Automation', result.automation_score, '15%')}
+                ${generatePillarRow('📖 Readability', result.readability_score, getPillarWeight(result, 'readability'))}
+                ${generatePillarRow('🧱 Stability', result.stability_score, getPillarWeight(result, 'stability'))}
+                ${generatePillarRow('🔐 Security', result.security_score, getPillarWeight(result, 'security'))}
+                ${generatePillarRow('👥 Community', result.community_score, getPillarWeight(result, 'community'))}
+                ${generatePillarRow('🛠️ Maintainability', result.maintainability_score, getPillarWeight(result, 'maintainability'))}
+                ${generatePillarRow('📝 Documentation', result.documentation_score, getPillarWeight(result, 'documentation'))}
+                ${generatePillarRow('🤖 Automation', result.automation_score, getPillarWeight(result, 'automation'))}
+                ${generatePillarRow('📦 Dependencies', result.dependencies_score, getPillarWeight(result, 'dependencies'))}
+            </div>
+        </div>
+
+        <!-- Commit Activity -->
+        <div class="section">
+            <div class="section-title">📈 Commit Activity</div>
+            <div class="section-content">
+                ${generateRow('Weekly Commits (52 weeks)', generateSparklineSvg(result.weekly_commits))}
+                ${generateRow('Trend', result.commit_trend ?? 'N/A')}
+                ${generateRow('Active Weeks', result.active_weeks ?? 'N/A')}
+                ${generateRow('Longest Gap', result.longest_commit_gap_days === null || result.longest_commit_gap_days === undefined ? 'N/A' : `${result.longest_commit_gap_days} days`)}
+                ${generateRow('Human / Bot Commits', `${result.human_commit_share ?? 'N/A'} / ${result.bot_commit_share ?? 'N/A'}`)}
             </div>
         </div>
 
+        ${result.readme_checklist?.length ? `
+        <!-- README -->
+        <div class="section">
+            <div class="section-title">📖 README Checklist</div>
+            <div class="section-content">
+                ${result.readme_checklist.map((item) => generateRow(escapeHtml(item.section), `${CHECKLIST_ICONS[item.status]} ${escapeHtml(item.detail)}`)).join('')}
+            </div>
+        </div>
+        ` : ''}
+
         <!-- Security & License -->
         <div class="section">
             <div class="section-title">🔐 Security & License</div>
             <div class="section-content">
-                ${generateRow('License', result.license_type)}
+                ${generateRow('License', escapeHtml(result.license_type))}
                 ${generateRow('License Risk', result.license_risk)}
+                ${result.license_policy_status ? generateRow('License Policy', result.license_policy_status) : ''}
                 ${generateCheckRow('SECURITY.md', result.has_security_md)}
                 ${generateCheckRow('Dependabot', result.dependabot_enabled)}
+                ${generateRow('Known Vulnerabilities', formatVulnerabilityCounts(result.vulnerability_counts))}
+                ${result.vulnerable_dependencies?.length ? generateRow('Upgrade', escapeHtml(formatVulnerableDependencies(result.vulnerable_dependencies))) : ''}
+                ${generateRow('Unpinned Actions', result.unpinned_action_count ?? 'N/A')}
+                ${generateRow('Workflows Without Permissions', result.workflows_without_permissions?.length ?? 'N/A')}
+                ${generateRow('Risky Workflow Steps', formatWorkflowRisks(result))}
+                ${generateRow('Committed Secrets', escapeHtml(formatSecretFindings(result)))}
+                ${generateRow('Branch Protection', formatBranchProtection(result.branch_protection))}
+                ${generateCheckRow('Secret Scanning', result.secret_scanning)}
+                ${generateCheckRow('Push Protection', result.push_protection)}
+                ${generateCheckRow('Private Vulnerability Reporting', result.private_vulnerability_reporting)}
+            </div>
+        </div>
+
+        ${result.scorecard ? `
+        <!-- Scorecard -->
+        <div class="section">
+            <div class="section-title">🛡️ OpenSSF Scorecard Checks (${result.scorecard.score ?? 'N/A'}/10)</div>
+            <div class="section-content">
+                ${result.scorecard.checks.map((check) => generateRow(check.name, `${formatScorecardScore(check.score)} · ${escapeHtml(check.reason)}`)).join('')}
+            </div>
+        </div>
+        ` : ''}
+
+        <!-- Maintainability -->
+        <div class="section">
+            <div class="section-title">🛠️ Maintainability</div>
+            <div class="section-content">
+                ${generateRow('Tests', formatTestCounts(result))}
+                ${generateRow('Test/Source Ratio', result.test_to_source_ratio ?? 'N/A')}
+                ${generateRow('Coverage', result.coverage_tools?.length ? result.coverage_tools.join(', ') : '❌ Not configured')}
+                ${generateCheckRow('CI Runs Tests', result.ci_runs_tests)}
+                ${generateCheckRow('Linter', result.has_linter)}
             </div>
         </div>
 
@@ -187,6 +270,8 @@ export function generateHtmlReport(result) {
                 ${generateCheckRow('CHANGELOG', result.has_changelog)}
                 ${generateCheckRow('Examples', result.has_examples)}
                 ${generateCheckRow('Wiki', result.has_wiki)}
+                ${generateRow('Broken Links', formatBrokenLinkCount(result))}
+                ${result.broken_links?.length ? generateRow('Fix', escapeHtml(formatBrokenLinks(result.broken_links))) : ''}
             </div>
         </div>
 
@@ -195,20 +280,48 @@ export function generateHtmlReport(result) {
             <div class="section-title">🤖 Automation</div>
             <div class="section-content">
                 ${generateRow('CI Workflows', result.workflow_count)}
+                ${generateCheckRow('PR Runs Tests', result.pr_runs_tests)}
+                ${generateCheckRow('PR Runs Lint', result.pr_runs_lint)}
+                ${generateCheckRow('PR Runs Build', result.pr_runs_build)}
                 ${generateCheckRow('PR Template', result.has_pr_template)}
                 ${generateCheckRow('Issue Templates', result.has_issue_template)}
                 ${generateCheckRow('Code of Conduct', result.has_code_of_conduct)}
             </div>
         </div>
 
+        <!-- Dependencies -->
+        <div class="section">
+            <div class="section-title">📦 Dependencies</div>
+            <div class="section-content">
+                ${generateRow('Ecosystems', result.dependency_ecosystems?.length ? result.dependency_ecosystems.join(', ') : 'None found')}
+                ${generateRow('Direct / Transitive', `${result.direct_dependencies ?? 'N/A'} / ${result.transitive_dependencies ?? 'N/A'}`)}
+                ${generateRow('Lockfile Coverage', result.lockfile_coverage ?? 'N/A')}
+                ${generateRow('Unpinned Ranges', result.unpinned_dependency_count ?? 'N/A')}
+                ${generateRow('Git / URL Dependencies', result.git_url_dependency_count ?? 'N/A')}
+                ${result.dependency_licenses_checked ? generateRow('Licenses Forbidden / Review', `${result.forbidden_dependency_license_count} / ${result.review_dependency_license_count} of ${result.dependency_licenses_checked}`) : ''}
+            </div>
+        </div>
+
         <!-- Community -->
         <div class="section">
             <div class="section-title">👥 Community</div>
             <div class="section-content">
-                ${generateRow('⭐ Stars', result.stars?.toLocaleString() || '0')}
-                ${generateRow('🍴 Forks', result.forks?.toLocaleString() || '0')}
-                ${generateRow('📋 Open Issues', result.open_issues)}
+                ${generateRow('⭐ Stars', result.stars === null ? 'N/A' : result.stars?.toLocaleString() || '0')}
+                ${generateRow('🍴 Forks', result.forks === null ? 'N/A' : result.forks?.toLocaleString() || '0')}
+                ${generateRow('📋 Open Issues', result.open_issues ?? 'N/A')}
                 ${generateRow('Issue Close Ratio', result.issue_close_ratio)}
+                ${generateRow('🔀 Open Pull Requests', result.open_pull_requests ?? 'N/A')}
+                ${generateRow('⏱️ Median First Response', result.median_first_response ?? 'N/A')}
+                ${generateRow('Median Time to Close', result.median_time_to_close ?? 'N/A')}
+                ${generateRow('Unanswered After 30 Days', result.unanswered_issues_30d ?? 'N/A')}
+                ${generateRow('PRs Open 90+ Days', result.pr_stale_open_percent ?? 'N/A')}
+                ${generateRow('Median Time to Merge', result.pr_median_time_to_merge ?? 'N/A')}
+                ${generateRow('External PRs Merged', result.pr_external_merge_rate ?? 'N/A')}
+                ${generateRow('Reviewed Before Merge', result.pr_review_coverage ?? 'N/A')}
+                ${generateRow('Self-Merged', result.pr_self_merge_rate ?? 'N/A')}
+                ${generateRow('🚌 Bus Factor', result.bus_factor ?? 'N/A')}
+                ${generateRow('Active Maintainers (90d / 365d)', `${result.active_maintainers_90d ?? 'N/A'} / ${result.active_maintainers_365d ?? 'N/A'}`)}
+                ${generateRow('Top Contributor Share', result.top_contributor_share ?? 'N/A')}
                 ${generateCheckRow('CONTRIBUTING.md', result.has_contributing_md)}
             </div>
         </div>
@@ -221,8 +334,8 @@ export function generateHtmlReport(result) {
                 ${result.recommendations.slice(0, 8).map(rec => `
                     <div class="rec-item">
                         <span class="rec-priority ${getPriorityClass(rec.priority)}">${rec.priority}</span>
-                        <span class="rec-text"><strong>[${rec.category}]</strong> ${rec.issue}</span>
-                        <div style="margin-top: 6px; color: #888; font-size: 13px;">→ ${rec.action}</div>
+                        <span class="rec-text"><strong>[${escapeHtml(rec.category)}]</strong> ${escapeHtml(rec.issue)}</span>
+                        <div style="margin-top: 6px; color: #888; font-size: 13px;">→ ${escapeHtml(rec.action)}</div>
                     </div>
                 `).join('')}
             </div>
@@ -239,7 +352,167 @@ export function generateHtmlReport(result) {
 </html>`;
 }
 
+/**
+ * Get the displayed weight of a pillar, falling back to the default profile
+ * for records produced before weights were recorded
+ */
+export function getPillarWeight(result, pillar) {
+    return result.pillar_weights?.[pillar] ?? formatWeight(SCORING_PROFILES.default[pillar]);
+}
+
+// Block characters for text sparklines, lowest to highest
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Text sparkline of a numeric series (unknown points as spaces), or 'N/A'
+ */
+export function formatSparkline(series) {
+    if (!series?.length) return 'N/A';
+    const max = Math.max(1, ...series.filter((value) => value !== null));
+    return series.map((value) => (value === null ? ' ' : SPARK_BLOCKS[Math.round((value / max) * (SPARK_BLOCKS.length - 1))])).join('');
+}
+
+/**
+ * Inline SVG sparkline of a numeric series (unknown points break the line)
+ */
+export function generateSparklineSvg(series, { width = 220, height = 36, color = '#3b82f6' } = {}) {
+    if (!series?.length) return 'N/A';
+    const max = Math.max(1, ...series.filter((value) => value !== null));
+    const step = series.length > 1 ? width / (series.length - 1) : 0;
+    const segments = [[]];
+    series.forEach((value, i) => {
+        if (value === null) {
+            if (segments.at(-1).length > 0) segments.push([]);
+            return;
+        }
+        const y = height - 2 - (value / max) * (height - 4);
+        segments.at(-1).push(`${(i * step).toFixed(1)},${y.toFixed(1)}`);
+    });
+    const lines = segments
+        .filter((points) => points.length > 0)
+        .map((points) => `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>`)
+        .join('');
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Weekly commits">${lines}</svg>`;
+}
+
+/**
+ * Describe the change since the previous run, or '' on a first analysis
+ */
+export function formatTrend(result) {
+    if (result.profile_changed) {
+        return `⚖️ Scored with other weights than on ${result.previous_analyzed_at?.split('T')[0]} (was ${result.previous_grade}), no trend`;
+    }
+    if (result.data_incomplete) {
+        return `⚠️ Some checks were incomplete in this run or on ${result.previous_analyzed_at?.split('T')[0]} (was ${result.previous_grade}), no trend`;
+    }
+    if (result.score_delta === null || result.score_delta === undefined) return '';
+
+    const icon = result.grade_regression ? '📉' : result.score_delta > 0 ? '📈' : result.score_delta < 0 ? '↘️' : '➡️';
+    const delta = result.score_delta > 0 ? `+${result.score_delta}` : `${result.score_delta}`;
+    return `${icon} ${delta} since ${result.previous_analyzed_at?.split('T')[0]} (was ${result.previous_grade})`;
+}
+
+/**
+ * Summarize known vulnerabilities by severity ("❌ 3 (1 critical, 2 high)"), or N/A without a database
+ */
+export function formatVulnerabilityCounts(counts) {
+    if (!counts) return 'N/A';
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) return '✅ None';
+    const parts = Object.entries(counts).filter(([, count]) => count > 0).map(([severity, count]) => `${count} ${severity}`);
+    return `${counts.critical + counts.high > 0 ? '❌' : '⚠️'} ${total} (${parts.join(', ')})`;
+}
+
+/**
+ * The worst vulnerable packages with the version that fixes them
+ */
+export function formatVulnerableDependencies(findings, limit = 3) {
+    const listed = findings.slice(0, limit)
+        .map((f) => `${f.package} ${f.version} → ${f.fixed_version ?? 'no fix'} (${f.advisory}, ${f.severity})`);
+    return findings.length > limit ? `${listed.join(', ')} …` : listed.join(', ');
+}
+
+/**
+ * Count pull_request_target checkouts and echoed secrets ("✅ None", "❌ 1 pull_request_target, 2 secret echo")
+ */
+export function formatWorkflowRisks(result) {
+    const { pull_request_target_risks: checkouts, secrets_echoed_in_workflows: echoes } = result;
+    if (!checkouts || !echoes) return 'N/A';
+    if (checkouts.length + echoes.length === 0) return '✅ None';
+    const parts = [];
+    if (checkouts.length > 0) parts.push(`${checkouts.length} pull_request_target checkout`);
+    if (echoes.length > 0) parts.push(`${echoes.length} secret echo`);
+    return `❌ ${parts.join(', ')}`;
+}
+
+/**
+ * Summarize committed secrets ("✅ None (120 files)", "❌ 2: .env:1 dotenv-file, ..."), or N/A when the scan is off
+ */
+export function formatSecretFindings(result, limit = 3) {
+    if (result.secret_finding_count === null || result.secret_finding_count === undefined) return 'N/A';
+    if (result.secret_finding_count === 0) return `✅ None (${result.secret_scan_files} files)`;
+    const listed = result.secret_findings.slice(0, limit).map((f) => `${f.path}:${f.line} ${f.rule}`);
+    return `❌ ${result.secret_finding_count}: ${listed.join(', ')}${result.secret_finding_count > limit ? ' …' : ''}`;
+}
+
+/**
+ * Summarize test files ("✅ 42 test files for 120 Go source files"), or N/A when the repository could not be listed
+ */
+export function formatTestCounts(result) {
+    if (result.test_file_count === null || result.test_file_count === undefined) return 'N/A';
+    // Name the ecosystem only when the counts all belong to it
+    const ecosystem = result.test_ecosystems?.length === 1 ? `${result.test_ecosystems[0].name} ` : '';
+    if (result.test_file_count === 0) return `❌ None (${result.source_file_count} ${ecosystem}source files)`;
+    return `✅ ${result.test_file_count} test files for ${result.source_file_count} ${ecosystem}source files`;
+}
+
+/**
+ * Count broken documentation links ("✅ None", "❌ 4 in 2 files"), or N/A when nothing was checked
+ */
+export function formatBrokenLinkCount(result) {
+    if (result.broken_link_count === null || result.broken_link_count === undefined) return 'N/A';
+    if (result.broken_link_count === 0) return `✅ None (${result.links_checked} checked)`;
+    const files = result.broken_links.length;
+    return `❌ ${result.broken_link_count} in ${files} file${files === 1 ? '' : 's'}`;
+}
+
+/**
+ * The first broken links with where they are and why ("README.md:12 docs/setup.md (file not found)")
+ */
+export function formatBrokenLinks(brokenLinks, limit = 3) {
+    const all = brokenLinks.flatMap(({ file, links }) => links.map((link) => `${file}:${link.line} ${link.target} (${link.reason})`));
+    return all.length > limit ? `${all.slice(0, limit).join(', ')} …` : all.join(', ');
+}
+
+/**
+ * Summarize default branch protection ("✅ 2 reviews · checks · no force-push · no deletion · admins"),
+ * or "❔ Not assessable" when the token cannot read it
+ */
+export function formatBranchProtection(protection) {
+    if (!protection || protection.protected === null) return '❔ Not assessable';
+    if (!protection.protected) return '❌ Not protected';
+    const parts = [
+        protection.requiredReviews > 0 && `${protection.requiredReviews} review${protection.requiredReviews === 1 ? '' : 's'}`,
+        protection.requiredStatusChecks && 'checks',
+        protection.forcePushBlocked && 'no force-push',
+        protection.deletionBlocked && 'no deletion',
+        protection.adminEnforced && 'admins',
+    ].filter(Boolean);
+    return `✅ ${parts.join(' · ') || 'protected'}`;
+}
+
+/**
+ * One Scorecard check score for display ("7/10", or "❔ Inconclusive" for -1)
+ */
+export function formatScorecardScore(score) {
+    if (score === null || score === undefined || score < 0) return '❔ Inconclusive';
+    return `${score}/10`;
+}
+
 function generatePillarRow(label, score, weight) {
+    if (score === null || score === undefined) {
+        return generateRow(`${label} (${weight})`, 'N/A');
+    }
     const color = score >= 80 ? '#22c55e' : score >= 50 ? '#eab308' : '#ef4444';
     return `
         <div class="row">
@@ -260,6 +533,13 @@ function generateRow(label, value) {
 }
 
 function generateCheckRow(label, value) {
+    if (value?.includes('❔') || value === null) {
+        return `
+        <div class="row">
+            <span class="row-label">${label}</span>
+            <span class="row-value check-unknown">❔ Unknown</span>
+        </div>`;
+    }
     const isYes = value?.includes('✅') || value === true;
     return `
         <div class="row">
@@ -274,6 +554,13 @@ function getPriorityClass(priority) {
     return 'priority-nice';
 }
 
+/**
+ * Pillar score for text output ('N/A' when nothing in the pillar could be assessed)
+ */
+function formatScore(score) {
+    return score === null || score === undefined ? 'N/A' : `${score}/100`;
+}
+
 /**
  * Generate markdown summary (vertical format)
  */
@@ -284,30 +571,82 @@ export function generateMarkdownSummary(result) {
 ## Overall Score: ${result.health_score}/100 (${result.health_grade})
 ${result.risk_level}
 
+Scoring profile: **${result.scoring_profile || 'default'}**
+${formatTrend(result) ? `\n${formatTrend(result)}\n` : ''}
 ---
 
 ## 📊 Pillar Scores
 
 | Pillar | Score |
 |--------|-------|
-| 📖 Readability (15%) | ${result.readability_score}/100 |
-| 🧱 Stability (15%) | ${result.stability_score}/100 |
-| 🔐 Security (15%) | ${result.security_score}/100 |
-| 👥 Community (10%) | ${result.community_score}/100 |
-| 🛠️ Maintainability (15%) | ${result.maintainability_score}/100 |
-| 📝 Documentation (15%) | ${result.documentation_score}/100 |
-| 🤖 Automation (15%) | ${result.automation_score}/100 |
+| 📖 Readability (${getPillarWeight(result, 'readability')}) | ${formatScore(result.readability_score)} |
+| 🧱 Stability (${getPillarWeight(result, 'stability')}) | ${formatScore(result.stability_score)} |
+| 🔐 Security (${getPillarWeight(result, 'security')}) | ${formatScore(result.security_score)} |
+| 👥 Community (${getPillarWeight(result, 'community')}) | ${formatScore(result.community_score)} |
+| 🛠️ Maintainability (${getPillarWeight(result, 'maintainability')}) | ${formatScore(result.maintainability_score)} |
+| 📝 Documentation (${getPillarWeight(result, 'documentation')}) | ${formatScore(result.documentation_score)} |
+| 🤖 Automation (${getPillarWeight(result, 'automation')}) | ${formatScore(result.automation_score)} |
+| 📦 Dependencies (${getPillarWeight(result, 'dependencies')}) | ${formatScore(result.dependencies_score)} |
+
+---
+
+## 📈 Commit Activity
+
+| Metric | Value |
+|--------|-------|
+| Weekly Commits (52 weeks) | \`${formatSparkline(result.weekly_commits)}\` |
+| Trend | ${result.commit_trend ?? 'N/A'} |
+| Active Weeks | ${result.active_weeks ?? 'N/A'} |
+| Longest Gap | ${result.longest_commit_gap_days === null || result.longest_commit_gap_days === undefined ? 'N/A' : `${result.longest_commit_gap_days} days`} |
+| Human / Bot Commits | ${result.human_commit_share ?? 'N/A'} / ${result.bot_commit_share ?? 'N/A'} |
+
+---
+
+${result.readme_checklist?.length ? `## 📖 README Checklist
+
+| Section | Status |
+|---------|--------|
+${result.readme_checklist.map((item) => `| ${escapeTableCell(item.section)} | ${CHECKLIST_ICONS[item.status]} ${escapeTableCell(item.detail)} |`).join('\n')}
 
 ---
 
-## 🔐 Security & License
+` : ''}## 🔐 Security & License
 
 | Check | Status |
 |-------|--------|
-| License | ${result.license_type} |
+| License | ${escapeTableCell(result.license_type)} |
 | License Risk | ${result.license_risk} |
-| SECURITY.md | ${result.has_security_md} |
+${result.license_policy_status ? `| License Policy | ${result.license_policy_status} |\n` : ''}| SECURITY.md | ${result.has_security_md} |
 | Dependabot | ${result.dependabot_enabled} |
+| Known Vulnerabilities | ${formatVulnerabilityCounts(result.vulnerability_counts)} |
+${result.vulnerable_dependencies?.length ? `| Upgrade | ${escapeTableCell(formatVulnerableDependencies(result.vulnerable_dependencies))} |\n` : ''}| Unpinned Actions | ${result.unpinned_action_count ?? 'N/A'} |
+| Workflows Without Permissions | ${result.workflows_without_permissions?.length ?? 'N/A'} |
+| Risky Workflow Steps | ${formatWorkflowRisks(result)} |
+| Committed Secrets | ${escapeTableCell(formatSecretFindings(result))} |
+| Branch Protection | ${formatBranchProtection(result.branch_protection)} |
+| Secret Scanning | ${result.secret_scanning} |
+| Push Protection | ${result.push_protection} |
+| Private Vulnerability Reporting | ${result.private_vulnerability_reporting} |
+
+---
+${result.scorecard ? `
+## 🛡️ OpenSSF Scorecard Checks: ${result.scorecard.score ?? 'N/A'}/10
+
+| Check | Score | Reason |
+|-------|-------|--------|
+${result.scorecard.checks.map((check) => `| ${check.name} | ${formatScorecardScore(check.score)} | ${escapeTableCell(check.reason)} |`).join('\n')}
+
+---
+` : ''}
+## 🛠️ Maintainability
+
+| Check | Status |
+|-------|--------|
+| Tests | ${formatTestCounts(result)} |
+| Test/Source Ratio | ${result.test_to_source_ratio ?? 'N/A'} |
+| Coverage | ${result.coverage_tools?.length ? result.coverage_tools.join(', ') : '❌ Not configured'} |
+| CI Runs Tests | ${result.ci_runs_tests} |
+| Linter | ${result.has_linter} |
 
 ---
 
@@ -319,7 +658,8 @@ ${result.risk_level}
 | CHANGELOG | ${result.has_changelog} |
 | Examples | ${result.has_examples} |
 | Wiki | ${result.has_wiki} |
-
+| Broken Links | ${formatBrokenLinkCount(result)} |
+${result.broken_links?.length ? `| Fix | ${escapeTableCell(formatBrokenLinks(result.broken_links))} |\n` : ''}
 ---
 
 ## 🤖 Automation
@@ -327,20 +667,47 @@ ${result.risk_level}
 | Check | Status |
 |-------|--------|
 | CI Workflows | ${result.workflow_count} |
+| PR Runs Tests | ${result.pr_runs_tests} |
+| PR Runs Lint | ${result.pr_runs_lint} |
+| PR Runs Build | ${result.pr_runs_build} |
 | PR Template | ${result.has_pr_template} |
 | Issue Templates | ${result.has_issue_template} |
 | Code of Conduct | ${result.has_code_of_conduct} |
 
 ---
 
+## 📦 Dependencies
+
+| Metric | Value |
+|--------|-------|
+| Ecosystems | ${result.dependency_ecosystems?.length ? result.dependency_ecosystems.join(', ') : 'None found'} |
+| Direct / Transitive | ${result.direct_dependencies ?? 'N/A'} / ${result.transitive_dependencies ?? 'N/A'} |
+| Lockfile Coverage | ${result.lockfile_coverage ?? 'N/A'} |
+| Unpinned Ranges | ${result.unpinned_dependency_count ?? 'N/A'} |
+| Git / URL Dependencies | ${result.git_url_dependency_count ?? 'N/A'} |
+${result.dependency_licenses_checked ? `| Licenses Forbidden / Review | ${result.forbidden_dependency_license_count} / ${result.review_dependency_license_count} of ${result.dependency_licenses_checked} |\n` : ''}
+---
+
 ## 👥 Community
 
 | Metric | Value |
 |--------|-------|
-| ⭐ Stars | ${result.stars?.toLocaleString() || 0} |
-| 🍴 Forks | ${result.forks?.toLocaleString() || 0} |
-| Open Issues | ${result.open_issues} |
+| ⭐ Stars | ${result.stars === null ? 'N/A' : result.stars?.toLocaleString() || 0} |
+| 🍴 Forks | ${result.forks === null ? 'N/A' : result.forks?.toLocaleString() || 0} |
+| Open Issues | ${result.open_issues ?? 'N/A'} |
 | Close Ratio | ${result.issue_close_ratio} |
+| Open Pull Requests | ${result.open_pull_requests ?? 'N/A'} |
+| Median First Response | ${result.median_first_response ?? 'N/A'} |
+| Median Time to Close | ${result.median_time_to_close ?? 'N/A'} |
+| Unanswered After 30 Days | ${result.unanswered_issues_30d ?? 'N/A'} |
+| PRs Open 90+ Days | ${result.pr_stale_open_percent ?? 'N/A'} |
+| Median Time to Merge | ${result.pr_median_time_to_merge ?? 'N/A'} |
+| External PRs Merged | ${result.pr_external_merge_rate ?? 'N/A'} |
+| Reviewed Before Merge | ${result.pr_review_coverage ?? 'N/A'} |
+| Self-Merged | ${result.pr_self_merge_rate ?? 'N/A'} |
+| Bus Factor | ${result.bus_factor ?? 'N/A'} |
+| Active Maintainers (90d / 365d) | ${result.active_maintainers_90d ?? 'N/A'} / ${result.active_maintainers_365d ?? 'N/A'} |
+| Top Contributor Share | ${result.top_contributor_share ?? 'N/A'} |
 | CONTRIBUTING.md | ${result.has_contributing_md} |
 
 ---
@@ -0,0 +1,139 @@
+/**
+ * Rate-Limit Aware Request Scheduler
+ * Wraps every Octokit request: tracks x-ratelimit-* headers per resource, pauses all
+ * requests until the reset when a quota is exhausted, and honours retry-after and
+ * secondary rate limits. Throttling always surfaces as a RateLimitError once retries
+ * run out, so callers can never mistake it for a missing file.
+ */
+
+import { log } from 'crawlee';
+import { sleep } from './utils.js';
+
+// Backoff for secondary rate limits that come without a retry-after header
+const SECONDARY_LIMIT_BASE_DELAY_MS = 60 * 1000;
+
+/**
+ * Raised when a request stays throttled after every retry
+ */
+export class RateLimitError extends Error {
+    constructor(message, { resetAt = null, cause = null } = {}) {
+        super(message, { cause });
+        this.name = 'RateLimitError';
+        this.status = cause?.status ?? 403;
+        this.resetAt = resetAt;
+    }
+}
+
+/**
+ * Check whether an Octokit error is a primary or secondary rate limit
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+    if (!error) return false;
+    if (error instanceof RateLimitError || error.status === 429) return true;
+    if (error.status !== 403) return false;
+
+    const headers = error.response?.headers ?? {};
+    return headers['x-ratelimit-remaining'] === '0' ||
+        headers['retry-after'] !== undefined ||
+        /rate limit/i.test(error.message ?? '');
+}
+
+/**
+ * Which rate-limit bucket a request draws from
+ */
+function getResource(options) {
+    const url = options.url ?? '';
+    if (url.startsWith('/search')) return 'search';
+    if (url.startsWith('/graphql')) return 'graphql';
+    return 'core';
+}
+
+/**
+ * Install the scheduler on an Octokit instance
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {Object} options - Scheduler options
+ * @param {number} options.maxRetries - Retries per request while throttled
+ * @param {number} options.maxWaitMs - Longest single pause before giving up
+ * @returns {{status: Function}} Scheduler handle; status(resource) returns the last known quota
+ */
+export function installRequestScheduler(octokit, { maxRetries = 5, maxWaitMs = 60 * 60 * 1000 } = {}) {
+    const limits = {};
+    let pausedUntil = 0;
+
+    const updateFromHeaders = (headers) => {
+        if (headers?.['x-ratelimit-remaining'] === undefined) return;
+        const resource = headers['x-ratelimit-resource'] ?? 'core';
+        limits[resource] = {
+            remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+            limit: parseInt(headers['x-ratelimit-limit'], 10),
+            reset: parseInt(headers['x-ratelimit-reset'], 10) * 1000,
+        };
+    };
+
+    // How long to wait before retrying a throttled request
+    const getRetryDelay = (error, attempt) => {
+        const headers = error.response?.headers ?? {};
+        if (headers['retry-after'] !== undefined) {
+            return parseInt(headers['retry-after'], 10) * 1000;
+        }
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            return Math.max(parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now(), 0) + 1000;
+        }
+        return SECONDARY_LIMIT_BASE_DELAY_MS * Math.pow(2, attempt);
+    };
+
+    // Wait out a global pause or an exhausted quota before sending
+    const waitForCapacity = async (resource) => {
+        const quota = limits[resource];
+        const quotaResetAt = quota && quota.remaining <= 0 ? quota.reset + 1000 : 0;
+        const resumeAt = Math.max(pausedUntil, quotaResetAt);
+        const waitMs = resumeAt - Date.now();
+
+        if (waitMs > 0) {
+            if (waitMs > maxWaitMs) {
+                throw new RateLimitError(`GitHub ${resource} rate limit exhausted until ${new Date(resumeAt).toISOString()}`, {
+                    resetAt: new Date(resumeAt),
+                });
+            }
+            log.warning(`⏸️ GitHub ${resource} rate limit reached, pausing requests until ${new Date(resumeAt).toISOString()}`);
+            await sleep(waitMs);
+            log.info(`▶️ Resuming GitHub ${resource} requests`);
+        }
+    };
+
+    octokit.hook.wrap('request', async (request, options) => {
+        const resource = getResource(options);
+
+        for (let attempt = 0; ; attempt++) {
+            await waitForCapacity(resource);
+
+            try {
+                const response = await request(options);
+                updateFromHeaders(response.headers);
+                return response;
+            } catch (error) {
+                updateFromHeaders(error.response?.headers);
+                if (!isRateLimitError(error)) throw error;
+
+                const delay = getRetryDelay(error, attempt);
+                const resetAt = new Date(Date.now() + delay);
+                if (attempt >= maxRetries || delay > maxWaitMs) {
+                    const reason = attempt >= maxRetries ? `gave up after ${attempt + 1} attempts` : `retry not before ${resetAt.toISOString()}`;
+                    throw new RateLimitError(`Rate limited on ${options.method} ${options.url} (${reason})`, {
+                        resetAt,
+                        cause: error,
+                    });
+                }
+
+                log.warning(`🚦 Rate limited on ${options.method} ${options.url}, retrying at ${resetAt.toISOString()}`);
+                pausedUntil = Math.max(pausedUntil, resetAt.getTime());
+            }
+        }
+    });
+
+    return {
+        status: (resource = 'core') => limits[resource] ?? null,
+    };
+}
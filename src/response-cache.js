@@ -0,0 +1,147 @@
+/**
+ * HTTP Response Cache
+ * Persists GitHub GET responses across runs and revalidates them with conditional
+ * requests (If-None-Match / If-Modified-Since). A 304 answer does not count against
+ * the rate limit, so re-scanning unchanged repositories is nearly free.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { Actor } from 'apify';
+import { log } from 'crawlee';
+
+// Endpoints whose answer must always be live
+const UNCACHEABLE_URLS = ['/rate_limit'];
+
+/**
+ * Key-value store keys only allow a limited character set, so request keys are hashed
+ */
+function toCacheKey(requestKey) {
+    return `response_${createHash('sha256').update(requestKey).digest('hex').slice(0, 40)}`;
+}
+
+/**
+ * Identify a token without storing it, so one token's responses are never replayed to another
+ */
+function fingerprintToken(token) {
+    return token ? createHash('sha256').update(token).digest('hex').slice(0, 16) : 'anonymous';
+}
+
+/**
+ * What a response depends on: the same URL answers raw file content or JSON by Accept header,
+ * and private data by token
+ */
+function toRequestKey({ method, url, headers }, tokenFingerprint) {
+    return [method, url, headers.accept ?? '', tokenFingerprint].join(' ');
+}
+
+/**
+ * Rate-limit headers describe the moment of the request; a cached copy must not replay them
+ */
+function splitRateLimitHeaders(headers = {}) {
+    const rateLimit = {};
+    const rest = {};
+    for (const [name, value] of Object.entries(headers)) {
+        if (name.startsWith('x-ratelimit-')) rateLimit[name] = value;
+        else rest[name] = value;
+    }
+    return { rateLimit, rest };
+}
+
+/**
+ * Open the cache backend
+ * @param {Object} options - Cache options
+ * @param {string|null} options.dirPath - Local directory; when set, used instead of a key-value store
+ * @param {string} options.storeName - Named key-value store (persists across Actor runs)
+ * @returns {Promise<{get: Function, set: Function}>} get(requestKey) and set(requestKey, entry)
+ */
+export async function openResponseCache({ dirPath = null, storeName = 'github-response-cache' } = {}) {
+    if (dirPath) {
+        await mkdir(dirPath, { recursive: true });
+        return {
+            get: async (requestKey) => {
+                try {
+                    return JSON.parse(await readFile(join(dirPath, `${toCacheKey(requestKey)}.json`), 'utf-8'));
+                } catch (error) {
+                    if (error.code === 'ENOENT') return null;
+                    log.debug(`Ignoring unreadable cache entry for ${requestKey}: ${error.message}`);
+                    return null;
+                }
+            },
+            set: (requestKey, entry) => writeFile(join(dirPath, `${toCacheKey(requestKey)}.json`), JSON.stringify(entry)),
+        };
+    }
+
+    const store = await Actor.openKeyValueStore(storeName);
+    return {
+        get: (requestKey) => store.getValue(toCacheKey(requestKey)),
+        set: (requestKey, entry) => store.setValue(toCacheKey(requestKey), entry),
+    };
+}
+
+/**
+ * Install the cache on an Octokit instance
+ * Must be installed after the request scheduler so cache hits skip it entirely. Entries are
+ * keyed by method, URL, Accept header and token, so a store can be shared by runs with
+ * different tokens.
+ * @param {Octokit} octokit - GitHub client instance
+ * @param {Object} cache - Backend from openResponseCache()
+ * @param {Object} options - Cache options
+ * @param {number} options.maxAgeMs - Serve entries younger than this without asking GitHub (0 = always revalidate)
+ * @param {boolean} options.bypass - Ignore cached entries and fetch fresh (responses are still stored)
+ * @param {string|null} options.token - Token the client authenticates with (only a hash of it is kept)
+ */
+export function installResponseCache(octokit, cache, { maxAgeMs = 0, bypass = false, token = null } = {}) {
+    const tokenFingerprint = fingerprintToken(token);
+
+    octokit.hook.wrap('request', async (request, options) => {
+        const endpoint = octokit.request.endpoint(options);
+        const { method, url } = endpoint;
+        if (method !== 'GET' || UNCACHEABLE_URLS.some((path) => new URL(url).pathname === path)) {
+            return request(options);
+        }
+
+        const requestKey = toRequestKey(endpoint, tokenFingerprint);
+        const entry = bypass ? null : await cache.get(requestKey);
+
+        if (entry && Date.now() - entry.storedAt < maxAgeMs) {
+            log.debug(`💾 Cache hit: ${url}`);
+            return { ...entry.response, url };
+        }
+
+        const conditionalHeaders = {};
+        if (entry?.etag) conditionalHeaders['if-none-match'] = entry.etag;
+        else if (entry?.lastModified) conditionalHeaders['if-modified-since'] = entry.lastModified;
+
+        let response;
+        try {
+            // Inner hooks are bound to this same options object, so headers are set in place
+            Object.assign(options.headers, conditionalHeaders);
+            response = await request(options);
+        } catch (error) {
+            if (error.status !== 304 || !entry) throw error;
+
+            // Unchanged: serve the stored body with the live rate-limit headers
+            log.debug(`💾 Not modified: ${url}`);
+            await cache.set(requestKey, { ...entry, storedAt: Date.now() });
+            const { rateLimit } = splitRateLimitHeaders(error.response?.headers);
+            return { ...entry.response, url, headers: { ...entry.response.headers, ...rateLimit } };
+        }
+
+        const { etag, 'last-modified': lastModified } = response.headers;
+        if (response.status === 200 && (etag || lastModified || maxAgeMs > 0)) {
+            await cache.set(requestKey, {
+                etag: etag ?? null,
+                lastModified: lastModified ?? null,
+                storedAt: Date.now(),
+                response: {
+                    status: response.status,
+                    headers: splitRateLimitHeaders(response.headers).rest,
+                    data: response.data,
+                },
+            });
+        }
+        return response;
+    });
+}
@@ -0,0 +1,1110 @@
+/**
+ * Scoring Rule Engine
+ * Declarative rule registry: each rule awards pillar points and, when it fails,
+ * produces the matching recommendation - so score, explanation and tip share one definition
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve, extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { PILLAR_KEYS } from './scoring-profiles.js';
+
+/**
+ * Recommendation priority labels
+ */
+export const PRIORITY = {
+    critical: '🔴 Critical',
+    medium: '🟡 Medium',
+    nice: '🟢 Nice-to-have',
+};
+
+const PRIORITY_ORDER = { [PRIORITY.critical]: 0, [PRIORITY.medium]: 1, [PRIORITY.nice]: 2 };
+
+/**
+ * Award points for the highest threshold reached
+ * @param {number|null} value - Measured value (null when unavailable)
+ * @param {Array<[number, number]>} tiers - [minimum, points] pairs, highest first
+ * @returns {number|null} Points earned, or null when the value is unavailable
+ */
+function tierPoints(value, tiers) {
+    if (value === null || value === undefined) return null;
+    for (const [min, points] of tiers) {
+        if (value >= min) return points;
+    }
+    return 0;
+}
+
+/**
+ * Award points for the lowest ceiling the value stays under (smaller is better)
+ * @param {number|null} value - Measured value (null when unavailable)
+ * @param {Array<[number, number]>} tiers - [maximum, points] pairs, lowest first
+ * @returns {number|null} Points earned, or null when the value is unavailable
+ */
+function ceilingPoints(value, tiers) {
+    if (value === null || value === undefined) return null;
+    for (const [max, points] of tiers) {
+        if (value <= max) return points;
+    }
+    return 0;
+}
+
+/**
+ * Tri-state OR: true if any value is true, null if the others are unknown, otherwise false
+ */
+function either(...values) {
+    if (values.includes(true)) return true;
+    return values.some((value) => value === null || value === undefined) ? null : false;
+}
+
+/**
+ * Tri-state comparison: null when the value is unknown
+ */
+function above(value, threshold) {
+    return value === null || value === undefined ? null : value > threshold;
+}
+
+/**
+ * Default branch protections that are known to be missing
+ */
+function getMissingProtections(protection) {
+    return [
+        protection.requiredReviews === 0 && 'require pull request reviews',
+        protection.requiredStatusChecks === false && 'require status checks',
+        protection.forcePushBlocked === false && 'block force pushes',
+        protection.deletionBlocked === false && 'block deletion',
+        protection.adminEnforced === false && 'apply the rules to admins too',
+    ].filter(Boolean);
+}
+
+// Stars from which a single-maintainer project is a critical risk for its users
+const POPULAR_REPO_STARS = 1000;
+
+/**
+ * Built-in rules
+ * detect(ctx) returns true/false (all or nothing) or the number of points earned,
+ * or null when the signal is unavailable or could not be checked (the rule is then left out of the pillar).
+ * A recommendation is emitted when the rule earns 0 points, unless recommendation.when says otherwise;
+ * its priority, issue and action are values or functions of ctx.
+ */
+export const DEFAULT_RULES = [
+    // Readability
+    {
+        id: 'readme-exists',
+        pillar: 'readability',
+        points: 20,
+        description: 'README present',
+        detect: ({ details }) => details.readability.hasReadme,
+        recommendation: {
+            priority: PRIORITY.critical,
+            issue: 'Missing README.md',
+            action: 'Create a README.md file with project description, installation, and usage instructions.',
+        },
+    },
+    {
+        id: 'readme-length-500',
+        pillar: 'readability',
+        points: 10,
+        description: 'README longer than 500 characters',
+        detect: ({ details }) => above(details.readability.readmeLength, 500),
+    },
+    {
+        id: 'readme-length-2000',
+        pillar: 'readability',
+        points: 10,
+        description: 'README longer than 2000 characters',
+        detect: ({ details }) => above(details.readability.readmeLength, 2000),
+    },
+    {
+        id: 'readme-installation',
+        pillar: 'readability',
+        points: 15,
+        description: 'README has an installation section (with a code block: full points)',
+        detect: ({ details }) => {
+            const { hasInstallation, installationHasCode } = details.readability;
+            if (hasInstallation === null) return null;
+            return installationHasCode ? 15 : hasInstallation ? 8 : 0;
+        },
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: ({ details }) => (details.readability.hasInstallation ? 'Installation section has no commands' : 'Missing installation instructions'),
+            action: ({ details }) => (details.readability.hasInstallation
+                ? 'Put the install commands in a code block under the installation heading.'
+                : 'Add an "Installation" section to your README with setup steps.'),
+            when: ({ details }, earned) => details.readability.hasReadme && earned < 15,
+        },
+    },
+    {
+        id: 'readme-usage',
+        pillar: 'readability',
+        points: 15,
+        description: 'README has a usage or getting started section (with a code block: full points)',
+        detect: ({ details }) => {
+            const { hasUsage, usageHasCode } = details.readability;
+            if (hasUsage === null) return null;
+            return usageHasCode ? 15 : hasUsage ? 8 : 0;
+        },
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: ({ details }) => (details.readability.hasUsage ? 'Usage section has no example' : 'Missing usage documentation'),
+            action: ({ details }) => (details.readability.hasUsage
+                ? 'Show a minimal working example in a code block under the usage heading.'
+                : 'Add a "Usage" or "Getting Started" section with examples.'),
+            when: ({ details }, earned) => details.readability.hasReadme && earned < 15,
+        },
+    },
+    {
+        id: 'readme-structure',
+        pillar: 'readability',
+        points: 10,
+        description: 'README headings form an outline (2+ headings, one title, no skipped levels)',
+        detect: ({ details }) => details.readability.headingHierarchyValid,
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'README headings are not structured',
+            action: ({ details }) => (details.readability.headingIssues.length > 0
+                ? `Fix the heading outline: ${details.readability.headingIssues.slice(0, 3).join('; ')}.`
+                : 'Split the README into sections with one title and nested headings.'),
+            when: ({ details }, earned) => details.readability.hasReadme && earned === 0,
+        },
+    },
+    {
+        id: 'readme-sections',
+        pillar: 'readability',
+        points: 5,
+        description: 'README has license (3) and contributing (2) sections',
+        detect: ({ details }) => {
+            const { hasLicenseSection, hasContributingSection } = details.readability;
+            if (hasLicenseSection === null) return null;
+            return (hasLicenseSection ? 3 : 0) + (hasContributingSection ? 2 : 0);
+        },
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'README lacks license or contributing sections',
+            action: 'End the README with short "License" and "Contributing" sections that link to LICENSE and CONTRIBUTING.md.',
+            when: ({ details }, earned) => details.readability.hasReadme && earned === 0,
+        },
+    },
+    {
+        id: 'readme-badges',
+        pillar: 'readability',
+        points: 5,
+        description: 'README shows status badges',
+        detect: ({ details }) => above(details.readability.badgeCount, 0),
+    },
+    {
+        id: 'readme-alt-text',
+        pillar: 'readability',
+        points: 5,
+        description: 'Every README image has alt text (not applicable without images)',
+        detect: ({ details }) => (details.readability.readmeImageCount ? details.readability.imagesMissingAlt === 0 : null),
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: ({ details }) => `${details.readability.imagesMissingAlt} README image(s) without alt text`,
+            action: 'Describe every image and badge in its alt text so screen readers and broken images still make sense.',
+        },
+    },
+    {
+        id: 'readme-prose',
+        pillar: 'readability',
+        points: 10,
+        description: 'README text is mostly prose rather than badges, links and markup (25%+, 50%+)',
+        detect: ({ details }) => tierPoints(details.readability.proseRatioPercent, [[50, 10], [25, 5]]),
+    },
+    {
+        id: 'repo-description',
+        pillar: 'readability',
+        points: 30,
+        description: 'Repository description set',
+        detect: ({ details }) => details.readability.hasDescription,
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Missing repository description',
+            action: 'Add a description in the repository settings (About section).',
+        },
+    },
+
+    // Stability
+    {
+        id: 'releases-or-tags',
+        pillar: 'stability',
+        points: 25,
+        description: 'Releases or tags published',
+        detect: ({ details }) => either(details.stability.hasReleases, details.stability.hasTags),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'No releases or tags',
+            action: 'Create GitHub releases with semantic versioning.',
+        },
+    },
+    {
+        id: 'releases-many',
+        pillar: 'stability',
+        points: 15,
+        description: 'More than 5 releases or tags',
+        detect: ({ details }) => either(above(details.stability.releaseCount, 5), above(details.stability.tagCount, 5)),
+    },
+    {
+        id: 'ci-workflows',
+        pillar: 'stability',
+        points: 20,
+        description: 'CI workflows configured',
+        detect: ({ details }) => details.stability.hasWorkflows,
+    },
+    {
+        id: 'ci-workflows-multiple',
+        pillar: 'stability',
+        points: 10,
+        description: 'More than one CI workflow',
+        detect: ({ details }) => above(details.stability.workflowCount, 1),
+    },
+    {
+        id: 'recent-activity',
+        pillar: 'stability',
+        points: 20,
+        description: 'Human commit on the default branch within the last month (10 points within six months, 5 within a year)',
+        detect: ({ details }) => {
+            // Known history without a human commit in the window earns nothing
+            if (details.stability.weeklyCommits === null) return null;
+            return ceilingPoints(details.stability.daysSinceLastHumanCommit ?? Infinity, [[30, 20], [182, 10], [365, 5]]);
+        },
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'No recent commits on the default branch',
+            action: 'Land maintenance commits regularly, or mark the repository as archived or feature-complete in the README.',
+        },
+    },
+    {
+        id: 'commit-cadence',
+        pillar: 'stability',
+        points: 10,
+        description: 'Weeks with commits in the last year (13+, 26+)',
+        detect: ({ details }) => tierPoints(details.stability.activeWeeks, [[26, 10], [13, 5]]),
+    },
+
+    // Security
+    {
+        id: 'license',
+        pillar: 'security',
+        points: 40,
+        description: 'License risk (permissive licenses earn full points)',
+        detect: ({ details }) => Math.round(details.security.licenseScore * 0.4),
+        recommendation: {
+            priority: PRIORITY.critical,
+            issue: ({ details }) => (details.security.licensePolicyStatus === 'forbidden'
+                ? `License ${details.security.licenseKey} is forbidden by the license policy`
+                : 'No license or restrictive license'),
+            action: ({ details }) => (details.security.licensePolicyStatus === 'forbidden'
+                ? 'Relicense under a license the policy allows, or get an exception approved and added to the policy.'
+                : 'Add an open-source license (MIT, Apache-2.0 recommended).'),
+            when: ({ details }) => details.security.licenseRisk?.includes('High'),
+        },
+    },
+    {
+        id: 'security-policy',
+        pillar: 'security',
+        points: 30,
+        description: 'SECURITY.md present',
+        detect: ({ details }) => details.security.hasSecurityMd,
+        recommendation: {
+            priority: PRIORITY.critical,
+            issue: 'Missing SECURITY.md',
+            action: 'Create SECURITY.md with vulnerability reporting guidelines.',
+        },
+    },
+    {
+        id: 'dependabot',
+        pillar: 'security',
+        points: 30,
+        description: 'Dependabot configured',
+        detect: ({ details }) => details.security.hasDependabot,
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Dependabot not configured',
+            action: 'Enable Dependabot by adding .github/dependabot.yml for automatic security updates.',
+        },
+    },
+    {
+        id: 'known-vulnerabilities',
+        pillar: 'security',
+        points: 30,
+        description: 'No known vulnerable dependency versions (moderate or low only: half)',
+        detect: ({ details }) => {
+            const counts = details.security.vulnerabilityCounts;
+            if (!counts) return null;
+            if (counts.critical + counts.high > 0) return 0;
+            return counts.moderate + counts.low + counts.unknown > 0 ? 15 : 30;
+        },
+        recommendation: {
+            priority: PRIORITY.critical,
+            issue: ({ details }) => {
+                const { critical, high } = details.security.vulnerabilityCounts;
+                return `${critical + high} critical or high severity ${critical + high === 1 ? 'vulnerability' : 'vulnerabilities'} in locked dependencies`;
+            },
+            action: ({ details }) => {
+                const upgrades = details.security.knownVulnerabilities
+                    .filter(({ severity }) => severity === 'critical' || severity === 'high')
+                    .slice(0, 3)
+                    .map(({ name, version, fixedVersion, id }) => `${name} ${version} → ${fixedVersion ?? 'no fix yet'} (${id})`);
+                return `Upgrade the affected packages and refresh the lockfile: ${upgrades.join(', ')}.`;
+            },
+        },
+    },
+    {
+        id: 'committed-secrets',
+        pillar: 'security',
+        points: 30,
+        description: 'No credentials committed to the repository (with the secret scan enabled)',
+        detect: ({ details }) => (details.security.secretFindingCount === null ? null : details.security.secretFindingCount === 0),
+        recommendation: {
+            priority: PRIORITY.critical,
+            issue: ({ details }) => {
+                const count = details.security.secretFindingCount;
+                return `${count} committed ${count === 1 ? 'secret' : 'secrets'} found`;
+            },
+            action: ({ details }) => {
+                const listed = details.security.secretFindings.slice(0, 3).map(({ path, line, rule }) => `${path}:${line} (${rule})`);
+                return `Revoke and rotate the exposed credentials, then remove them from the code and its history: ${listed.join(', ')}.`;
+            },
+        },
+    },
+
+    {
+        id: 'actions-pinned',
+        pillar: 'security',
+        points: 15,
+        description: 'Third-party GitHub Actions pinned to a commit SHA',
+        detect: ({ details }) => (details.security.unpinnedActionCount === null ? null : details.security.unpinnedActionCount === 0),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Third-party actions not pinned to a commit',
+            action: ({ details }) => `Pin third-party actions to a full commit SHA (uses: owner/action@<sha> # v1.2.3) so a moved tag cannot change what runs: ${details.security.unpinnedActions.slice(0, 3).join(', ')}.`,
+        },
+    },
+    {
+        id: 'workflow-permissions',
+        pillar: 'security',
+        points: 15,
+        description: 'Workflows declare token permissions',
+        detect: ({ details }) => (details.security.workflowsWithoutPermissions === null ? null : details.security.workflowsWithoutPermissions.length === 0),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Workflows run with default token permissions',
+            action: ({ details }) => `Add a "permissions:" block (e.g. contents: read) to ${details.security.workflowsWithoutPermissions.slice(0, 3).join(', ')} so the GITHUB_TOKEN only gets the access each job needs.`,
+        },
+    },
+    {
+        id: 'workflow-dangerous-patterns',
+        pillar: 'security',
+        points: 20,
+        description: 'No pull_request_target checkout of PR code or secrets echoed in run steps',
+        detect: ({ details }) => {
+            const { pullRequestTargetRisks, secretsEchoed } = details.security;
+            if (pullRequestTargetRisks === null || secretsEchoed === null) return null;
+            return pullRequestTargetRisks.length + secretsEchoed.length === 0;
+        },
+        recommendation: {
+            priority: PRIORITY.critical,
+            issue: ({ details }) => (details.security.pullRequestTargetRisks.length > 0
+                ? 'pull_request_target workflow checks out pull request code'
+                : 'Secrets echoed in workflow run steps'),
+            action: ({ details }) => {
+                const { pullRequestTargetRisks, secretsEchoed } = details.security;
+                const fixes = [];
+                if (pullRequestTargetRisks.length > 0) {
+                    fixes.push(`Do not check out or run the pull request's code under pull_request_target (${pullRequestTargetRisks.slice(0, 2).join(', ')}); use pull_request, or a separate workflow_run job without secrets.`);
+                }
+                if (secretsEchoed.length > 0) {
+                    fixes.push(`Stop printing secrets in run steps (${secretsEchoed.slice(0, 2).join(', ')}); pass them through env: and never echo them.`);
+                }
+                return fixes.join(' ');
+            },
+        },
+    },
+
+    {
+        id: 'branch-protection',
+        pillar: 'security',
+        points: 20,
+        description: 'Default branch protected (reviews 6, status checks 4, no force-push 4, no deletion 3, admins included 3)',
+        detect: ({ details }) => {
+            const protection = details.security.branchProtection;
+            if (!protection || protection.protected === null) return null;
+            return (protection.requiredReviews > 0 ? 6 : 0) +
+                (protection.requiredStatusChecks ? 4 : 0) +
+                (protection.forcePushBlocked ? 4 : 0) +
+                (protection.deletionBlocked ? 3 : 0) +
+                (protection.adminEnforced ? 3 : 0);
+        },
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: ({ details }) => (details.security.branchProtection.protected ? 'Default branch protection is incomplete' : 'Default branch is not protected'),
+            action: ({ details }) => `Protect ${details.security.defaultBranch ?? 'the default branch'} with a ruleset or branch protection rule: ${getMissingProtections(details.security.branchProtection).join(', ')}.`,
+            when: ({ details }) => details.security.branchProtection?.protected !== null && getMissingProtections(details.security.branchProtection).length > 0,
+        },
+    },
+    {
+        id: 'secret-scanning',
+        pillar: 'security',
+        points: 10,
+        description: 'Secret scanning enabled (push protection: full points)',
+        detect: ({ details }) => {
+            const { secretScanning, pushProtection } = details.security;
+            if (secretScanning === null) return null;
+            if (!secretScanning) return 0;
+            return pushProtection ? 10 : 5;
+        },
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Secret scanning push protection is off',
+            action: 'Enable secret scanning and push protection (Settings → Code security) so leaked credentials are blocked before they are pushed.',
+            when: ({ details }, earned) => details.security.secretScanning !== null && earned < 10,
+        },
+    },
+    {
+        id: 'private-vulnerability-reporting',
+        pillar: 'security',
+        points: 5,
+        description: 'Private vulnerability reporting enabled',
+        detect: ({ details }) => details.security.privateVulnerabilityReporting,
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'Private vulnerability reporting is off',
+            action: 'Enable private vulnerability reporting (Settings → Code security) so researchers can report issues without opening a public issue.',
+        },
+    },
+    {
+        id: 'unused-features',
+        pillar: 'security',
+        points: 5,
+        description: 'No enabled but unused wiki or issue tracker',
+        detect: ({ details }) => {
+            const { wikiEnabledUnused, issuesEnabledUnused } = details.security;
+            if (wikiEnabledUnused === true || issuesEnabledUnused === true) return false;
+            return wikiEnabledUnused === null && issuesEnabledUnused === null ? null : true;
+        },
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: ({ details }) => `${[details.security.wikiEnabledUnused && 'Wiki', details.security.issuesEnabledUnused && 'Issues'].filter(Boolean).join(' and ')} enabled but unused`,
+            action: 'Turn off repository features nobody uses (Settings → Features); an empty wiki can be edited by any user and an unwatched tracker collects unanswered reports.',
+        },
+    },
+
+    // Community
+    {
+        id: 'stars',
+        pillar: 'community',
+        points: 40,
+        description: 'Stargazers (10+, 50+, 100+, 1000+)',
+        detect: ({ details }) => tierPoints(details.community.stars, [[1000, 40], [100, 30], [50, 20], [10, 10]]),
+    },
+    {
+        id: 'issue-close-ratio',
+        pillar: 'community',
+        points: 30,
+        description: 'Issue close ratio (30%+, 50%+, 70%+)',
+        detect: ({ details }) => tierPoints(details.community.issueCloseRatio, [[70, 30], [50, 20], [30, 10]]),
+    },
+    {
+        id: 'issue-first-response',
+        pillar: 'community',
+        points: 20,
+        description: 'Median maintainer first response on recent issues (within 1 day, 3 days, 1 week, 30 days)',
+        detect: ({ details }) => ceilingPoints(details.community.medianFirstResponseHours, [[24, 20], [72, 15], [168, 10], [720, 5]]),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Slow response to new issues',
+            action: 'Triage new issues within a few days; a first reply or label shows the project is maintained.',
+        },
+    },
+    {
+        id: 'issues-answered',
+        pillar: 'community',
+        points: 15,
+        description: 'Recent issues answered within 30 days (90%+, 75%+, 50%+)',
+        detect: ({ details }) => ceilingPoints(details.community.unansweredAfter30DaysPercent, [[10, 15], [25, 10], [50, 5]]),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Issues left unanswered',
+            action: 'Reply to or close issues that have waited more than 30 days; consider a triage rotation.',
+        },
+    },
+    {
+        id: 'pr-stale',
+        pillar: 'community',
+        points: 15,
+        description: 'Open pull requests older than 90 days (10% or less, 25% or less, 50% or less)',
+        detect: ({ details }) => ceilingPoints(details.community.staleOpenPullRequestPercent, [[10, 15], [25, 10], [50, 5]]),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Stale pull requests',
+            action: 'Review, merge or close pull requests that have been open for more than 90 days.',
+        },
+    },
+    {
+        id: 'pr-external-merge-rate',
+        pillar: 'community',
+        points: 10,
+        description: 'External contributor pull requests merged (25%+, 50%+)',
+        detect: ({ details }) => tierPoints(details.community.externalMergeRatePercent, [[50, 10], [25, 5]]),
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'Few outside contributions merged',
+            action: 'Label good first issues and give outside contributors actionable review feedback.',
+        },
+    },
+    {
+        id: 'pr-review-coverage',
+        pillar: 'community',
+        points: 15,
+        description: 'Merged pull requests with an approving review (25%+, 50%+, 80%+)',
+        detect: ({ details }) => tierPoints(details.community.reviewCoveragePercent, [[80, 15], [50, 10], [25, 5]]),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Pull requests merged without review',
+            action: 'Require at least one approving review before merging (branch protection can enforce it).',
+        },
+    },
+    {
+        id: 'bus-factor',
+        pillar: 'community',
+        points: 20,
+        description: 'Bus factor: authors covering half of last year\'s commits (2, 3+)',
+        detect: ({ details }) => tierPoints(details.community.busFactor, [[3, 20], [2, 10]]),
+        recommendation: {
+            priority: PRIORITY.critical,
+            issue: 'Popular project depends on a single maintainer',
+            action: 'Grow a second maintainer: share review and release duties and document how to cut a release.',
+            when: ({ details }) => details.community.busFactor === 1 && details.community.stars >= POPULAR_REPO_STARS,
+        },
+    },
+    {
+        id: 'contributing-guide',
+        pillar: 'community',
+        points: 30,
+        description: 'CONTRIBUTING.md present',
+        detect: ({ details }) => details.community.hasContributing,
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'No CONTRIBUTING.md',
+            action: 'Create CONTRIBUTING.md with contribution guidelines.',
+        },
+    },
+
+    // Maintainability
+    {
+        id: 'tests',
+        pillar: 'maintainability',
+        points: 25,
+        description: 'Test files present (by the conventions of the repository\'s languages)',
+        detect: ({ details }) => details.maintainability.hasTests,
+        recommendation: {
+            priority: PRIORITY.critical,
+            issue: 'No tests detected',
+            action: ({ details }) => (details.maintainability.testHint
+                ? `Add ${details.maintainability.testEcosystem} unit tests ${details.maintainability.testHint}.`
+                : 'Add unit tests in a test/ directory or next to the code (*.test.js, *_test.go, test_*.py).'),
+        },
+    },
+    {
+        id: 'test-ratio',
+        pillar: 'maintainability',
+        points: 20,
+        description: 'Test files per source file (1%+, 10%+, 30%+)',
+        detect: ({ details }) => tierPoints(details.maintainability.testRatioPercent, [[30, 20], [10, 10], [1, 5]]),
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: ({ details }) => `Few tests for the code: ${details.maintainability.testFileCount} test files for ${details.maintainability.sourceFileCount} source files`,
+            action: 'Cover more modules with tests, starting with the ones that change most often.',
+            when: ({ details }, earned) => details.maintainability.hasTests && earned < 10,
+        },
+    },
+    {
+        id: 'test-coverage-config',
+        pillar: 'maintainability',
+        points: 10,
+        description: 'Coverage measured (nyc, c8, jest/vitest thresholds, codecov, coverage.py, JaCoCo, ...)',
+        detect: ({ details }) => details.maintainability.hasCoverageConfig,
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'No coverage configuration',
+            action: 'Measure test coverage (e.g. a jest coverageThreshold, .nycrc, [tool.coverage] in pyproject.toml or codecov.yml) so untested code shows up in review.',
+            when: ({ details }, earned) => details.maintainability.hasTests && earned === 0,
+        },
+    },
+    {
+        id: 'ci-runs-tests',
+        pillar: 'maintainability',
+        points: 15,
+        description: 'A CI workflow runs the tests',
+        detect: ({ details }) => details.maintainability.ciRunsTests,
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Tests are not run in CI',
+            action: 'Add a GitHub Actions workflow that runs the test suite on every push and pull request.',
+            when: ({ details }, earned) => details.maintainability.hasTests && earned === 0,
+        },
+    },
+    {
+        id: 'linter',
+        pillar: 'maintainability',
+        points: 30,
+        description: 'Linter or formatter configured',
+        detect: ({ details }) => details.maintainability.hasLinter,
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'No linter configuration',
+            action: 'Add .eslintrc, .prettierrc, or biome.json for code quality.',
+        },
+    },
+
+    // Documentation
+    {
+        id: 'docs-folder',
+        pillar: 'documentation',
+        points: 25,
+        description: 'docs/ folder present',
+        detect: ({ details }) => details.documentation.hasDocsFolder,
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'No docs/ folder',
+            action: 'Create a docs/ directory with detailed documentation.',
+        },
+    },
+    {
+        id: 'changelog',
+        pillar: 'documentation',
+        points: 25,
+        description: 'CHANGELOG, HISTORY or CHANGES file present',
+        detect: ({ details }) => details.documentation.hasChangelog,
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'No CHANGELOG.md',
+            action: 'Add CHANGELOG.md to track version history and changes.',
+        },
+    },
+    {
+        id: 'examples',
+        pillar: 'documentation',
+        points: 25,
+        description: 'examples/ folder present',
+        detect: ({ details }) => details.documentation.hasExamples,
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'No examples/ folder',
+            action: 'Add an examples/ directory with usage examples.',
+        },
+    },
+    {
+        id: 'wiki',
+        pillar: 'documentation',
+        points: 15,
+        description: 'Wiki enabled',
+        detect: ({ details }) => details.documentation.hasWiki,
+    },
+    {
+        id: 'api-docs',
+        pillar: 'documentation',
+        points: 10,
+        description: 'API documentation present',
+        detect: ({ details }) => details.documentation.hasApiDocs,
+    },
+    {
+        id: 'docs-links',
+        pillar: 'documentation',
+        points: 20,
+        description: 'Links in the Markdown documentation resolve (none broken, up to 3 broken; not applicable without links)',
+        detect: ({ details }) => (details.documentation.linksChecked ? ceilingPoints(details.documentation.brokenLinkCount, [[0, 20], [3, 10]]) : null),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: ({ details }) => `${details.documentation.brokenLinkCount} broken link(s) in the documentation`,
+            action: ({ details }) => `Fix the links listed in broken_links, starting with ${details.documentation.brokenLinks[0]?.file}: point them at files and headings that exist on the default branch.`,
+            when: (ctx, earned) => earned < 20,
+        },
+    },
+
+    // Automation
+    {
+        id: 'workflow-count',
+        pillar: 'automation',
+        points: 30,
+        description: 'CI workflows (1+, 3+)',
+        detect: ({ details }) => tierPoints(details.automation.workflowCount, [[3, 30], [1, 20]]),
+    },
+    {
+        id: 'ci-pr-tests',
+        pillar: 'automation',
+        points: 20,
+        description: 'Pull requests run the tests',
+        detect: ({ details }) => (details.automation.workflowsAnalyzed === 0 ? false : details.automation.prRunsTests),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Pull requests are not tested by CI',
+            action: 'Run the test suite in a workflow triggered by pull_request so every change is tested before it is merged.',
+            when: ({ details }, earned) => details.automation.workflowsAnalyzed > 0 && earned === 0,
+        },
+    },
+    {
+        id: 'ci-pr-lint',
+        pillar: 'automation',
+        points: 10,
+        description: 'Pull requests run a linter or type check',
+        detect: ({ details }) => (details.automation.workflowsAnalyzed === 0 ? false : details.automation.prRunsLint),
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'Pull requests are not linted by CI',
+            action: 'Add a lint or type-check step (eslint, ruff, golangci-lint, clippy, ...) to the pull_request workflow.',
+            when: ({ details }, earned) => details.automation.workflowsAnalyzed > 0 && earned === 0,
+        },
+    },
+    {
+        id: 'ci-pr-build',
+        pillar: 'automation',
+        points: 10,
+        description: 'Pull requests run a build',
+        detect: ({ details }) => (details.automation.workflowsAnalyzed === 0 ? false : details.automation.prRunsBuild),
+    },
+    {
+        id: 'pr-template',
+        pillar: 'automation',
+        points: 20,
+        description: 'Pull request template present',
+        detect: ({ details }) => details.automation.hasPRTemplate,
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'No PR template',
+            action: 'Create .github/PULL_REQUEST_TEMPLATE.md for consistent PRs.',
+        },
+    },
+    {
+        id: 'issue-templates',
+        pillar: 'automation',
+        points: 20,
+        description: 'Issue templates present',
+        detect: ({ details }) => details.automation.hasIssueTemplate,
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'No issue templates',
+            action: 'Add .github/ISSUE_TEMPLATE/ with bug and feature templates.',
+        },
+    },
+    {
+        id: 'release-automation',
+        pillar: 'automation',
+        points: 15,
+        description: 'Release automation configured',
+        detect: ({ details }) => details.automation.hasReleaseConfig,
+    },
+    {
+        id: 'code-of-conduct',
+        pillar: 'automation',
+        points: 15,
+        description: 'CODE_OF_CONDUCT.md present',
+        detect: ({ details }) => details.automation.hasCodeOfConduct,
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'No Code of Conduct',
+            action: 'Add CODE_OF_CONDUCT.md for community guidelines.',
+        },
+    },
+
+    // Dependencies (not applicable without a manifest)
+    {
+        id: 'dependency-lockfiles',
+        pillar: 'dependencies',
+        points: 40,
+        description: 'Manifests with a committed lockfile (half or more, all)',
+        detect: ({ details }) => tierPoints(details.dependencies.lockfileCoveragePercent, [[100, 40], [50, 20]]),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Dependencies are not locked',
+            action: 'Commit the lockfile (package-lock.json, yarn.lock, poetry.lock, Cargo.lock, Gemfile.lock, go.sum) so every install resolves the same versions.',
+        },
+    },
+    {
+        id: 'dependency-ranges',
+        pillar: 'dependencies',
+        points: 30,
+        description: 'No wildcard or open-ended version ranges (15 points for up to 3)',
+        detect: ({ details }) => ceilingPoints(details.dependencies.unpinnedCount, [[0, 30], [3, 15]]),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Unpinned dependency versions',
+            action: 'Replace "*", "latest" and ">=" ranges with bounded ranges (e.g. "^1.2.0", "~=1.2") so a new major version cannot slip in.',
+        },
+    },
+    {
+        id: 'dependency-sources',
+        pillar: 'dependencies',
+        points: 20,
+        description: 'No dependencies installed from git or a URL',
+        detect: ({ details }) => (details.dependencies.gitOrUrlCount === null ? null : details.dependencies.gitOrUrlCount === 0),
+        recommendation: {
+            priority: PRIORITY.medium,
+            issue: 'Dependencies installed from git or a URL',
+            action: 'Depend on published registry releases; if a fork is unavoidable, pin it to a commit hash.',
+        },
+    },
+    {
+        id: 'dependency-footprint',
+        pillar: 'dependencies',
+        points: 10,
+        description: 'Direct dependencies (150 or fewer, 50 or fewer)',
+        detect: ({ details }) => (details.dependencies.manifestCount ? ceilingPoints(details.dependencies.directCount, [[50, 10], [150, 5]]) : null),
+        recommendation: {
+            priority: PRIORITY.nice,
+            issue: 'Large dependency footprint',
+            action: 'Remove unused dependencies and prefer the standard library for small helpers.',
+        },
+    },
+    {
+        id: 'dependency-licenses',
+        pillar: 'dependencies',
+        points: 20,
+        description: 'Direct dependency licenses allowed by the license policy (10 points when some need review)',
+        detect: ({ details }) => {
+            const { licensesChecked, forbiddenLicenseCount, reviewLicenseCount } = details.dependencies;
+            if (!licensesChecked) return null;
+            if (forbiddenLicenseCount > 0) return 0;
+            return reviewLicenseCount > 0 ? 10 : 20;
+        },
+        recommendation: {
+            priority: ({ details }) => (details.dependencies.forbiddenLicenseCount > 0 ? PRIORITY.critical : PRIORITY.medium),
+            issue: ({ details }) => (details.dependencies.forbiddenLicenseCount > 0
+                ? `${details.dependencies.forbiddenLicenseCount} dependency license(s) forbidden by policy`
+                : `${details.dependencies.reviewLicenseCount} dependency license(s) need legal review`),
+            action: ({ details }) => {
+                const { forbiddenLicenses, reviewLicenses } = details.dependencies;
+                return forbiddenLicenses.length > 0
+                    ? `Replace ${forbiddenLicenses.slice(0, 3).join(', ')}${forbiddenLicenses.length > 3 ? ' and others' : ''} with alternatives under an allowed license.`
+                    : `Get ${reviewLicenses.slice(0, 3).join(', ')}${reviewLicenses.length > 3 ? ' and others' : ''} reviewed, then add the approved licenses to the policy.`;
+            },
+            when: (ctx, earned) => earned < 20,
+        },
+    },
+];
+
+/**
+ * Read a dotted path such as "security.hasDependabot" from an object
+ */
+function getPath(obj, path) {
+    return String(path).split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Compare a value against a declarative detector's expectation
+ * (equals / min / otherwise truthiness); a null value is unknown
+ */
+function matchesExpectation(value, spec) {
+    if (value === null) return null;
+    if (spec.equals !== undefined) return value === spec.equals;
+    if (spec.min !== undefined) return typeof value === 'number' && value >= spec.min;
+    return !!value;
+}
+
+/**
+ * Build a detect() function from a JSON detector spec
+ * Supported types: fileExists, directoryExists (path or paths - any match),
+ * glob (pattern or patterns, at least `min` matching files, default 1),
+ * detail (path into pillar details), repoField (field of the GitHub repo object)
+ */
+function compileDetector(spec, ruleId) {
+    const paths = spec.paths ?? (spec.path ? [spec.path] : []);
+
+    switch (spec.type) {
+        case 'fileExists':
+        case 'directoryExists':
+            if (paths.length === 0) {
+                throw new Error(`Rule "${ruleId}": ${spec.type} detector needs "path" or "paths"`);
+            }
+            return async (ctx) => {
+                let unknown = false;
+                for (const path of paths) {
+                    const found = await ctx[spec.type](path);
+                    if (found === true) return true;
+                    if (found === null) unknown = true;
+                }
+                return unknown ? null : false;
+            };
+        case 'glob': {
+            const patterns = spec.patterns ?? (spec.pattern ? [spec.pattern] : []);
+            if (patterns.length === 0) {
+                throw new Error(`Rule "${ruleId}": glob detector needs "pattern" or "patterns"`);
+            }
+            return async (ctx) => {
+                const matches = await ctx.findFiles(patterns);
+                return matches === null ? null : matches.length >= (spec.min ?? 1);
+            };
+        }
+        case 'detail':
+            return ({ details }) => matchesExpectation(getPath(details, spec.path), spec);
+        case 'repoField':
+            return ({ repoData }) => matchesExpectation(getPath(repoData, spec.field), spec);
+        default:
+            throw new Error(`Rule "${ruleId}": unknown detector type "${spec.type}"`);
+    }
+}
+
+/**
+ * Validate a rule definition and fill in defaults
+ * @param {Object} rule - Rule from a custom rules module
+ * @returns {Object} Normalized rule
+ * @throws {Error} If the rule is malformed
+ */
+export function normalizeRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+        throw new Error(`Rule is missing a string "id": ${JSON.stringify(rule)}`);
+    }
+    if (!PILLAR_KEYS.includes(rule.pillar)) {
+        throw new Error(`Rule "${rule.id}": unknown pillar "${rule.pillar}". Valid pillars: ${PILLAR_KEYS.join(', ')}`);
+    }
+    if (typeof rule.points !== 'number' || !(rule.points > 0)) {
+        throw new Error(`Rule "${rule.id}": "points" must be a positive number`);
+    }
+
+    let detect = rule.detect;
+    if (typeof detect !== 'function') {
+        if (!rule.detector || typeof rule.detector !== 'object') {
+            throw new Error(`Rule "${rule.id}": needs a detect() function or a "detector" spec`);
+        }
+        detect = compileDetector(rule.detector, rule.id);
+    }
+
+    let recommendation = null;
+    if (rule.recommendation) {
+        const { priority = 'medium', issue, action, when } = rule.recommendation;
+        if (!issue || !action) {
+            throw new Error(`Rule "${rule.id}": recommendation needs "issue" and "action"`);
+        }
+        recommendation = {
+            priority: PRIORITY[priority] ?? priority,
+            issue,
+            action,
+            when,
+        };
+    }
+
+    return {
+        id: rule.id,
+        pillar: rule.pillar,
+        points: rule.points,
+        description: rule.description || rule.id,
+        detect,
+        recommendation,
+    };
+}
+
+/**
+ * Load extra rules from a local .js/.mjs module or .json file
+ * A module may export the array as default or as `rules`; JSON may be an array or { rules: [...] }.
+ * @param {string} modulePath - Path to the rules module (relative to the working directory)
+ * @returns {Promise<Array<Object>>} Normalized rules
+ */
+export async function loadCustomRules(modulePath) {
+    const absolutePath = resolve(modulePath);
+    let exported;
+
+    if (extname(absolutePath).toLowerCase() === '.json') {
+        exported = JSON.parse(await readFile(absolutePath, 'utf-8'));
+    } else {
+        const module = await import(pathToFileURL(absolutePath).href);
+        exported = module.default ?? module.rules;
+    }
+
+    const rules = Array.isArray(exported) ? exported : exported?.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error(`Custom rules module ${modulePath} must export an array of rules`);
+    }
+
+    return rules.map(normalizeRule);
+}
+
+/**
+ * Combine built-in and custom rules; a custom rule with a built-in id replaces it
+ * @param {Array<Object>} customRules - Normalized custom rules
+ * @returns {Array<Object>} Rule set
+ */
+export function buildRuleSet(customRules = []) {
+    const rules = new Map(DEFAULT_RULES.map((rule) => [rule.id, normalizeRule(rule)]));
+    for (const rule of customRules) {
+        rules.set(rule.id, rule);
+    }
+    return [...rules.values()];
+}
+
+/**
+ * Evaluate every rule against the collected facts
+ * @param {Array<Object>} rules - Rule set from buildRuleSet()
+ * @param {Object} ctx - { owner, repo, repoData, details, source, fileExists(path), directoryExists(path), findFiles(globs) }
+ * @returns {Promise<{pillars: Object, recommendations: Array<Object>}>}
+ *   pillars[key] = { score (0-100, null if nothing was assessable), breakdown: [{ rule, description, points, maxPoints, status }] }
+ */
+export async function evaluateRules(rules, ctx) {
+    const earnedPoints = await Promise.all(rules.map(async (rule) => {
+        const result = await rule.detect(ctx);
+        if (result === null) return null;
+        const earned = typeof result === 'number' ? result : (result ? rule.points : 0);
+        return Math.max(0, Math.min(earned, rule.points));
+    }));
+
+    const pillars = {};
+    for (const key of PILLAR_KEYS) {
+        pillars[key] = { earned: 0, possible: 0, breakdown: [] };
+    }
+
+    const recommendations = [];
+
+    rules.forEach((rule, index) => {
+        const earned = earnedPoints[index];
+        const pillar = pillars[rule.pillar];
+
+        // Unavailable signals are neither passed nor failed
+        if (earned === null) {
+            pillar.breakdown.push({
+                rule: rule.id,
+                description: rule.description,
+                points: null,
+                maxPoints: rule.points,
+                status: 'unavailable',
+            });
+            return;
+        }
+
+        pillar.earned += earned;
+        pillar.possible += rule.points;
+        pillar.breakdown.push({
+            rule: rule.id,
+            description: rule.description,
+            points: earned,
+            maxPoints: rule.points,
+            status: earned >= rule.points ? 'passed' : earned > 0 ? 'partial' : 'failed',
+        });
+
+        const { recommendation } = rule;
+        if (recommendation && (recommendation.when ? recommendation.when(ctx, earned) : earned === 0)) {
+            const priority = typeof recommendation.priority === 'function' ? recommendation.priority(ctx) : recommendation.priority;
+            recommendations.push({
+                priority: PRIORITY[priority] ?? priority,
+                category: rule.pillar.charAt(0).toUpperCase() + rule.pillar.slice(1),
+                issue: typeof recommendation.issue === 'function' ? recommendation.issue(ctx) : recommendation.issue,
+                action: typeof recommendation.action === 'function' ? recommendation.action(ctx) : recommendation.action,
+                impact: `+${rule.points} points`,
+                rule: rule.id,
+            });
+        }
+    });
+
+    // Sort by priority
+    recommendations.sort((a, b) => (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3));
+
+    const result = {};
+    for (const key of PILLAR_KEYS) {
+        const { earned, possible, breakdown } = pillars[key];
+        result[key] = {
+            // null when no rule of the pillar could be assessed
+            score: possible > 0 ? Math.round((earned / possible) * 100) : null,
+            breakdown,
+        };
+    }
+
+    return { pillars: result, recommendations };
+}
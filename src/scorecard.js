@@ -0,0 +1,274 @@
+/**
+ * OpenSSF Scorecard-Compatible Checks
+ * Recomputes a subset of the Scorecard checks (https://github.com/ossf/scorecard) from the
+ * facts the health score already gathered plus the repository tree. Every check gets a
+ * 0-10 score and a reason, like Scorecard's own output; -1 means the check was
+ * inconclusive (the data was not available) and is left out of the aggregate.
+ */
+
+import { log } from 'crawlee';
+import { anyPresent } from './repo-source.js';
+
+// Scorecard weighs each check by the risk it covers
+const RISK_WEIGHTS = { critical: 10, high: 7.5, medium: 5, low: 2.5 };
+
+const CHECK_RISKS = {
+    'Binary-Artifacts': 'high',
+    'Branch-Protection': 'high',
+    'CI-Tests': 'low',
+    'Code-Review': 'high',
+    'Dangerous-Workflow': 'critical',
+    'Dependency-Update-Tool': 'high',
+    License: 'low',
+    Maintained: 'high',
+    'Pinned-Dependencies': 'medium',
+    'Security-Policy': 'medium',
+    'Signed-Releases': 'high',
+    'Token-Permissions': 'high',
+};
+
+const INCONCLUSIVE = -1;
+
+// Compiled or packaged files that should not be checked into source control
+const BINARY_EXTENSIONS = [
+    'a', 'bin', 'class', 'crx', 'deb', 'dex', 'dll', 'dylib', 'elf', 'exe', 'jar', 'lib', 'msi',
+    'o', 'ocx', 'pyc', 'pyo', 'rpm', 'so', 'war', 'wasm', 'whl',
+];
+const BINARY_GLOBS = BINARY_EXTENSIONS.map((extension) => `**/*.${extension}`);
+
+// Scorecard accepts the Gradle wrapper, which projects are expected to commit
+const ALLOWED_BINARIES = /(^|\/)gradle-wrapper\.jar$/;
+
+const DEPENDENCY_UPDATE_FILES = [
+    '.github/dependabot.yml',
+    '.github/dependabot.yaml',
+    'renovate.json',
+    'renovate.json5',
+    '.renovaterc',
+    '.renovaterc.json',
+    '.github/renovate.json',
+    '.github/renovate.json5',
+    '.pyup.yml',
+];
+
+const SECURITY_POLICY_FILES = ['SECURITY.md', '.github/SECURITY.md', 'docs/SECURITY.md', 'SECURITY.rst', 'SECURITY.txt'];
+
+const DOCKERFILE_GLOBS = ['**/Dockerfile', '**/Dockerfile.*', '**/*.Dockerfile', '**/*.dockerfile'];
+const MAX_DOCKERFILES = 5;
+
+// Maintained looks at the last 90 days, as whole weeks
+const MAINTAINED_WEEKS = 13;
+const MAINTAINED_DAYS = 90;
+
+// Release asset names that carry provenance or a signature
+const PROVENANCE_ASSET = /\.intoto\.jsonl$/i;
+const SIGNATURE_ASSET = /\.(asc|sig|sign|minisig|sigstore|sigstore\.json)$/i;
+
+/**
+ * Build one check result
+ */
+function check(name, score, reason) {
+    return { name, score, reason };
+}
+
+/**
+ * Clamp and round a score onto the 0-10 scale
+ */
+function toScore(value) {
+    return Math.max(0, Math.min(10, Math.round(value)));
+}
+
+async function checkBinaryArtifacts(source) {
+    const matches = await source.findFiles(BINARY_GLOBS);
+    if (matches === null) return check('Binary-Artifacts', INCONCLUSIVE, 'repository tree not available');
+
+    const binaries = matches.filter((path) => !ALLOWED_BINARIES.test(path));
+    if (binaries.length === 0) return check('Binary-Artifacts', 10, 'no binaries found in the repo');
+    return check('Binary-Artifacts', toScore(10 - binaries.length), `binaries present in source code: ${binaries.slice(0, 5).join(', ')}${binaries.length > 5 ? ` and ${binaries.length - 5} more` : ''}`);
+}
+
+function checkBranchProtection(security) {
+    const protection = security.branchProtection;
+    const branch = security.defaultBranch ?? 'default branch';
+    if (!protection || protection.protected === null) return check('Branch-Protection', INCONCLUSIVE, 'branch protection settings not available (needs admin access)');
+    if (!protection.protected) return check('Branch-Protection', 0, `branch protection not enabled on ${branch}`);
+
+    // Tiers as in Scorecard: no force-push or deletion, one review, status checks, two reviews, admins included
+    const score = (protection.forcePushBlocked ? 1.5 : 0) +
+        (protection.deletionBlocked ? 1.5 : 0) +
+        (protection.requiredReviews > 0 ? 3 : 0) +
+        (protection.requiredStatusChecks ? 2 : 0) +
+        (protection.requiredReviews > 1 ? 1 : 0) +
+        (protection.adminEnforced ? 1 : 0);
+    return check('Branch-Protection', toScore(score), score >= 10 ? `${branch} fully protected` : `${branch} partially protected`);
+}
+
+function checkCiTests(automation) {
+    if (automation.workflowsAnalyzed === 0) return check('CI-Tests', 0, 'no GitHub Actions workflows found');
+    if (automation.prRunsTests === null) return check('CI-Tests', INCONCLUSIVE, 'workflows not available');
+    return automation.prRunsTests
+        ? check('CI-Tests', 10, 'pull requests run tests in CI')
+        : check('CI-Tests', 0, 'no pull request workflow runs tests');
+}
+
+function checkCodeReview(community) {
+    const coverage = community.reviewCoveragePercent;
+    if (coverage === null) return check('Code-Review', INCONCLUSIVE, 'no merged pull requests to sample');
+    return check('Code-Review', toScore(coverage / 10), `${coverage}% of sampled merged pull requests were approved by a reviewer`);
+}
+
+// Without workflows there is nothing dangerous and no token to restrict: Scorecard gives full marks
+function checkDangerousWorkflow(security, automation) {
+    const { pullRequestTargetRisks, secretsEchoed } = security;
+    if (automation.workflowsAnalyzed === 0) return check('Dangerous-Workflow', 10, 'no GitHub Actions workflows found');
+    if (pullRequestTargetRisks === null || secretsEchoed === null) {
+        return check('Dangerous-Workflow', INCONCLUSIVE, 'workflows not available');
+    }
+    const findings = [...pullRequestTargetRisks, ...secretsEchoed];
+    if (findings.length === 0) return check('Dangerous-Workflow', 10, 'no dangerous workflow patterns detected');
+    return check('Dangerous-Workflow', 0, `dangerous workflow patterns detected: ${findings.slice(0, 3).join('; ')}`);
+}
+
+async function checkDependencyUpdateTool(source) {
+    const configured = await anyPresent(DEPENDENCY_UPDATE_FILES.map((file) => () => source.fileExists(file)));
+    if (configured === null) return check('Dependency-Update-Tool', INCONCLUSIVE, 'repository files not available');
+    return configured
+        ? check('Dependency-Update-Tool', 10, 'update tool detected (Dependabot or Renovate)')
+        : check('Dependency-Update-Tool', 0, 'no update tool detected');
+}
+
+function checkLicense(security) {
+    const spdx = security.licenseKey;
+    if (spdx === 'none') return check('License', 0, 'license file not detected');
+    if (spdx === 'NOASSERTION') return check('License', 9, 'license file detected, but its license was not recognized');
+    return check('License', 10, `license file detected (${spdx})`);
+}
+
+function checkMaintained(repoData, stability) {
+    if (repoData.archived) return check('Maintained', 0, 'repository is archived');
+
+    const createdAt = repoData.created_at ? new Date(repoData.created_at) : null;
+    if (createdAt && Date.now() - createdAt.getTime() < MAINTAINED_DAYS * 24 * 60 * 60 * 1000) {
+        return check('Maintained', 0, `repository was created in the last ${MAINTAINED_DAYS} days`);
+    }
+
+    const recentWeeks = stability.weeklyCommits?.slice(-MAINTAINED_WEEKS);
+    if (!recentWeeks || recentWeeks.some((count) => count === null)) {
+        return check('Maintained', INCONCLUSIVE, 'commit history not available');
+    }
+    // One commit per week on average earns full marks
+    const commits = recentWeeks.reduce((total, count) => total + count, 0);
+    return check('Maintained', toScore((commits / MAINTAINED_WEEKS) * 10), `${commits} commit(s) on the default branch in the last ${MAINTAINED_DAYS} days`);
+}
+
+/**
+ * Read the base images of the first few Dockerfiles
+ * @returns {Promise<{images: number, pinned: number}|null>}
+ */
+async function countDockerImages(source) {
+    const paths = await source.findFiles(DOCKERFILE_GLOBS);
+    if (paths === null) return null;
+
+    let images = 0;
+    let pinned = 0;
+    for (const path of paths.slice(0, MAX_DOCKERFILES)) {
+        const file = await source.getFileContent(path);
+        if (!file.exists) continue;
+
+        const stages = new Set();
+        for (const match of file.content.matchAll(/^\s*FROM\s+(?:--platform=\S+\s+)?(\S+)(?:\s+AS\s+(\S+))?/gim)) {
+            const [, image, stage] = match;
+            // Earlier build stages and the empty image have nothing to pin
+            const isLocal = image === 'scratch' || stages.has(image.toLowerCase());
+            if (stage) stages.add(stage.toLowerCase());
+            if (isLocal) continue;
+            images += 1;
+            if (/@sha256:[0-9a-f]{64}$/.test(image)) pinned += 1;
+        }
+    }
+    return { images, pinned };
+}
+
+async function checkPinnedDependencies(source, security) {
+    const docker = await countDockerImages(source);
+    const { thirdPartyActionCount, unpinnedActionCount } = security;
+    if (docker === null && thirdPartyActionCount === null) {
+        return check('Pinned-Dependencies', INCONCLUSIVE, 'repository files not available');
+    }
+
+    const total = (thirdPartyActionCount ?? 0) + (docker?.images ?? 0);
+    const unpinned = (unpinnedActionCount ?? 0) + (docker ? docker.images - docker.pinned : 0);
+    if (total === 0) return check('Pinned-Dependencies', 10, 'no third-party actions or container images to pin');
+    if (unpinned === 0) return check('Pinned-Dependencies', 10, 'all third-party actions and container images are pinned by hash');
+    return check('Pinned-Dependencies', toScore(((total - unpinned) / total) * 10), `${unpinned} of ${total} third-party actions and container images not pinned by hash`);
+}
+
+async function checkSecurityPolicy(source) {
+    const found = await anyPresent(SECURITY_POLICY_FILES.map((file) => () => source.fileExists(file)));
+    if (found === null) return check('Security-Policy', INCONCLUSIVE, 'repository files not available');
+    return found
+        ? check('Security-Policy', 10, 'security policy file detected')
+        : check('Security-Policy', 0, 'security policy file not detected');
+}
+
+function checkSignedReleases(stability) {
+    const releases = stability.recentReleases;
+    if (releases === null || releases === undefined) return check('Signed-Releases', INCONCLUSIVE, 'releases not available');
+    if (releases.length === 0) return check('Signed-Releases', INCONCLUSIVE, 'no releases found');
+
+    // Provenance earns full marks, a detached signature 8, averaged over the newest releases
+    const scores = releases.map(({ assets }) => {
+        if (assets.some((name) => PROVENANCE_ASSET.test(name))) return 10;
+        if (assets.some((name) => SIGNATURE_ASSET.test(name))) return 8;
+        return 0;
+    });
+    const signed = scores.filter((score) => score > 0).length;
+    return check('Signed-Releases', toScore(scores.reduce((total, score) => total + score, 0) / scores.length), `${signed} of ${releases.length} recent release(s) signed or with provenance`);
+}
+
+function checkTokenPermissions(security, automation) {
+    const missing = security.workflowsWithoutPermissions;
+    if (automation.workflowsAnalyzed === 0) return check('Token-Permissions', 10, 'no GitHub Actions workflows found');
+    if (missing === null) return check('Token-Permissions', INCONCLUSIVE, 'workflows not available');
+    if (missing.length === 0) return check('Token-Permissions', 10, 'GITHUB_TOKEN permissions are declared in every workflow');
+    return check('Token-Permissions', 0, `no permissions block in: ${missing.slice(0, 3).join(', ')}${missing.length > 3 ? ` and ${missing.length - 3} more` : ''}`);
+}
+
+/**
+ * Compute the Scorecard-compatible checks for a repository
+ * @param {Object} source - Repository source (see repo-source.js)
+ * @param {Object} repoData - Repository metadata
+ * @param {Object} healthResult - Result of calculateHealthScore() for the same repository
+ * @returns {Promise<{score: number|null, checks: Array<{name: string, score: number, reason: string}>}>}
+ *   score is the risk-weighted average of the conclusive checks (null when none was)
+ */
+export async function computeScorecard(source, repoData, healthResult) {
+    const { stability, security, community, automation } = Object.fromEntries(
+        Object.entries(healthResult.pillars).map(([key, pillar]) => [key, pillar.details])
+    );
+
+    const checks = await Promise.all([
+        checkBinaryArtifacts(source),
+        checkBranchProtection(security),
+        checkCiTests(automation),
+        checkCodeReview(community),
+        checkDangerousWorkflow(security, automation),
+        checkDependencyUpdateTool(source),
+        checkLicense(security),
+        checkMaintained(repoData, stability),
+        checkPinnedDependencies(source, security),
+        checkSecurityPolicy(source),
+        checkSignedReleases(stability),
+        checkTokenPermissions(security, automation),
+    ]);
+
+    const conclusive = checks.filter((result) => result.score !== INCONCLUSIVE);
+    const totalWeight = conclusive.reduce((total, result) => total + RISK_WEIGHTS[CHECK_RISKS[result.name]], 0);
+    const score = totalWeight > 0
+        ? Math.round((conclusive.reduce((total, result) => total + result.score * RISK_WEIGHTS[CHECK_RISKS[result.name]], 0) / totalWeight) * 10) / 10
+        : null;
+
+    log.info(`🛡️ ${source.owner}/${source.repo}: Scorecard=${score ?? 'N/A'} (${conclusive.length}/${checks.length} checks conclusive)`);
+
+    return { score, checks };
+}
@@ -1,115 +1,72 @@
 /**
  * Repository Health Scoring Engine
- * Implements the 7-Pillar weighted scoring algorithm + Recommendations
+ * Collects per-pillar facts, then scores them with the rule engine (8-Pillar weighted average)
  */
 
 import { log } from 'crawlee';
-import {
-    getReadme,
-    getWorkflows,
-    getReleases,
-    getTags,
-    getIssueStats,
-    getSecurityFiles,
-    hasLinterConfig,
-    hasTestDirectory,
-    fileExists,
-    directoryExists,
-} from './github-client.js';
+import { anyPresent, getSecurityFiles, hasLinterConfig } from './repo-source.js';
+import { PILLAR_KEYS, SCORING_PROFILES, formatWeight } from './scoring-profiles.js';
+import { buildRuleSet, evaluateRules } from './rules.js';
+import { summarizeCommitCadence, summarizeContributors } from './activity-metrics.js';
+import { analyzeDependencies } from './dependency-manifests.js';
+import { analyzeWorkflows } from './workflow-analysis.js';
+import { getLicenseRisk, resolveRepositoryLicense } from './license-policy.js';
+import { analyzeReadme } from './readme-analysis.js';
+import { checkDocumentationLinks } from './link-checker.js';
+import { scanForSecrets } from './secret-scanner.js';
+import { analyzeTests } from './analyze-tests.js';
 
 /**
- * License risk scoring
- * MIT/Apache = Low risk (full score)
- * BSD/ISC = Low risk (full score)
- * GPL/LGPL = Medium risk (partial score)
- * No license = High risk (low score)
+ * Collect Readability facts
  */
-const LICENSE_SCORES = {
-    // Permissive licenses (Low Risk)
-    'mit': 100,
-    'apache-2.0': 100,
-    'bsd-2-clause': 100,
-    'bsd-3-clause': 100,
-    'isc': 100,
-    'unlicense': 90,
-    'cc0-1.0': 90,
-    'wtfpl': 85,
-
-    // Weak copyleft (Medium Risk)
-    'lgpl-2.1': 70,
-    'lgpl-3.0': 70,
-    'mpl-2.0': 75,
-
-    // Strong copyleft (Higher Risk for commercial use)
-    'gpl-2.0': 50,
-    'gpl-3.0': 50,
-    'agpl-3.0': 40,
-
-    // No license (High Risk)
-    'other': 30,
-    'none': 20,
-};
-
-/**
- * Get license risk category
- */
-function getLicenseRisk(licenseKey) {
-    if (!licenseKey) {
-        return { score: 20, risk: '🔴 High (No License)' };
-    }
-
-    const key = licenseKey.toLowerCase();
-    const score = LICENSE_SCORES[key] ?? 50;
-
-    if (score >= 85) {
-        return { score, risk: '🟢 Low (Permissive)' };
-    } else if (score >= 60) {
-        return { score, risk: '🟡 Medium (Copyleft)' };
-    } else {
-        return { score, risk: '🔴 High (Restrictive)' };
-    }
-}
-
-/**
- * Calculate Readability Score (15% weight)
- */
-async function calculateReadabilityScore(octokit, owner, repo, repoData) {
-    let score = 0;
+async function collectReadabilityDetails(source, repoData) {
     const details = {};
 
-    const readme = await getReadme(octokit, owner, repo);
+    const readme = await source.getReadme();
     details.hasReadme = readme.exists;
     details.readmeLength = readme.length;
 
-    if (readme.exists) {
-        score += 20;
-        if (readme.length > 500) score += 10;
-        if (readme.length > 2000) score += 10;
-
-        const lowerContent = readme.content.toLowerCase();
-        details.hasInstallation = lowerContent.includes('installation') || lowerContent.includes('install');
-        details.hasUsage = lowerContent.includes('usage') || lowerContent.includes('getting started');
-
-        if (details.hasInstallation) score += 15;
-        if (details.hasUsage) score += 15;
-    }
-
-    details.hasDescription = !!repoData.description && repoData.description.length > 10;
-    if (details.hasDescription) score += 30;
-
-    return { score: Math.min(score, 100), details };
+    // Sections are recognized by their headings, and instructions by their code blocks
+    const structure = readme.exists ? analyzeReadme(readme.content, readme.path) : null;
+    // No README means no sections; an unreadable one means we cannot tell
+    const missing = readme.exists === null ? null : false;
+
+    details.readmeFormat = structure?.format ?? null;
+    details.readmeHeadingCount = structure?.headingCount ?? null;
+    details.headingHierarchyValid = structure?.headingHierarchyValid ?? missing;
+    details.headingIssues = structure?.headingIssues ?? [];
+    details.hasInstallation = structure?.hasInstallation ?? missing;
+    details.installationHasCode = structure?.installationHasCode ?? missing;
+    details.hasUsage = structure?.hasUsage ?? missing;
+    details.usageHasCode = structure?.usageHasCode ?? missing;
+    details.hasLicenseSection = structure?.hasLicenseSection ?? missing;
+    details.hasContributingSection = structure?.hasContributingSection ?? missing;
+    details.badgeCount = structure?.badgeCount ?? (missing === false ? 0 : null);
+    details.readmeImageCount = structure?.imageCount ?? null;
+    details.imagesMissingAlt = structure?.imagesMissingAlt ?? null;
+    details.proseRatioPercent = structure?.proseRatioPercent ?? (missing === false ? 0 : null);
+    details.readmeSections = structure?.sections ?? [];
+    details.readmeChecklist = structure?.checklist ?? [];
+
+    // An undefined description means the source cannot tell (e.g. a local clone)
+    details.hasDescription = repoData.description === undefined
+        ? null
+        : !!repoData.description && repoData.description.length > 10;
+
+    return details;
 }
 
 /**
- * Calculate Stability Score (15% weight)
+ * Collect Stability facts
  */
-async function calculateStabilityScore(octokit, owner, repo, repoData) {
-    let score = 0;
+async function collectStabilityDetails(source, repoData) {
     const details = {};
 
-    const [releases, tags] = await Promise.all([
-        getReleases(octokit, owner, repo),
-        getTags(octokit, owner, repo),
+    const [releases, tags, workflows, commitHistory] = await Promise.all([
+        source.getReleases(),
+        source.getTags(),
+        source.getWorkflows(),
+        source.getCommitHistory(),
     ]);
 
     details.hasReleases = releases.exists;
@@ -117,433 +74,323 @@ async function calculateStabilityScore(octokit, owner, repo, repoData) {
     details.hasTags = tags.exists;
     details.tagCount = tags.count;
     details.latestRelease = releases.latest;
+    details.recentReleases = releases.recent;
 
-    if (releases.exists || tags.exists) {
-        score += 25;
-        if (releases.count > 5 || tags.count > 5) score += 15;
-    }
-
-    const workflows = await getWorkflows(octokit, owner, repo);
     details.hasWorkflows = workflows.exists;
     details.workflowCount = workflows.count;
 
-    if (workflows.exists) {
-        score += 20;
-        if (workflows.count > 1) score += 10;
-    }
-
-    const lastCommit = new Date(repoData.pushed_at);
-    const sixMonthsAgo = new Date();
-    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-    const oneMonthAgo = new Date();
-    oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-
-    details.lastCommit = repoData.pushed_at;
-    details.isRecentlyActive = lastCommit > sixMonthsAgo;
-
-    if (lastCommit > oneMonthAgo) {
-        score += 30;
-    } else if (lastCommit > sixMonthsAgo) {
-        score += 20;
-    } else {
-        score += 5;
-    }
-
-    return { score: Math.min(score, 100), details };
+    // pushed_at moves on pushes to any branch (bots included), so activity is judged
+    // by the default branch history instead
+    const cadence = summarizeCommitCadence(commitHistory);
+    details.lastPush = repoData.pushed_at;
+    details.lastCommit = cadence.lastCommitAt;
+    details.lastHumanCommit = cadence.lastHumanCommitAt;
+    details.daysSinceLastHumanCommit = cadence.daysSinceLastHumanCommit;
+    details.isRecentlyActive = cadence.weeklyCommits === null ? null : cadence.daysSinceLastHumanCommit !== null && cadence.daysSinceLastHumanCommit <= 182;
+    details.weeklyCommits = cadence.weeklyCommits;
+    details.commitTrend = cadence.trend;
+    details.activeWeeks = cadence.activeWeeks;
+    details.longestCommitGapDays = cadence.longestGapDays;
+    details.humanCommitPercent = cadence.humanCommitPercent;
+    details.botCommitPercent = cadence.botCommitPercent;
+
+    return details;
 }
 
 /**
- * Calculate Security Score (15% weight)
+ * Collect Security facts
  */
-async function calculateSecurityScore(octokit, owner, repo, repoData) {
-    let score = 0;
+async function collectSecurityDetails(source, repoData, dependencyAnalysis, workflowAnalysis, licensePolicy, secretScan) {
     const details = {};
 
-    const licenseKey = repoData.license?.spdx_id;
-    const licenseRisk = getLicenseRisk(licenseKey);
+    // An unclassified license (NOASSERTION) is resolved from manifests and license files
+    const license = await resolveRepositoryLicense(source, repoData);
+    const licenseRisk = getLicenseRisk(license.expression, licensePolicy);
 
-    details.licenseType = repoData.license?.name || 'No License';
-    details.licenseKey = licenseKey || 'none';
+    details.licenseType = license.name;
+    details.licenseKey = license.expression || 'none';
+    details.licenseDetectedFrom = license.detectedFrom;
     details.licenseRisk = licenseRisk.risk;
     details.licenseScore = licenseRisk.score;
+    details.licensePolicyStatus = licenseRisk.status;
 
-    score += Math.round(licenseRisk.score * 0.4);
-
-    const securityFiles = await getSecurityFiles(octokit, owner, repo);
+    const securityFiles = await getSecurityFiles(source);
     details.hasSecurityMd = securityFiles.securityMd;
     details.hasDependabot = securityFiles.dependabot;
 
-    if (securityFiles.securityMd) score += 30;
-    if (securityFiles.dependabot) score += 30;
-
-    return { score: Math.min(score, 100), details };
+    // Known vulnerabilities come from the offline advisory database, when one is configured
+    const dependencies = await dependencyAnalysis;
+    details.vulnerabilityCount = dependencies.vulnerabilityCount;
+    details.vulnerabilityCounts = dependencies.vulnerabilityCounts;
+    details.knownVulnerabilities = dependencies.vulnerabilities;
+
+    // Supply chain and privilege risks in the GitHub Actions workflows
+    const workflows = await workflowAnalysis;
+    details.thirdPartyActionCount = workflows.thirdPartyActionCount;
+    details.unpinnedActionCount = workflows.unpinnedActionCount;
+    details.unpinnedActions = workflows.unpinnedActions;
+    details.workflowsWithoutPermissions = workflows.workflowsWithoutPermissions;
+    details.pullRequestTargetRisks = workflows.pullRequestTargetRisks;
+    details.secretsEchoed = workflows.secretsEchoed;
+
+    // Committed credentials, when the secret scan is enabled (it reads file contents)
+    const secrets = secretScan
+        ? await scanForSecrets(source, secretScan.ruleset, { maxFiles: secretScan.maxFiles })
+        : { filesScanned: null, filesNotScanned: null, findingCount: null, findings: [] };
+    details.secretFilesScanned = secrets.filesScanned;
+    details.secretFilesNotScanned = secrets.filesNotScanned;
+    details.secretFindingCount = secrets.findingCount;
+    details.secretFindings = secrets.findings;
+
+    // Repository configuration; admin-only settings stay null (not assessable) for other tokens
+    const [settings, issueStats] = await Promise.all([source.getRepositorySettings(), source.getIssueStats()]);
+    details.defaultBranch = settings.branch;
+    details.branchProtection = settings.branchProtection;
+    details.secretScanning = settings.secretScanning;
+    details.pushProtection = settings.pushProtection;
+    details.privateVulnerabilityReporting = settings.privateVulnerabilityReporting;
+
+    // Enabled but empty features are attack surface (wiki spam, unwatched issue trackers)
+    const hasIssueCounts = issueStats.open !== null && issueStats.closed !== null;
+    details.wikiEnabledUnused = repoData.has_wiki === false ? false : repoData.has_wiki && settings.wikiHasPages !== null ? !settings.wikiHasPages : null;
+    details.issuesEnabledUnused = repoData.has_issues === false ? false : repoData.has_issues && hasIssueCounts ? issueStats.open + issueStats.closed === 0 : null;
+
+    return details;
 }
 
 /**
- * Calculate Community Score (10% weight)
+ * Collect Community facts
  */
-async function calculateCommunityScore(octokit, owner, repo, repoData) {
-    let score = 0;
+async function collectCommunityDetails(source, repoData) {
     const details = {};
 
     details.stars = repoData.stargazers_count;
     details.forks = repoData.forks_count;
     details.subscribers = repoData.subscribers_count;
 
-    if (repoData.stargazers_count >= 1000) {
-        score += 40;
-    } else if (repoData.stargazers_count >= 100) {
-        score += 30;
-    } else if (repoData.stargazers_count >= 50) {
-        score += 20;
-    } else if (repoData.stargazers_count >= 10) {
-        score += 10;
-    }
-
-    const issueStats = await getIssueStats(octokit, owner, repo);
+    const [issueStats, pullRequestStats, responsiveness, pullRequestActivity, commitHistory] = await Promise.all([
+        source.getIssueStats(),
+        source.getPullRequestStats(),
+        source.getIssueResponsiveness(),
+        source.getPullRequestActivity(),
+        source.getCommitHistory(),
+    ]);
     details.openIssues = issueStats.open;
     details.closedIssues = issueStats.closed;
     details.issueCloseRatio = issueStats.ratio;
 
-    if (issueStats.ratio >= 70) {
-        score += 30;
-    } else if (issueStats.ratio >= 50) {
-        score += 20;
-    } else if (issueStats.ratio >= 30) {
-        score += 10;
-    }
-
-    details.hasContributing = await fileExists(octokit, owner, repo, 'CONTRIBUTING.md');
-    if (details.hasContributing) score += 30;
-
-    return { score: Math.min(score, 100), details };
+    details.openPullRequests = pullRequestStats.open;
+    details.mergedPullRequests = pullRequestStats.merged;
+    details.closedPullRequests = pullRequestStats.closed;
+
+    // Maintainer responsiveness on recent issues
+    details.issuesSampled = responsiveness.sampled;
+    details.medianFirstResponseHours = responsiveness.medianFirstResponseHours;
+    details.medianCloseHours = responsiveness.medianCloseHours;
+    details.unansweredAfter30DaysPercent = responsiveness.unansweredAfter30DaysPercent;
+
+    // Pull request health on the oldest open and most recently closed PRs
+    details.openPullRequestsSampled = pullRequestActivity.openSampled;
+    details.openPullRequestAges = pullRequestActivity.openAgeDistribution;
+    details.medianOpenPullRequestAgeDays = pullRequestActivity.medianOpenAgeDays;
+    details.staleOpenPullRequestPercent = pullRequestActivity.staleOpenPercent;
+    details.closedPullRequestsSampled = pullRequestActivity.closedSampled;
+    details.externalMergeRatePercent = pullRequestActivity.externalMergeRatePercent;
+    details.medianTimeToMergeHours = pullRequestActivity.medianTimeToMergeHours;
+    details.reviewCoveragePercent = pullRequestActivity.reviewCoveragePercent;
+    details.selfMergeRatePercent = pullRequestActivity.selfMergeRatePercent;
+
+    // Contributor concentration on the default branch over the last year
+    const contributors = summarizeContributors(commitHistory?.commits ?? null);
+    details.commitsSampled = contributors.commitsSampled;
+    details.commitHistoryTruncated = commitHistory?.truncated ?? null;
+    details.busFactor = contributors.busFactor;
+    details.activeMaintainers90d = contributors.activeMaintainers90d;
+    details.activeMaintainers365d = contributors.activeMaintainers365d;
+    details.topContributorSharePercent = contributors.topContributorSharePercent;
+
+    details.hasContributing = await source.fileExists('CONTRIBUTING.md');
+
+    return details;
 }
 
 /**
- * Calculate Maintainability Score (15% weight)
+ * Collect Maintainability facts
+ * - Test files by the conventions of the repository's ecosystems, and their ratio to source files
+ * - Coverage configuration
+ * - CI workflows that run the tests
+ * - Linter configuration
  */
-async function calculateMaintainabilityScore(octokit, owner, repo) {
-    let score = 0;
+async function collectMaintainabilityDetails(source, repoData, workflowAnalysis) {
     const details = {};
 
-    details.hasTests = await hasTestDirectory(octokit, owner, repo);
-    if (details.hasTests) score += 50;
-
-    details.hasLinter = await hasLinterConfig(octokit, owner, repo);
-    if (details.hasLinter) score += 50;
-
-    return { score: Math.min(score, 100), details };
+    const tests = await analyzeTests(source, repoData);
+    details.hasTests = tests.testFileCount === null ? null : tests.testFileCount > 0;
+    details.testEcosystem = tests.ecosystem;
+    details.testHint = tests.hint;
+    details.testFileCount = tests.testFileCount;
+    details.sourceFileCount = tests.sourceFileCount;
+    details.inlineTestFiles = tests.inlineTestFiles;
+    details.testRatioPercent = tests.testRatioPercent;
+    details.testEcosystems = tests.ecosystems;
+    details.coverageTools = tests.coverageTools;
+    // Without a file listing, missing coverage files prove nothing
+    details.hasCoverageConfig = tests.coverageTools.length > 0 ? true : tests.testFileCount === null ? null : false;
+
+    const workflows = await workflowAnalysis;
+    details.ciRunsTests = workflows.testWorkflows === null ? null : workflows.testWorkflows > 0;
+
+    details.hasLinter = await hasLinterConfig(source);
+
+    return details;
 }
 
 /**
- * Calculate Documentation Score (15% weight) - NEW!
+ * Collect Documentation facts
  * - Has /docs folder or wiki
  * - Has CHANGELOG.md
  * - Has /examples folder
  * - Has API documentation
+ * - Links in the Markdown documentation resolve
  */
-async function calculateDocumentationScore(octokit, owner, repo, repoData) {
-    let score = 0;
+async function collectDocumentationDetails(source, repoData) {
     const details = {};
 
-    // Check for docs folder (25 points)
-    details.hasDocsFolder = await directoryExists(octokit, owner, repo, 'docs');
-    if (details.hasDocsFolder) score += 25;
+    details.hasDocsFolder = await source.directoryExists('docs');
 
-    // Check for CHANGELOG.md (25 points)
-    details.hasChangelog = await fileExists(octokit, owner, repo, 'CHANGELOG.md') ||
-        await fileExists(octokit, owner, repo, 'HISTORY.md') ||
-        await fileExists(octokit, owner, repo, 'CHANGES.md');
-    if (details.hasChangelog) score += 25;
+    details.hasChangelog = await anyPresent([
+        () => source.fileExists('CHANGELOG.md'),
+        () => source.fileExists('HISTORY.md'),
+        () => source.fileExists('CHANGES.md'),
+    ]);
 
-    // Check for examples folder (25 points)
-    details.hasExamples = await directoryExists(octokit, owner, repo, 'examples') ||
-        await directoryExists(octokit, owner, repo, 'example');
-    if (details.hasExamples) score += 25;
+    details.hasExamples = await anyPresent([
+        () => source.directoryExists('examples'),
+        () => source.directoryExists('example'),
+    ]);
 
-    // Check for wiki or has_wiki flag (15 points)
     details.hasWiki = repoData.has_wiki;
-    if (repoData.has_wiki) score += 15;
 
-    // Check for API docs (various formats) (10 points)
-    details.hasApiDocs = await fileExists(octokit, owner, repo, 'API.md') ||
-        await fileExists(octokit, owner, repo, 'docs/api.md') ||
-        await directoryExists(octokit, owner, repo, 'docs/api');
-    if (details.hasApiDocs) score += 10;
+    details.hasApiDocs = await anyPresent([
+        () => source.fileExists('API.md'),
+        () => source.fileExists('docs/api.md'),
+        () => source.directoryExists('docs/api'),
+    ]);
+
+    // Links are checked against the file listing; external URLs only for their syntax
+    const links = await checkDocumentationLinks(source, repoData);
+    details.docsFilesChecked = links.documentsChecked;
+    details.linksChecked = links.linksChecked;
+    details.brokenLinkCount = links.brokenLinkCount;
+    details.brokenLinks = links.brokenLinks;
 
-    return { score: Math.min(score, 100), details };
+    return details;
 }
 
 /**
- * Calculate Automation Score (15% weight) - NEW!
+ * Collect Automation facts
  * - Has multiple CI workflows
+ * - Pull requests run tests, lint and a build
  * - Has PR templates
  * - Has issue templates
  * - Has automated releases/semantic versioning
  */
-async function calculateAutomationScore(octokit, owner, repo) {
-    let score = 0;
+async function collectAutomationDetails(source, workflowAnalysis) {
     const details = {};
 
-    // Check for CI workflows (30 points)
-    const workflows = await getWorkflows(octokit, owner, repo);
+    const workflows = await source.getWorkflows();
     details.workflowCount = workflows.count;
-    if (workflows.count >= 3) {
-        score += 30;
-    } else if (workflows.count >= 1) {
-        score += 20;
-    }
 
-    // Check for PR template (20 points)
-    details.hasPRTemplate = await fileExists(octokit, owner, repo, '.github/PULL_REQUEST_TEMPLATE.md') ||
-        await fileExists(octokit, owner, repo, '.github/pull_request_template.md') ||
-        await directoryExists(octokit, owner, repo, '.github/PULL_REQUEST_TEMPLATE');
-    if (details.hasPRTemplate) score += 20;
+    // What the workflows run, not just how many there are
+    const analysis = await workflowAnalysis;
+    details.workflowsAnalyzed = analysis.workflowsAnalyzed;
+    details.unreadableWorkflows = analysis.unreadableWorkflows;
+    details.unparsedWorkflows = analysis.unparsedWorkflows;
+    details.pullRequestWorkflows = analysis.pullRequestWorkflows;
+    details.prRunsTests = analysis.pullRequestChecks?.test ?? null;
+    details.prRunsLint = analysis.pullRequestChecks?.lint ?? null;
+    details.prRunsBuild = analysis.pullRequestChecks?.build ?? null;
+
+    details.hasPRTemplate = await anyPresent([
+        () => source.fileExists('.github/PULL_REQUEST_TEMPLATE.md'),
+        () => source.fileExists('.github/pull_request_template.md'),
+        () => source.directoryExists('.github/PULL_REQUEST_TEMPLATE'),
+    ]);
 
-    // Check for issue templates (20 points)
-    details.hasIssueTemplate = await fileExists(octokit, owner, repo, '.github/ISSUE_TEMPLATE.md') ||
-        await directoryExists(octokit, owner, repo, '.github/ISSUE_TEMPLATE');
-    if (details.hasIssueTemplate) score += 20;
+    details.hasIssueTemplate = await anyPresent([
+        () => source.fileExists('.github/ISSUE_TEMPLATE.md'),
+        () => source.directoryExists('.github/ISSUE_TEMPLATE'),
+    ]);
 
-    // Check for release automation (15 points)
-    details.hasReleaseConfig = await fileExists(octokit, owner, repo, '.releaserc') ||
-        await fileExists(octokit, owner, repo, '.releaserc.json') ||
-        await fileExists(octokit, owner, repo, 'release.config.js');
-    if (details.hasReleaseConfig) score += 15;
+    details.hasReleaseConfig = await anyPresent([
+        () => source.fileExists('.releaserc'),
+        () => source.fileExists('.releaserc.json'),
+        () => source.fileExists('release.config.js'),
+    ]);
 
-    // Check for CODE_OF_CONDUCT.md (15 points)
-    details.hasCodeOfConduct = await fileExists(octokit, owner, repo, 'CODE_OF_CONDUCT.md');
-    if (details.hasCodeOfConduct) score += 15;
+    details.hasCodeOfConduct = await source.fileExists('CODE_OF_CONDUCT.md');
 
-    return { score: Math.min(score, 100), details };
+    return details;
 }
 
-/**
- * Generate actionable recommendations based on missing items
- */
-function generateRecommendations(pillars) {
-    const recommendations = [];
-
-    // Readability recommendations
-    if (!pillars.readability.details.hasReadme) {
-        recommendations.push({
-            priority: '🔴 Critical',
-            category: 'Readability',
-            issue: 'Missing README.md',
-            action: 'Create a README.md file with project description, installation, and usage instructions.',
-            impact: '+20 points',
-        });
-    } else {
-        if (!pillars.readability.details.hasInstallation) {
-            recommendations.push({
-                priority: '🟡 Medium',
-                category: 'Readability',
-                issue: 'Missing installation instructions',
-                action: 'Add an "Installation" section to your README with setup steps.',
-                impact: '+15 points',
-            });
-        }
-        if (!pillars.readability.details.hasUsage) {
-            recommendations.push({
-                priority: '🟡 Medium',
-                category: 'Readability',
-                issue: 'Missing usage documentation',
-                action: 'Add a "Usage" or "Getting Started" section with examples.',
-                impact: '+15 points',
-            });
-        }
-    }
-
-    if (!pillars.readability.details.hasDescription) {
-        recommendations.push({
-            priority: '🟡 Medium',
-            category: 'Readability',
-            issue: 'Missing repository description',
-            action: 'Add a description in the repository settings (About section).',
-            impact: '+30 points',
-        });
-    }
-
-    // Security recommendations
-    if (!pillars.security.details.hasSecurityMd) {
-        recommendations.push({
-            priority: '🔴 Critical',
-            category: 'Security',
-            issue: 'Missing SECURITY.md',
-            action: 'Create SECURITY.md with vulnerability reporting guidelines.',
-            impact: '+30 points',
-        });
-    }
-
-    if (!pillars.security.details.hasDependabot) {
-        recommendations.push({
-            priority: '🟡 Medium',
-            category: 'Security',
-            issue: 'Dependabot not configured',
-            action: 'Enable Dependabot by adding .github/dependabot.yml for automatic security updates.',
-            impact: '+30 points',
-        });
-    }
-
-    if (pillars.security.details.licenseRisk?.includes('High')) {
-        recommendations.push({
-            priority: '🔴 Critical',
-            category: 'Security',
-            issue: 'No license or restrictive license',
-            action: 'Add an open-source license (MIT, Apache-2.0 recommended).',
-            impact: '+40 points',
-        });
-    }
-
-    // Maintainability recommendations
-    if (!pillars.maintainability.details.hasTests) {
-        recommendations.push({
-            priority: '🔴 Critical',
-            category: 'Maintainability',
-            issue: 'No tests detected',
-            action: 'Add a test/ or __tests__/ directory with unit tests.',
-            impact: '+50 points',
-        });
-    }
-
-    if (!pillars.maintainability.details.hasLinter) {
-        recommendations.push({
-            priority: '🟡 Medium',
-            category: 'Maintainability',
-            issue: 'No linter configuration',
-            action: 'Add .eslintrc, .prettierrc, or biome.json for code quality.',
-            impact: '+50 points',
-        });
-    }
-
-    // Documentation recommendations
-    if (!pillars.documentation.details.hasDocsFolder) {
-        recommendations.push({
-            priority: '🟡 Medium',
-            category: 'Documentation',
-            issue: 'No docs/ folder',
-            action: 'Create a docs/ directory with detailed documentation.',
-            impact: '+25 points',
-        });
-    }
-
-    if (!pillars.documentation.details.hasChangelog) {
-        recommendations.push({
-            priority: '🟡 Medium',
-            category: 'Documentation',
-            issue: 'No CHANGELOG.md',
-            action: 'Add CHANGELOG.md to track version history and changes.',
-            impact: '+25 points',
-        });
-    }
-
-    if (!pillars.documentation.details.hasExamples) {
-        recommendations.push({
-            priority: '🟢 Nice-to-have',
-            category: 'Documentation',
-            issue: 'No examples/ folder',
-            action: 'Add an examples/ directory with usage examples.',
-            impact: '+25 points',
-        });
-    }
-
-    // Automation recommendations
-    if (!pillars.automation.details.hasPRTemplate) {
-        recommendations.push({
-            priority: '🟢 Nice-to-have',
-            category: 'Automation',
-            issue: 'No PR template',
-            action: 'Create .github/PULL_REQUEST_TEMPLATE.md for consistent PRs.',
-            impact: '+20 points',
-        });
-    }
-
-    if (!pillars.automation.details.hasIssueTemplate) {
-        recommendations.push({
-            priority: '🟢 Nice-to-have',
-            category: 'Automation',
-            issue: 'No issue templates',
-            action: 'Add .github/ISSUE_TEMPLATE/ with bug and feature templates.',
-            impact: '+20 points',
-        });
-    }
-
-    if (!pillars.automation.details.hasCodeOfConduct) {
-        recommendations.push({
-            priority: '🟢 Nice-to-have',
-            category: 'Automation',
-            issue: 'No Code of Conduct',
-            action: 'Add CODE_OF_CONDUCT.md for community guidelines.',
-            impact: '+15 points',
-        });
-    }
-
-    // Community recommendations
-    if (!pillars.community.details.hasContributing) {
-        recommendations.push({
-            priority: '🟡 Medium',
-            category: 'Community',
-            issue: 'No CONTRIBUTING.md',
-            action: 'Create CONTRIBUTING.md with contribution guidelines.',
-            impact: '+30 points',
-        });
-    }
-
-    // Stability recommendations
-    if (!pillars.stability.details.hasReleases && !pillars.stability.details.hasTags) {
-        recommendations.push({
-            priority: '🟡 Medium',
-            category: 'Stability',
-            issue: 'No releases or tags',
-            action: 'Create GitHub releases with semantic versioning.',
-            impact: '+25 points',
-        });
-    }
-
-    // Sort by priority
-    const priorityOrder = { '🔴 Critical': 0, '🟡 Medium': 1, '🟢 Nice-to-have': 2 };
-    recommendations.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
-
-    return recommendations;
-}
+// Built-in rules only, used when no custom rule set is passed in
+const DEFAULT_RULE_SET = buildRuleSet();
 
 /**
- * Calculate overall health score using weighted average (7 pillars)
+ * Calculate overall health score using weighted average (8 pillars)
+ * @param {Object} source - Repository source (GitHub API or local clone, see repo-source.js)
+ * @param {Object} repoData - Repository metadata from source.getRepoData()
+ * @param {Object} options - Scoring options
+ * @param {Object} options.weights - Pillar weights from a scoring profile (must sum to 1)
+ * @param {Array<Object>} options.rules - Rule set from buildRuleSet()
+ * @param {Object|null} options.advisories - Offline OSV database from openOsvDatabase()
+ * @param {Object|null} options.licensePolicy - License policy from loadLicensePolicy(); judges the repository and dependency licenses
+ * @param {Object|null} options.secretScan - { ruleset from loadSecretRules(), maxFiles }; null skips the secret scan
  */
-export async function calculateHealthScore(octokit, owner, repo, repoData) {
+export async function calculateHealthScore(source, repoData, options = {}) {
+    const { weights = SCORING_PROFILES.default, rules = DEFAULT_RULE_SET, advisories = null, licensePolicy = null, secretScan = null } = options;
+    const { owner, repo } = source;
+
     log.info(`Calculating health score for ${owner}/${repo}...`);
 
-    // Calculate all 7 pillar scores
-    const [readability, stability, security, community, maintainability, documentation, automation] = await Promise.all([
-        calculateReadabilityScore(octokit, owner, repo, repoData),
-        calculateStabilityScore(octokit, owner, repo, repoData),
-        calculateSecurityScore(octokit, owner, repo, repoData),
-        calculateCommunityScore(octokit, owner, repo, repoData),
-        calculateMaintainabilityScore(octokit, owner, repo),
-        calculateDocumentationScore(octokit, owner, repo, repoData),
-        calculateAutomationScore(octokit, owner, repo),
+    // Dependencies feed both their own pillar and the Security vulnerability check;
+    // workflows feed Automation, Security and Maintainability
+    const dependencyAnalysis = analyzeDependencies(source, { advisories, licensePolicy });
+    const workflowAnalysis = analyzeWorkflows(source);
+
+    // Collect facts for all 8 pillars
+    const [readability, stability, security, community, maintainability, documentation, automation, dependencies] = await Promise.all([
+        collectReadabilityDetails(source, repoData),
+        collectStabilityDetails(source, repoData),
+        collectSecurityDetails(source, repoData, dependencyAnalysis, workflowAnalysis, licensePolicy, secretScan),
+        collectCommunityDetails(source, repoData),
+        collectMaintainabilityDetails(source, repoData, workflowAnalysis),
+        collectDocumentationDetails(source, repoData),
+        collectAutomationDetails(source, workflowAnalysis),
+        dependencyAnalysis,
     ]);
 
-    // New weighted average (7 pillars)
-    const weights = {
-        readability: 0.15,
-        stability: 0.15,
-        security: 0.15,
-        community: 0.10,
-        maintainability: 0.15,
-        documentation: 0.15,
-        automation: 0.15,
-    };
-
-    const totalScore = Math.round(
-        readability.score * weights.readability +
-        stability.score * weights.stability +
-        security.score * weights.security +
-        community.score * weights.community +
-        maintainability.score * weights.maintainability +
-        documentation.score * weights.documentation +
-        automation.score * weights.automation
-    );
+    const details = { readability, stability, security, community, maintainability, documentation, automation, dependencies };
+
+    // Score every pillar and derive recommendations from the same rules
+    const evaluation = await evaluateRules(rules, {
+        owner,
+        repo,
+        repoData,
+        details,
+        source,
+        fileExists: (path) => source.fileExists(path),
+        directoryExists: (path) => source.directoryExists(path),
+        findFiles: (globs) => source.findFiles(globs),
+    });
+
+    // Weighted average (8 pillars); a pillar with no assessable rule is left out
+    // and the remaining weights are scaled back up to 100%
+    const scoredPillars = PILLAR_KEYS.filter((key) => evaluation.pillars[key].score !== null);
+    const scoredWeight = scoredPillars.reduce((total, key) => total + weights[key], 0);
+    const totalScore = scoredWeight > 0
+        ? Math.round(scoredPillars.reduce((total, key) => total + evaluation.pillars[key].score * weights[key], 0) / scoredWeight)
+        : 0;
 
     // Determine grade
     let grade;
@@ -560,18 +407,17 @@ export async function calculateHealthScore(octokit, owner, repo, repoData) {
     else if (totalScore >= 50) riskLevel = '🟡 Medium Risk';
     else riskLevel = '🔴 High Risk';
 
-    const pillars = {
-        readability: { score: readability.score, weight: '15%', details: readability.details },
-        stability: { score: stability.score, weight: '15%', details: stability.details },
-        security: { score: security.score, weight: '15%', details: security.details },
-        community: { score: community.score, weight: '10%', details: community.details },
-        maintainability: { score: maintainability.score, weight: '15%', details: maintainability.details },
-        documentation: { score: documentation.score, weight: '15%', details: documentation.details },
-        automation: { score: automation.score, weight: '15%', details: automation.details },
-    };
+    const pillars = {};
+    for (const key of PILLAR_KEYS) {
+        pillars[key] = {
+            score: evaluation.pillars[key].score,
+            weight: formatWeight(weights[key]),
+            details: details[key],
+            breakdown: evaluation.pillars[key].breakdown,
+        };
+    }
 
-    // Generate recommendations
-    const recommendations = generateRecommendations(pillars);
+    const { recommendations } = evaluation;
 
     log.info(`${owner}/${repo}: Score=${totalScore}, Grade=${grade}, Recommendations=${recommendations.length}`);
 
@@ -582,5 +428,6 @@ export async function calculateHealthScore(octokit, owner, repo, repoData) {
         pillars,
         recommendations,
         recommendationCount: recommendations.length,
+        incompleteChecks: source.getIncompleteChecks?.() ?? [],
     };
 }
@@ -0,0 +1,143 @@
+/**
+ * Scoring Profiles
+ * Named pillar weight presets used by the weighted health score
+ */
+
+/**
+ * Pillar keys in display order
+ */
+export const PILLAR_KEYS = [
+    'readability',
+    'stability',
+    'security',
+    'community',
+    'maintainability',
+    'documentation',
+    'automation',
+    'dependencies',
+];
+
+/**
+ * Version of the built-in weights, recorded in history snapshots
+ * Bumped whenever a preset changes, so scores from before are not compared with scores after.
+ * 1: seven pillars; 2: the dependencies pillar took its weight from the others
+ */
+export const WEIGHTS_VERSION = 2;
+
+/**
+ * Built-in weight presets (each must sum to 1)
+ * - default: balanced, general purpose audit
+ * - enterprise-dependency: vetting third-party code we ship, security and upkeep first
+ * - oss-library: public libraries, adoption and docs matter more
+ * - internal-service: private services, stars and community are irrelevant
+ */
+export const SCORING_PROFILES = {
+    'default': {
+        readability: 0.15,
+        stability: 0.15,
+        security: 0.15,
+        community: 0.10,
+        maintainability: 0.15,
+        documentation: 0.10,
+        automation: 0.10,
+        dependencies: 0.10,
+    },
+    'enterprise-dependency': {
+        readability: 0.10,
+        stability: 0.15,
+        security: 0.25,
+        community: 0.05,
+        maintainability: 0.20,
+        documentation: 0.05,
+        automation: 0.05,
+        dependencies: 0.15,
+    },
+    'oss-library': {
+        readability: 0.20,
+        stability: 0.15,
+        security: 0.10,
+        community: 0.20,
+        maintainability: 0.10,
+        documentation: 0.15,
+        automation: 0.05,
+        dependencies: 0.05,
+    },
+    'internal-service': {
+        readability: 0.10,
+        stability: 0.20,
+        security: 0.20,
+        community: 0.00,
+        maintainability: 0.20,
+        documentation: 0.10,
+        automation: 0.10,
+        dependencies: 0.10,
+    },
+};
+
+// Tolerance for floating point sums such as 0.1 + 0.2
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+/**
+ * Validate a custom weight map
+ * @param {Object} weights - Pillar key to weight (0-1)
+ * @returns {Object} Complete weight map (missing pillars default to 0)
+ * @throws {Error} If keys are unknown, values are invalid or the sum is not 1
+ */
+export function validateWeights(weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+        throw new Error('Custom weights must be an object mapping pillar names to numbers');
+    }
+
+    const unknown = Object.keys(weights).filter((key) => !PILLAR_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown pillar(s) in custom weights: ${unknown.join(', ')}. Valid pillars: ${PILLAR_KEYS.join(', ')}`);
+    }
+
+    const resolved = {};
+    for (const key of PILLAR_KEYS) {
+        const value = weights[key] ?? 0;
+        if (typeof value !== 'number' || isNaN(value) || value < 0 || value > 1) {
+            throw new Error(`Weight for "${key}" must be a number between 0 and 1 (got ${JSON.stringify(weights[key])})`);
+        }
+        resolved[key] = value;
+    }
+
+    const sum = PILLAR_KEYS.reduce((total, key) => total + resolved[key], 0);
+    if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+        throw new Error(`Custom weights must sum to 1 (got ${Number(sum.toFixed(4))})`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Resolve the scoring profile selected in the Actor input
+ * @param {string} profileName - Profile name, or 'custom'
+ * @param {Object|null} customWeights - Weight map, required when profileName is 'custom'
+ * @returns {{profile: string, weights: Object}}
+ * @throws {Error} If the profile is unknown or custom weights are invalid
+ */
+export function resolveScoringProfile(profileName = 'default', customWeights = null) {
+    const profile = profileName || 'default';
+
+    if (profile === 'custom') {
+        return { profile, weights: validateWeights(customWeights) };
+    }
+
+    const weights = SCORING_PROFILES[profile];
+    if (!weights) {
+        const valid = [...Object.keys(SCORING_PROFILES), 'custom'];
+        throw new Error(`Unknown scoring profile "${profile}". Valid profiles: ${valid.join(', ')}`);
+    }
+
+    return { profile, weights: { ...weights } };
+}
+
+/**
+ * Format a weight for display
+ * @param {number} weight - Weight (0-1)
+ * @returns {string} Percentage string, e.g. "15%" or "12.5%"
+ */
+export function formatWeight(weight) {
+    return `${Number(((weight ?? 0) * 100).toFixed(1))}%`;
+}
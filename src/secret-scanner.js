@@ -0,0 +1,274 @@
+/**
+ * Committed Secret Detection
+ * Scans the text files of a repository (a local checkout, or file contents fetched
+ * from the default branch's tree) for credentials that should never be committed:
+ * cloud and GitHub tokens, private key blocks, Slack webhooks, high-entropy values
+ * assigned to secret-looking names, and .env files. Findings carry the path, line and
+ * rule, with the secret itself redacted.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { log } from 'crawlee';
+import { globToRegExp } from './utils.js';
+
+// Findings listed in the output
+const MAX_LISTED = 50;
+
+// Files larger than this are generated or data, not code
+const MAX_FILE_LENGTH = 1_000_000;
+
+// Never scanned: dependencies, binaries, lockfiles and minified bundles (their hashes look like secrets)
+const IGNORED_PATH = /(^|\/)(node_modules|vendor|third_party|\.git)\//;
+const SKIPPED_FILE = /\.(png|jpe?g|gif|bmp|ico|webp|svg|pdf|zip|gz|tgz|bz2|xz|7z|rar|jar|war|class|exe|dll|so|dylib|a|o|bin|wasm|woff2?|ttf|otf|eot|mp[34]|mov|avi|webm|psd|sqlite|db|pyc|min\.js|min\.css|map)$|(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock|Pipfile\.lock|uv\.lock|pdm\.lock|go\.sum|Gemfile\.lock|composer\.lock)$/i;
+
+// Read first when the file budget runs out: environment and configuration files
+const LIKELY_SECRET_FILE = /(^|\/)\.env[^/]*$|\.(ya?ml|json|toml|ini|cfg|conf|properties|xml|tf|tfvars|sh|pem|key)$/i;
+
+// A generic secret value: 16+ characters with a digit and a letter (so process.env.TOKEN is none)
+const SECRET_VALUE = String.raw`((?=[\w+/=.~-]*\d)(?=[\w+/=.~-]*[A-Za-z])[\w+/=.~-]{16,})`;
+
+// An unquoted identifier followed by more code is a variable reference, not a value
+const CODE_REFERENCE = String.raw`[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*(?![\w$.])[ \t]*\S`;
+
+// Lines marked as intentional ("gitleaks:allow", "pragma: allowlist secret")
+const INLINE_ALLOW = /gitleaks:allow|pragma:\s*allowlist\s+secret/i;
+
+/**
+ * Built-in rules: content rules have a `pattern` (the first matching capture group is
+ * the secret, else the whole match) and an optional `minEntropy` in bits per character; path rules
+ * have a `path` glob and flag the file itself. A `multiline` pattern is matched against the
+ * whole file instead of line by line
+ */
+export const DEFAULT_SECRET_RULES = [
+    {
+        id: 'aws-access-key-id',
+        description: 'AWS access key ID',
+        pattern: '\\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\\b',
+    },
+    {
+        id: 'aws-secret-access-key',
+        description: 'AWS secret access key',
+        pattern: 'aws_?secret_?(?:access_?)?key["\']?\\s*[:=]\\s*["\']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])',
+        flags: 'i',
+    },
+    {
+        id: 'github-token',
+        description: 'GitHub token',
+        pattern: '\\b(gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\\b',
+    },
+    {
+        id: 'private-key',
+        description: 'Private key block',
+        // Only with key material after it (documentation shows the header with "...")
+        pattern: String.raw`(-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----)(?=(?:\s|\\[rn]|["'+,])*[A-Za-z0-9+/]{40})`,
+        multiline: true,
+    },
+    {
+        id: 'slack-webhook',
+        description: 'Slack incoming webhook URL',
+        pattern: '(https://hooks\\.slack\\.com/(?:services|workflows)/[A-Za-z0-9+/]{30,})',
+    },
+    {
+        id: 'slack-token',
+        description: 'Slack token',
+        pattern: '\\b(xox[baprs]-[A-Za-z0-9-]{10,})\\b',
+    },
+    {
+        id: 'generic-secret',
+        description: 'High-entropy value assigned to a secret-looking name',
+        pattern: String.raw`(?:secret|token|passw(?:or)?d|api[_-]?key|access[_-]?key|auth[_-]?key|credentials?|client[_-]?secret)[\w.-]*["']?\s*[:=]\s*(?:["']${SECRET_VALUE}|(?!${CODE_REFERENCE})${SECRET_VALUE})`,
+        flags: 'i',
+        minEntropy: 3.5,
+    },
+    {
+        id: 'dotenv-file',
+        description: 'Committed .env file',
+        path: '**/.env*',
+    },
+];
+
+/**
+ * Built-in allowlist: test fixtures, example env files and placeholder values
+ * (value patterns are case-insensitive)
+ */
+export const DEFAULT_SECRET_ALLOWLIST = {
+    paths: [
+        '**/test/**', '**/tests/**', '**/__tests__/**', '**/spec/**', '**/fixtures/**', '**/__fixtures__/**',
+        '**/testdata/**', '**/__mocks__/**', '**/*.test.*', '**/*.spec.*', '**/*_test.go', '**/test_*.py',
+        '**/.env.example', '**/.env.sample', '**/.env.template', '**/.env.dist', '**/.env.defaults',
+    ],
+    patterns: ['example', '(.)\\1{7,}', 'your[_-]', 'changeme', 'placeholder', 'dummy', 'fake', '123456', 'abcdef', 'token|secret|passw(or)?d'],
+};
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function shannonEntropy(text) {
+    const counts = new Map();
+    for (const char of text) counts.set(char, (counts.get(char) ?? 0) + 1);
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / text.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Keep enough of a secret to recognize it, never enough to use it
+ */
+function redact(secret) {
+    if (secret.startsWith('-----BEGIN')) return secret;
+    // URLs keep their host, so a webhook still says whose it is
+    const prefix = secret.match(/^[a-z]+:\/\/[^/]+\//i)?.[0] ?? secret.slice(0, 4);
+    return `${prefix}${'*'.repeat(8)}`;
+}
+
+/**
+ * Compile rules and allowlist entries, with errors naming where they came from
+ */
+function compileRuleset(rules, allowlist, origin) {
+    const compiled = rules.map((rule, index) => {
+        if (!rule || typeof rule.id !== 'string' || !rule.id) {
+            throw new Error(`${origin}: rule #${index + 1} needs an "id"`);
+        }
+        if (typeof rule.pattern !== 'string' && typeof rule.path !== 'string') {
+            throw new Error(`${origin}: rule "${rule.id}" needs a "pattern" regex or a "path" glob`);
+        }
+        try {
+            return {
+                id: rule.id,
+                description: rule.description ?? rule.id,
+                pattern: rule.pattern ? new RegExp(rule.pattern, `${(rule.flags ?? '').replace('g', '')}g`) : null,
+                path: rule.path ? globToRegExp(rule.path) : null,
+                minEntropy: rule.minEntropy ?? null,
+                multiline: rule.multiline === true,
+            };
+        } catch (error) {
+            throw new Error(`${origin}: rule "${rule.id}" has an invalid pattern (${error.message})`);
+        }
+    });
+
+    const paths = allowlist.paths.map((glob) => globToRegExp(glob));
+    let patterns;
+    try {
+        patterns = allowlist.patterns.map((pattern) => new RegExp(pattern, 'i'));
+    } catch (error) {
+        throw new Error(`${origin}: invalid allowlist pattern (${error.message})`);
+    }
+    return { rules: compiled, allowlist: { paths, patterns } };
+}
+
+/**
+ * Load the secret ruleset: the built-in rules and allowlist, extended by an optional JSON file
+ * @param {string|null} rulesPath - Path to a JSON file:
+ *   { rules?: [{ id, description?, pattern?, flags?, minEntropy?, multiline?, path? }], allowlist?: { paths?: [globs], patterns?: [regexes] },
+ *     replaceDefaultRules?: boolean }
+ *   A rule with a built-in id replaces it; allowlist entries are added to the built-in ones.
+ * @returns {Promise<Object>} Compiled ruleset for scanForSecrets()
+ */
+export async function loadSecretRules(rulesPath = null) {
+    if (!rulesPath) return compileRuleset(DEFAULT_SECRET_RULES, DEFAULT_SECRET_ALLOWLIST, 'Built-in secret rules');
+
+    const raw = JSON.parse(await readFile(resolve(rulesPath), 'utf-8'));
+    const origin = `Secret rules ${rulesPath}`;
+    if (raw.rules !== undefined && !Array.isArray(raw.rules)) throw new Error(`${origin}: "rules" must be an array`);
+    for (const key of ['paths', 'patterns']) {
+        const entries = raw.allowlist?.[key];
+        if (entries !== undefined && !(Array.isArray(entries) && entries.every((entry) => typeof entry === 'string'))) {
+            throw new Error(`${origin}: "allowlist.${key}" must be an array of strings`);
+        }
+    }
+
+    const custom = raw.rules ?? [];
+    const customIds = new Set(custom.map((rule) => rule?.id));
+    const builtIn = raw.replaceDefaultRules ? [] : DEFAULT_SECRET_RULES.filter((rule) => !customIds.has(rule.id));
+    const allowlist = {
+        paths: [...DEFAULT_SECRET_ALLOWLIST.paths, ...(raw.allowlist?.paths ?? [])],
+        patterns: [...DEFAULT_SECRET_ALLOWLIST.patterns, ...(raw.allowlist?.patterns ?? [])],
+    };
+    return compileRuleset([...builtIn, ...custom], allowlist, origin);
+}
+
+/**
+ * Find secrets in one file's content
+ * @param {string} path - File path, relative to the repository root
+ * @param {string} content - File content
+ * @param {Object} ruleset - Ruleset from loadSecretRules()
+ * @returns {Array<{path: string, line: number|null, rule: string, description: string, redacted: string|null}>}
+ */
+export function scanContent(path, content, ruleset) {
+    const findings = [];
+    const lines = content.split(/\r?\n/);
+
+    for (const rule of ruleset.rules) {
+        if (rule.path) {
+            if (!rule.path.test(path)) continue;
+            // An env file only leaks something when it assigns a value
+            const line = lines.findIndex((text) => /^\s*(export\s+)?[A-Za-z_][\w.]*\s*=\s*\S/.test(text));
+            if (line !== -1) findings.push({ path, line: line + 1, rule: rule.id, description: rule.description, redacted: null });
+            continue;
+        }
+
+        // Multiline rules see the whole file; the others one line at a time
+        const texts = rule.multiline ? [[content, 0]] : lines.map((text, index) => [text, index]);
+        for (const [text, offset] of texts) {
+            for (const match of text.matchAll(rule.pattern)) {
+                const line = offset + (rule.multiline ? text.slice(0, match.index).split('\n').length - 1 : 0);
+                if (INLINE_ALLOW.test(lines[line])) continue;
+                const secret = match.slice(1).find((group) => group !== undefined) ?? match[0];
+                if (rule.minEntropy !== null && shannonEntropy(secret) < rule.minEntropy) continue;
+                if (ruleset.allowlist.patterns.some((pattern) => pattern.test(secret))) continue;
+                findings.push({ path, line: line + 1, rule: rule.id, description: rule.description, redacted: redact(secret) });
+            }
+        }
+    }
+
+    // A specific rule and the generic one often fire on the same line: keep the specific one
+    return findings
+        .filter((finding) => finding.rule !== 'generic-secret'
+            || !findings.some((other) => other !== finding && other.line === finding.line && other.rule !== 'generic-secret'))
+        .sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Scan a repository's text files for committed secrets
+ * @param {Object} source - Repository source (see repo-source.js)
+ * @param {Object} ruleset - Ruleset from loadSecretRules()
+ * @param {Object} options - Scan options
+ * @param {number} options.maxFiles - Files read at most (each costs one request on GitHub)
+ * @returns {Promise<Object>} { filesScanned, filesNotScanned, findingCount, findings: [{ path, line, rule, description, redacted }] };
+ *   counts are null when the repository could not be listed
+ */
+export async function scanForSecrets(source, ruleset, { maxFiles = 200 } = {}) {
+    const found = await source.findFiles(['**/*']);
+    if (found === null) return { filesScanned: null, filesNotScanned: null, findingCount: null, findings: [] };
+
+    const paths = found
+        .filter((path) => !IGNORED_PATH.test(path) && !SKIPPED_FILE.test(path))
+        .filter((path) => !ruleset.allowlist.paths.some((pattern) => pattern.test(path)))
+        .sort((a, b) => Number(!LIKELY_SECRET_FILE.test(a)) - Number(!LIKELY_SECRET_FILE.test(b))
+            || a.split('/').length - b.split('/').length
+            || a.localeCompare(b));
+    if (paths.length > maxFiles) {
+        log.info(`🔑 ${source.owner}/${source.repo}: ${paths.length} files, scanning the first ${maxFiles} for secrets`);
+    }
+
+    const findings = [];
+    let filesScanned = 0;
+    for (const path of paths.slice(0, maxFiles)) {
+        const file = await source.getFileContent(path);
+        // Unreadable, binary or generated files are skipped rather than failing the scan
+        if (!file.exists || file.content.length > MAX_FILE_LENGTH || file.content.includes('\0')) continue;
+        filesScanned++;
+        findings.push(...scanContent(path, file.content, ruleset));
+    }
+
+    return {
+        filesScanned,
+        filesNotScanned: Math.max(0, paths.length - maxFiles),
+        findingCount: findings.length,
+        findings: findings.slice(0, MAX_LISTED),
+    };
+}
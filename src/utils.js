@@ -44,7 +44,7 @@ export function generateBadgeMarkdown(score, grade, repoUrl) {
 /**
  * Parse a GitHub URL to extract owner and repo
  * @param {string} url - GitHub URL
- * @returns {{type: 'repo'|'user'|'invalid', owner: string|null, repo: string|null}}
+ * @returns {{type: 'repo'|'user'|'org'|'invalid', owner: string|null, repo: string|null}}
  */
 export function parseGitHubUrl(url) {
     if (!url || typeof url !== 'string') {
@@ -74,8 +74,13 @@ export function parseGitHubUrl(url) {
             return { type: 'invalid', owner: null, repo: null };
         }
 
+        if (pathParts[0] === 'orgs' && pathParts.length >= 2) {
+            // Organization URL: https://github.com/orgs/orgname (optionally /repositories)
+            return { type: 'org', owner: pathParts[1], repo: null };
+        }
+
         if (pathParts.length === 1) {
-            // User profile URL: https://github.com/username
+            // Account URL: https://github.com/username - may be a user or an organization
             return { type: 'user', owner: pathParts[0], repo: null };
         }
 
@@ -92,6 +97,37 @@ export function parseGitHubUrl(url) {
     }
 }
 
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `*` (anything except `/`), `**` (anything, including `/`) and `?` (one character)
+ * @param {string} pattern - Glob pattern, e.g. "api-*" or "**\/*.test.js"
+ * @param {{caseInsensitive?: boolean}} options - Matching options
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern, { caseInsensitive = false } = {}) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" also matches zero directories
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, caseInsensitive ? 'i' : '');
+}
+
 /**
  * Format a date for display
  * @param {string|Date} date - Date to format
@@ -106,6 +142,37 @@ export function formatDate(date) {
     return d.toISOString().split('T')[0]; // YYYY-MM-DD format
 }
 
+/**
+ * Format a tri-state check result for display
+ * @param {boolean|null} value - true (present), false (absent) or null (unknown)
+ * @returns {string} Display string
+ */
+export function formatCheck(value) {
+    if (value === null || value === undefined) return '❔ Unknown';
+    return value ? '✅ Yes' : '❌ No';
+}
+
+/**
+ * Format a duration given in hours for display
+ * @param {number|null} hours - Duration in hours
+ * @returns {string} e.g. "45 min", "6.5 h", "3.2 days", or "N/A"
+ */
+export function formatHours(hours) {
+    if (hours === null || hours === undefined) return 'N/A';
+    if (hours < 1) return `${Math.round(hours * 60)} min`;
+    if (hours < 48) return `${Math.round(hours * 10) / 10} h`;
+    return `${Math.round((hours / 24) * 10) / 10} days`;
+}
+
+/**
+ * Format a percentage
+ * @param {number|null} value - Percentage (0-100)
+ * @returns {string} e.g. "42%", or "N/A"
+ */
+export function formatPercent(value) {
+    return value === null || value === undefined ? 'N/A' : `${value}%`;
+}
+
 /**
  * Format a number with commas
  * @param {number} num - Number to format
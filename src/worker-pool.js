@@ -0,0 +1,58 @@
+/**
+ * Bounded Worker Pool
+ * Runs async tasks with a concurrency limit and hands the outcomes back in input order
+ */
+
+import { log } from 'crawlee';
+
+/**
+ * Process items concurrently, emitting outcomes in the order of the input
+ * A failing task never stops the others; its error is passed to onResult instead.
+ * A failing onResult is logged and the remaining outcomes are still handed over.
+ * @param {Array} items - Work items
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum number of tasks running at once (at least 1)
+ * @param {Function} options.onResult - async ({ item, index, result, error }) called once per item, in input order
+ * @returns {Promise<void>} Resolves after every outcome has been handled
+ */
+export async function runPool(items, worker, { concurrency = 1, onResult = async () => {} } = {}) {
+    const settled = new Map();
+    let nextToStart = 0;
+    let nextToEmit = 0;
+    let emitChain = Promise.resolve();
+
+    // Hand over every outcome that is next in line; later ones wait for earlier ones
+    const emitReady = () => {
+        while (settled.has(nextToEmit)) {
+            const outcome = settled.get(nextToEmit);
+            settled.delete(nextToEmit);
+            nextToEmit++;
+            emitChain = emitChain
+                .then(() => onResult(outcome))
+                .catch((error) => log.error(`Failed to handle the result for item ${outcome.index}: ${error.message}`));
+        }
+    };
+
+    const runWorker = async () => {
+        while (nextToStart < items.length) {
+            const index = nextToStart++;
+            const item = items[index];
+
+            try {
+                const result = await worker(item, index);
+                settled.set(index, { item, index, result, error: null });
+            } catch (error) {
+                settled.set(index, { item, index, result: null, error });
+            }
+
+            emitReady();
+        }
+    };
+
+    // A missing or invalid limit runs the items one at a time rather than not at all
+    const limit = Number(concurrency) >= 1 ? Math.floor(Number(concurrency)) : 1;
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    await emitChain;
+}
@@ -0,0 +1,416 @@
+/**
+ * GitHub Actions Workflow Analysis
+ * Reads the workflow files under .github/workflows and reports what they actually do:
+ * whether pull requests run tests, lint and a build, whether third-party actions are
+ * pinned to a commit SHA, and risky patterns (no permissions block, pull_request_target
+ * checking out the pull request's code, secrets echoed in run steps).
+ */
+
+import { log } from 'crawlee';
+
+// Workflow files read per repository
+const MAX_WORKFLOWS = 20;
+
+// Findings listed by name in the output, per category
+const MAX_LISTED = 20;
+
+const WORKFLOW_GLOBS = ['.github/workflows/*.yml', '.github/workflows/*.yaml'];
+
+// Events that run a workflow for a proposed change
+const PULL_REQUEST_EVENTS = ['pull_request', 'pull_request_target', 'merge_group'];
+
+// Commands and actions recognized as checks, per kind
+const CHECK_PATTERNS = {
+    test: /\b(npm|yarn|pnpm|bun)\s+(run\s+)?test\b|\bnpx\s+(jest|vitest|mocha|playwright)\b|\b(pytest|tox|nox|rspec|phpunit|ctest)\b|\bgo\s+test\b|\bcargo\s+(test|nextest)\b|\bmvnw?\b.*\b(test|verify)\b|\bgradlew?\b.*\b(test|check)\b|\brake\s+(test|spec)\b|\bmake\s+(test|check)\b|\bdotnet\s+test\b|\bpython\s+-m\s+(unittest|pytest)\b|\bbazel\s+test\b/,
+    lint: /\b(npm|yarn|pnpm|bun)\s+(run\s+)?(lint|typecheck|type-check|check)\b|\b(eslint|flake8|ruff|pylint|mypy|golangci-lint|rubocop|shellcheck|stylelint|hadolint|actionlint|markdownlint)\b|\bcargo\s+(clippy|fmt)\b|\bgo\s+vet\b|\bgofmt\b|\b(prettier|black|isort)\b.*--check\b|\bbiome\s+(check|ci|lint)\b|\btsc\b|\bpre-commit\s+run\b/,
+    build: /\b(npm|yarn|pnpm|bun)\s+(run\s+)?build\b|\bgo\s+build\b|\bcargo\s+build\b|\bmvnw?\b.*\b(package|install|compile)\b|\bgradlew?\b.*\b(build|assemble)\b|\bdocker\s+(buildx\s+)?build\b|\bpython\s+-m\s+build\b|\bdotnet\s+build\b|\bcmake\s+--build\b|\bbazel\s+build\b|^\s*make\s*$/m,
+};
+const CHECK_ACTIONS = {
+    test: /^(codecov\/|coverallsapp\/)/,
+    lint: /^(golangci\/golangci-lint-action|github\/super-linter|super-linter\/super-linter|pre-commit\/action|wearerequired\/lint-action|reviewdog\/)/,
+    build: /^(docker\/build-push-action|goreleaser\/goreleaser-action)/,
+};
+
+// Owners whose actions are maintained by GitHub itself
+const FIRST_PARTY_OWNERS = ['actions', 'github'];
+
+// Expressions that point at the code of the pull request that triggered the run
+const PULL_REQUEST_HEAD = /github\.event\.pull_request\.head\.(sha|ref)|github\.head_ref|refs\/pull\//;
+
+/**
+ * Drop a trailing comment ("# ..." outside quotes, after whitespace)
+ */
+function stripYamlComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            if (i === 0 || /[\s:[{,-]/.test(text[i - 1])) quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text.trimEnd();
+}
+
+/**
+ * Split "key: value" at the first colon followed by a space or the end, outside quotes
+ * @returns {{key: string, value: string}|null}
+ */
+function splitYamlEntry(text) {
+    if (/^[-[{]\s/.test(text) || text === '-') return null;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if ((char === '"' || char === '\'') && i === 0) {
+            quote = char;
+        } else if (char === '#' && i > 0 && /\s/.test(text[i - 1])) {
+            return null;
+        } else if (char === ':' && (i + 1 === text.length || /\s/.test(text[i + 1]))) {
+            const key = text.slice(0, i).trim();
+            return key ? { key: parseYamlScalar(key, true), value: text.slice(i + 1) } : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Plain and quoted scalars; keys always stay strings ("on" is not a boolean here)
+ */
+function parseYamlScalar(raw, isKey = false) {
+    const value = raw.trim();
+    if (/^"(.*)"$/s.test(value)) {
+        return value.slice(1, -1).replace(/\\(["\\/nt])/g, (_, char) => ({ n: '\n', t: '\t' })[char] ?? char);
+    }
+    if (/^'(.*)'$/s.test(value)) return value.slice(1, -1).replace(/''/g, '\'');
+    if (isKey) return value;
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === '' || value === 'null' || value === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Flow collections ("[a, b]", "{ key: value }"), nested included
+ */
+function parseYamlFlow(text) {
+    let position = 0;
+    const skipSpace = () => {
+        while (/\s/.test(text[position] ?? '')) position++;
+    };
+    const readScalar = (terminators) => {
+        skipSpace();
+        const start = position;
+        const quote = text[position] === '"' || text[position] === '\'' ? text[position] : null;
+        if (quote) {
+            position++;
+            while (position < text.length && text[position] !== quote) position++;
+            position++;
+        }
+        while (position < text.length && !terminators.includes(text[position])) position++;
+        return text.slice(start, position).trim();
+    };
+    const readNode = (terminators) => {
+        skipSpace();
+        if (text[position] === '[') {
+            position++;
+            const items = [];
+            for (skipSpace(); text[position] !== ']' && position < text.length; skipSpace()) {
+                items.push(readNode([',', ']']));
+                if (text[position] === ',') position++;
+                skipSpace();
+            }
+            position++;
+            return items;
+        }
+        if (text[position] === '{') {
+            position++;
+            const map = {};
+            for (skipSpace(); text[position] !== '}' && position < text.length; skipSpace()) {
+                const key = parseYamlScalar(readScalar([':', ',', '}']), true);
+                if (text[position] === ':') position++;
+                map[key] = text[position - 1] === ':' ? readNode([',', '}']) : null;
+                if (text[position] === ',') position++;
+            }
+            position++;
+            return map;
+        }
+        return parseYamlScalar(readScalar(terminators));
+    };
+    return readNode([]);
+}
+
+/**
+ * Minimal YAML reader covering what workflow files use: block mappings and sequences,
+ * flow collections, quoted and plain scalars, and literal/folded block scalars
+ * Anchors, tags and multi-document files are not supported.
+ */
+export function parseYaml(content) {
+    const lines = content.replace(/\t/g, '  ').split(/\r?\n/);
+    let index = 0;
+
+    const indentOf = (line) => line.match(/^ */)[0].length;
+    const isBlank = (line) => /^\s*(#.*)?$/.test(line) || /^(---|\.\.\.)\s*$/.test(line);
+    const peek = () => {
+        while (index < lines.length && isBlank(lines[index])) index++;
+        return index < lines.length ? lines[index] : null;
+    };
+    const isSequenceItem = (line, indent) => /^-(\s|$)/.test(line.slice(indent));
+
+    const parseBlockScalar = (parentIndent, folded) => {
+        const block = [];
+        let blockIndent = null;
+        while (index < lines.length) {
+            const line = lines[index];
+            if (line.trim() !== '') {
+                const indent = indentOf(line);
+                if (indent <= parentIndent) break;
+                blockIndent ??= indent;
+            }
+            block.push(line.slice(blockIndent ?? 0));
+            index++;
+        }
+        while (block.length > 0 && block.at(-1).trim() === '') block.pop();
+        return folded ? block.join(' ').replace(/\s+/g, ' ').trim() : `${block.join('\n')}\n`;
+    };
+
+    const parseValue = (raw, indent) => {
+        const value = stripYamlComment(raw).trim();
+        if (value === '') {
+            const next = peek();
+            if (next === null) return null;
+            const nextIndent = indentOf(next);
+            if (nextIndent > indent || (nextIndent === indent && isSequenceItem(next, indent))) return parseNode(nextIndent);
+            return null;
+        }
+        if (/^[|>][-+0-9]*$/.test(value)) return parseBlockScalar(indent, value[0] === '>');
+
+        if (value[0] === '[' || value[0] === '{') {
+            // Flow collections may span lines until their brackets close
+            let text = value;
+            const open = (part) => (part.match(/[[{]/g) ?? []).length - (part.match(/[\]}]/g) ?? []).length;
+            while (open(text) > 0 && index < lines.length) text += ` ${stripYamlComment(lines[index++]).trim()}`;
+            return parseYamlFlow(text);
+        }
+
+        // Plain scalars continue on more-indented lines
+        let text = value;
+        if (!/^["']/.test(value)) {
+            while (index < lines.length && !isBlank(lines[index]) && indentOf(lines[index]) > indent &&
+                !splitYamlEntry(lines[index].trim()) && !isSequenceItem(lines[index], indentOf(lines[index]))) {
+                text += ` ${stripYamlComment(lines[index++]).trim()}`;
+            }
+        }
+        return parseYamlScalar(text);
+    };
+
+    const parseSequence = (indent) => {
+        const items = [];
+        for (let line = peek(); line !== null && indentOf(line) === indent && isSequenceItem(line, indent); line = peek()) {
+            const rest = line.slice(indent + 1);
+            const itemText = rest.trimStart();
+            const itemIndent = indent + 1 + (rest.length - itemText.length);
+            if (stripYamlComment(itemText) === '') {
+                // An empty item only has a value when it is indented past the dash
+                index++;
+                items.push(parseValue('', indent + 1));
+            } else if (splitYamlEntry(itemText) || isSequenceItem(itemText, 0)) {
+                // "- key: value" opens a mapping aligned with its first key
+                lines[index] = ' '.repeat(itemIndent) + itemText;
+                items.push(parseNode(itemIndent));
+            } else {
+                index++;
+                items.push(parseValue(itemText, indent));
+            }
+        }
+        return items;
+    };
+
+    const parseMapping = (indent) => {
+        const map = {};
+        for (let line = peek(); line !== null && indentOf(line) === indent; line = peek()) {
+            const entry = splitYamlEntry(line.slice(indent));
+            if (!entry) break;
+            index++;
+            map[entry.key] = parseValue(entry.value, indent);
+        }
+        return map;
+    };
+
+    const parseNode = (indent) => {
+        const line = peek();
+        if (line === null) return null;
+        return isSequenceItem(line, indent) ? parseSequence(indent) : parseMapping(indent);
+    };
+
+    const first = peek();
+    if (first === null) return null;
+    const indent = indentOf(first);
+    if (!isSequenceItem(first, indent) && !splitYamlEntry(first.slice(indent))) return parseValue(first.slice(indent), -1);
+    return parseNode(indent);
+}
+
+/**
+ * Event names a workflow's "on" accepts as a string, a list or a mapping
+ */
+function getTriggers(on) {
+    if (typeof on === 'string') return [on];
+    if (Array.isArray(on)) return on.filter((event) => typeof event === 'string');
+    if (on && typeof on === 'object') return Object.keys(on);
+    return [];
+}
+
+/**
+ * An action reference ("owner/repo/path@ref") split into what is needed to judge it
+ * @returns {{action: string, ref: string|null, pinned: boolean, firstParty: boolean}|null}
+ *   null for local actions, which live in the repository itself
+ */
+function parseActionReference(uses) {
+    if (typeof uses !== 'string' || uses.startsWith('./')) return null;
+    if (uses.startsWith('docker://')) {
+        return { action: uses, ref: null, pinned: /@sha256:[0-9a-f]{64}$/.test(uses), firstParty: false };
+    }
+    const [action, ref = null] = uses.split('@');
+    return {
+        action,
+        ref,
+        pinned: /^[0-9a-f]{40}$/.test(ref ?? ''),
+        firstParty: FIRST_PARTY_OWNERS.includes(action.split('/')[0].toLowerCase()),
+    };
+}
+
+/**
+ * Facts about one parsed workflow
+ */
+function inspectWorkflow(path, workflow) {
+    const triggers = getTriggers(workflow.on);
+    const onPullRequest = triggers.some((event) => PULL_REQUEST_EVENTS.includes(event));
+    const jobs = workflow.jobs && typeof workflow.jobs === 'object' ? Object.entries(workflow.jobs) : [];
+
+    const checks = { test: false, lint: false, build: false };
+    const actions = [];
+    const risks = { pullRequestTarget: [], secretsEchoed: [] };
+    let jobsWithoutPermissions = 0;
+
+    for (const [jobId, job] of jobs) {
+        if (!job || typeof job !== 'object') continue;
+        if (job.permissions === undefined) jobsWithoutPermissions++;
+
+        // A job can call a reusable workflow instead of listing steps
+        const steps = Array.isArray(job.steps) ? job.steps.filter((step) => step && typeof step === 'object') : [];
+        const uses = [job.uses, ...steps.map((step) => step.uses)].filter(Boolean);
+        for (const reference of uses.map(parseActionReference).filter(Boolean)) actions.push({ ...reference, path });
+
+        steps.forEach((step, position) => {
+            const label = `${path} (${jobId} › ${step.name ?? step.uses ?? `step ${position + 1}`})`;
+            const run = typeof step.run === 'string' ? step.run : '';
+            const action = parseActionReference(step.uses)?.action ?? '';
+
+            for (const kind of Object.keys(checks)) {
+                if (CHECK_PATTERNS[kind].test(run) || CHECK_ACTIONS[kind].test(action) || CHECK_PATTERNS[kind].test(step.name ?? '')) {
+                    checks[kind] = true;
+                }
+            }
+
+            // pull_request_target runs with write access and secrets; building the PR's code there hands both to it
+            if (triggers.includes('pull_request_target')) {
+                const checkoutRef = action === 'actions/checkout' ? String(step.with?.ref ?? '') : '';
+                const fetchesHead = /\b(git\s+(checkout|fetch|pull)|gh\s+pr\s+checkout)\b/.test(run) && PULL_REQUEST_HEAD.test(run);
+                if (PULL_REQUEST_HEAD.test(checkoutRef) || fetchesHead) risks.pullRequestTarget.push(label);
+            }
+
+            // Secrets written to the log are only masked when printed exactly as stored
+            const echoed = run.split('\n').some((line) => /\b(echo|printf|print|cat|Write-Host|Write-Output|console\.log)\b/.test(line) &&
+                /\$\{\{\s*(secrets\.|toJSON\(\s*secrets\s*\))/.test(line) && !/>>\s*"?\$GITHUB_(ENV|OUTPUT)/.test(line));
+            if (echoed) risks.secretsEchoed.push(label);
+        });
+    }
+
+    return {
+        path,
+        onPullRequest,
+        checks: onPullRequest ? checks : { test: false, lint: false, build: false },
+        // Tests run on any trigger (push, schedule, ...) still count as CI running them
+        runsTests: checks.test,
+        actions,
+        // Top-level permissions cover every job; otherwise each job needs its own
+        hasPermissions: workflow.permissions !== undefined || (jobs.length > 0 && jobsWithoutPermissions === 0),
+        risks,
+    };
+}
+
+/**
+ * Analyze the GitHub Actions workflows of a repository
+ * @param {Object} source - Repository source (see repo-source.js)
+ * @returns {Promise<Object>} Workflow facts; fields are null when the workflows could not be listed,
+ *   read or parsed (workflowsAnalyzed is 0 only when the repository has none). unreadableWorkflows
+ *   lists files that could not be fetched, unparsedWorkflows files that are not valid YAML mappings.
+ */
+export async function analyzeWorkflows(source) {
+    const paths = await source.findFiles(WORKFLOW_GLOBS);
+    const empty = (analyzed) => ({
+        workflowsAnalyzed: analyzed,
+        unreadableWorkflows: [],
+        unparsedWorkflows: [],
+        pullRequestWorkflows: null,
+        pullRequestChecks: null,
+        testWorkflows: analyzed === 0 ? 0 : null,
+        thirdPartyActionCount: null,
+        unpinnedActionCount: null,
+        unpinnedActions: [],
+        workflowsWithoutPermissions: null,
+        pullRequestTargetRisks: null,
+        secretsEchoed: null,
+    });
+    if (paths === null) return empty(null);
+    if (paths.length === 0) return empty(0);
+
+    if (paths.length > MAX_WORKFLOWS) {
+        log.info(`⚙️ ${source.owner}/${source.repo}: ${paths.length} workflows, analyzing the first ${MAX_WORKFLOWS}`);
+    }
+
+    const workflows = [];
+    const unreadable = [];
+    const unparsed = [];
+    for (const path of paths.slice(0, MAX_WORKFLOWS)) {
+        const file = await source.getFileContent(path);
+        if (file.exists === null) {
+            unreadable.push(path);
+            continue;
+        }
+        if (!file.exists) continue;
+        try {
+            const workflow = parseYaml(file.content);
+            if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) throw new Error('not a mapping');
+            workflows.push(inspectWorkflow(path, workflow));
+        } catch (error) {
+            log.debug(`Could not parse workflow ${path}: ${error.message}`);
+            unparsed.push(path);
+        }
+    }
+    // Workflows are present but none could be inspected: what they do is unknown, not absent
+    if (workflows.length === 0) return { ...empty(null), unreadableWorkflows: unreadable, unparsedWorkflows: unparsed };
+
+    const thirdParty = workflows.flatMap((w) => w.actions).filter((action) => !action.firstParty);
+    const unpinned = [...new Set(thirdParty.filter((action) => !action.pinned).map((action) => `${action.action}@${action.ref ?? '*'} (${action.path})`))];
+    const pullRequestWorkflows = workflows.filter((w) => w.onPullRequest);
+
+    return {
+        workflowsAnalyzed: workflows.length,
+        unreadableWorkflows: unreadable,
+        unparsedWorkflows: unparsed,
+        pullRequestWorkflows: pullRequestWorkflows.length,
+        pullRequestChecks: Object.fromEntries(['test', 'lint', 'build'].map((kind) => [kind, pullRequestWorkflows.some((w) => w.checks[kind])])),
+        testWorkflows: workflows.filter((w) => w.runsTests).length,
+        thirdPartyActionCount: thirdParty.length,
+        unpinnedActionCount: thirdParty.filter((action) => !action.pinned).length,
+        unpinnedActions: unpinned.slice(0, MAX_LISTED),
+        workflowsWithoutPermissions: workflows.filter((w) => !w.hasPermissions).map((w) => w.path),
+        pullRequestTargetRisks: workflows.flatMap((w) => w.risks.pullRequestTarget).slice(0, MAX_LISTED),
+        secretsEchoed: workflows.flatMap((w) => w.risks.secretsEchoed).slice(0, MAX_LISTED),
+    };
+}
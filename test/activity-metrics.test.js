@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeCommitCadence } from '../src/activity-metrics.js';
+
+const now = new Date('2026-10-18T12:00:00.000Z');
+
+test('the last commit is the newest one, whatever the order', () => {
+    const commits = [
+        { date: '2026-10-01T00:00:00.000Z', isBot: false },
+        { date: '2026-10-15T00:00:00.000Z', isBot: true },
+        { date: '2026-09-01T00:00:00.000Z', isBot: false },
+    ];
+    const cadence = summarizeCommitCadence({ commits, truncated: false }, now);
+
+    assert.equal(cadence.lastCommitAt, '2026-10-15T00:00:00.000Z');
+    assert.equal(cadence.lastHumanCommitAt, '2026-10-01T00:00:00.000Z');
+});
+
+test('a very long local history is summarized without overflowing the call stack', () => {
+    const start = Date.parse('2016-01-01T00:00:00.000Z');
+    const commits = Array.from({ length: 300_000 }, (_, i) => ({ date: new Date(start + i * 60_000).toISOString(), isBot: false }));
+    const cadence = summarizeCommitCadence({ commits, truncated: false }, now);
+
+    assert.equal(cadence.lastCommitAt, commits.at(-1).date);
+});
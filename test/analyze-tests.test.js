@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTests } from '../src/analyze-tests.js';
+import { analyzeWorkflows } from '../src/workflow-analysis.js';
+import { buildPathIndex } from '../src/repo-source.js';
+
+/**
+ * An in-memory repository source over { path: content }
+ */
+function createMemorySource(files, { listable = true } = {}) {
+    const index = buildPathIndex(Object.keys(files));
+    return {
+        owner: 'octo',
+        repo: 'demo',
+        findFiles: async (globs) => (listable ? index.findFiles(globs) : null),
+        fileExists: async (path) => index.files.has(path),
+        directoryExists: async (path) => index.directories.has(path),
+        getFileContent: async (path) => (path in files
+            ? { exists: true, content: files[path], length: files[path].length }
+            : { exists: false, content: '', length: 0 }),
+    };
+}
+
+test('Go tests are *_test.go files next to the code', async () => {
+    const source = createMemorySource({
+        'cmd/main.go': 'package main',
+        'pkg/a.go': 'package pkg',
+        'pkg/a_test.go': 'package pkg',
+        'pkg/b.go': 'package pkg',
+        // A test/ directory is not a Go convention
+        'test/fixtures.go': 'package test',
+    });
+    const result = await analyzeTests(source, { language: 'Go' });
+
+    assert.equal(result.ecosystem, 'Go');
+    assert.equal(result.testFileCount, 1);
+    assert.equal(result.sourceFileCount, 4);
+    assert.equal(result.testRatioPercent, 25);
+    assert.match(result.hint, /_test\.go/);
+});
+
+test('Python tests are test_*.py and conftest.py files, beside the code or in tests/', async () => {
+    const source = createMemorySource({
+        'pkg/__init__.py': '',
+        'pkg/core.py': '',
+        'pkg/test_core.py': '',
+        'tests/conftest.py': '',
+        'tests/helpers.py': '',
+    });
+    const result = await analyzeTests(source, { language: 'Python' });
+
+    assert.deepEqual(result.ecosystems, [{ name: 'Python', sourceFiles: 2, testFiles: 3 }]);
+    assert.equal(result.testRatioPercent, 150);
+});
+
+test('notebooks count as Python source files', async () => {
+    const source = createMemorySource({
+        'notebooks/explore.ipynb': '{}',
+        'notebooks/train.ipynb': '{}',
+        'src/model.py': '',
+        'tests/test_model.py': '',
+    });
+    const result = await analyzeTests(source, { language: 'Jupyter Notebook' });
+
+    assert.equal(result.ecosystem, 'Python');
+    assert.deepEqual(result.ecosystems, [{ name: 'Python', sourceFiles: 3, testFiles: 1 }]);
+});
+
+test('JavaScript tests are *.test.* and *.spec.* files or files under test directories', async () => {
+    const source = createMemorySource({
+        'src/index.js': '',
+        'src/index.test.js': '',
+        'src/view.spec.tsx': '',
+        'src/__tests__/util.js': '',
+        'node_modules/dep/index.test.js': '',
+        'dist/bundle.js': '',
+    });
+    const result = await analyzeTests(source, { language: 'TypeScript' });
+
+    assert.equal(result.ecosystem, 'JavaScript/TypeScript');
+    assert.equal(result.testFileCount, 3);
+    assert.equal(result.sourceFileCount, 1);
+});
+
+test('Java tests live under src/test/java', async () => {
+    const source = createMemorySource({
+        'src/main/java/App.java': '',
+        'src/main/java/Util.java': '',
+        'src/test/java/AppTest.java': '',
+    });
+    const result = await analyzeTests(source, { language: 'Java' });
+
+    assert.equal(result.testFileCount, 1);
+    assert.equal(result.sourceFileCount, 2);
+});
+
+test('Rust #[cfg(test)] modules count as inline tests', async () => {
+    const source = createMemorySource({
+        'src/lib.rs': 'pub fn add() {}\n\n#[cfg(test)]\nmod tests {}\n',
+        'src/parse.rs': 'pub fn parse() {}\n',
+        'tests/integration.rs': 'fn it_works() {}\n',
+    });
+    const result = await analyzeTests(source, { language: 'Rust' });
+
+    assert.equal(result.inlineTestFiles, 1);
+    assert.equal(result.testFileCount, 2);
+    assert.equal(result.sourceFileCount, 2);
+});
+
+test('without a primary language the largest ecosystem names the hint', async () => {
+    const source = createMemorySource({
+        'a.go': '',
+        'b.go': '',
+        'scripts/build.sh': '',
+    });
+    const result = await analyzeTests(source, {});
+
+    assert.equal(result.ecosystem, 'Go');
+    assert.equal(result.testFileCount, 0);
+    assert.equal(result.testRatioPercent, 0);
+});
+
+test('a repository without code has no ratio', async () => {
+    const result = await analyzeTests(createMemorySource({ 'README.md': '# Demo' }), { language: null });
+
+    assert.equal(result.sourceFileCount, 0);
+    assert.equal(result.testRatioPercent, null);
+    assert.deepEqual(result.ecosystems, []);
+});
+
+test('counts are unknown when the repository cannot be listed', async () => {
+    const result = await analyzeTests(createMemorySource({ 'a.go': '' }, { listable: false }), { language: 'Go' });
+
+    assert.equal(result.testFileCount, null);
+    assert.equal(result.testRatioPercent, null);
+});
+
+test('coverage configuration is found in dedicated files and in settings', async () => {
+    const source = createMemorySource({
+        'codecov.yml': 'coverage: {}',
+        'package.json': JSON.stringify({ jest: { coverageThreshold: { global: { lines: 80 } } } }),
+        'pyproject.toml': '[tool.coverage.run]\nbranch = true\n',
+        'src/index.js': '',
+    });
+    const result = await analyzeTests(source, { language: 'JavaScript' });
+
+    assert.deepEqual(result.coverageTools.sort(), ['codecov', 'coverage.py', 'jest coverage thresholds']);
+});
+
+test('a package.json without coverage settings configures no coverage tool', async () => {
+    const source = createMemorySource({
+        'package.json': JSON.stringify({ scripts: { test: 'node --test' } }),
+        'src/index.js': '',
+    });
+    const result = await analyzeTests(source, { language: 'JavaScript' });
+
+    assert.deepEqual(result.coverageTools, []);
+});
+
+test('CI runs tests when any workflow runs a test command', async () => {
+    const source = createMemorySource({
+        '.github/workflows/release.yml': 'on: push\njobs:\n  publish:\n    runs-on: ubuntu-latest\n    steps:\n      - run: npm publish\n',
+        '.github/workflows/ci.yml': 'on: [push]\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: actions/checkout@v4\n      - run: go test ./...\n',
+    });
+    const result = await analyzeWorkflows(source);
+
+    assert.equal(result.workflowsAnalyzed, 2);
+    assert.equal(result.testWorkflows, 1);
+});
+
+test('CI runs no tests without workflows', async () => {
+    const result = await analyzeWorkflows(createMemorySource({ 'main.go': '' }));
+
+    assert.equal(result.workflowsAnalyzed, 0);
+    assert.equal(result.testWorkflows, 0);
+});
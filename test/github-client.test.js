@@ -0,0 +1,244 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+import { getAccountRepos, createRepositoryBatchLoader } from '../src/github-client.js';
+import { createGitHubSource } from '../src/repo-source.js';
+
+/**
+ * A client answering each request from routes ({ 'GET /path': (url) => [status, body] }), recording the URLs it saw
+ */
+function createClient(routes) {
+    const requests = [];
+    const fetch = async (url, { method }) => {
+        const { pathname } = new URL(url);
+        requests.push(`${method} ${url}`);
+        const route = routes[`${method} ${pathname}`];
+        const [status, body] = route ? route(new URL(url)) : [404, { message: 'Not Found' }];
+        return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+    };
+    return { octokit: new Octokit({ request: { fetch }, throttle: { enabled: false } }), requests };
+}
+
+/**
+ * A repository as list endpoints return it
+ */
+function listedRepo(name, visibility = 'public') {
+    return { name, owner: { login: 'octo' }, html_url: `https://github.com/octo/${name}`, visibility, private: visibility !== 'public' };
+}
+
+test("the token owner's own profile is listed with private repositories", async () => {
+    const { octokit, requests } = createClient({
+        'GET /user': () => [200, { login: 'Octo' }],
+        'GET /user/repos': () => [200, [listedRepo('secret', 'private'), listedRepo('open')]],
+    });
+    const repos = await getAccountRepos(octokit, 'octo', { accountType: 'user', maxRepos: 0, filters: { visibility: 'private' } });
+
+    assert.deepEqual(repos.map((r) => r.repo), ['secret']);
+    const listing = new URL(requests.find((r) => r.includes('/user/repos')).split(' ')[1]);
+    assert.equal(listing.searchParams.get('affiliation'), 'owner');
+    assert.equal(listing.searchParams.get('visibility'), 'private');
+});
+
+test('other users are listed through their public profile', async () => {
+    const { octokit, requests } = createClient({
+        'GET /user': () => [200, { login: 'someone-else' }],
+        'GET /users/octo/repos': () => [200, [listedRepo('open')]],
+    });
+    const repos = await getAccountRepos(octokit, 'octo', { accountType: 'user', maxRepos: 0 });
+
+    assert.deepEqual(repos.map((r) => r.repo), ['open']);
+    assert.ok(!requests.some((r) => r.includes('/user/repos')));
+});
+
+test('without a token user profiles are listed through the public profile', async () => {
+    const { octokit } = createClient({
+        'GET /user': () => [401, { message: 'Requires authentication' }],
+        'GET /users/octo/repos': () => [200, [listedRepo('open')]],
+    });
+    const repos = await getAccountRepos(octokit, 'octo', { accountType: 'user', maxRepos: 0 });
+
+    assert.deepEqual(repos.map((r) => r.repo), ['open']);
+});
+
+test('organizations are listed without looking up the token owner', async () => {
+    const { octokit, requests } = createClient({
+        'GET /orgs/octo/repos': () => [200, [listedRepo('internal-tool', 'internal'), listedRepo('open')]],
+    });
+    const repos = await getAccountRepos(octokit, 'octo', { accountType: 'org', maxRepos: 0, filters: { visibility: 'internal' } });
+
+    assert.deepEqual(repos.map((r) => r.repo), ['internal-tool']);
+    assert.ok(!requests.some((r) => r.endsWith('/user')));
+});
+
+test('issue and pull request counts come from one GraphQL query', async () => {
+    const queries = [];
+    const { octokit } = createClient({
+        'POST /graphql': () => [200, {
+            data: {
+                repository: {
+                    openIssues: { totalCount: 3 },
+                    closedIssues: { totalCount: 9 },
+                    openPullRequests: { totalCount: 2 },
+                    closedPullRequests: { totalCount: 1 },
+                    mergedPullRequests: { totalCount: 7 },
+                },
+            },
+        }],
+    });
+    octokit.hook.before('request', (options) => { queries.push(options.url); });
+
+    const source = createGitHubSource(octokit, 'octo', 'demo', { useGraphQL: true });
+    const [issueStats, pullRequestStats] = await Promise.all([source.getIssueStats(), source.getPullRequestStats()]);
+
+    assert.deepEqual(issueStats, { open: 3, closed: 9, ratio: 75 });
+    assert.deepEqual(pullRequestStats, { open: 2, closed: 1, merged: 7 });
+    assert.deepEqual(queries, ['/graphql']);
+});
+
+/**
+ * A repository node as the batch query returns it; overrides replace top-level fields
+ */
+function repositoryNode(name, overrides = {}) {
+    const count = (totalCount) => ({ totalCount });
+    return {
+        nameWithOwner: `octo/${name}`,
+        url: `https://github.com/octo/${name}`,
+        description: 'Demo',
+        createdAt: '2020-01-01T00:00:00Z',
+        pushedAt: '2026-10-01T00:00:00Z',
+        isFork: false,
+        isArchived: false,
+        hasWikiEnabled: true,
+        hasIssuesEnabled: true,
+        isPrivate: false,
+        viewerPermission: 'ADMIN',
+        stargazerCount: 42,
+        forkCount: 7,
+        watchers: count(5),
+        licenseInfo: { spdxId: 'MIT', name: 'MIT License' },
+        primaryLanguage: { name: 'Go' },
+        defaultBranchRef: {
+            name: 'main',
+            target: {
+                history: {
+                    pageInfo: { hasNextPage: false },
+                    nodes: [{ committedDate: '2026-09-01T00:00:00Z', author: { name: 'Mona', email: 'mona@example.com', user: { login: 'mona' } } }],
+                },
+            },
+        },
+        openIssues: count(1),
+        closedIssues: count(3),
+        openPullRequests: count(2),
+        closedPullRequests: count(0),
+        mergedPullRequests: count(4),
+        releases: count(2),
+        recentReleases: { nodes: [{ tagName: 'v2.0.0', releaseAssets: { nodes: [{ name: 'demo.tar.gz' }] } }] },
+        tags: count(3),
+        oldestOpenPullRequests: { nodes: [] },
+        recentPullRequests: { nodes: [] },
+        recentIssues: { nodes: [] },
+        dir0: { entries: [{ name: 'README.md', type: 'blob' }, { name: 'go.mod', type: 'blob' }, { name: '.github', type: 'tree' }] },
+        dir1: { entries: [{ name: 'workflows', type: 'tree' }] },
+        dir2: { entries: [{ name: 'ci.yml', type: 'blob' }] },
+        dir3: null,
+        readme0: { text: '# Demo' },
+        ...overrides,
+    };
+}
+
+/**
+ * A client answering batch queries; answer(names) returns the response body for the repositories of one query
+ */
+function createGraphQLClient(answer) {
+    const queries = [];
+    const { octokit } = createClient({
+        'POST /graphql': () => [200, answer(queries.at(-1))],
+    });
+    octokit.hook.before('request', (options) => {
+        if (options.url === '/graphql') {
+            queries.push(Object.keys(options.variables ?? {}).filter((key) => key.startsWith('name')).map((key) => options.variables[key]));
+        }
+    });
+    return { octokit, queries };
+}
+
+/**
+ * Batch query data for the named repositories
+ */
+const batchData = (names, nodes = {}) => Object.fromEntries(names.map((name, i) => [`r${i}`, nodes[name] === undefined ? repositoryNode(name) : nodes[name]]));
+
+test('batch query results are mapped to the REST shapes', async () => {
+    const { octokit } = createGraphQLClient((names) => ({ data: batchData(names) }));
+    const prefetched = await createRepositoryBatchLoader(octokit, [{ owner: 'octo', repo: 'demo' }]).load('Octo', 'Demo');
+
+    assert.equal(prefetched.repoData.full_name, 'octo/demo');
+    assert.equal(prefetched.repoData.open_issues_count, 3);
+    assert.equal(prefetched.repoData.default_branch, 'main');
+    assert.deepEqual(prefetched.repoData.license, { spdx_id: 'MIT', name: 'MIT License' });
+    assert.deepEqual(prefetched.repoData.permissions, { admin: true });
+    assert.deepEqual(prefetched.files.sort(), ['.github/workflows/ci.yml', 'README.md', 'go.mod']);
+    assert.deepEqual(prefetched.directories.sort(), ['.github', '.github/workflows']);
+    // docs/ is missing from the listed root, so it is known to be absent
+    assert.deepEqual([...prefetched.listedDirectories].sort(), ['', '.github', '.github/workflows', 'docs']);
+    assert.deepEqual(prefetched.readme, { exists: true, path: 'README.md', content: '# Demo', length: 6 });
+    assert.deepEqual(prefetched.workflows, { exists: true, count: 1 });
+    assert.equal(prefetched.releases.latest, 'v2.0.0');
+    assert.deepEqual(prefetched.tags, { exists: true, count: 3 });
+    assert.equal(prefetched.commitHistory.commits.length, 1);
+    assert.deepEqual(prefetched.issueStats, { open: 1, closed: 3, ratio: 75 });
+    assert.deepEqual(prefetched.pullRequestStats, { open: 2, closed: 0, merged: 4 });
+});
+
+test('values the batch cannot settle are left to REST', async () => {
+    const { octokit } = createGraphQLClient((names) => ({
+        data: batchData(names, {
+            demo: repositoryNode('demo', {
+                licenseInfo: { spdxId: null, name: 'Other' },
+                defaultBranchRef: { name: 'main', target: { history: { pageInfo: { hasNextPage: true }, nodes: [] } } },
+                dir0: { entries: [{ name: 'README.rst', type: 'blob' }] },
+                dir2: null,
+                readme0: null,
+            }),
+        }),
+    }));
+    const prefetched = await createRepositoryBatchLoader(octokit, [{ owner: 'octo', repo: 'demo' }]).load('octo', 'demo');
+
+    assert.equal(prefetched.repoData.license.spdx_id, 'NOASSERTION');
+    assert.equal(prefetched.commitHistory, undefined);
+    // README.rst was listed but its content not fetched
+    assert.equal(prefetched.readme, undefined);
+    assert.equal(prefetched.workflows, undefined);
+});
+
+test('repositories are queried lazily in batches of 10', async () => {
+    const repos = Array.from({ length: 12 }, (_, i) => ({ owner: 'octo', repo: `repo${i}` }));
+    const { octokit, queries } = createGraphQLClient((names) => ({ data: batchData(names) }));
+    const loader = createRepositoryBatchLoader(octokit, repos);
+
+    await Promise.all([loader.load('octo', 'repo0'), loader.load('octo', 'repo9')]);
+    assert.equal(queries.length, 1);
+    assert.equal(queries[0].length, 10);
+
+    assert.equal((await loader.load('octo', 'repo11')).repoData.full_name, 'octo/repo11');
+    assert.deepEqual(queries[1], ['repo10', 'repo11']);
+    assert.equal(await loader.load('octo', 'elsewhere'), null);
+    assert.equal(queries.length, 2);
+});
+
+test('repositories a batch could not fetch fall back to REST', async () => {
+    const { octokit } = createGraphQLClient((names) => ({
+        data: batchData(names, { gone: null }),
+        errors: [{ type: 'NOT_FOUND', path: ['r1'], message: "Could not resolve to a Repository with the name 'octo/gone'." }],
+    }));
+    const loader = createRepositoryBatchLoader(octokit, [{ owner: 'octo', repo: 'demo' }, { owner: 'octo', repo: 'gone' }]);
+
+    assert.equal((await loader.load('octo', 'demo')).repoData.full_name, 'octo/demo');
+    assert.equal(await loader.load('octo', 'gone'), null);
+});
+
+test('a failed batch query falls back to REST for the whole batch', async () => {
+    const { octokit } = createGraphQLClient(() => ({ errors: [{ message: 'Something went wrong' }] }));
+    const loader = createRepositoryBatchLoader(octokit, [{ owner: 'octo', repo: 'demo' }]);
+
+    assert.equal(await loader.load('octo', 'demo'), null);
+});
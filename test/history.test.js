@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareWithPrevious, createSnapshot } from '../src/history.js';
+
+const DEFAULT_WEIGHTS = {
+    readability: '15%',
+    stability: '15%',
+    security: '15%',
+    community: '10%',
+    maintainability: '15%',
+    documentation: '10%',
+    automation: '10%',
+    dependencies: '10%',
+};
+
+/**
+ * An output record with the given total, grade and profile; every pillar scores the total
+ */
+function createResult({ score, grade, profile = 'default', weights = DEFAULT_WEIGHTS, analyzedAt = '2026-10-01T00:00:00.000Z', complete = true }) {
+    return {
+        analyzed_at: analyzedAt,
+        scoring_profile: profile,
+        pillar_weights: weights,
+        health_score: score,
+        health_grade: grade,
+        data_quality: { complete, coverage: complete ? '100%' : '80%', incomplete_checks: complete ? [] : ['Branch protection'] },
+        ...Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map((key) => [`${key}_score`, score])),
+    };
+}
+
+test('a first analysis has no trend', () => {
+    const trend = compareWithPrevious(createResult({ score: 70, grade: 'B' }), null);
+
+    assert.equal(trend.score_delta, null);
+    assert.equal(trend.profile_changed, false);
+    assert.equal(trend.grade_regression, false);
+});
+
+test('runs with the same weights report deltas and regressions', () => {
+    const previous = createSnapshot(createResult({ score: 82, grade: 'A' }));
+    const trend = compareWithPrevious(createResult({ score: 70, grade: 'B', analyzedAt: '2026-10-08T00:00:00.000Z' }), previous);
+
+    assert.equal(trend.profile_changed, false);
+    assert.equal(trend.score_delta, -12);
+    assert.equal(trend.pillar_deltas.security, -12);
+    assert.equal(trend.grade_regression, true);
+});
+
+test('a change of profile reports no deltas', () => {
+    const previous = createSnapshot(createResult({ score: 82, grade: 'A' }));
+    const trend = compareWithPrevious(createResult({ score: 60, grade: 'C', profile: 'enterprise-dependency' }), previous);
+
+    assert.equal(trend.profile_changed, true);
+    assert.equal(trend.previous_score, 82);
+    assert.equal(trend.score_delta, null);
+    assert.equal(trend.pillar_deltas, null);
+    assert.equal(trend.grade_regression, false);
+});
+
+test('changed custom weights report no deltas', () => {
+    const weights = { ...DEFAULT_WEIGHTS, security: '40%', readability: '0%', community: '0%', documentation: '0%' };
+    const previous = createSnapshot(createResult({ score: 82, grade: 'A', profile: 'custom', weights }));
+    const trend = compareWithPrevious(createResult({ score: 60, grade: 'C', profile: 'custom', weights: { ...weights, security: '30%', readability: '10%' } }), previous);
+
+    assert.equal(trend.profile_changed, true);
+    assert.equal(trend.score_delta, null);
+});
+
+test('snapshots from before the current preset weights are not compared', () => {
+    const { weights_version: _version, pillar_weights: _weights, ...legacy } = createSnapshot(createResult({ score: 82, grade: 'A' }));
+    const trend = compareWithPrevious(createResult({ score: 70, grade: 'B' }), legacy);
+
+    assert.equal(trend.profile_changed, true);
+    assert.equal(trend.score_delta, null);
+    assert.equal(trend.grade_regression, false);
+});
+
+test('snapshots record whether the checks completed', () => {
+    const snapshot = createSnapshot(createResult({ score: 70, grade: 'B', complete: false }));
+
+    assert.deepEqual(snapshot.data_quality, { complete: false, coverage: '80%' });
+});
+
+test('a run with incomplete checks reports no deltas', () => {
+    const previous = createSnapshot(createResult({ score: 82, grade: 'A' }));
+    const trend = compareWithPrevious(createResult({ score: 60, grade: 'C', complete: false }), previous);
+
+    assert.equal(trend.data_incomplete, true);
+    assert.equal(trend.profile_changed, false);
+    assert.equal(trend.previous_grade, 'A');
+    assert.equal(trend.score_delta, null);
+    assert.equal(trend.pillar_deltas, null);
+    assert.equal(trend.grade_regression, false);
+});
+
+test('a previous run with incomplete checks reports no deltas', () => {
+    const previous = createSnapshot(createResult({ score: 60, grade: 'C', complete: false }));
+    const trend = compareWithPrevious(createResult({ score: 82, grade: 'A' }), previous);
+
+    assert.equal(trend.data_incomplete, true);
+    assert.equal(trend.score_delta, null);
+});
+
+test('snapshots from before data quality was recorded are compared', () => {
+    const { data_quality: _quality, ...legacy } = createSnapshot(createResult({ score: 82, grade: 'A' }));
+    const trend = compareWithPrevious(createResult({ score: 70, grade: 'B' }), legacy);
+
+    assert.equal(trend.data_incomplete, false);
+    assert.equal(trend.score_delta, -12);
+    assert.equal(trend.grade_regression, true);
+});
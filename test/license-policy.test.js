@@ -0,0 +1,154 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    parseSpdxExpression,
+    evaluateLicensePolicy,
+    getLicenseRisk,
+    loadLicensePolicy,
+    detectLicenseFromText,
+    resolveRepositoryLicense,
+} from '../src/license-policy.js';
+import { buildPathIndex } from '../src/repo-source.js';
+
+const tempDirs = [];
+
+after(async () => {
+    await Promise.all(tempDirs.map((dir) => rm(dir, { recursive: true, force: true })));
+});
+
+/**
+ * Load a policy written to a temporary JSON file
+ */
+async function loadPolicy(policy) {
+    const dir = await mkdtemp(join(tmpdir(), 'license-policy-test-'));
+    tempDirs.push(dir);
+    const path = join(dir, 'policy.json');
+    await writeFile(path, JSON.stringify(policy));
+    return loadLicensePolicy(path);
+}
+
+/**
+ * An in-memory repository source over { path: content }
+ */
+function createMemorySource(files) {
+    const index = buildPathIndex(Object.keys(files));
+    return {
+        findFiles: async (globs) => index.findFiles(globs),
+        getFileContent: async (path) => (path in files
+            ? { exists: true, content: files[path], length: files[path].length }
+            : { exists: false, content: '', length: 0 }),
+    };
+}
+
+const leaf = (license, { plus = false, exception = null } = {}) => ({ license, plus, exception });
+
+test('OR binds looser than AND, and WITH attaches to one license', () => {
+    assert.deepEqual(parseSpdxExpression('MIT OR Apache-2.0 AND BSD-3-Clause'), {
+        conjunction: 'or',
+        left: leaf('MIT'),
+        right: { conjunction: 'and', left: leaf('Apache-2.0'), right: leaf('BSD-3-Clause') },
+    });
+    assert.deepEqual(parseSpdxExpression('GPL-2.0-only WITH Classpath-exception-2.0'), leaf('GPL-2.0-only', { exception: 'Classpath-exception-2.0' }));
+});
+
+test('parentheses group and "+" means or any later version', () => {
+    assert.deepEqual(parseSpdxExpression('(MIT OR Apache-2.0) AND LGPL-2.1+'), {
+        conjunction: 'and',
+        left: { conjunction: 'or', left: leaf('MIT'), right: leaf('Apache-2.0') },
+        right: leaf('LGPL-2.1', { plus: true }),
+    });
+    // Operators are case-insensitive
+    assert.equal(parseSpdxExpression('mit or isc').conjunction, 'or');
+});
+
+test('malformed expressions are rejected', () => {
+    for (const expression of ['', 'MIT OR', '(MIT', 'MIT)', 'AND MIT', 'MIT WITH', 'MIT Apache-2.0']) {
+        assert.throws(() => parseSpdxExpression(expression), /Invalid SPDX expression/, expression);
+    }
+});
+
+test('built-in scores keep the best alternative and the worst of combined licenses', () => {
+    assert.equal(getLicenseRisk('MIT').score, 100);
+    assert.equal(getLicenseRisk('MIT OR GPL-3.0').score, 100);
+    assert.equal(getLicenseRisk('MIT AND GPL-3.0-only').score, 50);
+    assert.equal(getLicenseRisk('GPL-3.0-or-later').risk, '🔴 High (Restrictive)');
+    assert.equal(getLicenseRisk('MPL-2.0').risk, '🟡 Medium (Copyleft)');
+    assert.deepEqual(getLicenseRisk(null), { score: 20, risk: '🔴 High (No License)', status: null });
+    // Unknown identifiers and NOASSERTION score in the middle
+    assert.equal(getLicenseRisk('Acme-Proprietary-1.0').score, 50);
+    assert.equal(getLicenseRisk('NOASSERTION').score, 50);
+});
+
+test('a policy allows, reviews or forbids each license', async () => {
+    const policy = await loadPolicy({ allowed: ['MIT', 'Apache-2.0'], review: ['MPL-2.0'], forbidden: ['AGPL-3.0'] });
+
+    assert.equal(evaluateLicensePolicy('MIT', policy), 'allowed');
+    assert.equal(evaluateLicensePolicy('MPL-2.0', policy), 'review');
+    assert.equal(evaluateLicensePolicy('AGPL-3.0-only', policy), 'forbidden');
+    assert.deepEqual(getLicenseRisk('AGPL-3.0', policy), { score: 0, risk: '🔴 High (Forbidden by policy)', status: 'forbidden' });
+});
+
+test('policies judge OR by the best and AND by the worst alternative', async () => {
+    const policy = await loadPolicy({ allowed: ['MIT'], forbidden: ['GPL-3.0'] });
+
+    assert.equal(evaluateLicensePolicy('MIT OR GPL-3.0', policy), 'allowed');
+    assert.equal(evaluateLicensePolicy('MIT AND GPL-3.0', policy), 'forbidden');
+    assert.equal(evaluateLicensePolicy('(MIT OR GPL-3.0) AND ISC', policy), 'review');
+});
+
+test('unlisted, unrecognized and missing licenses take the policy fallbacks', async () => {
+    const defaults = await loadPolicy({ allowed: ['MIT'] });
+    const strict = await loadPolicy({ allowed: ['MIT'], unlisted: 'forbidden', unknown: 'forbidden', unlicensed: 'review' });
+
+    assert.equal(evaluateLicensePolicy('Acme-1.0', defaults), 'review');
+    assert.equal(evaluateLicensePolicy('NOASSERTION', defaults), 'review');
+    assert.equal(evaluateLicensePolicy(null, defaults), 'forbidden');
+    assert.equal(evaluateLicensePolicy('Acme-1.0', strict), 'forbidden');
+    assert.equal(evaluateLicensePolicy('not (valid', strict), 'forbidden');
+    assert.equal(evaluateLicensePolicy(null, strict), 'review');
+});
+
+test('exact ids win over globs and listed exceptions over the bare license', async () => {
+    const policy = await loadPolicy({
+        allowed: ['GPL-2.0 WITH Classpath-exception-2.0', 'LGPL-*'],
+        forbidden: ['GPL-*', 'LGPL-2.1'],
+    });
+
+    assert.equal(evaluateLicensePolicy('GPL-2.0-only WITH Classpath-exception-2.0', policy), 'allowed');
+    assert.equal(evaluateLicensePolicy('GPL-2.0-only', policy), 'forbidden');
+    assert.equal(evaluateLicensePolicy('LGPL-2.1-or-later', policy), 'forbidden');
+    assert.equal(evaluateLicensePolicy('LGPL-3.0', policy), 'allowed');
+});
+
+test('malformed policies are rejected', async () => {
+    await assert.rejects(loadPolicy({ allowed: 'MIT' }), /"allowed" must be an array of SPDX ids/);
+    await assert.rejects(loadPolicy({ unknown: 'maybe' }), /"unknown" must be one of allowed, review, forbidden/);
+});
+
+test('license texts are recognized by their fingerprints', () => {
+    assert.equal(detectLicenseFromText('Apache License\n  Version 2.0, January 2004').spdx_id, 'Apache-2.0');
+    assert.equal(detectLicenseFromText('GNU LESSER GENERAL PUBLIC LICENSE\n  Version 2.1, February 1999').spdx_id, 'LGPL-2.1');
+    assert.deepEqual(detectLicenseFromText('All rights reserved.'), { spdx_id: 'NOASSERTION', name: 'Other' });
+});
+
+test('an unclassified license is resolved from a manifest, then from license files', async () => {
+    const unclassified = { license: { spdx_id: 'NOASSERTION', name: 'Other' } };
+
+    const manifest = createMemorySource({ 'package.json': JSON.stringify({ license: 'MIT OR Apache-2.0' }) });
+    assert.deepEqual(await resolveRepositoryLicense(manifest, unclassified), { expression: 'MIT OR Apache-2.0', name: 'MIT OR Apache-2.0', detectedFrom: 'manifest' });
+
+    const files = createMemorySource({
+        'LICENSE-MIT': 'Permission is hereby granted, free of charge, to any person obtaining a copy',
+        'LICENSE-APACHE': 'Apache License, Version 2.0',
+    });
+    assert.equal((await resolveRepositoryLicense(files, unclassified)).expression, 'Apache-2.0 AND MIT');
+
+    const custom = createMemorySource({ 'LICENSE': 'All rights reserved.' });
+    assert.equal((await resolveRepositoryLicense(custom, unclassified)).expression, 'NOASSERTION');
+
+    assert.equal((await resolveRepositoryLicense(custom, { license: null })).expression, null);
+    assert.equal((await resolveRepositoryLicense(custom, { license: { spdx_id: 'ISC', name: 'ISC License' } })).detectedFrom, 'api');
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanMarkdown, checkDocumentationLinks } from '../src/link-checker.js';
+import { buildPathIndex } from '../src/repo-source.js';
+
+/**
+ * An in-memory repository source over { path: content }
+ */
+function createMemorySource(files, { listable = true } = {}) {
+    const index = buildPathIndex(Object.keys(files));
+    return {
+        owner: 'octo',
+        repo: 'demo',
+        findFiles: async (globs) => (listable ? index.findFiles(globs) : null),
+        fileExists: async (path) => index.files.has(path),
+        directoryExists: async (path) => index.directories.has(path),
+        getFileContent: async (path) => (path in files
+            ? { exists: true, content: files[path], length: files[path].length }
+            : { exists: false, content: '', length: 0 }),
+    };
+}
+
+/**
+ * Broken links of one document as [line, target, reason]
+ */
+function brokenIn(result, file) {
+    return (result.brokenLinks.find((entry) => entry.file === file)?.links ?? []).map(({ line, target, reason }) => [line, target, reason]);
+}
+
+test('headings become GitHub anchors', () => {
+    const { anchors } = scanMarkdown([
+        '# Getting Started',
+        '## API `v2` Reference!',
+        '### [Links](https://example.com) & <em>HTML</em>',
+        '## Ünïcödé Überschrift',
+        'Setext heading',
+        '==============',
+        '# Closed ATX #',
+    ].join('\n'));
+
+    assert.deepEqual([...anchors], ['getting-started', 'api-v2-reference', 'links--html', 'ünïcödé-überschrift', 'setext-heading', 'closed-atx']);
+});
+
+test('repeated headings are numbered and HTML ids count as anchors', () => {
+    const { anchors } = scanMarkdown('## Usage\n## Usage\n## Usage\n<a name="Custom-Anchor"></a>\n<h2 id="api">API</h2>');
+
+    assert.deepEqual([...anchors].sort(), ['api', 'custom-anchor', 'usage', 'usage-1', 'usage-2']);
+});
+
+test('links are collected from inline syntax, references and HTML, outside code', () => {
+    const { links } = scanMarkdown([
+        '[![Build](https://ci.example.com/badge.svg)](https://ci.example.com)',
+        '[docs]: ./docs/index.md',
+        '<a href="CONTRIBUTING.md">Contributing</a> <img src="logo.png">',
+        'Use `[not](a-link.md)` in code spans',
+        '```',
+        '[also not](fenced.md)',
+        '```',
+        '[title](<with space.md> "Title")',
+    ].join('\n'));
+
+    assert.deepEqual(links.map(({ line, target, image }) => [line, target, image]), [
+        [1, 'https://ci.example.com/badge.svg', true],
+        [1, 'https://ci.example.com', false],
+        [2, './docs/index.md', false],
+        [3, 'CONTRIBUTING.md', false],
+        [3, 'logo.png', true],
+        [8, 'with space.md', false],
+    ]);
+});
+
+test('relative links resolve against the linking document', async () => {
+    const source = createMemorySource({
+        'README.md': '[guide](docs/guide.md) [missing](docs/missing.md) [root](/LICENSE) [src](src) [escape](../outside.md)',
+        'docs/guide.md': '# Guide\n[back](../README.md) [sibling](./api.md?plain=1) [encoded](my%20notes.md) [up](../../README.md)',
+        'docs/api.md': '# API',
+        'docs/my notes.md': '# Notes',
+        'LICENSE': 'MIT',
+        'src/index.js': '',
+    });
+    const result = await checkDocumentationLinks(source, { default_branch: 'main' });
+
+    assert.equal(result.documentsChecked, 4);
+    assert.deepEqual(brokenIn(result, 'README.md'), [[1, 'docs/missing.md', 'file not found']]);
+    // Links leaving the repository cannot be judged
+    assert.deepEqual(brokenIn(result, 'docs/guide.md'), []);
+    assert.equal(result.brokenLinkCount, 1);
+});
+
+test('anchors are checked within a document and across documents', async () => {
+    const source = createMemorySource({
+        'README.md': '# Demo\n## Install\n[ok](#install) [bad](#usage) [prefixed](#user-content-install) [other](docs/api.md#methods) [gone](docs/api.md#events)',
+        'docs/api.md': '# API\n## Methods',
+    });
+    const result = await checkDocumentationLinks(source, { default_branch: 'main' });
+
+    assert.deepEqual(brokenIn(result, 'README.md'), [[3, '#usage', 'anchor not found'], [3, 'docs/api.md#events', 'anchor not found']]);
+});
+
+test('URLs are checked for form, and links into the repository by branch', async () => {
+    const source = createMemorySource({
+        'README.md': [
+            '[ok](https://example.com/page) [mail](mailto:team@example.com) [ftp](ftp://files.example.com/a)',
+            '[typo](https//example.com) [space](<https://exa mple.com>) [host](https://example_com/x)',
+            '[main](https://github.com/octo/demo/blob/main/docs/missing.md) [tag](https://github.com/octo/demo/blob/v1.2.0/old.md)',
+            '[branch](https://github.com/octo/demo/tree/feature-x/src) [other repo](https://github.com/acme/tool/blob/dev/x.md)',
+            '[template]({{ site.baseurl }}/docs) [custom](vscode:extension/octo.demo)',
+        ].join('\n'),
+    });
+    const result = await checkDocumentationLinks(source, { default_branch: 'main' });
+
+    assert.deepEqual(brokenIn(result, 'README.md'), [
+        [2, 'https//example.com', 'file not found'],
+        [2, 'https://exa mple.com', 'malformed URL'],
+        [2, 'https://example_com/x', 'malformed URL'],
+        [3, 'https://github.com/octo/demo/blob/main/docs/missing.md', 'file not found'],
+        [4, 'https://github.com/octo/demo/tree/feature-x/src', 'links to branch feature-x'],
+    ]);
+});
+
+test('links are not checked when the repository cannot be listed', async () => {
+    const result = await checkDocumentationLinks(createMemorySource({ 'README.md': '[x](y.md)' }, { listable: false }), {});
+
+    assert.deepEqual(result, { documentsChecked: null, linksChecked: null, brokenLinkCount: null, brokenLinks: [] });
+});
@@ -0,0 +1,151 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { createLocalSource } from '../src/local-source.js';
+
+const execFileAsync = promisify(execFile);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const tempDirs = [];
+
+after(async () => {
+    await Promise.all(tempDirs.map((dir) => rm(dir, { recursive: true, force: true })));
+});
+
+/**
+ * Write { path: content } into a directory
+ */
+async function writeFiles(root, files) {
+    for (const [path, content] of Object.entries(files)) {
+        await mkdir(dirname(join(root, path)), { recursive: true });
+        await writeFile(join(root, path), content);
+    }
+}
+
+/**
+ * A fresh temporary directory holding the given files
+ */
+async function createDirectory(files) {
+    const root = await mkdtemp(join(tmpdir(), 'local-source-test-'));
+    tempDirs.push(root);
+    await writeFiles(root, files);
+    return root;
+}
+
+/**
+ * Run git in a fixture repository with a fixed identity
+ */
+function git(root, args, env = {}) {
+    return execFileAsync('git', ['-C', root, '-c', 'user.name=Octo', '-c', 'user.email=octo@example.com', '-c', 'commit.gpgsign=false', ...args], {
+        env: { ...process.env, ...env },
+    });
+}
+
+/**
+ * Commit every file as the given author at the given date
+ */
+async function commitAll(root, message, { date, name = 'Octo', email = 'octo@example.com' }) {
+    await git(root, ['add', '-A']);
+    await git(root, ['commit', '-q', '-m', message], {
+        GIT_AUTHOR_NAME: name,
+        GIT_AUTHOR_EMAIL: email,
+        GIT_AUTHOR_DATE: date.toISOString(),
+        GIT_COMMITTER_DATE: date.toISOString(),
+    });
+}
+
+/**
+ * A git repository with committed files, an untracked file and a GitHub origin
+ */
+async function createGitRepository() {
+    const root = await createDirectory({
+        'README.md': '# Demo\n',
+        'LICENSE': 'Apache License\nVersion 2.0, January 2004\n',
+        'src/index.js': 'export default 1;\n',
+    });
+    await git(root, ['init', '-q', '-b', 'main']);
+    await git(root, ['remote', 'add', 'origin', 'git@github.com:octo/demo.git']);
+
+    const now = Date.now();
+    await commitAll(root, 'initial', { date: new Date(now - 400 * DAY_MS) });
+    await writeFiles(root, { '.github/workflows/ci.yml': 'on: push\n' });
+    await commitAll(root, 'ci', { date: new Date(now - 30 * DAY_MS), name: 'Mona', email: 'Mona@Example.com' });
+    await writeFiles(root, { 'package.json': '{}\n' });
+    await commitAll(root, 'deps', { date: new Date(now - 2 * DAY_MS), name: 'dependabot[bot]', email: '49699333+dependabot[bot]@users.noreply.github.com' });
+    await git(root, ['tag', 'v1.0.0']);
+
+    // Not committed, so not part of HEAD
+    await writeFiles(root, { 'scratch.txt': 'notes\n' });
+    return root;
+}
+
+test('a git repository is listed from HEAD and named after its GitHub origin', async () => {
+    const source = await createLocalSource(await createGitRepository());
+
+    assert.equal(source.kind, 'local');
+    assert.equal(source.owner, 'octo');
+    assert.equal(source.repo, 'demo');
+    assert.deepEqual((await source.findFiles(['**/*'])).sort(), ['.github/workflows/ci.yml', 'LICENSE', 'README.md', 'package.json', 'src/index.js']);
+    assert.equal(await source.fileExists('scratch.txt'), false);
+    assert.equal(await source.directoryExists('.github/workflows'), true);
+    assert.deepEqual(await source.getWorkflows(), { exists: true, count: 1 });
+    assert.deepEqual(await source.getTags(), { exists: true, count: 1 });
+    assert.equal((await source.getFileContent('README.md')).content, '# Demo');
+});
+
+test('repository data comes from git history and the LICENSE file', async () => {
+    const source = await createLocalSource(await createGitRepository());
+    const repoData = await source.getRepoData();
+
+    assert.equal(repoData.full_name, 'octo/demo');
+    assert.equal(repoData.default_branch, 'main');
+    assert.deepEqual(repoData.license, { spdx_id: 'Apache-2.0', name: 'Apache License 2.0' });
+    assert.ok(new Date(repoData.created_at) < new Date(repoData.pushed_at));
+    // git init's placeholder description is not a description
+    assert.equal(repoData.description, undefined);
+    assert.equal(repoData.stargazers_count, null);
+});
+
+test('commit history covers the last year with authors by email and bots flagged', async () => {
+    const source = await createLocalSource(await createGitRepository());
+    const history = await source.getCommitHistory();
+
+    assert.equal(history.truncated, false);
+    assert.deepEqual(history.commits.map(({ author, isBot }) => [author, isBot]), [
+        ['49699333+dependabot[bot]@users.noreply.github.com', true],
+        ['mona@example.com', false],
+    ]);
+});
+
+test('a plain directory is walked without .git and node_modules', async () => {
+    const root = await createDirectory({
+        'README.md': '# Plain\n',
+        'LICENSE': 'MIT License\n\nPermission is hereby granted, free of charge, to any person obtaining a copy\n',
+        'lib/main.py': 'print(1)\n',
+        'node_modules/dep/index.js': '',
+        '.git/HEAD': 'not a repository\n',
+    });
+    const source = await createLocalSource(root);
+
+    assert.equal(source.owner, 'local');
+    assert.deepEqual((await source.findFiles(['**/*'])).sort(), ['LICENSE', 'README.md', 'lib/main.py']);
+    assert.equal((await source.getReadme()).content, '# Plain\n');
+    assert.equal((await source.getRepoData()).license.spdx_id, 'MIT');
+    assert.equal(await source.getCommitHistory(), null);
+    assert.deepEqual(await source.getTags(), { exists: null, count: null });
+});
+
+test('an unrecognized license is reported as NOASSERTION and a missing one as null', async () => {
+    const custom = await createLocalSource(await createDirectory({ 'LICENSE.txt': 'All rights reserved.\n' }));
+    const none = await createLocalSource(await createDirectory({ 'README.md': '# None\n' }));
+
+    assert.equal((await custom.getRepoData()).license.spdx_id, 'NOASSERTION');
+    assert.equal((await none.getRepoData()).license, null);
+});
+
+test('a missing path is rejected', async () => {
+    await assert.rejects(createLocalSource(join(tmpdir(), 'local-source-test-missing')), /Local repository path not found/);
+});
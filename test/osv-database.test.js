@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { openOsvDatabase, findVulnerabilities, compareVersions, getCvssBaseScore } from '../src/osv-database.js';
+
+const ADVISORIES = {
+    'npm/GHSA-fixed.json': {
+        id: 'GHSA-fixed',
+        summary: 'Prototype pollution',
+        database_specific: { severity: 'HIGH' },
+        affected: [{ package: { ecosystem: 'npm', name: 'lodash' }, ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }] }],
+    },
+    'npm/GHSA-window.json': {
+        id: 'GHSA-window',
+        aliases: ['CVE-2026-0001'],
+        details: 'Regular expression denial of service\nLong explanation',
+        severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H' }],
+        affected: [{
+            package: { ecosystem: 'npm', name: 'minimist' },
+            ranges: [{ type: 'SEMVER', events: [{ introduced: '1.0.0' }, { fixed: '1.2.6' }, { introduced: '2.0.0' }, { fixed: '2.0.3' }] }],
+        }],
+    },
+    'pypi/PYSEC-last.json': {
+        id: 'PYSEC-last',
+        summary: 'Path traversal',
+        database_specific: { severity: 'Medium' },
+        affected: [{ package: { ecosystem: 'PyPI', name: 'Flask_Cors' }, ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '2.0' }, { last_affected: '3.0.9' }] }] }],
+    },
+    'crates/RUSTSEC-listed.json': {
+        id: 'RUSTSEC-listed',
+        affected: [{ package: { ecosystem: 'crates.io', name: 'smallvec' }, versions: ['1.6.0'] }],
+    },
+    'npm/GHSA-withdrawn.json': {
+        id: 'GHSA-withdrawn',
+        withdrawn: '2026-01-01T00:00:00Z',
+        affected: [{ package: { ecosystem: 'npm', name: 'lodash' }, ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }] }] }],
+    },
+    'npm/broken.json': '{ not json',
+};
+
+let root;
+let database;
+
+before(async () => {
+    root = await mkdtemp(join(tmpdir(), 'osv-database-test-'));
+    for (const [path, advisory] of Object.entries(ADVISORIES)) {
+        await mkdir(join(root, path, '..'), { recursive: true });
+        await writeFile(join(root, path), typeof advisory === 'string' ? advisory : JSON.stringify(advisory));
+    }
+    database = await openOsvDatabase(root);
+});
+
+after(async () => {
+    await rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Advisory ids and fixed versions found for one package version
+ */
+function check(ecosystem, name, version) {
+    return findVulnerabilities(database, [{ ecosystem, name, version, source: 'lockfile' }]).map((finding) => [finding.id, finding.fixedVersion]);
+}
+
+test('the dump is indexed without withdrawn or unreadable advisories', () => {
+    assert.equal(database.advisoryCount, 4);
+    assert.deepEqual(check('npm', 'lodash', '1.0.0'), [['GHSA-fixed', '4.17.21']]);
+});
+
+test('versions from introduced up to fixed are affected', () => {
+    assert.deepEqual(check('npm', 'lodash', '4.17.20'), [['GHSA-fixed', '4.17.21']]);
+    assert.deepEqual(check('npm', 'lodash', '4.17.21'), []);
+    assert.deepEqual(check('npm', 'lodash', '5.0.0'), []);
+});
+
+test('several introduced and fixed pairs form separate windows, each with its own fix', () => {
+    assert.deepEqual(check('npm', 'minimist', '0.9.0'), []);
+    assert.deepEqual(check('npm', 'minimist', '1.2.5'), [['GHSA-window', '1.2.6']]);
+    assert.deepEqual(check('npm', 'minimist', '1.2.6'), []);
+    assert.deepEqual(check('npm', 'minimist', '2.0.1'), [['GHSA-window', '2.0.3']]);
+    assert.deepEqual(check('npm', 'minimist', '2.0.3'), []);
+});
+
+test('last_affected includes its own version and has no fixed version', () => {
+    assert.deepEqual(check('pypi', 'flask-cors', '3.0.9'), [['PYSEC-last', null]]);
+    assert.deepEqual(check('pypi', 'flask-cors', '3.0.10'), []);
+    assert.deepEqual(check('pypi', 'flask-cors', '1.9'), []);
+});
+
+test('explicitly listed versions are affected', () => {
+    assert.deepEqual(check('cargo', 'smallvec', '1.6.0'), [['RUSTSEC-listed', null]]);
+    assert.deepEqual(check('cargo', 'smallvec', '1.6.1'), []);
+});
+
+test('manifest ecosystems map to OSV names and PyPI names are normalized', () => {
+    for (const name of ['Flask-Cors', 'flask_cors', 'FLASK.CORS']) {
+        assert.equal(check('pypi', name, '3.0.0').length, 1, name);
+    }
+    // Other ecosystems compare names exactly
+    assert.deepEqual(check('npm', 'Lodash', '1.0.0'), []);
+    // Unknown ecosystems and missing versions are skipped
+    assert.deepEqual(check('hex', 'lodash', '1.0.0'), []);
+    assert.deepEqual(check('npm', 'lodash', null), []);
+});
+
+test('findings carry severity and summary and come worst first', () => {
+    const findings = findVulnerabilities(database, [
+        { ecosystem: 'pypi', name: 'flask-cors', version: '3.0.0', source: 'requirements.txt' },
+        { ecosystem: 'npm', name: 'minimist', version: '1.0.0', source: 'package-lock.json' },
+        { ecosystem: 'npm', name: 'lodash', version: '4.0.0', source: 'package-lock.json' },
+        { ecosystem: 'npm', name: 'lodash', version: '4.0.0', source: 'package.json' },
+    ]);
+
+    assert.deepEqual(findings.map((f) => [f.name, f.severity]), [['minimist', 'critical'], ['lodash', 'high'], ['flask-cors', 'moderate']]);
+    assert.equal(findings[0].summary, 'Regular expression denial of service');
+    assert.deepEqual(findings[0].aliases, ['CVE-2026-0001']);
+});
+
+test('versions compare numerically with pre-releases before and post-releases after the release', () => {
+    assert.ok(compareVersions('1.10.0', '1.9.0') > 0);
+    assert.equal(compareVersions('v1.2', '1.2.0'), 0);
+    assert.ok(compareVersions('1.0.0-rc1', '1.0.0') < 0);
+    assert.ok(compareVersions('1.0.0-alpha', '1.0.0-beta') < 0);
+    assert.ok(compareVersions('1.0.post1', '1.0') > 0);
+    assert.equal(compareVersions('1.0.0+build5', '1.0.0'), 0);
+});
+
+test('CVSS v3 base scores are computed from the vector', () => {
+    assert.equal(getCvssBaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), 9.8);
+    assert.equal(getCvssBaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N'), 6.1);
+    assert.equal(getCvssBaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N'), 0);
+    assert.equal(getCvssBaseScore('AV:N/AC:L/Au:N/C:P/I:P/A:P'), null);
+});
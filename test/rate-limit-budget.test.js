@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+import { createRateLimitBudget } from '../src/github-client.js';
+
+/**
+ * A client whose responses carry the given rate-limit headers
+ */
+function createClient(rateLimitHeaders) {
+    const fetch = async () => new Response('{}', {
+        status: 200,
+        headers: { 'content-type': 'application/json', ...rateLimitHeaders },
+    });
+    return new Octokit({ request: { fetch } });
+}
+
+const initial = { remaining: 4000, limit: 5000, reset: new Date(Date.now() + 3600_000) };
+
+test('core responses update the budget', async () => {
+    const octokit = createClient({ 'x-ratelimit-resource': 'core', 'x-ratelimit-remaining': '3990', 'x-ratelimit-reset': '2000000000' });
+    const budget = createRateLimitBudget(octokit, initial);
+    await octokit.request('GET /repos/{owner}/{repo}', { owner: 'octo', repo: 'demo' });
+
+    assert.equal(budget.status().remaining, 3990);
+    assert.equal(budget.status().reset.getTime(), 2000000000 * 1000);
+});
+
+test('search and GraphQL responses leave the core budget alone', async () => {
+    for (const resource of ['search', 'graphql']) {
+        const octokit = createClient({ 'x-ratelimit-resource': resource, 'x-ratelimit-remaining': '3', 'x-ratelimit-reset': '2000000000' });
+        const budget = createRateLimitBudget(octokit, initial);
+        await octokit.request('GET /search/issues', { q: 'repo:octo/demo' });
+
+        assert.equal(budget.status().remaining, 4000);
+        assert.equal(budget.status().reset, initial.reset);
+    }
+});
+
+test('the first job starts even when the quota is below its estimate', async () => {
+    const octokit = createClient({});
+    const budget = createRateLimitBudget(octokit, { remaining: 12, limit: 60, reset: new Date(Date.now() + 3600_000) });
+
+    const release = await budget.acquire(55);
+    assert.equal(budget.status().reserved, 55);
+    release();
+    assert.equal(budget.status().reserved, 0);
+});
+
+test('a job waits for the reset while others hold the quota it needs', async () => {
+    const octokit = createClient({});
+    const budget = createRateLimitBudget(octokit, { remaining: 60, limit: 60, reset: new Date(Date.now() + 100) });
+
+    await budget.acquire(50);
+    const second = budget.acquire(20);
+    const state = await Promise.race([
+        second.then(() => 'started'),
+        new Promise((resolve) => setTimeout(() => resolve('waiting'), 50)),
+    ]);
+    assert.equal(state, 'waiting');
+
+    // After the reset the full quota is available again
+    await second;
+    assert.equal(budget.status().reserved, 70);
+});
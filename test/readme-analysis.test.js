@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeReadme, getReadmeFormat } from '../src/readme-analysis.js';
+
+/**
+ * Checklist as { section: [status, detail] }
+ */
+function checklistOf(analysis) {
+    return Object.fromEntries(analysis.checklist.map(({ section, status, detail }) => [section, [status, detail]]));
+}
+
+const COMPLETE_README = [
+    '# Demo',
+    '',
+    '[![Build](https://github.com/octo/demo/actions/workflows/ci.yml/badge.svg)](https://github.com/octo/demo/actions)',
+    '',
+    'Demo turns your repository into a health report that maintainers can act on.',
+    '',
+    '## Installation',
+    '',
+    '```bash',
+    'npm install demo',
+    '```',
+    '',
+    '## Usage',
+    '',
+    '```js',
+    'import demo from "demo";',
+    '```',
+    '',
+    'The report groups findings by pillar and explains how to fix each one.',
+    '',
+    '![Screenshot of the report](docs/report.png)',
+    '',
+    '## Contributing',
+    '',
+    'Pull requests are welcome. Please open an issue first to discuss what you would like to change.',
+    '',
+    '## License',
+    '',
+    'MIT',
+].join('\n');
+
+test('a complete README passes every checklist item', () => {
+    const analysis = analyzeReadme(COMPLETE_README, 'README.md');
+
+    assert.deepEqual(checklistOf(analysis), {
+        'Title': ['passed', '"Demo"'],
+        'Heading hierarchy': ['passed', '5 headings, no skipped levels'],
+        'Installation': ['passed', '"Installation" with 1 code block(s)'],
+        'Usage': ['passed', '"Usage" with 1 code block(s)'],
+        'License': ['passed', '"License"'],
+        'Contributing': ['passed', '"Contributing"'],
+        'Badges': ['passed', '1 badge(s)'],
+        'Image alt text': ['passed', '2 of 2 image(s) have alt text'],
+        'Prose': ['passed', `${analysis.proseRatioPercent}% of the text is prose`],
+    });
+    assert.ok(analysis.proseRatioPercent >= 50);
+});
+
+test('sections without code blocks are partial and missing ones failed', () => {
+    const analysis = analyzeReadme('# Demo\n\n## Installation\n\nDownload it from the releases page.\n', 'README.md');
+    const checklist = checklistOf(analysis);
+
+    assert.deepEqual(checklist.Installation, ['partial', '"Installation" has no code block']);
+    assert.deepEqual(checklist.Usage, ['failed', 'no section found']);
+    assert.deepEqual(checklist.License, ['failed', 'no section found']);
+    assert.deepEqual(checklist.Badges, ['failed', '0 badge(s)']);
+    assert.equal(analysis.hasInstallation, true);
+    assert.equal(analysis.installationHasCode, false);
+});
+
+test('getting started counts as installation and usage, preferring a section with code', () => {
+    const analysis = analyzeReadme('# Demo\n\n## Examples\n\nSee the docs.\n\n## Getting Started\n\n```sh\ndemo run\n```\n', 'README.md');
+    const checklist = checklistOf(analysis);
+
+    assert.deepEqual(checklist.Installation, ['passed', '"Getting Started" with 1 code block(s)']);
+    assert.deepEqual(checklist.Usage, ['passed', '"Getting Started" with 1 code block(s)']);
+});
+
+test('skipped levels and several titles break the heading hierarchy', () => {
+    const skipped = analyzeReadme('# Demo\n\n### Details\n', 'README.md');
+    const titles = analyzeReadme('# Demo\n\n# Other\n', 'README.md');
+
+    assert.deepEqual(checklistOf(skipped)['Heading hierarchy'], ['failed', '"Details" skips from level 1 to 3']);
+    assert.deepEqual(checklistOf(titles)['Heading hierarchy'], ['failed', '2 top-level headings']);
+    assert.deepEqual(checklistOf(analyzeReadme('Just text.', 'README.md'))['Heading hierarchy'], ['failed', 'fewer than 2 headings']);
+    assert.deepEqual(checklistOf(analyzeReadme('Just text.', 'README.md')).Title, ['failed', 'no heading found']);
+});
+
+test('images without alt text fail the alt text check', () => {
+    const analysis = analyzeReadme('# Demo\n\n![](docs/a.png)\n<img src="docs/b.png" alt="Diagram">\n', 'README.md');
+
+    assert.equal(analysis.imagesMissingAlt, 1);
+    assert.deepEqual(checklistOf(analysis)['Image alt text'], ['failed', '1 of 2 image(s) have alt text']);
+});
+
+test('section names are recognized in other languages', () => {
+    const analysis = analyzeReadme('# Demo\n\n## Instalación\n\n```\npip install demo\n```\n\n## Lizenz\n\nMIT\n\n## 贡献\n\n欢迎\n', 'README.md');
+
+    assert.equal(analysis.installationHasCode, true);
+    assert.equal(analysis.hasLicenseSection, true);
+    assert.equal(analysis.hasContributingSection, true);
+});
+
+test('reStructuredText and AsciiDoc headings and code blocks are parsed', () => {
+    const rst = analyzeReadme('Demo\n====\n\nInstallation\n------------\n\n.. code-block:: bash\n\n   pip install demo\n', 'README.rst');
+    const adoc = analyzeReadme('= Demo\n\n== Usage\n\n[source,shell]\n----\ndemo run\n----\n', 'README.adoc');
+
+    assert.equal(rst.format, 'rst');
+    assert.deepEqual(checklistOf(rst).Installation, ['passed', '"Installation" with 1 code block(s)']);
+    assert.equal(adoc.format, 'asciidoc');
+    assert.deepEqual(checklistOf(adoc).Usage, ['passed', '"Usage" with 1 code block(s)']);
+});
+
+test('the format follows the file extension', () => {
+    assert.equal(getReadmeFormat('README.md'), 'markdown');
+    assert.equal(getReadmeFormat('README'), 'markdown');
+    assert.equal(getReadmeFormat('docs/README.org'), 'org');
+    assert.equal(getReadmeFormat('README.txt'), 'text');
+    assert.equal(getReadmeFormat('README.pod'), 'text');
+});
+
+test('a README of badges and links is not prose', () => {
+    const analysis = analyzeReadme('# Demo\n\n[![npm](https://img.shields.io/npm/v/demo.svg)](https://npmjs.com/package/demo)\n\n- [Docs](https://demo.dev)\n- [Changelog](CHANGELOG.md)\n', 'README.md');
+
+    assert.equal(checklistOf(analysis).Prose[0], 'failed');
+});
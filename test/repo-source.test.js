@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+import { buildPathIndex, anyPresent, trackIncompleteChecks, createGitHubSource } from '../src/repo-source.js';
+import { RateLimitError } from '../src/request-scheduler.js';
+
+/**
+ * A client serving one repository whose tree lists the given paths, recording the paths it was asked for
+ */
+function createClient({ tree, truncated = false, contents = {} }) {
+    const requested = [];
+    const fetch = async (url) => {
+        const { pathname } = new URL(url);
+        requested.push(decodeURIComponent(pathname));
+        let status = 404;
+        let body = { message: 'Not Found' };
+        if (pathname === '/repos/octo/demo') {
+            [status, body] = [200, { full_name: 'octo/demo', default_branch: 'main' }];
+        } else if (pathname === '/repos/octo/demo/git/trees/main') {
+            [status, body] = [200, { tree, truncated }];
+        } else if (pathname.startsWith('/repos/octo/demo/contents/')) {
+            const path = decodeURIComponent(pathname.slice('/repos/octo/demo/contents/'.length));
+            if (path in contents) [status, body] = [200, contents[path]];
+        }
+        return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+    };
+    return { octokit: new Octokit({ request: { fetch }, retry: { enabled: false } }), requested };
+}
+
+const blob = (path) => ({ path, type: 'blob' });
+
+test('directories are derived from nested file paths', () => {
+    const index = buildPathIndex(['src/lib/util.js', 'README.md'], ['empty']);
+
+    assert.deepEqual([...index.directories].sort(), ['empty', 'src', 'src/lib']);
+    assert.equal(index.files.has('src/lib/util.js'), true);
+    assert.equal(index.files.has('src/lib'), false);
+});
+
+test('globs match sorted paths, * stays within a directory and **/ spans zero or more', () => {
+    const index = buildPathIndex(['b.md', 'docs/a.md', 'docs/guide/c.md', 'src/index.js']);
+
+    assert.deepEqual(index.findFiles('*.md'), ['b.md']);
+    assert.deepEqual(index.findFiles('docs/*.md'), ['docs/a.md']);
+    assert.deepEqual(index.findFiles('**/*.md'), ['b.md', 'docs/a.md', 'docs/guide/c.md']);
+    assert.deepEqual(index.findFiles(['src/**', 'b.?d']), ['b.md', 'src/index.js']);
+});
+
+test('paths are case sensitive, as they are in git', () => {
+    const index = buildPathIndex(['README.md', 'Docs/intro.md']);
+
+    assert.equal(index.files.has('readme.md'), false);
+    assert.equal(index.directories.has('docs'), false);
+    assert.deepEqual(index.findFiles('readme.md'), []);
+    assert.deepEqual(index.findFiles('README.md'), ['README.md']);
+});
+
+test('anyPresent stops at the first hit and is unknown only without one', async () => {
+    const calls = [];
+    const check = (name, result) => async () => {
+        calls.push(name);
+        return result;
+    };
+
+    assert.equal(await anyPresent([check('a', null), check('b', true), check('c', false)]), true);
+    assert.deepEqual(calls, ['a', 'b']);
+    assert.equal(await anyPresent([check('d', false), check('e', null)]), null);
+    assert.equal(await anyPresent([check('f', false)]), false);
+    assert.equal(await anyPresent([]), false);
+});
+
+test('failed checks become unknown and are recorded, rate limits propagate', async () => {
+    const source = trackIncompleteChecks({
+        owner: 'octo',
+        repo: 'demo',
+        fileExists: async () => { throw Object.assign(new Error('Server Error'), { status: 502 }); },
+        getTags: async () => { throw new RateLimitError('exhausted'); },
+    });
+
+    assert.equal(await source.fileExists('SECURITY.md'), null);
+    assert.deepEqual(source.getIncompleteChecks(), [{ check: 'fileExists(SECURITY.md)', reason: 'HTTP 502: Server Error' }]);
+    await assert.rejects(source.getTags(), RateLimitError);
+});
+
+test('a complete tree answers existence checks without further requests', async () => {
+    const { octokit, requested } = createClient({ tree: [blob('README.md'), blob('docs/intro.md'), { path: 'docs', type: 'tree' }] });
+    const source = createGitHubSource(octokit, 'octo', 'demo');
+
+    assert.equal(await source.fileExists('README.md'), true);
+    assert.equal(await source.fileExists('SECURITY.md'), false);
+    assert.equal(await source.directoryExists('docs'), true);
+    assert.deepEqual(await source.findFiles('docs/**'), ['docs/intro.md']);
+    assert.equal((await source.getFileContent('CHANGELOG.md')).exists, false);
+    assert.deepEqual(requested, ['/repos/octo/demo', '/repos/octo/demo/git/trees/main']);
+});
+
+test('paths missing from a truncated tree are checked one by one', async () => {
+    const { octokit, requested } = createClient({
+        tree: [blob('README.md')],
+        truncated: true,
+        contents: { 'SECURITY.md': { type: 'file', path: 'SECURITY.md', content: '', encoding: 'base64' } },
+    });
+    const source = createGitHubSource(octokit, 'octo', 'demo');
+
+    assert.equal(await source.fileExists('README.md'), true);
+    assert.equal(await source.fileExists('SECURITY.md'), true);
+    assert.equal(await source.fileExists('CODE_OF_CONDUCT.md'), false);
+    assert.deepEqual(requested.slice(2), ['/repos/octo/demo/contents/SECURITY.md', '/repos/octo/demo/contents/CODE_OF_CONDUCT.md']);
+
+    // No match in a partial tree proves nothing
+    assert.equal(await source.findFiles('**/*.test.js'), null);
+    assert.deepEqual(await source.findFiles('README.*'), ['README.md']);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, escapeTableCell, generateHtmlReport, generateMarkdownSummary } from '../src/report-generator.js';
+import { generateCombinedDashboard } from '../src/dashboard-generator.js';
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+
+/**
+ * A minimal output record; overrides hold the repository-derived fields under test
+ */
+function createResult(overrides = {}) {
+    return {
+        repo_name: 'octo/demo',
+        repo_url: 'https://github.com/octo/demo',
+        health_score: 72,
+        health_grade: 'B',
+        risk_level: '🟡 Medium Risk',
+        badge_url: 'https://img.shields.io/badge/health-B-yellow',
+        recommendations: [],
+        analyzed_at: '2026-10-18T00:00:00.000Z',
+        ...overrides,
+    };
+}
+
+/**
+ * The Markdown table row starting with a label
+ */
+function findRow(markdown, label) {
+    return markdown.split('\n').find((line) => line.startsWith(`| ${label} |`));
+}
+
+/**
+ * Cells of a Markdown table row, honouring escaped pipes
+ */
+function splitRow(row) {
+    return row.split(/(?<!\\)\|/).slice(1, -1);
+}
+
+test('escapeHtml escapes markup and quotes', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.equal(escapeHtml(null), '');
+});
+
+test('escapeTableCell keeps a value in one cell', () => {
+    assert.equal(escapeTableCell('a | b\nc'), 'a \\| b c');
+});
+
+test('broken link targets are escaped in the HTML report, the dashboard and the Markdown table', () => {
+    const result = createResult({
+        broken_link_count: 1,
+        links_checked: 3,
+        broken_links: [{ file: 'docs/a|b.md', links: [{ line: 4, target: PAYLOAD, reason: 'file not found' }] }],
+    });
+
+    assert.ok(!generateHtmlReport(result).includes(PAYLOAD));
+    assert.ok(generateHtmlReport(result).includes(escapeHtml(PAYLOAD)));
+    assert.ok(!generateCombinedDashboard([result]).includes(PAYLOAD));
+    assert.equal(splitRow(findRow(generateMarkdownSummary(result), 'Fix')).length, 2);
+});
+
+test('secret finding paths are escaped in the HTML report, the dashboard and the Markdown table', () => {
+    const result = createResult({
+        secret_scan_files: 10,
+        secret_finding_count: 1,
+        secret_findings: [{ path: `config/${PAYLOAD}|x.env`, line: 2, rule: 'dotenv-file' }],
+    });
+
+    assert.ok(!generateHtmlReport(result).includes(PAYLOAD));
+    assert.ok(!generateCombinedDashboard([result]).includes(PAYLOAD));
+    assert.equal(splitRow(findRow(generateMarkdownSummary(result), 'Committed Secrets')).length, 2);
+});
+
+test('README checklist details are escaped in the HTML report and the Markdown table', () => {
+    const result = createResult({
+        readme_checklist: [{ section: 'Usage', status: 'partial', detail: `"${PAYLOAD} | more" has no code block` }],
+    });
+
+    assert.ok(!generateHtmlReport(result).includes(PAYLOAD));
+    assert.equal(splitRow(findRow(generateMarkdownSummary(result), 'Usage')).length, 2);
+});
+
+test('Scorecard reasons are escaped in the HTML report and the Markdown table', () => {
+    const result = createResult({
+        scorecard: { score: 5, checks: [{ name: 'Token-Permissions', score: 0, reason: `no permissions block in: .github/workflows/${PAYLOAD}|x.yml` }] },
+    });
+
+    assert.ok(!generateHtmlReport(result).includes(PAYLOAD));
+    assert.equal(splitRow(findRow(generateMarkdownSummary(result), 'Token-Permissions')).length, 3);
+});
+
+test('vulnerable package names and versions are escaped in the HTML report, the dashboard and the Markdown table', () => {
+    const result = createResult({
+        known_vulnerability_count: 1,
+        vulnerability_counts: { critical: 0, high: 1, moderate: 0, low: 0 },
+        vulnerable_dependencies: [{ package: PAYLOAD, version: '1.0.0|2', advisory: 'GHSA-xxxx', severity: 'high', fixed_version: '1.0.1' }],
+    });
+
+    assert.ok(!generateHtmlReport(result).includes(PAYLOAD));
+    assert.ok(!generateCombinedDashboard([result]).includes(PAYLOAD));
+    assert.equal(splitRow(findRow(generateMarkdownSummary(result), 'Upgrade')).length, 2);
+});
+
+test('recommendations naming workflows and jobs are escaped in the HTML report and the dashboard', () => {
+    const result = createResult({
+        recommendation_count: 1,
+        recommendations: [{ priority: '🔴 Critical', category: 'Security', issue: `Job ${PAYLOAD} checks out the pull request head`, action: `Remove the checkout from ${PAYLOAD}` }],
+    });
+
+    assert.ok(!generateHtmlReport(result).includes(PAYLOAD));
+    assert.ok(!generateCombinedDashboard([result]).includes(PAYLOAD));
+});
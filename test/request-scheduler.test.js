@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+import { RateLimitError, isRateLimitError, installRequestScheduler } from '../src/request-scheduler.js';
+
+/**
+ * A scheduled client answering with the queued responses ([status, headers, body]), the last one repeating
+ */
+function createClient(responses, schedulerOptions) {
+    const sent = [];
+    const fetch = async (url) => {
+        sent.push({ url, at: Date.now() });
+        const [status, headers = {}, body = {}] = responses[Math.min(sent.length - 1, responses.length - 1)];
+        return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+    };
+    const octokit = new Octokit({ request: { fetch }, throttle: { enabled: false }, retry: { enabled: false } });
+    const scheduler = installRequestScheduler(octokit, schedulerOptions);
+    return { octokit, scheduler, sent };
+}
+
+const getRepo = (octokit) => octokit.request('GET /repos/{owner}/{repo}', { owner: 'octo', repo: 'demo' });
+
+test('rate limit errors are recognized by status, headers and message', () => {
+    const forbidden = (headers, message = 'Forbidden') => Object.assign(new Error(message), { status: 403, response: { headers } });
+
+    assert.equal(isRateLimitError(Object.assign(new Error('Too Many Requests'), { status: 429 })), true);
+    assert.equal(isRateLimitError(forbidden({ 'x-ratelimit-remaining': '0' })), true);
+    assert.equal(isRateLimitError(forbidden({ 'retry-after': '30' })), true);
+    assert.equal(isRateLimitError(forbidden({}, 'You have exceeded a secondary rate limit')), true);
+    assert.equal(isRateLimitError(new RateLimitError('exhausted')), true);
+    assert.equal(isRateLimitError(forbidden({ 'x-ratelimit-remaining': '42' })), false);
+    assert.equal(isRateLimitError(Object.assign(new Error('Not Found'), { status: 404 })), false);
+    assert.equal(isRateLimitError(null), false);
+});
+
+test('RateLimitError keeps the status of its cause and the reset time', () => {
+    const resetAt = new Date();
+    const error = new RateLimitError('throttled', { resetAt, cause: { status: 429 } });
+
+    assert.equal(error.name, 'RateLimitError');
+    assert.equal(error.status, 429);
+    assert.equal(error.resetAt, resetAt);
+    assert.equal(new RateLimitError('throttled').status, 403);
+});
+
+test('a throttled request is retried after retry-after', async () => {
+    const { octokit, sent } = createClient([
+        [429, { 'retry-after': '0' }],
+        [200, {}, { full_name: 'octo/demo' }],
+    ]);
+    const { data } = await getRepo(octokit);
+
+    assert.equal(data.full_name, 'octo/demo');
+    assert.equal(sent.length, 2);
+});
+
+test('a request still throttled after every retry fails with a RateLimitError', async () => {
+    const { octokit, sent } = createClient([[429, { 'retry-after': '0' }]], { maxRetries: 2 });
+
+    await assert.rejects(getRepo(octokit), (error) => {
+        assert.ok(error instanceof RateLimitError);
+        assert.match(error.message, /gave up after 3 attempts/);
+        assert.equal(error.status, 429);
+        return true;
+    });
+    assert.equal(sent.length, 3);
+});
+
+test('secondary limits without headers back off for a minute, beyond the longest wait', async () => {
+    const { octokit, sent } = createClient([[403, {}, { message: 'You have exceeded a secondary rate limit' }]], { maxWaitMs: 1000 });
+    const before = Date.now();
+
+    await assert.rejects(getRepo(octokit), (error) => {
+        assert.ok(error instanceof RateLimitError);
+        assert.match(error.message, /retry not before/);
+        assert.ok(error.resetAt.getTime() - before >= 60 * 1000);
+        return true;
+    });
+    assert.equal(sent.length, 1);
+});
+
+test('an exhausted quota pauses requests until x-ratelimit-reset', async () => {
+    const reset = String(Math.floor(Date.now() / 1000));
+    const { octokit, scheduler, sent } = createClient([
+        [403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': reset }, { message: 'API rate limit exceeded' }],
+        [200, { 'x-ratelimit-remaining': '4999', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': reset }],
+    ]);
+    await getRepo(octokit);
+
+    // Resumed no earlier than a second after the reset
+    assert.equal(sent.length, 2);
+    assert.ok(sent[1].at >= Number(reset) * 1000 + 1000);
+    assert.equal(scheduler.status('core').remaining, 4999);
+});
+
+test('a pause longer than the longest wait fails before sending', async () => {
+    const reset = String(Math.floor(Date.now() / 1000) + 3600);
+    const { octokit, sent } = createClient([[200, { 'x-ratelimit-resource': 'search', 'x-ratelimit-remaining': '0', 'x-ratelimit-limit': '30', 'x-ratelimit-reset': reset }, { total_count: 0 }]], { maxWaitMs: 1000 });
+
+    await octokit.request('GET /search/issues', { q: 'repo:octo/demo' });
+    await assert.rejects(octokit.request('GET /search/issues', { q: 'repo:octo/demo' }), /GitHub search rate limit exhausted until/);
+    // Other resources are not paused
+    await getRepo(octokit);
+    assert.equal(sent.length, 2);
+});
+
+test('other errors pass through untouched', async () => {
+    const { octokit, sent } = createClient([[404, {}, { message: 'Not Found' }]]);
+
+    await assert.rejects(getRepo(octokit), (error) => error.status === 404 && !(error instanceof RateLimitError));
+    assert.equal(sent.length, 1);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+import { installResponseCache } from '../src/response-cache.js';
+
+/**
+ * A backend over a Map, shared by the clients of one test
+ */
+function createMemoryBackend() {
+    const entries = new Map();
+    return {
+        entries,
+        get: async (requestKey) => entries.get(requestKey) ?? null,
+        set: async (requestKey, entry) => { entries.set(requestKey, entry); },
+    };
+}
+
+/**
+ * A client whose requests are answered locally: raw content or JSON by Accept header
+ */
+function createClient(backend, { token = null, maxAgeMs = 60_000 } = {}) {
+    const requests = [];
+    const fetch = async (url, { headers }) => {
+        const accept = headers.accept ?? headers.Accept;
+        requests.push({ url, accept });
+        const raw = accept.includes('.raw');
+        return new Response(raw ? 'console.log("hi");\n' : JSON.stringify({ type: 'file', path: 'index.js' }), {
+            status: 200,
+            headers: {
+                'content-type': raw ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+                etag: raw ? '"raw"' : '"json"',
+            },
+        });
+    };
+    const octokit = new Octokit({ request: { fetch } });
+    installResponseCache(octokit, backend, { maxAgeMs, token });
+    return { octokit, requests };
+}
+
+test('raw content and JSON for the same path are cached separately', async () => {
+    const backend = createMemoryBackend();
+    const { octokit, requests } = createClient(backend);
+    const params = { owner: 'octo', repo: 'demo', path: 'index.js' };
+
+    const json = await octokit.rest.repos.getContent(params);
+    const raw = await octokit.rest.repos.getContent({ ...params, mediaType: { format: 'raw' } });
+    assert.equal(typeof json.data, 'object');
+    assert.equal(raw.data, 'console.log("hi");\n');
+    assert.equal(requests.length, 2);
+    assert.equal(backend.entries.size, 2);
+
+    // Both are now served from the cache, each in its own format
+    const cachedRaw = await octokit.rest.repos.getContent({ ...params, mediaType: { format: 'raw' } });
+    const cachedJson = await octokit.rest.repos.getContent(params);
+    assert.equal(requests.length, 2);
+    assert.equal(cachedRaw.data, 'console.log("hi");\n');
+    assert.deepEqual(cachedJson.data, { type: 'file', path: 'index.js' });
+});
+
+test('responses are not replayed to a client with another token', async () => {
+    const backend = createMemoryBackend();
+    const params = { owner: 'octo', repo: 'private', path: 'index.js' };
+
+    const withToken = createClient(backend, { token: 'ghp_first' });
+    await withToken.octokit.rest.repos.getContent(params);
+    await withToken.octokit.rest.repos.getContent(params);
+    assert.equal(withToken.requests.length, 1);
+
+    const anonymous = createClient(backend);
+    await anonymous.octokit.rest.repos.getContent(params);
+    assert.equal(anonymous.requests.length, 1);
+
+    const otherToken = createClient(backend, { token: 'ghp_second' });
+    await otherToken.octokit.rest.repos.getContent(params);
+    assert.equal(otherToken.requests.length, 1);
+    assert.equal(backend.entries.size, 3);
+});
+
+test('tokens are not written to the cache keys', async () => {
+    const backend = createMemoryBackend();
+    const { octokit } = createClient(backend, { token: 'ghp_secret_value' });
+    await octokit.rest.repos.getContent({ owner: 'octo', repo: 'demo', path: 'index.js' });
+
+    assert.ok([...backend.entries.keys()].every((key) => !key.includes('ghp_secret_value')));
+});
@@ -0,0 +1,159 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { PRIORITY, DEFAULT_RULES, normalizeRule, buildRuleSet, evaluateRules, loadCustomRules } from '../src/rules.js';
+import { createLocalSource } from '../src/local-source.js';
+import { calculateHealthScore } from '../src/scorer.js';
+
+const tempDirs = [];
+
+after(async () => {
+    await Promise.all(tempDirs.map((dir) => rm(dir, { recursive: true, force: true })));
+});
+
+/**
+ * Write { path: content } into a fresh temporary directory
+ */
+async function writeFixture(files) {
+    const root = await mkdtemp(join(tmpdir(), 'rules-test-'));
+    tempDirs.push(root);
+    for (const [path, content] of Object.entries(files)) {
+        await mkdir(dirname(join(root, path)), { recursive: true });
+        await writeFile(join(root, path), content);
+    }
+    return root;
+}
+
+/**
+ * Status of one rule in an evaluation's breakdown
+ */
+function ruleStatus(pillars, ruleId) {
+    for (const pillar of Object.values(pillars)) {
+        const entry = pillar.breakdown.find((item) => item.rule === ruleId);
+        if (entry) return entry.status;
+    }
+    return undefined;
+}
+
+const validRule = { id: 'has-makefile', pillar: 'automation', points: 5, detector: { type: 'fileExists', path: 'Makefile' } };
+
+test('the default rules score a fixture repository', async () => {
+    const root = await writeFixture({
+        'README.md': '# Demo\n\nA demo.\n\n## Installation\n\n```bash\nnpm install demo\n```\n\n## Usage\n\n```js\nimport demo from "demo";\n```\n',
+        'LICENSE': 'MIT License\n\nCopyright (c) 2026 Octo\n\nPermission is hereby granted, free of charge, to any person obtaining a copy\n',
+        '.github/workflows/ci.yml': 'on: [push, pull_request]\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: actions/checkout@v4\n      - run: npm test\n',
+        'package.json': JSON.stringify({ name: 'demo', scripts: { test: 'node --test' } }),
+        'src/index.js': 'export default 1;\n',
+        'test/index.test.js': 'import "node:test";\n',
+    });
+    const source = await createLocalSource(root);
+    const result = await calculateHealthScore(source, await source.getRepoData());
+
+    for (const rule of ['readme-exists', 'readme-installation', 'readme-usage', 'license', 'ci-workflows', 'tests', 'ci-runs-tests', 'ci-pr-tests']) {
+        assert.equal(ruleStatus(result.pillars, rule), 'passed', rule);
+    }
+    for (const rule of ['security-policy', 'contributing-guide', 'changelog', 'linter']) {
+        assert.equal(ruleStatus(result.pillars, rule), 'failed', rule);
+    }
+    // API-only signals are left out rather than failed
+    for (const rule of ['stars', 'issue-close-ratio', 'branch-protection', 'releases-or-tags']) {
+        assert.equal(ruleStatus(result.pillars, rule), 'unavailable', rule);
+    }
+
+    const rules = result.recommendations.map((rec) => rec.rule);
+    assert.ok(rules.includes('security-policy'));
+    assert.ok(!rules.includes('readme-exists'));
+    assert.equal(result.recommendations[0].priority, PRIORITY.critical);
+    assert.equal(result.pillars.maintainability.breakdown.length, DEFAULT_RULES.filter((rule) => rule.pillar === 'maintainability').length);
+});
+
+test('malformed rules are rejected with the rule id', () => {
+    assert.throws(() => normalizeRule({ pillar: 'security', points: 5 }), /missing a string "id"/);
+    assert.throws(() => normalizeRule({ ...validRule, pillar: 'speed' }), /Rule "has-makefile": unknown pillar "speed"\. Valid pillars: readability/);
+    assert.throws(() => normalizeRule({ ...validRule, points: 0 }), /"points" must be a positive number/);
+    assert.throws(() => normalizeRule({ ...validRule, points: '5' }), /"points" must be a positive number/);
+    assert.throws(() => normalizeRule({ ...validRule, detector: undefined }), /needs a detect\(\) function or a "detector" spec/);
+    assert.throws(() => normalizeRule({ ...validRule, recommendation: { issue: 'No Makefile' } }), /recommendation needs "issue" and "action"/);
+});
+
+test('malformed detector specs are rejected', () => {
+    assert.throws(() => normalizeRule({ ...validRule, detector: { type: 'fileExists' } }), /fileExists detector needs "path" or "paths"/);
+    assert.throws(() => normalizeRule({ ...validRule, detector: { type: 'glob' } }), /glob detector needs "pattern" or "patterns"/);
+    assert.throws(() => normalizeRule({ ...validRule, detector: { type: 'http' } }), /unknown detector type "http"/);
+});
+
+test('recommendation priorities accept the short names', () => {
+    const rule = normalizeRule({ ...validRule, recommendation: { priority: 'critical', issue: 'No Makefile', action: 'Add one' } });
+    assert.equal(rule.recommendation.priority, PRIORITY.critical);
+    assert.equal(normalizeRule({ ...validRule, recommendation: { issue: 'i', action: 'a' } }).recommendation.priority, PRIORITY.medium);
+    assert.equal(rule.description, 'has-makefile');
+});
+
+test('path detectors pass on any match and are unknown when a check could not be made', async () => {
+    const { detect } = normalizeRule({ ...validRule, detector: { type: 'fileExists', paths: ['Makefile', 'justfile'] } });
+    const ctx = (answers) => ({ fileExists: async (path) => (path in answers ? answers[path] : false) });
+
+    assert.equal(await detect(ctx({ justfile: true })), true);
+    assert.equal(await detect(ctx({})), false);
+    assert.equal(await detect(ctx({ Makefile: null })), null);
+    assert.equal(await detect(ctx({ Makefile: null, justfile: true })), true);
+});
+
+test('glob detectors need the minimum number of matches', async () => {
+    const { detect } = normalizeRule({ ...validRule, detector: { type: 'glob', pattern: 'docs/**/*.md', min: 2 } });
+
+    assert.equal(await detect({ findFiles: async () => ['docs/a.md', 'docs/b.md'] }), true);
+    assert.equal(await detect({ findFiles: async () => ['docs/a.md'] }), false);
+    assert.equal(await detect({ findFiles: async () => null }), null);
+});
+
+test('detail and repoField detectors compare dotted paths', () => {
+    const detail = normalizeRule({ ...validRule, detector: { type: 'detail', path: 'security.vulnerabilityCount', equals: 0 } }).detect;
+    const stars = normalizeRule({ ...validRule, detector: { type: 'repoField', field: 'stargazers_count', min: 100 } }).detect;
+    const truthy = normalizeRule({ ...validRule, detector: { type: 'detail', path: 'security.hasDependabot' } }).detect;
+
+    assert.equal(detail({ details: { security: { vulnerabilityCount: 0 } } }), true);
+    assert.equal(detail({ details: { security: { vulnerabilityCount: 2 } } }), false);
+    assert.equal(detail({ details: { security: { vulnerabilityCount: null } } }), null);
+    assert.equal(stars({ repoData: { stargazers_count: 150 } }), true);
+    assert.equal(stars({ repoData: { stargazers_count: 50 } }), false);
+    assert.equal(stars({ repoData: { stargazers_count: null } }), null);
+    assert.equal(truthy({ details: { security: { hasDependabot: true } } }), true);
+});
+
+test('custom rules load from JSON and JavaScript modules', async () => {
+    const root = await writeFixture({
+        'rules.json': JSON.stringify({ rules: [validRule] }),
+        'rules.mjs': `export default [{ id: 'always', pillar: 'security', points: 1, detect: () => true }];`,
+        'broken.json': JSON.stringify({ checks: [] }),
+    });
+
+    assert.deepEqual((await loadCustomRules(join(root, 'rules.json'))).map((rule) => rule.id), ['has-makefile']);
+    assert.deepEqual((await loadCustomRules(join(root, 'rules.mjs'))).map((rule) => rule.id), ['always']);
+    await assert.rejects(loadCustomRules(join(root, 'broken.json')), /must export an array of rules/);
+});
+
+test('a custom rule with a built-in id replaces it', () => {
+    const replacement = normalizeRule({ id: 'license', pillar: 'security', points: 1, detect: () => true });
+    const rules = buildRuleSet([replacement, normalizeRule(validRule)]);
+
+    assert.equal(rules.length, DEFAULT_RULES.length + 1);
+    assert.equal(rules.find((rule) => rule.id === 'license'), replacement);
+});
+
+test('evaluation scores partial points, leaves unknown rules out and sorts recommendations', async () => {
+    const rules = [
+        { id: 'half', pillar: 'security', points: 10, detect: () => 5, recommendation: { issue: 'Half', action: 'More', when: (ctx, earned) => earned < 10 } },
+        { id: 'unknown', pillar: 'security', points: 10, detect: () => null, recommendation: { issue: 'Unknown', action: 'None' } },
+        { id: 'missing', pillar: 'security', points: 10, detect: () => false, recommendation: { priority: 'critical', issue: 'Missing', action: 'Add' } },
+    ].map(normalizeRule);
+    const { pillars, recommendations } = await evaluateRules(rules, {});
+
+    assert.equal(pillars.security.score, 25);
+    assert.deepEqual(pillars.security.breakdown.map((item) => item.status), ['partial', 'unavailable', 'failed']);
+    assert.equal(pillars.readability.score, null);
+    assert.deepEqual(recommendations.map((rec) => rec.rule), ['missing', 'half']);
+    assert.equal(recommendations[0].category, 'Security');
+});
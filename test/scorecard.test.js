@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeScorecard } from '../src/scorecard.js';
+import { buildPathIndex } from '../src/repo-source.js';
+
+/**
+ * An in-memory repository source over { path: content }
+ */
+function createMemorySource(files) {
+    const index = buildPathIndex(Object.keys(files));
+    return {
+        owner: 'octo',
+        repo: 'demo',
+        findFiles: async (globs) => index.findFiles(globs),
+        fileExists: async (path) => index.files.has(path),
+        getFileContent: async (path) => (path in files
+            ? { exists: true, content: files[path], length: files[path].length }
+            : { exists: false, content: '', length: 0 }),
+    };
+}
+
+/**
+ * Health result details as calculateHealthScore() reports them for the given workflow facts
+ */
+function createHealthResult(workflows) {
+    return {
+        pillars: {
+            stability: { details: { weeklyCommits: null, recentReleases: [] } },
+            security: {
+                details: {
+                    licenseKey: 'MIT',
+                    branchProtection: null,
+                    thirdPartyActionCount: workflows.thirdPartyActionCount,
+                    unpinnedActionCount: workflows.unpinnedActionCount,
+                    workflowsWithoutPermissions: workflows.workflowsWithoutPermissions,
+                    pullRequestTargetRisks: workflows.pullRequestTargetRisks,
+                    secretsEchoed: workflows.secretsEchoed,
+                },
+            },
+            community: { details: { reviewCoveragePercent: null } },
+            automation: { details: { workflowsAnalyzed: workflows.workflowsAnalyzed, prRunsTests: workflows.prRunsTests } },
+        },
+    };
+}
+
+const UNKNOWN_WORKFLOW_FACTS = {
+    thirdPartyActionCount: null,
+    unpinnedActionCount: null,
+    workflowsWithoutPermissions: null,
+    pullRequestTargetRisks: null,
+    secretsEchoed: null,
+    prRunsTests: null,
+};
+
+const byName = (checks) => Object.fromEntries(checks.map(({ name, score }) => [name, score]));
+
+test('a repository without workflows gets conclusive workflow checks', async () => {
+    const result = await computeScorecard(createMemorySource({ 'README.md': '' }), {}, createHealthResult({ ...UNKNOWN_WORKFLOW_FACTS, workflowsAnalyzed: 0 }));
+    const scores = byName(result.checks);
+
+    assert.equal(scores['CI-Tests'], 0);
+    assert.equal(scores['Dangerous-Workflow'], 10);
+    assert.equal(scores['Token-Permissions'], 10);
+});
+
+test('workflows that could not be read leave the workflow checks inconclusive', async () => {
+    const result = await computeScorecard(createMemorySource({ 'README.md': '' }), {}, createHealthResult({ ...UNKNOWN_WORKFLOW_FACTS, workflowsAnalyzed: null }));
+    const scores = byName(result.checks);
+
+    assert.equal(scores['CI-Tests'], -1);
+    assert.equal(scores['Dangerous-Workflow'], -1);
+    assert.equal(scores['Token-Permissions'], -1);
+});
+
+test('analyzed workflows are scored on what they do', async () => {
+    const result = await computeScorecard(createMemorySource({ 'README.md': '' }), {}, createHealthResult({
+        workflowsAnalyzed: 1,
+        thirdPartyActionCount: 0,
+        unpinnedActionCount: 0,
+        workflowsWithoutPermissions: ['.github/workflows/ci.yml'],
+        pullRequestTargetRisks: [],
+        secretsEchoed: [],
+        prRunsTests: true,
+    }));
+    const scores = byName(result.checks);
+
+    assert.equal(scores['CI-Tests'], 10);
+    assert.equal(scores['Dangerous-Workflow'], 10);
+    assert.equal(scores['Token-Permissions'], 0);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PILLAR_KEYS, SCORING_PROFILES, validateWeights, resolveScoringProfile, formatWeight } from '../src/scoring-profiles.js';
+
+test('every built-in profile weighs every pillar and sums to 1', () => {
+    for (const [name, weights] of Object.entries(SCORING_PROFILES)) {
+        assert.deepEqual(Object.keys(weights).sort(), [...PILLAR_KEYS].sort(), name);
+        const sum = Object.values(weights).reduce((total, weight) => total + weight, 0);
+        assert.ok(Math.abs(sum - 1) < 1e-9, `${name} sums to ${sum}`);
+    }
+});
+
+test('omitted pillars default to 0', () => {
+    const weights = validateWeights({ security: 0.6, dependencies: 0.4 });
+
+    assert.deepEqual(Object.keys(weights), PILLAR_KEYS);
+    assert.equal(weights.security, 0.6);
+    assert.equal(weights.readability, 0);
+});
+
+test('unknown pillars are rejected with the valid names', () => {
+    assert.throws(() => validateWeights({ security: 0.5, speed: 0.5 }), /Unknown pillar\(s\) in custom weights: speed\. Valid pillars: readability/);
+});
+
+test('weights outside 0-1 or not numbers are rejected', () => {
+    assert.throws(() => validateWeights({ security: 1.5 }), /Weight for "security" must be a number between 0 and 1 \(got 1\.5\)/);
+    assert.throws(() => validateWeights({ security: -0.1, readability: 1.1 }), /between 0 and 1/);
+    assert.throws(() => validateWeights({ security: '1' }), /Weight for "security" must be a number between 0 and 1 \(got "1"\)/);
+    assert.throws(() => validateWeights({ security: NaN }), /between 0 and 1/);
+});
+
+test('weights must sum to 1 within a floating point tolerance', () => {
+    // 0.1 + 0.2 + 0.7 is not exactly 1 in floating point
+    assert.doesNotThrow(() => validateWeights({ readability: 0.1, stability: 0.2, security: 0.7 }));
+    assert.doesNotThrow(() => validateWeights({ readability: 0.3333, stability: 0.3333, security: 0.3333 }));
+    assert.throws(() => validateWeights({ readability: 0.5, stability: 0.4 }), /must sum to 1 \(got 0\.9\)/);
+    assert.throws(() => validateWeights({ readability: 0.6, stability: 0.6 }), /must sum to 1 \(got 1\.2\)/);
+});
+
+test('custom weights must be an object', () => {
+    for (const weights of [null, 'security', [0.5, 0.5]]) {
+        assert.throws(() => validateWeights(weights), /must be an object/);
+    }
+});
+
+test('a named profile resolves to a copy of its weights', () => {
+    const { profile, weights } = resolveScoringProfile('oss-library');
+
+    assert.equal(profile, 'oss-library');
+    assert.deepEqual(weights, SCORING_PROFILES['oss-library']);
+    assert.notEqual(weights, SCORING_PROFILES['oss-library']);
+});
+
+test('a missing profile name resolves to the default profile', () => {
+    assert.equal(resolveScoringProfile().profile, 'default');
+    assert.equal(resolveScoringProfile('').profile, 'default');
+});
+
+test('the custom profile validates its weights', () => {
+    assert.equal(resolveScoringProfile('custom', { security: 1 }).weights.security, 1);
+    assert.throws(() => resolveScoringProfile('custom', null), /must be an object/);
+});
+
+test('unknown profile names are rejected with the valid names', () => {
+    assert.throws(() => resolveScoringProfile('strict'), /Unknown scoring profile "strict"\. Valid profiles: default, enterprise-dependency, oss-library, internal-service, custom/);
+});
+
+test('weights are formatted as percentages', () => {
+    assert.equal(formatWeight(0.15), '15%');
+    assert.equal(formatWeight(0.125), '12.5%');
+    assert.equal(formatWeight(undefined), '0%');
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPool } from '../src/worker-pool.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('outcomes are emitted in input order while tasks finish out of order', async () => {
+    const finished = [];
+    const emitted = [];
+    await runPool([30, 10, 20, 0], async (delay, index) => {
+        await sleep(delay);
+        finished.push(index);
+        return delay * 2;
+    }, {
+        concurrency: 4,
+        onResult: async ({ index, result }) => { emitted.push([index, result]); },
+    });
+
+    assert.notDeepEqual(finished, [0, 1, 2, 3]);
+    assert.deepEqual(emitted, [[0, 60], [1, 20], [2, 40], [3, 0]]);
+});
+
+test('no more than the concurrency limit runs at once', async () => {
+    let running = 0;
+    let peak = 0;
+    await runPool([1, 2, 3, 4, 5, 6], async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(5);
+        running--;
+    }, { concurrency: 2 });
+
+    assert.equal(peak, 2);
+});
+
+test('a failing task is passed to onResult and does not stop the others', async () => {
+    const emitted = [];
+    await runPool(['a', 'b', 'c'], async (item) => {
+        if (item === 'b') throw new Error('boom');
+        return item.toUpperCase();
+    }, {
+        concurrency: 2,
+        onResult: async ({ item, result, error }) => { emitted.push([item, result, error?.message ?? null]); },
+    });
+
+    assert.deepEqual(emitted, [['a', 'A', null], ['b', null, 'boom'], ['c', 'C', null]]);
+});
+
+test('a failing onResult does not drop the outcomes after it', async () => {
+    const emitted = [];
+    await runPool([1, 2, 3], async (item) => item, {
+        concurrency: 3,
+        onResult: async ({ result }) => {
+            if (result === 1) throw new Error('push failed');
+            emitted.push(result);
+        },
+    });
+
+    assert.deepEqual(emitted, [2, 3]);
+});
+
+test('an invalid concurrency still processes every item', async () => {
+    for (const concurrency of [0, NaN, undefined, 'many', -3]) {
+        const emitted = [];
+        await runPool([1, 2], async (item) => item, {
+            concurrency,
+            onResult: async ({ result }) => { emitted.push(result); },
+        });
+        assert.deepEqual(emitted, [1, 2], `concurrency ${String(concurrency)}`);
+    }
+});
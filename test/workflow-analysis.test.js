@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeWorkflows, parseYaml } from '../src/workflow-analysis.js';
+import { buildPathIndex } from '../src/repo-source.js';
+
+/**
+ * An in-memory repository source over { path: content }; a null content cannot be read
+ */
+function createMemorySource(files) {
+    const index = buildPathIndex(Object.keys(files));
+    return {
+        owner: 'octo',
+        repo: 'demo',
+        findFiles: async (globs) => index.findFiles(globs),
+        getFileContent: async (path) => {
+            if (files[path] === null) return { exists: null, content: '', length: null };
+            return path in files
+                ? { exists: true, content: files[path], length: files[path].length }
+                : { exists: false, content: '', length: 0 };
+        },
+    };
+}
+
+test('parseYaml reads block mappings and sequences', () => {
+    const yaml = [
+        'name: CI',
+        'on:',
+        '  push:',
+        '    branches: [main]',
+        '  pull_request:',
+        'jobs:',
+        '  test:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - uses: actions/checkout@v4',
+        '      - name: Test',
+        '        run: npm test',
+    ].join('\n');
+
+    assert.deepEqual(parseYaml(yaml), {
+        name: 'CI',
+        on: { push: { branches: ['main'] }, pull_request: null },
+        jobs: {
+            test: {
+                'runs-on': 'ubuntu-latest',
+                steps: [{ uses: 'actions/checkout@v4' }, { name: 'Test', run: 'npm test' }],
+            },
+        },
+    });
+});
+
+test('parseYaml keeps "on" and other keys as strings', () => {
+    assert.deepEqual(Object.keys(parseYaml('on: push\ntrue: 1\n')), ['on', 'true']);
+});
+
+test('parseYaml reads scalars: quoted, booleans, numbers, null', () => {
+    const parsed = parseYaml([
+        'double: "a: b # not a comment"',
+        'single: \'it\'\'s\'',
+        'enabled: true',
+        'count: 3',
+        'ratio: 0.5',
+        'empty:',
+        'tilde: ~',
+        'version: 1.2.3',
+        'plain: hello world # comment',
+    ].join('\n'));
+
+    assert.deepEqual(parsed, {
+        double: 'a: b # not a comment',
+        single: 'it\'s',
+        enabled: true,
+        count: 3,
+        ratio: 0.5,
+        empty: null,
+        tilde: null,
+        version: '1.2.3',
+        plain: 'hello world',
+    });
+});
+
+test('parseYaml reads literal and folded block scalars', () => {
+    const parsed = parseYaml([
+        'literal: |',
+        '  npm ci',
+        '  npm test',
+        'folded: >',
+        '  one',
+        '  two',
+        'after: x',
+    ].join('\n'));
+
+    assert.deepEqual(parsed, { literal: 'npm ci\nnpm test\n', folded: 'one two', after: 'x' });
+});
+
+test('parseYaml reads nested flow collections, also across lines', () => {
+    const parsed = parseYaml([
+        'matrix: { node: [18, 20], os: [ubuntu-latest, "windows-latest"] }',
+        'branches: [',
+        '  main,',
+        '  "release/*"',
+        ']',
+    ].join('\n'));
+
+    assert.deepEqual(parsed, {
+        matrix: { node: [18, 20], os: ['ubuntu-latest', 'windows-latest'] },
+        branches: ['main', 'release/*'],
+    });
+});
+
+test('parseYaml reads sequence items that open mappings and unindented sequences', () => {
+    const parsed = parseYaml([
+        'steps:',
+        '- name: Build',
+        '  with:',
+        '    args: --release',
+        '-   run: make',
+        'tags:',
+        '  - a',
+        '  -',
+        '  - "c"',
+    ].join('\n'));
+
+    assert.deepEqual(parsed, {
+        steps: [{ name: 'Build', with: { args: '--release' } }, { run: 'make' }],
+        tags: ['a', null, 'c'],
+    });
+});
+
+test('parseYaml continues plain scalars on more-indented lines', () => {
+    assert.deepEqual(parseYaml('run: echo one\n  two\nnext: 1\n'), { run: 'echo one two', next: 1 });
+});
+
+test('parseYaml skips comments, blank lines and document markers', () => {
+    assert.deepEqual(parseYaml('---\n# header\n\nname: x # trailing\n...\n'), { name: 'x' });
+    assert.equal(parseYaml('# only a comment\n'), null);
+});
+
+test('workflows that cannot be read leave the checks unknown', async () => {
+    const result = await analyzeWorkflows(createMemorySource({ '.github/workflows/ci.yml': null }));
+
+    assert.equal(result.workflowsAnalyzed, null);
+    assert.equal(result.testWorkflows, null);
+    assert.equal(result.pullRequestChecks, null);
+    assert.deepEqual(result.unreadableWorkflows, ['.github/workflows/ci.yml']);
+    assert.deepEqual(result.unparsedWorkflows, []);
+});
+
+test('workflows that cannot be parsed leave the checks unknown', async () => {
+    const result = await analyzeWorkflows(createMemorySource({ '.github/workflows/ci.yml': '- just\n- a list\n' }));
+
+    assert.equal(result.workflowsAnalyzed, null);
+    assert.equal(result.testWorkflows, null);
+    assert.deepEqual(result.unreadableWorkflows, []);
+    assert.deepEqual(result.unparsedWorkflows, ['.github/workflows/ci.yml']);
+});
+
+test('readable workflows are analyzed next to unreadable ones', async () => {
+    const result = await analyzeWorkflows(createMemorySource({
+        '.github/workflows/broken.yml': null,
+        '.github/workflows/ci.yml': 'on: pull_request\njobs:\n  t:\n    runs-on: ubuntu-latest\n    steps:\n      - run: pytest\n',
+    }));
+
+    assert.equal(result.workflowsAnalyzed, 1);
+    assert.deepEqual(result.pullRequestChecks, { test: true, lint: false, build: false });
+    assert.deepEqual(result.unreadableWorkflows, ['.github/workflows/broken.yml']);
+});